@@ -0,0 +1,125 @@
+/**
+ * intuition-openclaw-skill - Programmatic API
+ *
+ *   import { createIntuitionClient } from 'intuition-openclaw-skill';
+ *
+ *   const intuition = createIntuitionClient({ privateKey: process.env.INTUITION_PRIVATE_KEY });
+ *   const atom = await intuition.resolveAtom('Axiom');
+ *   const preview = await intuition.previewStake({ termId: atom.atomId, amount: '0.1' });
+ *   const dryRun = await intuition.simulateStake(preview);   // gas, fees, revert reason
+ *   const result = await intuition.submitStake(preview);
+ *
+ *   // Same API on testnet or a chain from ~/.intuition/networks.json
+ *   const testnet = createIntuitionClient({ network: 'testnet' });
+ *
+ *   // Keys held by a separate signer process
+ *   const signed = createIntuitionClient(await createSigner({ signer: 'rpc:http://127.0.0.1:9000' }));
+ *
+ * Every function also accepts a context as its first argument (see
+ * createContext) for callers that manage their own viem clients.
+ * Failures throw subclasses of IntuitionError with a stable `code`.
+ */
+
+export { createIntuitionClient } from './lib/client.mjs';
+export { createContext, requireWallet, readMultiVault } from './lib/context.mjs';
+export * from './lib/errors.mjs';
+export * from './lib/constants.mjs';
+export { NETWORKS, DEFAULT_NETWORK, resolveNetwork, listNetworks } from './lib/networks.mjs';
+export { graphqlQuery, fetchPages } from './lib/graphql.mjs';
+export {
+  loadAccount,
+  loadOrCreateAgentWallet,
+  agentWalletDir,
+  listAgentWalletFiles,
+  createAgentWallet,
+  importAgentWallet,
+  describeAgentWallet,
+  listAgentWallets,
+  removeAgentWallet,
+  linkAgentSigner,
+  readIdentityFile,
+  writeIdentityFile,
+  encryptWalletFile,
+  resolvePassphrase,
+} from './lib/wallet.mjs';
+export { encryptKeystore, decryptKeystore, isKeystore } from './lib/keystore.mjs';
+export { createSigner, parseSignerSpec, SIGNER_TYPES } from './lib/signers.mjs';
+export {
+  calculateAtomId,
+  calculateTripleId,
+  isTermCreated,
+  isTriple,
+  getCounterId,
+  isCounterTriple,
+  getTripleIdFromCounterId,
+  getAtomLabel,
+  getCreationCosts,
+  createAtoms,
+  createTriples,
+  simulateCreateAtoms,
+  simulateCreateTriples,
+} from './lib/terms.mjs';
+export { simulateWrite, revertReason, depositFees, redeemFees } from './lib/simulate.mjs';
+export { resolveAtom, verifyIdentity } from './lib/identity.mjs';
+export { getTriples, findAtomByLabel, countTriplesByAtomId } from './lib/triples.mjs';
+export { resolveVault, getVaultState, parseAmount, minimumAfterSlippage } from './lib/vaults.mjs';
+export { previewStake, simulateStake, submitStake, stake } from './lib/stake.mjs';
+export { previewRedeem, simulateRedeem, submitRedeem, redeem, getTriplePositions } from './lib/redeem.mjs';
+export {
+  readStakePlan,
+  previewStakeBatch,
+  simulateStakeBatch,
+  submitStakeBatch,
+  previewRedeemBatch,
+  simulateRedeemBatch,
+  submitRedeemBatch,
+} from './lib/batch.mjs';
+export { parseCsv } from './lib/csv.mjs';
+export { parseTurtle } from './lib/turtle.mjs';
+export { readImportFile, previewImport, simulateImport, submitImport, importMapping } from './lib/import.mjs';
+export { DEFAULT_TOLERANCE, validateManifest, readManifest, planManifest, applyManifest } from './lib/manifest.mjs';
+export { AGENT_CLAIM, validateProfile, readProfile, profileClaims } from './lib/profile.mjs';
+export { journalDir, readJournal, recordTransaction } from './lib/journal.mjs';
+export {
+  getPositions,
+  filterPositions,
+  getPositionEvents,
+  buildCostBasis,
+  applyCostBasis,
+} from './lib/positions.mjs';
+export { scanPositionEvents, fillDepositAssets } from './lib/events.mjs';
+export {
+  STRATEGY_METRICS,
+  readStrategy,
+  validateStrategy,
+  evaluateStrategy,
+  executeStrategy,
+} from './lib/strategy.mjs';
+export {
+  WATCH_METRICS,
+  DEFAULT_ALERTS,
+  snapshotTerms,
+  validateWatchConfig,
+  createWatcher,
+  createSink,
+  runWatch,
+} from './lib/watch.mjs';
+export { subscribe, graphqlWsEndpoint } from './lib/subscriptions.mjs';
+export { FEED_KINDS, feedWhere, streamFeed } from './lib/feed.mjs';
+export {
+  TRUST_LEVELS,
+  DEFAULT_TRUST_PROFILE,
+  validateTrustProfile,
+  readTrustProfile,
+  readClaim,
+  claimStakers,
+  evaluateTrust,
+} from './lib/trust.mjs';
+export { GATE_CONDITIONS, validatePolicy, readPolicy, evaluatePolicy } from './lib/gate.mjs';
+export { edgeLabel, resolveEntities, atomStats, neighborEdges, crawlGraph } from './lib/graph.mjs';
+export { DEFAULT_WOT_PREDICATES, scoreGraph, webOfTrust } from './lib/wot.mjs';
+export { findPaths } from './lib/paths.mjs';
+export { EXPORT_FORMATS, serializeGraph, exportNeighborhood } from './lib/graph-export.mjs';
+export { discoverAgents, countAgents } from './lib/agents.mjs';
+export { computeExchangeHash } from './lib/exchange.mjs';
+export { createExchangeAttestation } from './lib/attestation.mjs';
@@ -0,0 +1,61 @@
+/**
+ * agents.mjs - Discover AI agents and predicate usage on-chain, via GraphQL
+ */
+
+import { fetchPages, graphqlQuery, TRIPLE_FIELDS } from './graphql.mjs';
+
+/** [X] [is] [AI Agent], or any triple whose predicate label matches. */
+function agentsWhere(predicate) {
+  return predicate
+    ? { predicate: { label: { _ilike: predicate } } }
+    : { predicate: { label: { _eq: 'is' } }, object: { label: { _eq: 'AI Agent' } } };
+}
+
+async function findTriples(ctx, where, { limit, offset }) {
+  const query = `
+    query FindAgents($where: triples_bool_exp!, $limit: Int!, $offset: Int!) {
+      triples(
+        where: $where
+        limit: $limit
+        offset: $offset
+        order_by: [{ block_number: asc }, { term_id: asc }]
+      ) {${TRIPLE_FIELDS}
+      }
+    }
+  `;
+  const data = await graphqlQuery(ctx, query, { where, limit, offset });
+  return data.triples || [];
+}
+
+/**
+ * How many triples discoverAgents() would return in total.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {{ predicate?: string }} [options]
+ * @returns {Promise<number>}
+ */
+export async function countAgents(ctx, { predicate } = {}) {
+  const query = `
+    query CountAgents($where: triples_bool_exp!) {
+      triples_aggregate(where: $where) {
+        aggregate { count }
+      }
+    }
+  `;
+  const data = await graphqlQuery(ctx, query, { where: agentsWhere(predicate) });
+  return data.triples_aggregate?.aggregate?.count ?? 0;
+}
+
+/**
+ * [X] [is] [AI Agent] triples, or every triple using `predicate` when given,
+ * oldest first. `limit` rows from `offset`, or every row with `all`.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {{ predicate?: string, limit?: number, offset?: number, all?: boolean }} [options]
+ * @returns {Promise<object[]>} raw GraphQL triples
+ */
+export async function discoverAgents(ctx, { predicate, limit = 50, offset = 0, all = false } = {}) {
+  const where = agentsWhere(predicate);
+  const total = all ? await countAgents(ctx, { predicate }) : offset + limit;
+  return fetchPages(page => findTriples(ctx, where, page), all ? { total } : { total, offset, limit });
+}
@@ -0,0 +1,168 @@
+/**
+ * attestation.mjs - On-chain trust attestation for an agent exchange
+ *
+ * Creates:
+ *   1. Exchange atom (e.g., "Agent1Agent2Exchange") with hash in the label
+ *   2. participatesIn predicate atom (or reuses existing)
+ *   3. [Agent1][participatesIn][Exchange] triple
+ *   4. [Agent2][participatesIn][Exchange] triple
+ */
+
+import { formatEther } from 'viem';
+import { BRIDGE_URL } from './constants.mjs';
+import { InsufficientFundsError, NotFoundError, ValidationError } from './errors.mjs';
+import { requireWallet } from './context.mjs';
+import { resolveAtom } from './identity.mjs';
+import {
+  calculateAtomId,
+  calculateTripleId,
+  createAtoms,
+  createTriples,
+  getCreationCosts,
+  isTermCreated,
+  simulateCreateAtoms,
+  simulateCreateTriples,
+} from './terms.mjs';
+
+async function resolveAgentAtom(ctx, name, providedId) {
+  if (providedId) return providedId;
+
+  const atom = await resolveAtom(ctx, name, { by: 'name' });
+  if (!atom.exists) {
+    throw new NotFoundError(`Atom for "${name}" not found on-chain. Create it first with intuition-quickstart-v3.mjs`);
+  }
+  return atom.atomId;
+}
+
+/**
+ * Dry run: IDs are deterministic, so the atoms and triples that would be
+ * created are known up front. The triples depend on the exchange atom, so
+ * they are only encoded, not simulated, until it exists.
+ */
+async function simulateExchangeAttestation(ctx, { exchangeName, hash, agents }) {
+  const { atomCost, tripleCost } = await getCreationCosts(ctx);
+  const exchangeAtomId = await calculateAtomId(ctx, exchangeName);
+  const predicateAtomId = await calculateAtomId(ctx, 'participatesIn');
+  const exchangeExists = await isTermCreated(ctx, exchangeAtomId);
+  const predicateExists = await isTermCreated(ctx, predicateAtomId);
+
+  const triples = [
+    { subjectId: agents.atom1, predicateId: predicateAtomId, objectId: exchangeAtomId },
+    { subjectId: agents.atom2, predicateId: predicateAtomId, objectId: exchangeAtomId },
+  ];
+  const pending = !exchangeExists ? 'exchange atom' : !predicateExists ? 'participatesIn atom' : null;
+
+  const simulations = {
+    exchangeAtom: await simulateCreateAtoms(ctx, [exchangeName], { assets: atomCost }),
+    ...(!predicateExists && {
+      predicateAtom: await simulateCreateAtoms(ctx, ['participatesIn'], { assets: atomCost }),
+    }),
+    triples: await simulateCreateTriples(ctx, triples, {
+      assets: tripleCost,
+      skip: pending && `needs the ${pending} created first`,
+    }),
+  };
+
+  const [agent1Participates, agent2Participates] = await Promise.all(
+    triples.map(t => calculateTripleId(ctx, t.subjectId, t.predicateId, t.objectId))
+  );
+
+  return {
+    exchange: { name: exchangeName, atomId: exchangeAtomId, hash },
+    predicate: { name: 'participatesIn', atomId: predicateAtomId },
+    triples: { agent1Participates, agent2Participates },
+    agents,
+    simulations,
+    dryRun: true,
+    created: new Date().toISOString(),
+  };
+}
+
+/**
+ * @typedef {object} ExchangeAttestation
+ * @property {{ name: string, atomId: string|null, hash: string|null }} exchange
+ * @property {{ name: 'participatesIn', atomId: string|null }} predicate
+ * @property {{ agent1Participates: string, agent2Participates: string }} [triples]
+ * @property {{ exchangeAtom: string, predicateAtom?: string, triples: string }} [transactions]
+ * @property {{ agent1: string, agent2: string, atom1: string, atom2: string }} agents
+ * @property {{ exchangeAtom: object, predicateAtom?: object, triples: object }} [simulations]
+ *   Dry run only: one SimulatedCall per transaction that would be sent
+ * @property {boolean} dryRun
+ * @property {string} created
+ */
+
+/**
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {object} params
+ * @param {string} [params.name1]  First agent name (or pass atom1)
+ * @param {string} [params.name2]  Second agent name (or pass atom2)
+ * @param {string} [params.atom1]
+ * @param {string} [params.atom2]
+ * @param {string} [params.hash]   Exchange hash from computeExchangeHash()
+ * @param {boolean} [params.dryRun]  Resolve atoms and simulate every transaction without sending
+ * @returns {Promise<ExchangeAttestation>}
+ */
+export async function createExchangeAttestation(ctx, { name1, name2, atom1, atom2, hash = null, dryRun = false }) {
+  if ((!name1 && !atom1) || (!name2 && !atom2)) {
+    throw new ValidationError('Need name1/atom1 and name2/atom2');
+  }
+
+  const label1 = name1 || `atom:${atom1.slice(0, 12)}...`;
+  const label2 = name2 || `atom:${atom2.slice(0, 12)}...`;
+
+  const agent1AtomId = await resolveAgentAtom(ctx, name1, atom1);
+  const agent2AtomId = await resolveAgentAtom(ctx, name2, atom2);
+
+  const exchangeName = `${label1}${label2}Exchange${hash ? ':' + hash.slice(0, 18) : ''}`;
+  const agents = { agent1: label1, agent2: label2, atom1: agent1AtomId, atom2: agent2AtomId };
+
+  if (dryRun) {
+    return simulateExchangeAttestation(ctx, { exchangeName, hash, agents });
+  }
+
+  const account = requireWallet(ctx);
+  const balance = await ctx.publicClient.getBalance({ address: account.address });
+  const { atomCost, tripleCost } = await getCreationCosts(ctx);
+
+  // We may need 1-2 atoms (exchange + possibly participatesIn) + 2 triples
+  const totalNeeded = atomCost * 2n + tripleCost * 2n;
+  if (balance < totalNeeded) {
+    throw new InsufficientFundsError(
+      `Insufficient balance. Need ~${formatEther(totalNeeded)} $TRUST\nBridge from Base: ${BRIDGE_URL}`,
+      { balance, needed: totalNeeded },
+    );
+  }
+
+  // Step 1: Exchange atom
+  const exchangeAtom = await createAtoms(ctx, [exchangeName], { assets: atomCost });
+  const exchangeAtomId = exchangeAtom.atomIds[0];
+
+  // Step 2: Get or create "participatesIn" predicate
+  let predicateAtomId = await calculateAtomId(ctx, 'participatesIn');
+  let predicateTx;
+  if (!(await isTermCreated(ctx, predicateAtomId))) {
+    const predicateAtom = await createAtoms(ctx, ['participatesIn'], { assets: atomCost });
+    predicateAtomId = predicateAtom.atomIds[0];
+    predicateTx = predicateAtom.hash;
+  }
+
+  // Step 3: Both participation triples in one transaction
+  const triples = await createTriples(ctx, [
+    { subjectId: agent1AtomId, predicateId: predicateAtomId, objectId: exchangeAtomId },
+    { subjectId: agent2AtomId, predicateId: predicateAtomId, objectId: exchangeAtomId },
+  ], { assets: tripleCost });
+
+  return {
+    exchange: { name: exchangeName, atomId: exchangeAtomId, hash },
+    predicate: { name: 'participatesIn', atomId: predicateAtomId },
+    triples: { agent1Participates: triples.tripleIds[0], agent2Participates: triples.tripleIds[1] },
+    transactions: {
+      exchangeAtom: exchangeAtom.hash,
+      ...(predicateTx && { predicateAtom: predicateTx }),
+      triples: triples.hash,
+    },
+    agents,
+    dryRun: false,
+    created: new Date().toISOString(),
+  };
+}
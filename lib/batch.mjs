@@ -0,0 +1,409 @@
+/**
+ * batch.mjs - Many deposits or redeems in one transaction
+ *
+ * A stake plan is a list of rows (term, amount, FOR/AGAINST) read from JSON
+ * or CSV. previewStakeBatch() resolves and validates every row and prices
+ * it; submitStakeBatch() sends one depositBatch for the whole plan.
+ *
+ * previewRedeemBatch() takes a list of terms, finds every vault the wallet
+ * holds shares in (both sides of a triple) with maxRedeem, and
+ * submitRedeemBatch() exits them all with one redeemBatch.
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { formatEther } from 'viem';
+import { multiVaultDepositBatch, multiVaultRedeemBatch } from '@0xintuition/protocol';
+import { BRIDGE_URL, DEFAULT_MAX_SLIPPAGE, isTermId } from './constants.mjs';
+import { InsufficientFundsError, IntuitionError, NotFoundError, TransactionError, ValidationError } from './errors.mjs';
+import { readMultiVault, requireWallet, writeConfig } from './context.mjs';
+import { parseCsv } from './csv.mjs';
+import { recordTransaction } from './journal.mjs';
+import { simulateWrite } from './simulate.mjs';
+import { getTriplePositions } from './redeem.mjs';
+import { calculateAtomId, calculateTripleId, parseEvents, vaultEvents, waitForSuccess } from './terms.mjs';
+import { guardSlippage, minimumAfterSlippage, parseAmount, resolveVault } from './vaults.mjs';
+
+/**
+ * @typedef {object} PlanRow
+ * @property {number} row       1-based position in the plan file (after the CSV header)
+ * @property {string | { subject: string, predicate: string, object: string }} term
+ *   Term ID, atom label, or triple labels
+ * @property {string} label     The term as written, for messages
+ * @property {string} amount    $TRUST, decimal
+ * @property {'for' | 'against'} side
+ */
+
+function normalizeRow(raw, index) {
+  const row = index + 1;
+  let term = raw.term ?? raw.termId ?? raw.term_id ?? null;
+
+  if (!term && raw.subject) {
+    term = { subject: raw.subject, predicate: raw.predicate, object: raw.object };
+  } else if (typeof term === 'string' && !isTermId(term) && term.split('/').length === 3) {
+    const [subject, predicate, object] = term.split('/').map(s => s.trim());
+    term = { subject, predicate, object };
+  }
+
+  if (!term || (typeof term === 'object' && (!term.subject || !term.predicate || !term.object))) {
+    throw new ValidationError(`Row ${row}: needs a term (ID, atom label, or subject/predicate/object)`);
+  }
+
+  const side = String(raw.side || 'for').toLowerCase();
+  if (side !== 'for' && side !== 'against') {
+    throw new ValidationError(`Row ${row}: side must be FOR or AGAINST, got "${raw.side}"`);
+  }
+
+  const label = typeof term === 'string' ? term : `${term.subject}/${term.predicate}/${term.object}`;
+  return { row, term, label, amount: String(raw.amount ?? ''), side };
+}
+
+/**
+ * Read a stake plan: a .csv file with a `term,amount,side` header (or
+ * `subject,predicate,object,amount,side`), or a JSON array of the same
+ * fields (also accepted as `{ "stakes": [...] }`).
+ *
+ * @param {string} path
+ * @returns {PlanRow[]}
+ */
+export function readStakePlan(path) {
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (err) {
+    throw new ValidationError(`Cannot read plan file ${path}: ${err.message}`);
+  }
+
+  let rows;
+  if (extname(path).toLowerCase() === '.csv') {
+    rows = parseCsv(text);
+  } else {
+    try {
+      const parsed = JSON.parse(text);
+      rows = Array.isArray(parsed) ? parsed : parsed.stakes;
+    } catch (err) {
+      throw new ValidationError(`Plan file ${path} is not valid JSON: ${err.message}`);
+    }
+    if (!Array.isArray(rows)) {
+      throw new ValidationError(`Plan file ${path} must be an array of stakes (or { "stakes": [...] })`);
+    }
+  }
+
+  return rows.map(normalizeRow);
+}
+
+async function assertBatchSize(ctx, count, functionName) {
+  const maxBatch = await readMultiVault(ctx, 'MAX_BATCH_SIZE');
+  if (BigInt(count) > maxBatch) {
+    throw new ValidationError(`${count} vaults in one ${functionName}; the MultiVault takes at most ${maxBatch}. Split the batch.`);
+  }
+}
+
+/** Term ID for a plan row: as given, or computed from atom / triple labels. */
+async function resolvePlanTerm(ctx, term) {
+  if (typeof term === 'string') {
+    return isTermId(term) ? term : calculateAtomId(ctx, term);
+  }
+  const [subjectId, predicateId, objectId] = await Promise.all(
+    [term.subject, term.predicate, term.object].map(label => (isTermId(label) ? label : calculateAtomId(ctx, label)))
+  );
+  return calculateTripleId(ctx, subjectId, predicateId, objectId);
+}
+
+/**
+ * @typedef {PlanRow & import('./vaults.mjs').VaultRef & {
+ *   assets: bigint,
+ *   expectedShares: bigint,
+ *   minShares: bigint,
+ * }} StakeBatchItem
+ *
+ * @typedef {object} StakeBatchPreview
+ * @property {string} wallet
+ * @property {bigint} balance
+ * @property {StakeBatchItem[]} items
+ * @property {bigint} totalAssets
+ * @property {boolean} sufficientBalance
+ */
+
+/**
+ * Resolve, validate and price every row of a plan. All invalid rows are
+ * reported together in one ValidationError.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {PlanRow[]} rows
+ * @param {{ maxSlippage?: number | string }} [options]
+ * @returns {Promise<StakeBatchPreview>}
+ */
+export async function previewStakeBatch(ctx, rows, { maxSlippage = DEFAULT_MAX_SLIPPAGE } = {}) {
+  const account = requireWallet(ctx);
+  if (rows.length === 0) {
+    throw new ValidationError('Stake plan is empty');
+  }
+
+  const errors = [];
+  const items = await Promise.all(rows.map(async (row) => {
+    try {
+      const assets = parseAmount(row.amount);
+      const termId = await resolvePlanTerm(ctx, row.term);
+      const vault = await resolveVault(ctx, termId, { against: row.side === 'against' });
+      const [expectedShares] = await readMultiVault(ctx, 'previewDeposit', [vault.vaultId, vault.curveId, assets]);
+      return {
+        ...row,
+        ...vault,
+        assets,
+        expectedShares,
+        minShares: minimumAfterSlippage(expectedShares, { maxSlippage }),
+      };
+    } catch (err) {
+      if (!(err instanceof IntuitionError)) throw err;
+      errors.push(`Row ${row.row} (${row.label}): ${err.message}`);
+      return null;
+    }
+  }));
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Stake plan has ${errors.length} invalid row(s):\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+
+  await assertBatchSize(ctx, items.length, 'depositBatch');
+
+  const balance = await ctx.publicClient.getBalance({ address: account.address });
+  const totalAssets = items.reduce((sum, item) => sum + item.assets, 0n);
+
+  return { wallet: account.address, balance, items, totalAssets, sufficientBalance: balance >= totalAssets };
+}
+
+function depositBatchCall(preview) {
+  const { wallet, items, totalAssets } = preview;
+  return {
+    functionName: 'depositBatch',
+    args: [
+      wallet,
+      items.map(i => i.vaultId),
+      items.map(i => i.curveId),
+      items.map(i => i.assets),
+      items.map(i => i.minShares),
+    ],
+    value: totalAssets,
+  };
+}
+
+/**
+ * Dry-run the batch: `simulation.result` holds the shares each row would mint.
+ *
+ * @returns {Promise<StakeBatchPreview & { simulation: import('./simulate.mjs').SimulatedCall }>}
+ */
+export async function simulateStakeBatch(ctx, preview) {
+  return { ...preview, simulation: await simulateWrite(ctx, depositBatchCall(preview)) };
+}
+
+/**
+ * Send the whole plan as one depositBatch. `shares` lists the shares each
+ * row actually received, in plan order, from the Deposited event for its
+ * vault.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {StakeBatchPreview} preview
+ * @returns {Promise<{ hash: string, blockNumber: bigint, newBalance: bigint, shares: bigint[] }>}
+ * @throws {InsufficientFundsError | import('./errors.mjs').SlippageError | import('./errors.mjs').TransactionError}
+ */
+export async function submitStakeBatch(ctx, preview) {
+  if (!preview.sufficientBalance) {
+    throw new InsufficientFundsError(
+      `Insufficient balance. Plan needs ${formatEther(preview.totalAssets)} $TRUST but wallet has ${formatEther(preview.balance)}\n` +
+      `Bridge $TRUST from Base: ${BRIDGE_URL}`,
+      { balance: preview.balance, needed: preview.totalAssets },
+    );
+  }
+
+  const { args, value } = depositBatchCall(preview);
+  const hash = await guardSlippage(
+    () => multiVaultDepositBatch(writeConfig(ctx), { args, value }),
+    {
+      expected: preview.items.reduce((sum, i) => sum + i.expectedShares, 0n),
+      minimum: preview.items.reduce((sum, i) => sum + i.minShares, 0n),
+      unit: 'shares in total',
+    },
+  );
+
+  const entry = {
+    action: 'stake-batch',
+    value,
+    items: preview.items.map(i => ({
+      termId: i.termId,
+      vaultId: i.vaultId,
+      curveId: i.curveId,
+      assets: i.assets,
+      expected: { shares: i.expectedShares, minShares: i.minShares },
+    })),
+  };
+  const receipt = await waitForSuccess(ctx, hash, entry);
+  const newBalance = await ctx.publicClient.getBalance({ address: preview.wallet });
+  const deposited = vaultEvents(receipt, 'Deposited', preview.items);
+  const shares = deposited.map(e => e?.shares ?? null);
+  recordTransaction(ctx, {
+    ...entry,
+    hash,
+    block: receipt.blockNumber,
+    status: 'success',
+    items: entry.items.map((item, n) => ({ ...item, realized: { shares: shares[n] } })),
+  });
+  const missing = preview.items.filter((item, n) => shares[n] === null);
+  if (missing.length > 0) {
+    throw new TransactionError(
+      `No Deposited event for row(s) ${missing.map(i => i.row).join(', ')}`,
+      { hash, blockNumber: receipt.blockNumber },
+    );
+  }
+
+  return { hash, blockNumber: receipt.blockNumber, newBalance, shares };
+}
+
+/**
+ * @typedef {import('./vaults.mjs').VaultRef & {
+ *   shares: bigint,
+ *   expectedAssets: bigint,
+ *   minAssets: bigint,
+ * }} RedeemBatchItem
+ *
+ * @typedef {object} RedeemBatchPreview
+ * @property {string} wallet
+ * @property {RedeemBatchItem[]} items
+ * @property {string[]} empty          Terms the wallet holds no shares in
+ * @property {bigint} totalExpected    $TRUST after fees, summed
+ */
+
+/**
+ * Every vault among `termIds` the wallet can redeem from, each with its
+ * full maxRedeem balance. For a triple, `side` picks the FOR vault, the
+ * AGAINST vault, or both; a counter-triple ID always means AGAINST.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string[]} termIds
+ * @param {{ side?: 'for' | 'against' | 'both', maxSlippage?: number | string }} [options]
+ * @returns {Promise<RedeemBatchPreview>}
+ * @throws {NotFoundError} when none of the terms hold shares
+ */
+export async function previewRedeemBatch(ctx, termIds, { side = 'both', maxSlippage = DEFAULT_MAX_SLIPPAGE } = {}) {
+  const account = requireWallet(ctx);
+  if (!['for', 'against', 'both'].includes(side)) {
+    throw new ValidationError('side must be "for", "against" or "both"');
+  }
+
+  const vaults = await Promise.all([...new Set(termIds)].map(async (termId) => {
+    const vault = await resolveVault(ctx, termId);
+    if (!vault.isTriple) {
+      const shares = await readMultiVault(ctx, 'maxRedeem', [account.address, vault.vaultId, vault.curveId]);
+      return [{ ...vault, shares, input: termId }];
+    }
+
+    const sides = await getTriplePositions(ctx, vault.termId, account.address);
+    const wanted = vault.against ? ['against'] : side === 'both' ? ['for', 'against'] : [side];
+    return wanted.map(s => ({
+      termId: vault.termId,
+      isTriple: true,
+      against: s === 'against',
+      vaultId: sides[s].vaultId,
+      curveId: sides[s].curveId,
+      shares: sides[s].shares,
+      input: termId,
+    }));
+  }));
+
+  const held = vaults.flat().filter(v => v.shares > 0n);
+  const unique = [...new Map(held.map(v => [`${v.vaultId}:${v.curveId}`, v])).values()];
+  const empty = termIds.filter(t => !held.some(v => v.input === t));
+
+  if (unique.length === 0) {
+    throw new NotFoundError('The wallet holds no shares in any of these terms. Nothing to redeem.');
+  }
+  await assertBatchSize(ctx, unique.length, 'redeemBatch');
+
+  const items = await Promise.all(unique.map(async ({ input, ...vault }) => {
+    const [expectedAssets] = await readMultiVault(ctx, 'previewRedeem', [vault.vaultId, vault.curveId, vault.shares]);
+    return { ...vault, expectedAssets, minAssets: minimumAfterSlippage(expectedAssets, { maxSlippage }) };
+  }));
+
+  return {
+    wallet: account.address,
+    items,
+    empty,
+    totalExpected: items.reduce((sum, i) => sum + i.expectedAssets, 0n),
+  };
+}
+
+function redeemBatchCall(preview) {
+  const { wallet, items } = preview;
+  return {
+    functionName: 'redeemBatch',
+    args: [
+      wallet,
+      items.map(i => i.vaultId),
+      items.map(i => i.curveId),
+      items.map(i => i.shares),
+      items.map(i => i.minAssets),
+    ],
+  };
+}
+
+/**
+ * Dry-run the batch redeem: `simulation.result` holds the $TRUST each vault would return.
+ *
+ * @returns {Promise<RedeemBatchPreview & { simulation: import('./simulate.mjs').SimulatedCall }>}
+ */
+export async function simulateRedeemBatch(ctx, preview) {
+  return { ...preview, simulation: await simulateWrite(ctx, redeemBatchCall(preview)) };
+}
+
+/**
+ * Exit every vault in the preview with one redeemBatch. `assets` and `fees`
+ * are totals from the Redeemed events.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {RedeemBatchPreview} preview
+ * @returns {Promise<{ hash: string, blockNumber: bigint, assets: bigint, fees: bigint, newBalance: bigint }>}
+ * @throws {import('./errors.mjs').SlippageError | import('./errors.mjs').TransactionError}
+ */
+export async function submitRedeemBatch(ctx, preview) {
+  const { args } = redeemBatchCall(preview);
+  const hash = await guardSlippage(
+    () => multiVaultRedeemBatch(writeConfig(ctx), { args }),
+    {
+      expected: preview.totalExpected,
+      minimum: preview.items.reduce((sum, i) => sum + i.minAssets, 0n),
+      unit: '$TRUST in total',
+      format: formatEther,
+    },
+  );
+
+  const entry = {
+    action: 'redeem-batch',
+    items: preview.items.map(i => ({
+      termId: i.termId,
+      vaultId: i.vaultId,
+      curveId: i.curveId,
+      expected: { shares: i.shares, assets: i.expectedAssets, minAssets: i.minAssets },
+    })),
+  };
+  const receipt = await waitForSuccess(ctx, hash, entry);
+  const redeemed = parseEvents(receipt, 'Redeemed');
+  const newBalance = await ctx.publicClient.getBalance({ address: preview.wallet });
+  recordTransaction(ctx, {
+    ...entry,
+    hash,
+    block: receipt.blockNumber,
+    status: 'success',
+    items: entry.items.map((item) => {
+      const event = redeemed.find(e => e.termId.toLowerCase() === item.vaultId.toLowerCase() && e.curveId === item.curveId);
+      return { ...item, realized: { assets: event?.assets ?? null, fees: event?.fees ?? null } };
+    }),
+  });
+
+  return {
+    hash,
+    blockNumber: receipt.blockNumber,
+    assets: redeemed.reduce((sum, e) => sum + e.assets, 0n),
+    fees: redeemed.reduce((sum, e) => sum + e.fees, 0n),
+    newBalance,
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * cli.mjs - Helpers shared by the scripts/ command wrappers
+ */
+
+import { InsufficientFundsError, ValidationError, WalletError } from './errors.mjs';
+import { networksFile, resolveNetwork } from './networks.mjs';
+import { readConfig } from './config.mjs';
+
+let selectedNetwork = null;
+
+/**
+ * Command arguments with global options removed. `--network <name>` is
+ * consumed here so positional parsing in each script never sees it.
+ */
+export function cliArgs(argv = process.argv.slice(2)) {
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--network' && argv[i + 1] !== undefined) {
+      selectedNetwork = argv[++i];
+    } else if (argv[i].startsWith('--network=')) {
+      selectedNetwork = argv[i].slice('--network='.length);
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/** Value following `--name` in argv, or null. */
+export function optionValue(args, name) {
+  const idx = args.indexOf(name);
+  return idx !== -1 && args[idx + 1] !== undefined ? args[idx + 1] : null;
+}
+
+/** Arguments that are neither flags nor the value of a `valueOptions` flag. */
+export function positionals(args, valueOptions = []) {
+  return args.filter((a, i) => !a.startsWith('--') && !valueOptions.includes(args[i - 1]));
+}
+
+/** Wallet file from --wallet, falling back to INTUITION_WALLET_PATH. */
+export function walletSource(args) {
+  return {
+    walletPath: optionValue(args, '--wallet') || process.env.INTUITION_WALLET_PATH || null,
+    privateKey: process.env.INTUITION_PRIVATE_KEY,
+    ...passphraseSource(args),
+  };
+}
+
+/**
+ * Signer selection for createSigner(): --signer, INTUITION_SIGNER, then
+ * "signer" in ~/.intuition/config.json, defaulting to the local key.
+ */
+export function signerSource(args) {
+  const config = readConfig();
+  return {
+    signer: optionValue(args, '--signer') || process.env.INTUITION_SIGNER || config.signer || 'key',
+    address: optionValue(args, '--signer-address') || process.env.INTUITION_SIGNER_ADDRESS || config.signerAddress,
+    ...walletSource(args),
+  };
+}
+
+/** Passphrase from --passphrase-file, the environment, or an interactive prompt. */
+export function passphraseSource(args) {
+  return {
+    passphraseFile: optionValue(args, '--passphrase-file') || undefined,
+    prompt: promptPassphrase,
+  };
+}
+
+function readHidden(message) {
+  const { stdin, stderr } = process;
+  return new Promise((resolve, reject) => {
+    let input = '';
+    const finish = () => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.off('data', onData);
+      stderr.write('\n');
+    };
+    const onData = (chunk) => {
+      for (const ch of chunk) {
+        if (ch === '\r' || ch === '\n' || ch === '\u0004') {
+          finish();
+          return resolve(input);
+        }
+        if (ch === '\u0003') {
+          finish();
+          return reject(new WalletError('Passphrase entry cancelled'));
+        }
+        input = ch === '\u007f' || ch === '\b' ? input.slice(0, -1) : input + ch;
+      }
+    };
+    stderr.write(message);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+/** Ask for a wallet passphrase on the terminal without echoing it. */
+export async function promptPassphrase({ confirm = false } = {}) {
+  if (!process.stdin.isTTY) {
+    throw new WalletError(
+      'Wallet passphrase required. Set INTUITION_WALLET_PASSPHRASE, INTUITION_WALLET_PASSPHRASE_FILE or --passphrase-file'
+    );
+  }
+  const passphrase = await readHidden(confirm ? 'New wallet passphrase: ' : 'Wallet passphrase: ');
+  if (!passphrase) {
+    throw new WalletError('Passphrase cannot be empty');
+  }
+  if (confirm && passphrase !== await readHidden('Repeat passphrase: ')) {
+    throw new WalletError('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+/** Network chosen by --network, INTUITION_NETWORK, or the mainnet default. */
+export function selectedNetworkProfile() {
+  return resolveNetwork(selectedNetwork || undefined);
+}
+
+const warnedOverrides = new Set();
+
+/**
+ * An endpoint from the environment (INTUITION_GRAPHQL_ENDPOINT,
+ * INTUITION_GRAPHQL_WS_ENDPOINT), or null. It stands in for the default
+ * network's only: once --network or INTUITION_NETWORK picks a network it is
+ * ignored with a warning, so reads never come from another chain's indexer
+ * than the one being signed for. Per-network endpoints go in networks.json.
+ */
+export function endpointOverride(name) {
+  const value = process.env[name];
+  const chosen = selectedNetwork || process.env.INTUITION_NETWORK;
+  if (!value || !chosen) return value || null;
+  if (!warnedOverrides.has(name)) {
+    warnedOverrides.add(name);
+    console.error(`Warning: ${name} ignored because network "${chosen}" was selected; set per-network endpoints in ${networksFile()}`);
+  }
+  return null;
+}
+
+/** Client options every command shares. */
+export function clientOptions() {
+  const network = selectedNetworkProfile();
+  return {
+    network,
+    graphqlEndpoint: endpointOverride('INTUITION_GRAPHQL_ENDPOINT') ?? network.graphqlEndpoint,
+  };
+}
+
+/**
+ * --limit, --offset, --page (1-based, pages of --limit) and --all for list
+ * commands. With --all, limit and offset are ignored.
+ *
+ * @returns {{ limit: number, offset: number, all: boolean }}
+ */
+export function pagingOptions(args, defaultLimit) {
+  const count = (name, min) => {
+    const value = optionValue(args, name);
+    if (value === null) return null;
+    if (!/^\d+$/.test(value) || Number(value) < min) {
+      throw new ValidationError(`${name} must be a whole number of at least ${min}`);
+    }
+    return Number(value);
+  };
+  const limit = count('--limit', 1) ?? defaultLimit;
+  const page = count('--page', 1);
+  const offset = count('--offset', 0);
+  if (page !== null && offset !== null) {
+    throw new ValidationError('Use --page or --offset, not both');
+  }
+  return { limit, offset: page !== null ? (page - 1) * limit : offset ?? 0, all: args.includes('--all') };
+}
+
+/** "Showing 51-100 of 1,312" for `shown` rows starting at `offset`. */
+export function describePage({ shown, offset, total }) {
+  const n = (value) => value.toLocaleString('en-US');
+  if (shown === 0) return `Showing 0 of ${n(total)}`;
+  if (shown === total) return `Showing all ${n(total)}`;
+  return `Showing ${n(offset + 1)}-${n(offset + shown)} of ${n(total)}`;
+}
+
+/** Signed percentage difference of `actual` from `expected`, e.g. "-0.42%". */
+export function percentChange(expected, actual) {
+  if (!expected) return 'n/a';
+  const bps = Number(((BigInt(actual) - BigInt(expected)) * 10000n) / BigInt(expected));
+  return `${bps >= 0 ? '+' : ''}${(bps / 100).toFixed(2)}%`;
+}
+
+/** JSON.stringify for results that carry bigint amounts (written as decimal strings). */
+export function toJson(value) {
+  return JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+}
+
+/**
+ * Print an error without leaking 32-byte hex values (keys, IDs) and exit 1.
+ */
+export function exitWithError(err) {
+  const msg = (err?.message || String(err)).replace(/0x[a-fA-F0-9]{64}/g, '0x[REDACTED]');
+  console.error('Error:', msg);
+  if (err instanceof InsufficientFundsError) {
+    console.error('See SKILL.md → "How to Get $TRUST" for step-by-step instructions');
+  }
+  process.exit(1);
+}
@@ -0,0 +1,94 @@
+/**
+ * client.mjs - Programmatic entry point: createIntuitionClient()
+ *
+ * A client binds every library function to one context (viem clients,
+ * account, MultiVault address, GraphQL endpoint). The underlying functions
+ * take that context as their first argument and can also be called directly.
+ */
+
+import { createContext } from './context.mjs';
+import { resolveAtom, verifyIdentity } from './identity.mjs';
+import { getTriples } from './triples.mjs';
+import { previewStake, simulateStake, submitStake, stake } from './stake.mjs';
+import { previewRedeem, simulateRedeem, submitRedeem, redeem, getTriplePositions } from './redeem.mjs';
+import {
+  previewStakeBatch,
+  simulateStakeBatch,
+  submitStakeBatch,
+  previewRedeemBatch,
+  simulateRedeemBatch,
+  submitRedeemBatch,
+} from './batch.mjs';
+import { getPositionEvents, getPositions } from './positions.mjs';
+import { fillDepositAssets, scanPositionEvents } from './events.mjs';
+import { evaluateStrategy, executeStrategy } from './strategy.mjs';
+import { readJournal } from './journal.mjs';
+import { createWatcher, runWatch } from './watch.mjs';
+import { streamFeed } from './feed.mjs';
+import { evaluateTrust } from './trust.mjs';
+import { evaluatePolicy } from './gate.mjs';
+import { webOfTrust } from './wot.mjs';
+import { findPaths } from './paths.mjs';
+import { exportNeighborhood } from './graph-export.mjs';
+import { previewImport, simulateImport, submitImport } from './import.mjs';
+import { applyManifest, planManifest } from './manifest.mjs';
+import { discoverAgents } from './agents.mjs';
+import { computeExchangeHash } from './exchange.mjs';
+import { createExchangeAttestation } from './attestation.mjs';
+
+/**
+ * Create a client with every library function bound to one context.
+ *
+ * @example
+ *   import { createIntuitionClient } from 'intuition-openclaw-skill';
+ *   const intuition = createIntuitionClient({ privateKey: process.env.INTUITION_PRIVATE_KEY });
+ *   const identity = await intuition.verifyIdentity('Axiom');
+ */
+export function createIntuitionClient(options = {}) {
+  const ctx = createContext(options);
+
+  return {
+    ...ctx,
+    context: ctx,
+    resolveAtom: (input, opts) => resolveAtom(ctx, input, opts),
+    verifyIdentity: (input) => verifyIdentity(ctx, input),
+    evaluateTrust: (target, profile) => evaluateTrust(ctx, target, profile),
+    evaluatePolicy: (target, policy) => evaluatePolicy(ctx, target, policy),
+    webOfTrust: (seeds, opts) => webOfTrust(ctx, seeds, opts),
+    findPaths: (from, to, opts) => findPaths(ctx, from, to, opts),
+    exportNeighborhood: (input, opts) => exportNeighborhood(ctx, input, opts),
+    getTriples: (input, opts) => getTriples(ctx, input, opts),
+    previewStake: (params) => previewStake(ctx, params),
+    simulateStake: (preview) => simulateStake(ctx, preview),
+    submitStake: (preview) => submitStake(ctx, preview),
+    stake: (params) => stake(ctx, params),
+    previewStakeBatch: (rows, opts) => previewStakeBatch(ctx, rows, opts),
+    simulateStakeBatch: (preview) => simulateStakeBatch(ctx, preview),
+    submitStakeBatch: (preview) => submitStakeBatch(ctx, preview),
+    previewImport: (rows, opts) => previewImport(ctx, rows, opts),
+    simulateImport: (preview) => simulateImport(ctx, preview),
+    submitImport: (preview, opts) => submitImport(ctx, preview, opts),
+    planManifest: (manifest) => planManifest(ctx, manifest),
+    applyManifest: (plan, opts) => applyManifest(ctx, plan, opts),
+    previewRedeem: (params) => previewRedeem(ctx, params),
+    simulateRedeem: (preview) => simulateRedeem(ctx, preview),
+    submitRedeem: (preview) => submitRedeem(ctx, preview),
+    redeem: (params) => redeem(ctx, params),
+    previewRedeemBatch: (termIds, opts) => previewRedeemBatch(ctx, termIds, opts),
+    simulateRedeemBatch: (preview) => simulateRedeemBatch(ctx, preview),
+    submitRedeemBatch: (preview) => submitRedeemBatch(ctx, preview),
+    getTriplePositions: (tripleId, address) => getTriplePositions(ctx, tripleId, address ?? ctx.account?.address),
+    getPositions: (address, opts) => getPositions(ctx, address ?? ctx.account?.address, opts),
+    getPositionEvents: async (address) => fillDepositAssets(ctx, await getPositionEvents(ctx, address ?? ctx.account?.address)),
+    scanPositionEvents: (address, opts) => scanPositionEvents(ctx, address ?? ctx.account?.address, opts),
+    evaluateStrategy: (strategy, opts) => evaluateStrategy(ctx, strategy, opts),
+    executeStrategy: (evaluation, opts) => executeStrategy(ctx, evaluation, opts),
+    createWatcher: (config) => createWatcher(ctx, config),
+    runWatch: (config, opts) => runWatch(ctx, config, opts),
+    streamFeed: (kind, opts) => streamFeed(ctx, kind, opts),
+    readJournal: (filters) => readJournal({ wallet: ctx.account?.address, ...filters }),
+    discoverAgents: (opts) => discoverAgents(ctx, opts),
+    computeExchangeHash: (params) => computeExchangeHash(params),
+    createExchangeAttestation: (params) => createExchangeAttestation(ctx, params),
+  };
+}
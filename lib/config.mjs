@@ -0,0 +1,34 @@
+/**
+ * config.mjs - Locations of local skill state (~/.intuition)
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { ValidationError } from './errors.mjs';
+
+export function homeDir() {
+  return process.env.HOME || process.env.USERPROFILE || '.';
+}
+
+/** Root for skill config and state. Override with INTUITION_HOME. */
+export function intuitionHome() {
+  return process.env.INTUITION_HOME || join(homeDir(), '.intuition');
+}
+
+/** Parse a JSON config file, or return `fallback` when it does not exist. */
+export function readJsonFile(path, fallback = null) {
+  if (!existsSync(path)) return fallback;
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    throw new ValidationError(`Invalid JSON in ${path}: ${e.message}`, { cause: e });
+  }
+}
+
+/**
+ * User settings from ~/.intuition/config.json (or INTUITION_CONFIG).
+ * Known keys: signer, signerAddress.
+ */
+export function readConfig() {
+  return readJsonFile(process.env.INTUITION_CONFIG || join(intuitionHome(), 'config.json'), {});
+}
@@ -0,0 +1,41 @@
+/**
+ * constants.mjs - Endpoints and well-known atom IDs
+ */
+
+export const DEFAULT_RPC_URL = 'https://rpc.intuition.systems/http';
+export const DEFAULT_GRAPHQL_ENDPOINT = 'https://mainnet.intuition.sh/v1/graphql';
+export const PORTAL_URL = 'https://portal.intuition.systems';
+export const BRIDGE_URL = 'https://app.intuition.systems/bridge';
+
+// Known protocol atoms — see references/protocol-reference.md for full list
+// Deterministic: calculateAtomId(stringToHex("label")) always returns the same value
+// Verify with: node scripts/intuition-health.mjs (checks all IDs against on-chain contract)
+export const KNOWN_ATOMS = {
+  'is': '0xb0681668ca193e8608b43adea19fecbbe0828ef5afc941cef257d30a20564ef1',
+  'AI Agent': '0x4990eef19ea1d9b893c1802af9e2ec37fbc1ae138868959ebc23c98b1fc9565e',
+  'collaboratesWith': '0xb3cf9e60665fe7674e3798d2452604431d4d4dc96aa8d6965016205d00e45c8e',
+  'participatesIn': '0x2952108d352c2ffe1b89b208c4f078165c83c3ac995c3d6d1f41b18a19ce2f23',
+  'believes': '0x934c2417ec225701257feefab4dbcdd2731efde0a0ffab99904a3a75afdf5f5c',
+  'seeks': '0xa9cca0d77e5da495ca0ca288167042f0e5427e63203c8c16df31f6f147e24492',
+  'explores': '0x8bb75e0204b61a2467c6b93d62f355d37f40428ffe40b94f4e1eba272d91326e',
+  'partnersWith': '0x513ab56c087bbe891fe8d3800d4b9514f663b17e223cbfe74e33fe79dffae39f',
+};
+
+// curveId selects the vault: 0 = atom, 1 = triple FOR, 2 = triple AGAINST (counter-triple)
+export const CURVE_ATOM = 0n;
+export const CURVE_FOR = 1n;
+export const CURVE_AGAINST = 2n;
+
+// Default --max-slippage for deposits and redeems, in percent of the previewed amount
+export const DEFAULT_MAX_SLIPPAGE = 1;
+
+export const TERM_ID_PATTERN = /^0x[a-fA-F0-9]{64}$/;
+
+export function isTermId(value) {
+  return typeof value === 'string' && TERM_ID_PATTERN.test(value);
+}
+
+/** Portal page for a term, or null on networks without a known portal. */
+export function explorerUrl(termId, portalUrl = PORTAL_URL) {
+  return portalUrl ? `${portalUrl}/identity/${termId}` : null;
+}
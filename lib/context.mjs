@@ -0,0 +1,99 @@
+/**
+ * context.mjs - Shared context passed as the first argument to library functions
+ *
+ * Mirrors the @0xintuition/protocol SDK convention of a config-first call
+ * signature: `fn(ctx, params)`.
+ */
+
+import { createPublicClient, createWalletClient, custom, defineChain, http } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { intuitionMainnet, intuitionTestnet, MultiVaultAbi } from '@0xintuition/protocol';
+import { resolveNetwork } from './networks.mjs';
+import { WalletError } from './errors.mjs';
+
+/**
+ * @typedef {object} IntuitionContext
+ * @property {import('./networks.mjs').NetworkProfile} network
+ * @property {import('viem').Chain} chain
+ * @property {import('viem').PublicClient} publicClient
+ * @property {import('viem').WalletClient | null} walletClient
+ * @property {import('viem').Account | null} account
+ * @property {`0x${string}`} multiVaultAddress
+ * @property {string} graphqlEndpoint
+ * @property {boolean} journal  Whether writes are appended to the local journal (journal.mjs)
+ */
+
+/** viem chain for a profile — the SDK definition when it is a known chain. */
+function chainFor(network) {
+  const known = [intuitionMainnet, intuitionTestnet].find(c => c.id === network.chainId);
+  if (known) return known;
+  return defineChain({
+    id: network.chainId,
+    name: network.label,
+    nativeCurrency: { name: network.currency || 'ETH', symbol: network.currency || 'ETH', decimals: 18 },
+    rpcUrls: { default: { http: [network.rpcUrl] } },
+  });
+}
+
+/**
+ * Build the shared context. Without an account or private key the context
+ * is read-only and write functions throw WalletError.
+ *
+ * @param {object} [options]
+ * @param {string | object} [options.network]  Profile name or object; default INTUITION_NETWORK, then mainnet
+ * @param {import('viem').Account | `0x${string}`} [options.account]  Account, or an address when signing via `provider`
+ * @param {string} [options.privateKey]
+ * @param {object} [options.provider]  EIP-1193 provider that signs and sends transactions (see signers.mjs)
+ * @param {string} [options.rpcUrl]           Overrides the network's RPC
+ * @param {string} [options.graphqlEndpoint]  Overrides the network's GraphQL endpoint
+ * @param {boolean} [options.journal]  Set false to keep writes out of ~/.intuition/journal
+ * @returns {IntuitionContext}
+ */
+export function createContext({ network, account, privateKey, provider, rpcUrl, graphqlEndpoint, journal = true } = {}) {
+  const profile = resolveNetwork(network);
+  const chain = chainFor(profile);
+  const transport = http(rpcUrl || profile.rpcUrl);
+
+  if (!account && privateKey) {
+    account = privateKeyToAccount(privateKey);
+  }
+
+  const walletClient = account
+    ? createWalletClient({ chain, transport: provider ? custom(provider) : transport, account })
+    : null;
+
+  return {
+    network: profile,
+    chain,
+    publicClient: createPublicClient({ chain, transport }),
+    walletClient,
+    account: walletClient?.account || null,
+    multiVaultAddress: profile.multiVault,
+    graphqlEndpoint: graphqlEndpoint || profile.graphqlEndpoint,
+    journal,
+  };
+}
+
+/** Throw unless the context can sign transactions. */
+export function requireWallet(ctx) {
+  if (!ctx.walletClient || !ctx.account) {
+    throw new WalletError('No wallet configured. Pass `account` or `privateKey` to createIntuitionClient()');
+  }
+  return ctx.account;
+}
+
+/** Shorthand for a MultiVault view call. */
+export function readMultiVault(ctx, functionName, args = []) {
+  return ctx.publicClient.readContract({
+    address: ctx.multiVaultAddress,
+    abi: MultiVaultAbi,
+    functionName,
+    args,
+  });
+}
+
+/** WriteConfig for the @0xintuition/protocol SDK wrappers. */
+export function writeConfig(ctx) {
+  requireWallet(ctx);
+  return { address: ctx.multiVaultAddress, walletClient: ctx.walletClient, publicClient: ctx.publicClient };
+}
@@ -0,0 +1,92 @@
+/**
+ * csv.mjs - Minimal RFC 4180 CSV reader for plan and import files
+ *
+ * Handles quoted fields (with "" escapes and embedded commas/newlines),
+ * CRLF line endings, blank lines and `#` comment lines. No dependencies.
+ */
+
+import { ValidationError } from './errors.mjs';
+
+const COMMENT = /[ \t]*#/y;
+
+/**
+ * Split CSV text into rows of raw string fields. A line whose raw text
+ * starts with `#` (after blanks) is a comment; a quoted "#..." field is data.
+ *
+ * @throws {ValidationError} when a quoted field is never closed
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let comment = false;
+  let rowStart = true;
+  let line = 1;
+  let quoteLine = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const endsLine = ch === '\n' || (ch === '\r' && text[i + 1] !== '\n');
+    if (rowStart) {
+      COMMENT.lastIndex = i;
+      comment = COMMENT.test(text);
+      rowStart = false;
+    }
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '\r' && text[i + 1] === '\n') {
+      // CRLF: the \n ends the row
+    } else if (endsLine) {
+      if (!comment) {
+        row.push(field);
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+      rowStart = true;
+    } else if (comment) {
+      // rest of a comment line
+    } else if (ch === '"') {
+      quoted = true;
+      quoteLine = line;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+    if (endsLine) line++;
+  }
+  if (quoted) {
+    throw new ValidationError(`CSV line ${quoteLine}: quoted field is never closed`);
+  }
+  if (!comment && (field !== '' || row.length > 0)) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
+
+/**
+ * Parse CSV with a header line into objects keyed by the (trimmed,
+ * lower-cased) header names. Values are trimmed; missing cells are ''.
+ *
+ * @param {string} text
+ * @returns {Record<string, string>[]}
+ */
+export function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rows.map(cells => Object.fromEntries(keys.map((k, i) => [k, (cells[i] ?? '').trim()])));
+}
@@ -0,0 +1,70 @@
+/**
+ * errors.mjs - Typed errors thrown by the Intuition library
+ *
+ * Every error carries a stable `code` so agents can branch on the failure
+ * without parsing messages. Scripts print `err.message` and exit non-zero.
+ */
+
+export class IntuitionError extends Error {
+  constructor(message, { code = 'INTUITION_ERROR', details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+/** Bad input: malformed term ID, non-positive amount, unknown option value. */
+export class ValidationError extends IntuitionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_INPUT', ...options });
+  }
+}
+
+/** A term, atom, position or file that was expected to exist does not. */
+export class NotFoundError extends IntuitionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options });
+  }
+}
+
+/** Wallet missing, unreadable, or required for a write but not configured. */
+export class WalletError extends IntuitionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'WALLET_ERROR', ...options });
+  }
+}
+
+/** Wallet balance does not cover the value a write needs. */
+export class InsufficientFundsError extends IntuitionError {
+  constructor(message, { balance, needed, ...options } = {}) {
+    super(message, { code: 'INSUFFICIENT_FUNDS', ...options });
+    this.balance = balance;
+    this.needed = needed;
+  }
+}
+
+/** GraphQL endpoint unreachable or returned errors. */
+export class GraphQLError extends IntuitionError {
+  constructor(message, options = {}) {
+    super(message, { code: 'GRAPHQL_ERROR', ...options });
+  }
+}
+
+/** A submitted transaction reverted or its receipt was missing expected events. */
+export class TransactionError extends IntuitionError {
+  constructor(message, { hash, blockNumber, ...options } = {}) {
+    super(message, { code: 'TRANSACTION_FAILED', ...options });
+    this.hash = hash;
+    this.blockNumber = blockNumber;
+  }
+}
+
+/** A deposit or redeem would return less than the caller's minimum (MultiVault_SlippageExceeded). */
+export class SlippageError extends IntuitionError {
+  constructor(message, { expected, minimum, ...options } = {}) {
+    super(message, { code: 'SLIPPAGE_EXCEEDED', ...options });
+    this.expected = expected;
+    this.minimum = minimum;
+  }
+}
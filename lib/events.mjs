@@ -0,0 +1,83 @@
+/**
+ * events.mjs - A wallet's Deposited/Redeemed history read from the chain
+ *
+ * scanPositionEvents() rebuilds the history from MultiVault logs alone, for
+ * when the indexer is behind or not trusted. fillDepositAssets() completes
+ * indexer events (getPositionEvents in positions.mjs) with the gross deposit
+ * amounts, which only the logs carry.
+ */
+
+import { decodeEventLog, getAddress } from 'viem';
+import { MultiVaultAbi } from '@0xintuition/protocol';
+import { sortEvents } from './positions.mjs';
+
+const DEPOSITED = MultiVaultAbi.find(x => x.type === 'event' && x.name === 'Deposited');
+const REDEEMED = MultiVaultAbi.find(x => x.type === 'event' && x.name === 'Redeemed');
+
+function toEvent(log) {
+  const { args } = log;
+  const base = {
+    termId: args.termId,
+    curveId: args.curveId,
+    shares: args.shares,
+    block: log.blockNumber,
+    logIndex: log.logIndex,
+    hash: log.transactionHash,
+    timestamp: null,
+  };
+  return log.eventName === 'Deposited'
+    ? { kind: 'deposit', ...base, assets: args.assets, assetsAfterFees: args.assetsAfterFees }
+    : { kind: 'redeem', ...base, assets: args.assets, fees: args.fees };
+}
+
+/**
+ * Scan MultiVault logs for deposits received and redeems sent by `address`,
+ * `chunkSize` blocks per eth_getLogs request.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string} address
+ * @param {{ fromBlock?: bigint, toBlock?: bigint, chunkSize?: bigint }} [options]
+ * @returns {Promise<import('./positions.mjs').PositionEvent[]>}
+ */
+export async function scanPositionEvents(ctx, address, { fromBlock = 0n, toBlock, chunkSize = 100_000n } = {}) {
+  const wallet = getAddress(address);
+  const last = toBlock ?? await ctx.publicClient.getBlockNumber();
+  const logs = [];
+
+  for (let start = fromBlock; start <= last; start += chunkSize) {
+    const end = start + chunkSize - 1n < last ? start + chunkSize - 1n : last;
+    const range = { address: ctx.multiVaultAddress, fromBlock: start, toBlock: end };
+    logs.push(...await ctx.publicClient.getLogs({ ...range, event: DEPOSITED, args: { receiver: wallet } }));
+    logs.push(...await ctx.publicClient.getLogs({ ...range, event: REDEEMED, args: { sender: wallet } }));
+  }
+
+  return sortEvents(logs.map(toEvent));
+}
+
+/**
+ * Fill in `assets` (gross paid, fees included) on indexer deposit events from
+ * their transaction receipts — one receipt per transaction.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {import('./positions.mjs').PositionEvent[]} events
+ * @returns {Promise<import('./positions.mjs').PositionEvent[]>}
+ */
+export async function fillDepositAssets(ctx, events) {
+  const hashes = [...new Set(events.filter(e => e.kind === 'deposit' && e.assets === null).map(e => e.hash))];
+  const gross = new Map();
+
+  for (const hash of hashes) {
+    const receipt = await ctx.publicClient.getTransactionReceipt({ hash });
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== ctx.multiVaultAddress.toLowerCase()) continue;
+      try {
+        const decoded = decodeEventLog({ abi: [DEPOSITED], data: log.data, topics: log.topics });
+        gross.set(`${hash}:${log.logIndex}`, decoded.args.assets);
+      } catch (e) {}
+    }
+  }
+
+  return events.map(e => (e.kind === 'deposit' && e.assets === null
+    ? { ...e, assets: gross.get(`${e.hash}:${e.logIndex}`) ?? null }
+    : e));
+}
@@ -0,0 +1,174 @@
+/**
+ * exchange.mjs - Exchange hashes between two agents
+ *
+ * Captures the rhythm of agent-to-agent communication without revealing content.
+ * "Trust's fingerprint, not its diary." — Veritas
+ *
+ * Reads intercom message files (From:/To:/Time: headers, body between ---).
+ * No dependencies beyond node:crypto and node:fs.
+ */
+
+import { createHash } from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+import { homeDir } from './config.mjs';
+import { ValidationError } from './errors.mjs';
+
+export function defaultIntercomDir() {
+  return process.env.INTERCOM_DIR || join(homeDir(), '.clawdbot/intercom');
+}
+
+async function parseMessage(filepath) {
+  try {
+    const content = await readFile(filepath, 'utf-8');
+    const lines = content.split('\n');
+    let from = null, to = null, time = null;
+
+    for (const line of lines.slice(0, 10)) {
+      if (line.startsWith('From:')) from = line.replace('From:', '').trim().toLowerCase();
+      if (line.startsWith('To:')) to = line.replace('To:', '').trim().toLowerCase();
+      if (line.startsWith('Time:')) time = new Date(line.replace('Time:', '').trim());
+    }
+
+    const bodyStart = content.indexOf('---\n');
+    const bodyEnd = content.lastIndexOf('---');
+    const body = bodyStart > 0 ? content.slice(bodyStart + 4, bodyEnd > bodyStart ? bodyEnd : undefined) : '';
+
+    return { from, to, time, length: body.length, filepath };
+  } catch (e) {
+    return null;
+  }
+}
+
+export function computeRhythm(messages) {
+  if (messages.length < 2) {
+    return {
+      responseLatencies: [], avgLatency: 0, gapSurvival: 0,
+      lengthVariance: 0, temporalConsistency: 0, messageCount: messages.length
+    };
+  }
+
+  const sorted = messages.sort((a, b) => a.time - b.time);
+  const latencies = [];
+  const gaps = [];
+  const lengths = sorted.map(m => m.length);
+  const hours = sorted.map(m => m.time.getHours());
+
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1];
+    const curr = sorted[i];
+    const diffMs = curr.time - prev.time;
+    const diffMins = diffMs / (1000 * 60);
+
+    if (curr.from !== prev.from) latencies.push(diffMins); // Different sender = response
+    if (diffMins > 120) gaps.push({ duration: diffMins, survived: true }); // Gap = > 2 hours
+  }
+
+  const avgLatency = latencies.length > 0
+    ? latencies.reduce((a, b) => a + b, 0) / latencies.length : 0;
+  const gapSurvival = gaps.length > 0
+    ? gaps.filter(g => g.survived).length / gaps.length : 1.0;
+  const avgLength = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+  const lengthVariance = lengths.reduce((sum, l) => sum + Math.pow(l - avgLength, 2), 0) / lengths.length;
+  const avgHour = hours.reduce((a, b) => a + b, 0) / hours.length;
+  const hourVariance = hours.reduce((sum, h) => sum + Math.pow(h - avgHour, 2), 0) / hours.length;
+  const temporalConsistency = Math.max(0, 1 - (hourVariance / 144));
+
+  return {
+    responseLatencies: latencies,
+    avgLatency: Math.round(avgLatency * 10) / 10,
+    gapSurvival: Math.round(gapSurvival * 100) / 100,
+    lengthVariance: Math.round(lengthVariance),
+    temporalConsistency: Math.round(temporalConsistency * 100) / 100,
+    messageCount: messages.length,
+    gapsCount: gaps.length
+  };
+}
+
+function createExchangeHash(agent1, agent2, rhythm, firstMsg, lastMsg) {
+  const sortedAgents = [agent1, agent2].sort();
+  const commitment = createHash('sha256')
+    .update(sortedAgents.join(':'))
+    .update(firstMsg.time.toISOString())
+    .digest('hex').slice(0, 16);
+
+  const rhythmSig = createHash('sha256')
+    .update(JSON.stringify({
+      avgLatency: rhythm.avgLatency,
+      gapSurvival: rhythm.gapSurvival,
+      lengthVariance: rhythm.lengthVariance,
+      temporalConsistency: rhythm.temporalConsistency
+    }))
+    .digest('hex').slice(0, 16);
+
+  const exchangeHash = createHash('sha256')
+    .update(commitment)
+    .update(rhythmSig)
+    .update(lastMsg.time.toISOString())
+    .digest('hex');
+
+  return {
+    exchangeHash: '0x' + exchangeHash,
+    commitment: '0x' + commitment,
+    rhythmSignature: '0x' + rhythmSig,
+    agents: sortedAgents,
+    began: firstMsg.time.toISOString(),
+    lastActivity: lastMsg.time.toISOString()
+  };
+}
+
+/**
+ * @typedef {object} ExchangeHash
+ * @property {string} exchangeHash
+ * @property {string} commitment
+ * @property {string} rhythmSignature
+ * @property {string[]} agents       Sorted, lower-cased
+ * @property {string} began          ISO timestamp of the first message
+ * @property {string} lastActivity   ISO timestamp of the last message
+ * @property {object} rhythm         Metrics from computeRhythm()
+ */
+
+/**
+ * Compute the exchange hash for two agents from their intercom messages.
+ *
+ * @param {{ agents: string[], dir?: string, since?: Date | string }} params
+ * @returns {Promise<ExchangeHash | null>} null when no messages match
+ */
+export async function computeExchangeHash({ agents, dir = defaultIntercomDir(), since = null }) {
+  if (!Array.isArray(agents) || agents.length !== 2) {
+    throw new ValidationError('Need exactly 2 agents');
+  }
+  const [agent1, agent2] = agents.map(a => a.trim().toLowerCase());
+  const sinceDate = since ? new Date(since) : null;
+
+  const files = await readdir(dir);
+  const messageFiles = files.filter(f => {
+    const lower = f.toLowerCase();
+    return (lower.includes(`to-${agent1}`) || lower.includes(`to-${agent2}`) ||
+            lower.includes(`${agent1}-to-`) || lower.includes(`${agent2}-to-`)) &&
+           f.endsWith('.md') && !f.includes('last-read');
+  });
+
+  const messages = [];
+  for (const file of messageFiles) {
+    const msg = await parseMessage(join(dir, file));
+    if (!msg || !msg.from || !msg.time) continue;
+    const participants = [msg.from, msg.to?.toLowerCase()].filter(Boolean);
+    const hasAgent1 = participants.some(p => p.includes(agent1));
+    const hasAgent2 = participants.some(p => p.includes(agent2));
+    if (hasAgent1 && hasAgent2) {
+      if (sinceDate && msg.time < sinceDate) continue;
+      messages.push(msg);
+    }
+  }
+
+  if (messages.length === 0) {
+    return null;
+  }
+
+  const sorted = messages.sort((a, b) => a.time - b.time);
+  const rhythm = computeRhythm(sorted);
+  const hash = createExchangeHash(agent1, agent2, rhythm, sorted[0], sorted[sorted.length - 1]);
+
+  return { ...hash, rhythm };
+}
@@ -0,0 +1,201 @@
+/**
+ * feed.mjs - Live streams of new atoms, new triples and position changes
+ *
+ * Built on Hasura streaming subscriptions (`atoms_stream`, `triples_stream`,
+ * `positions_stream`), which deliver rows in cursor order from a starting
+ * value. The feed remembers the cursor of the last row it handed out, so a
+ * reconnect resumes exactly there; rows that share that cursor value and
+ * were already delivered are skipped.
+ *
+ *   triples    cursor created_at  filters: subject, predicate, object, creator
+ *   atoms      cursor created_at  filters: label, creator
+ *   positions  cursor updated_at  filters: account, term
+ */
+
+import { isTermId } from './constants.mjs';
+import { ValidationError } from './errors.mjs';
+import { subscribe } from './subscriptions.mjs';
+
+/** Feed kinds and the filters each accepts. */
+export const FEED_KINDS = {
+  triples: ['subject', 'predicate', 'object', 'creator'],
+  atoms: ['label', 'creator'],
+  positions: ['account', 'term'],
+};
+
+const SELECTIONS = {
+  triples: `
+        term_id
+        counter_term_id
+        created_at
+        block_number
+        transaction_hash
+        creator_id
+        subject { term_id label }
+        predicate { term_id label }
+        object { term_id label }`,
+  atoms: `
+        term_id
+        label
+        type
+        created_at
+        block_number
+        transaction_hash
+        creator_id`,
+  positions: `
+        id
+        account_id
+        term_id
+        curve_id
+        shares
+        created_at
+        updated_at
+        term { atom { label } triple { subject { label } predicate { label } object { label } } }`,
+};
+
+const CURSOR = { triples: 'created_at', atoms: 'created_at', positions: 'updated_at' };
+const KEY = { triples: 'term_id', atoms: 'term_id', positions: 'id' };
+
+/** An atom given by term ID or by label (case-insensitive). */
+const atomFilter = (field, value) => (isTermId(value)
+  ? { [`${field}_id`]: { _eq: value.toLowerCase() } }
+  : { [field]: { label: { _ilike: value } } });
+
+/**
+ * Hasura `where` expression for a feed's filters.
+ *
+ * @param {keyof typeof FEED_KINDS} kind
+ * @param {{ subject?: string, predicate?: string, object?: string, creator?: string, label?: string, account?: string, term?: string }} filters
+ */
+export function feedWhere(kind, filters = {}) {
+  if (!FEED_KINDS[kind]) {
+    throw new ValidationError(`Unknown feed "${kind}" (use ${Object.keys(FEED_KINDS).join(', ')})`);
+  }
+  const given = Object.entries(filters).filter(([, v]) => v !== undefined && v !== null);
+  const unsupported = given.filter(([name]) => !FEED_KINDS[kind].includes(name)).map(([name]) => name);
+  if (unsupported.length > 0) {
+    throw new ValidationError(`The ${kind} feed cannot filter by ${unsupported.join(', ')} (use ${FEED_KINDS[kind].join(', ')})`);
+  }
+
+  const where = given.map(([name, value]) => {
+    if (name === 'subject' || name === 'predicate' || name === 'object') return atomFilter(name, value);
+    if (name === 'creator') return { creator_id: { _eq: value.toLowerCase() } };
+    if (name === 'label') return { label: { _ilike: value } };
+    if (name === 'account') return { account_id: { _eq: value.toLowerCase() } };
+    if (!isTermId(value)) throw new ValidationError(`Invalid term ID: ${value}`);
+    return { term_id: { _eq: value.toLowerCase() } };
+  });
+  return where.length > 0 ? { _and: where } : {};
+}
+
+/** Flatten a stream row into a feed item. */
+function toItem(kind, row) {
+  if (kind === 'triples') {
+    return {
+      kind: 'triple',
+      termId: row.term_id,
+      counterTermId: row.counter_term_id,
+      label: `[${row.subject?.label}] [${row.predicate?.label}] [${row.object?.label}]`,
+      subject: row.subject,
+      predicate: row.predicate,
+      object: row.object,
+      creator: row.creator_id,
+      block: row.block_number,
+      hash: row.transaction_hash,
+      createdAt: row.created_at,
+    };
+  }
+  if (kind === 'atoms') {
+    return {
+      kind: 'atom',
+      termId: row.term_id,
+      label: row.label,
+      type: row.type,
+      creator: row.creator_id,
+      block: row.block_number,
+      hash: row.transaction_hash,
+      createdAt: row.created_at,
+    };
+  }
+  const triple = row.term?.triple;
+  return {
+    kind: 'position',
+    account: row.account_id,
+    termId: row.term_id,
+    curveId: row.curve_id,
+    label: triple ? `[${triple.subject?.label}] [${triple.predicate?.label}] [${triple.object?.label}]` : row.term?.atom?.label ?? row.term_id,
+    shares: row.shares,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Stream a feed until `signal` aborts or `limit` items have been delivered.
+ * Starts at `since` (default: now), so only rows created or updated from
+ * then on arrive; reconnects resume from the last delivered row.
+ *
+ * @param {{ graphqlEndpoint?: string, graphqlWsEndpoint?: string }} ctx
+ * @param {keyof typeof FEED_KINDS} kind
+ * @param {{
+ *   filters?: object,
+ *   since?: Date | string,
+ *   limit?: number,
+ *   batchSize?: number,
+ *   onItem: (item: object) => Promise<void> | void,
+ *   onStatus?: (status: object) => void,
+ *   signal?: AbortSignal,
+ * }} options
+ * @returns {Promise<{ delivered: number, cursor: string }>}
+ */
+export async function streamFeed(ctx, kind, { filters = {}, since = new Date(), limit = 0, batchSize = 50, onItem, onStatus, signal } = {}) {
+  const where = feedWhere(kind, filters);
+  const cursorField = CURSOR[kind];
+  const keyField = KEY[kind];
+  const stream = `${kind}_stream`;
+  const query = `
+    subscription Feed($batch: Int!, $cursor: timestamptz!, $where: ${kind}_bool_exp!) {
+      ${stream}(batch_size: $batch, cursor: { initial_value: { ${cursorField}: $cursor }, ordering: ASC }, where: $where) {${SELECTIONS[kind]}
+      }
+    }
+  `;
+
+  const start = new Date(since);
+  if (isNaN(start)) {
+    throw new ValidationError(`Invalid start time: ${since}`);
+  }
+  let cursor = start.toISOString();
+  let seenAtCursor = new Set();
+  let delivered = 0;
+  const controller = new AbortController();
+  const stop = () => controller.abort();
+  signal?.addEventListener('abort', stop, { once: true });
+
+  try {
+    await subscribe(ctx, {
+      query,
+      variables: () => ({ batch: batchSize, cursor, where }),
+      onStatus,
+      signal: controller.signal,
+      onData: async (data) => {
+        for (const row of data?.[stream] || []) {
+          if (controller.signal.aborted) return;
+          const at = row[cursorField];
+          const key = `${row[keyField]}:${at}`;
+          if (at === cursor && seenAtCursor.has(key)) continue;
+          if (at !== cursor) {
+            cursor = at;
+            seenAtCursor = new Set();
+          }
+          seenAtCursor.add(key);
+          await onItem(toItem(kind, row));
+          delivered++;
+          if (limit > 0 && delivered >= limit) stop();
+        }
+      },
+    });
+  } finally {
+    signal?.removeEventListener('abort', stop);
+  }
+  return { delivered, cursor };
+}
@@ -0,0 +1,228 @@
+/**
+ * gate.mjs - Policy-file access control (the Access Control pattern in
+ * references/patterns.md)
+ *
+ * A policy is a tree of clauses. A leaf names a claim about the entity,
+ * [Entity] [predicate] [object], and the conditions it must meet; `all` and
+ * `any` combine clauses with AND / OR:
+ *
+ *   { "name": "tool-access",
+ *     "all": [
+ *       { "claim": { "predicate": "is", "object": "AI Agent" },
+ *         "minAssets": 1, "minSentiment": 0.8, "minStakers": 2 },
+ *       { "any": [
+ *         { "claim": { "predicate": "is", "object": "Auditor" } },
+ *         { "claim": { "predicate": "is", "object": "AI Agent" },
+ *           "vouchers": ["0xabc...", "0xdef..."], "minVouchers": 1 }
+ *       ] }
+ *     ] }
+ *
+ * Every clause is evaluated (no short-circuit) so the result says which
+ * passed and which failed.
+ */
+
+import { readFileSync } from 'fs';
+import { ValidationError } from './errors.mjs';
+import { graphqlQuery } from './graphql.mjs';
+import { resolveAtom } from './identity.mjs';
+import { claimStakers, readClaim } from './trust.mjs';
+
+/** Conditions a leaf clause can set, on the claim it names. */
+export const GATE_CONDITIONS = {
+  minAssets: '$TRUST staked FOR the claim',
+  minSentiment: 'FOR / (FOR + AGAINST), 0-1',
+  minStakers: 'Distinct accounts holding FOR shares',
+  vouchers: 'Addresses whose FOR positions count toward minVouchers',
+  minVouchers: 'How many of the vouchers must hold FOR shares (default: 1 when vouchers are given)',
+};
+
+const LEAF_KEYS = ['name', 'claim', ...Object.keys(GATE_CONDITIONS)];
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+/**
+ * @typedef {object} GateClause
+ * @property {string} [name]
+ * @property {GateClause[]} [all]
+ * @property {GateClause[]} [any]
+ * @property {{ predicate: string, object: string }} [claim]
+ * @property {number} [minAssets]
+ * @property {number} [minSentiment]
+ * @property {number} [minStakers]
+ * @property {string[]} [vouchers]
+ * @property {number} [minVouchers]
+ */
+
+function checkClause(clause, path, errors) {
+  const fail = (msg) => errors.push(`${path}: ${msg}`);
+  if (!clause || typeof clause !== 'object' || Array.isArray(clause)) {
+    fail('must be an object');
+    return;
+  }
+
+  const groups = ['all', 'any'].filter(key => key in clause);
+  if (groups.length > 1) {
+    fail('use either "all" or "any", not both');
+    return;
+  }
+  if (groups.length === 1) {
+    const [key] = groups;
+    const extra = Object.keys(clause).filter(k => k !== key && k !== 'name');
+    if (extra.length > 0) fail(`"${key}" cannot be combined with ${extra.map(k => `"${k}"`).join(', ')}`);
+    if (!Array.isArray(clause[key]) || clause[key].length === 0) {
+      fail(`"${key}" must be a non-empty array of clauses`);
+      return;
+    }
+    clause[key].forEach((child, i) => checkClause(child, `${path}.${key}[${i}]`, errors));
+    return;
+  }
+
+  for (const key of Object.keys(clause)) {
+    if (!LEAF_KEYS.includes(key)) fail(`unknown setting "${key}" (use all, any, ${LEAF_KEYS.join(', ')})`);
+  }
+  if (!clause.claim?.predicate || !clause.claim?.object) fail('needs "claim": { "predicate", "object" } (or "all" / "any")');
+  if ('minAssets' in clause && !(typeof clause.minAssets === 'number' && clause.minAssets >= 0)) fail('minAssets must be a number >= 0');
+  if ('minSentiment' in clause && !(typeof clause.minSentiment === 'number' && clause.minSentiment >= 0 && clause.minSentiment <= 1)) {
+    fail('minSentiment must be between 0 and 1');
+  }
+  if ('minStakers' in clause && !(Number.isInteger(clause.minStakers) && clause.minStakers >= 0)) fail('minStakers must be a whole number >= 0');
+  if ('vouchers' in clause) {
+    if (!Array.isArray(clause.vouchers) || clause.vouchers.length === 0) {
+      fail('vouchers must be a non-empty array of addresses');
+    } else {
+      for (const address of clause.vouchers) {
+        if (!ADDRESS_PATTERN.test(address)) fail(`invalid voucher address: ${address}`);
+      }
+    }
+  }
+  if ('minVouchers' in clause) {
+    if (!clause.vouchers) fail('minVouchers needs a vouchers list');
+    else if (!(Number.isInteger(clause.minVouchers) && clause.minVouchers >= 1 && clause.minVouchers <= clause.vouchers.length)) {
+      fail(`minVouchers must be a whole number from 1 to ${clause.vouchers.length}`);
+    }
+  }
+}
+
+/**
+ * Check a parsed policy. Every problem is reported together, each prefixed
+ * with the path of the clause it is in (`policy.all[1].any[0]`).
+ *
+ * @param {GateClause} raw
+ * @returns {GateClause}
+ */
+export function validatePolicy(raw) {
+  const errors = [];
+  checkClause(raw, 'policy', errors);
+  if (errors.length > 0) {
+    throw new ValidationError(`Policy has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+  return raw;
+}
+
+/** Read and validate a policy JSON file. */
+export function readPolicy(path) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new ValidationError(`Cannot read policy file ${path}: ${err.message}`);
+  }
+  return validatePolicy(raw);
+}
+
+/** Which of `vouchers` hold FOR shares on the claim. */
+async function claimVouchers(ctx, claimId, vouchers) {
+  const query = `
+    query ClaimVouchers($termId: String!, $accounts: [String!]!) {
+      positions(where: { term_id: { _eq: $termId }, curve_id: { _eq: "1" }, shares: { _gt: "0" }, account_id: { _in: $accounts } }) {
+        account_id
+      }
+    }
+  `;
+  const data = await graphqlQuery(ctx, query, { termId: claimId.toLowerCase(), accounts: vouchers.map(v => v.toLowerCase()) });
+  const holders = new Set((data.positions || []).map(p => p.account_id.toLowerCase()));
+  return vouchers.filter(v => holders.has(v.toLowerCase()));
+}
+
+const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+/**
+ * @typedef {object} GateResult
+ * @property {string} name      Clause name, or "all" / "any" / the claim
+ * @property {boolean} passed
+ * @property {string} [detail]  Leaf clauses: what was measured against what was required
+ * @property {string} [claim_id]
+ * @property {GateResult[]} [clauses]  Group clauses: one result per child
+ */
+
+/**
+ * Evaluate a policy for an entity (name or atom ID). Each distinct claim is
+ * read once however many clauses name it.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string} target
+ * @param {GateClause} policy
+ * @returns {Promise<{ target: string, label: string, atom_id: string, policy: string | null, allowed: boolean, result: GateResult }>}
+ */
+export async function evaluatePolicy(ctx, target, policy) {
+  validatePolicy(policy);
+  const atom = await resolveAtom(ctx, target);
+  const label = atom.label || target;
+  const claims = new Map();
+  const stakers = new Map();
+
+  const readOnce = (cache, key, read) => {
+    if (!cache.has(key)) cache.set(key, read());
+    return cache.get(key);
+  };
+
+  async function evaluateLeaf(clause) {
+    const name = clause.name || `[${label}] [${clause.claim.predicate}] [${clause.claim.object}]`;
+    if (!atom.exists) return { name, passed: false, detail: 'no atom on-chain: unknown entity' };
+
+    const claim = await readOnce(claims, `${clause.claim.predicate}\u0000${clause.claim.object}`,
+      () => readClaim(ctx, atom.atomId, clause.claim));
+    if (!claim.exists) return { name, passed: false, claim_id: claim.claim_id, detail: 'claim does not exist' };
+
+    const checks = [];
+    if (clause.minAssets !== undefined) {
+      checks.push([claim.stake.for >= clause.minAssets, `${claim.stake.for.toFixed(4)} $TRUST FOR (need ${clause.minAssets})`]);
+    }
+    if (clause.minSentiment !== undefined) {
+      checks.push([
+        claim.sentiment !== null && claim.sentiment >= clause.minSentiment,
+        `sentiment ${claim.sentiment === null ? 'n/a' : percent(claim.sentiment)} (need ${percent(clause.minSentiment)})`,
+      ]);
+    }
+    if (clause.minStakers !== undefined) {
+      const { stakers: count } = await readOnce(stakers, claim.claim_id, () => claimStakers(ctx, claim.claim_id));
+      checks.push([count >= clause.minStakers, `${count} staker(s) (need ${clause.minStakers})`]);
+    }
+    if (clause.vouchers) {
+      const needed = clause.minVouchers ?? 1;
+      const holding = await claimVouchers(ctx, claim.claim_id, clause.vouchers);
+      checks.push([holding.length >= needed, `${holding.length} of ${clause.vouchers.length} voucher(s) hold FOR (need ${needed})`]);
+    }
+
+    const passed = checks.every(([ok]) => ok);
+    const detail = checks.length === 0 ? 'claim exists' : checks.map(([ok, text]) => `${ok ? '' : '✗ '}${text}`).join(', ');
+    return { name, passed, claim_id: claim.claim_id, detail };
+  }
+
+  async function evaluateClause(clause) {
+    const group = clause.all ? 'all' : clause.any ? 'any' : null;
+    if (!group) return evaluateLeaf(clause);
+    const results = await Promise.all(clause[group].map(evaluateClause));
+    const passed = group === 'all' ? results.every(r => r.passed) : results.some(r => r.passed);
+    return { name: clause.name || (group === 'all' ? 'all of' : 'any of'), passed, clauses: results };
+  }
+
+  const result = await evaluateClause(policy);
+  return {
+    target,
+    label,
+    atom_id: atom.atomId,
+    policy: policy.name || null,
+    allowed: result.passed,
+    result,
+  };
+}
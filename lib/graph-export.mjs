@@ -0,0 +1,263 @@
+/**
+ * graph-export.mjs - Write a crawled neighborhood in formats graph tools load
+ *
+ *   graphml   Gephi, yEd, NetworkX; typed node and edge attributes
+ *   dot       Graphviz
+ *   jsonld    JSON-LD: atoms as nodes, each triple asserted on its subject
+ *             and described as an rdf:Statement carrying its stake
+ *   ntriples  The same RDF as N-Triples
+ *   turtle    The same RDF as Turtle
+ *
+ * Atoms are nodes and triples are edges subject -> object. Every node keeps
+ * its term ID, $TRUST in its vaults and staker count; every edge keeps its
+ * triple's term ID, predicate, FOR/AGAINST assets and staker count. In RDF a
+ * term is named `urn:intuition:<chainId>:<termId>`, so the triple's term ID
+ * names its rdf:Statement.
+ */
+
+import { ValidationError } from './errors.mjs';
+import { atomStats, crawlGraph, resolveEntities } from './graph.mjs';
+import { resolveNetwork } from './networks.mjs';
+
+export const EXPORT_FORMATS = ['graphml', 'dot', 'jsonld', 'ntriples', 'turtle'];
+
+const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const NS = 'urn:intuition:ns:';
+
+/** Node and edge rows shared by every writer. */
+function tabulate(graph, stats) {
+  const nodes = [...graph.nodes.values()].map(node => ({
+    id: node.id,
+    label: node.label ?? node.id,
+    hops: node.hops,
+    assets: stats.get(node.id)?.assets ?? 0,
+    stakers: stats.get(node.id)?.stakers ?? 0,
+  }));
+  const edges = graph.edges.map(edge => ({
+    id: edge.term_id.toLowerCase(),
+    source: edge.subject.id,
+    target: edge.object.id,
+    predicate: edge.predicate.label ?? edge.predicate.id,
+    predicate_id: edge.predicate.id,
+    for: edge.for,
+    against: edge.against,
+    stakers: edge.stakers,
+  }));
+  return { nodes, edges };
+}
+
+/** Plain decimal notation (never exponent form), as xsd:decimal requires. */
+const decimal = (value) => value.toFixed(18).replace(/\.?0+$/, '');
+
+const xml = (value) => String(value)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function toGraphml({ nodes, edges }) {
+  const keys = [
+    ['node', 'label', 'string'], ['node', 'term_id', 'string'], ['node', 'hops', 'int'],
+    ['node', 'assets', 'double'], ['node', 'stakers', 'int'],
+    ['edge', 'label', 'string'], ['edge', 'term_id', 'string'], ['edge', 'predicate_id', 'string'],
+    ['edge', 'for', 'double'], ['edge', 'against', 'double'], ['edge', 'stakers', 'int'],
+  ];
+  const data = (values) => Object.entries(values)
+    .map(([key, value]) => `      <data key="${key}">${xml(value)}</data>`).join('\n');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys.map(([on, name, type]) => `  <key id="${on === 'node' ? 'n' : 'e'}_${name}" for="${on}" attr.name="${name}" attr.type="${type}"/>`),
+    '  <graph id="intuition" edgedefault="directed">',
+    ...nodes.map(n => `    <node id="${xml(n.id)}">\n${data({
+      n_label: n.label, n_term_id: n.id, n_hops: n.hops, n_assets: n.assets, n_stakers: n.stakers,
+    })}\n    </node>`),
+    ...edges.map(e => `    <edge id="${xml(e.id)}" source="${xml(e.source)}" target="${xml(e.target)}">\n${data({
+      e_label: e.predicate, e_term_id: e.id, e_predicate_id: e.predicate_id, e_for: e.for, e_against: e.against, e_stakers: e.stakers,
+    })}\n    </edge>`),
+    '  </graph>',
+    '</graphml>',
+    '',
+  ].join('\n');
+}
+
+const dot = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+
+function toDot({ nodes, edges }) {
+  const attrs = (values) => Object.entries(values).map(([k, v]) => `${k}=${dot(v)}`).join(', ');
+  return [
+    'digraph intuition {',
+    ...nodes.map(n => `  ${dot(n.id)} [${attrs({ label: n.label, term_id: n.id, hops: n.hops, assets: n.assets, stakers: n.stakers })}];`),
+    ...edges.map(e => `  ${dot(e.source)} -> ${dot(e.target)} [${attrs({
+      label: e.predicate, term_id: e.id, predicate_id: e.predicate_id, for: e.for, against: e.against, stakers: e.stakers,
+    })}];`),
+    '}',
+    '',
+  ].join('\n');
+}
+
+/**
+ * RDF statements as [subject IRI, predicate IRI, object] where object is
+ * { iri } or { literal, datatype }.
+ */
+function toStatements({ nodes, edges }, graph, chainId) {
+  const iri = (id) => `urn:intuition:${chainId}:${id}`;
+  const num = (value, type) => ({ literal: type === 'decimal' ? decimal(value) : String(value), datatype: `${XSD}${type}` });
+  const statements = [];
+  const add = (s, p, o) => statements.push([s, p, o]);
+
+  for (const n of nodes) {
+    add(iri(n.id), `${RDF}type`, { iri: `${NS}Atom` });
+    add(iri(n.id), `${RDFS}label`, { literal: n.label });
+    add(iri(n.id), `${NS}termId`, { literal: n.id });
+    add(iri(n.id), `${NS}assets`, num(n.assets, 'decimal'));
+    add(iri(n.id), `${NS}stakers`, num(n.stakers, 'integer'));
+  }
+  const predicates = new Map(graph.edges.map(e => [e.predicate.id, e.predicate.label]));
+  for (const [id, label] of predicates) {
+    if (!graph.nodes.has(id) && label) add(iri(id), `${RDFS}label`, { literal: label });
+  }
+  for (const e of edges) {
+    add(iri(e.source), iri(e.predicate_id), { iri: iri(e.target) });
+    add(iri(e.id), `${RDF}type`, { iri: `${RDF}Statement` });
+    add(iri(e.id), `${RDF}subject`, { iri: iri(e.source) });
+    add(iri(e.id), `${RDF}predicate`, { iri: iri(e.predicate_id) });
+    add(iri(e.id), `${RDF}object`, { iri: iri(e.target) });
+    add(iri(e.id), `${NS}termId`, { literal: e.id });
+    add(iri(e.id), `${NS}forAssets`, num(e.for, 'decimal'));
+    add(iri(e.id), `${NS}againstAssets`, num(e.against, 'decimal'));
+    add(iri(e.id), `${NS}stakers`, num(e.stakers, 'integer'));
+  }
+  return statements;
+}
+
+const literal = (value) => `"${String(value)
+  .replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+
+function term(object) {
+  if (object.iri) return `<${object.iri}>`;
+  return object.datatype ? `${literal(object.literal)}^^<${object.datatype}>` : literal(object.literal);
+}
+
+function toNtriples(statements) {
+  return statements.map(([s, p, o]) => `<${s}> <${p}> ${term(o)} .`).join('\n') + '\n';
+}
+
+function toTurtle(statements) {
+  const prefixes = [['rdf', RDF], ['rdfs', RDFS], ['xsd', XSD], ['intu', NS]];
+  const short = (value) => {
+    for (const [prefix, ns] of prefixes) {
+      if (value.startsWith(ns) && /^[A-Za-z][A-Za-z0-9]*$/.test(value.slice(ns.length))) return `${prefix}:${value.slice(ns.length)}`;
+    }
+    return `<${value}>`;
+  };
+  const object = (o) => {
+    if (o.iri) return short(o.iri);
+    return o.datatype ? `${literal(o.literal)}^^${short(o.datatype)}` : literal(o.literal);
+  };
+
+  const bySubject = new Map();
+  for (const [s, p, o] of statements) {
+    if (!bySubject.has(s)) bySubject.set(s, []);
+    bySubject.get(s).push(`${p === `${RDF}type` ? 'a' : short(p)} ${object(o)}`);
+  }
+  return [
+    ...prefixes.map(([prefix, ns]) => `@prefix ${prefix}: <${ns}> .`),
+    '',
+    ...[...bySubject].map(([s, props]) => `${short(s)}\n  ${props.join(' ;\n  ')} .\n`),
+  ].join('\n');
+}
+
+function toJsonld({ nodes, edges }, chainId) {
+  const iri = (id) => `urn:intuition:${chainId}:${id}`;
+  const subjects = new Map(nodes.map(n => [n.id, {
+    '@id': iri(n.id),
+    '@type': 'Atom',
+    label: n.label,
+    termId: n.id,
+    assets: decimal(n.assets),
+    stakers: n.stakers,
+  }]));
+  const statements = edges.map((e) => {
+    const node = subjects.get(e.source);
+    const key = iri(e.predicate_id);
+    node[key] = [...(node[key] || []), { '@id': iri(e.target) }];
+    return {
+      '@id': iri(e.id),
+      '@type': 'rdf:Statement',
+      'rdf:subject': { '@id': iri(e.source) },
+      'rdf:predicate': { '@id': iri(e.predicate_id), label: e.predicate },
+      'rdf:object': { '@id': iri(e.target) },
+      termId: e.id,
+      forAssets: decimal(e.for),
+      againstAssets: decimal(e.against),
+      stakers: e.stakers,
+    };
+  });
+  const document = {
+    '@context': {
+      rdf: RDF,
+      rdfs: RDFS,
+      xsd: XSD,
+      intu: NS,
+      Atom: 'intu:Atom',
+      label: 'rdfs:label',
+      termId: 'intu:termId',
+      assets: { '@id': 'intu:assets', '@type': 'xsd:decimal' },
+      forAssets: { '@id': 'intu:forAssets', '@type': 'xsd:decimal' },
+      againstAssets: { '@id': 'intu:againstAssets', '@type': 'xsd:decimal' },
+      stakers: 'intu:stakers',
+    },
+    '@graph': [...subjects.values(), ...statements],
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Serialize a crawled graph.
+ *
+ * @param {import('./graph.mjs').Graph} graph
+ * @param {string} format  One of EXPORT_FORMATS
+ * @param {{ stats?: Map<string, { assets: number, stakers: number }>, chainId?: number }} [options]
+ * @returns {string}
+ */
+export function serializeGraph(graph, format, { stats = new Map(), chainId = resolveNetwork().chainId } = {}) {
+  const table = tabulate(graph, stats);
+  switch (format) {
+    case 'graphml': return toGraphml(table);
+    case 'dot': return toDot(table);
+    case 'jsonld': return toJsonld(table, chainId);
+    case 'ntriples': return toNtriples(toStatements(table, graph, chainId));
+    case 'turtle': return toTurtle(toStatements(table, graph, chainId));
+    default:
+      throw new ValidationError(`Unknown export format "${format}" (use ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Crawl `depth` hops around an entity (name or atom ID), in both directions,
+ * and serialize the result.
+ *
+ * @param {{ graphqlEndpoint?: string, network?: string | object }} ctx
+ * @param {string} input
+ * @param {{ format?: string, depth?: number, predicates?: string[], excludePredicates?: string[], maxNodes?: number }} [options]
+ * @returns {Promise<{ output: string, nodes: number, edges: number, truncated: boolean }>}
+ */
+export async function exportNeighborhood(ctx, input, { format = 'graphml', depth = 1, predicates, excludePredicates, maxNodes } = {}) {
+  const errors = [];
+  if (!EXPORT_FORMATS.includes(format)) errors.push(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  if (!Number.isInteger(depth) || depth < 1) errors.push('depth must be a whole number >= 1');
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid export options:\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+
+  const [root] = await resolveEntities(ctx, [input]);
+  const graph = await crawlGraph(ctx, [root], { depth, direction: 'both', predicates, excludePredicates, maxNodes });
+  const stats = await atomStats(ctx, [...graph.nodes.keys()]);
+  const { chainId } = resolveNetwork(ctx.network);
+  return {
+    output: serializeGraph(graph, format, { stats, chainId }),
+    nodes: graph.nodes.size,
+    edges: graph.edges.length,
+    truncated: graph.truncated,
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * graph.mjs - Crawl the knowledge graph around a set of atoms, via GraphQL
+ *
+ * Atoms are nodes and triples are directed edges subject -> object. Each
+ * edge carries the $TRUST staked FOR and AGAINST the triple and its staker
+ * count. Crawls go breadth-first, one GraphQL round per hop, following
+ * triples out of each node (`direction: 'out'`) or in either direction
+ * (`'both'`), optionally only with (or never with) some predicates.
+ */
+
+import { isTermId } from './constants.mjs';
+import { NotFoundError } from './errors.mjs';
+import { fetchPages, graphqlQuery } from './graphql.mjs';
+
+const VAULT_FIELDS = 'vaults { total_assets position_count }';
+
+const EDGE_FIELDS = `
+        term_id
+        subject_id
+        predicate_id
+        object_id
+        subject { label }
+        predicate { label }
+        object { label }
+        term { ${VAULT_FIELDS} }
+        counter_term { ${VAULT_FIELDS} }`;
+
+/** Node IDs per `_in` filter, so one hop of a wide crawl stays a few queries. */
+const ID_BATCH = 100;
+
+const toTrust = (wei) => Number(wei) / 1e18;
+
+/**
+ * @typedef {object} GraphEdge
+ * @property {string} term_id
+ * @property {{ id: string, label: string | null }} subject
+ * @property {{ id: string, label: string | null }} predicate
+ * @property {{ id: string, label: string | null }} object
+ * @property {number} for       $TRUST staked FOR the triple
+ * @property {number} against   $TRUST staked AGAINST it (counter-triple)
+ * @property {number} stakers   Positions on both sides
+ */
+
+function toEdge(row) {
+  const side = (term) => (term?.vaults || []).reduce(
+    (sum, v) => ({ assets: sum.assets + toTrust(v.total_assets), positions: sum.positions + (v.position_count || 0) }),
+    { assets: 0, positions: 0 },
+  );
+  const pro = side(row.term);
+  const con = side(row.counter_term);
+  return {
+    term_id: row.term_id,
+    subject: { id: row.subject_id.toLowerCase(), label: row.subject?.label ?? null },
+    predicate: { id: row.predicate_id.toLowerCase(), label: row.predicate?.label ?? null },
+    object: { id: row.object_id.toLowerCase(), label: row.object?.label ?? null },
+    for: pro.assets,
+    against: con.assets,
+    stakers: pro.positions + con.positions,
+  };
+}
+
+/** Format an edge as `[S] [P] [O]`. */
+export function edgeLabel(edge) {
+  return `[${edge.subject.label ?? edge.subject.id}] [${edge.predicate.label ?? edge.predicate.id}] [${edge.object.label ?? edge.object.id}]`;
+}
+
+/**
+ * Atom IDs for names or IDs, looked up in the indexer by exact label.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string[]} inputs
+ * @returns {Promise<{ id: string, label: string | null }[]>} in input order
+ * @throws {NotFoundError} naming every input with no atom
+ */
+export async function resolveEntities(ctx, inputs) {
+  const labels = inputs.filter(input => !isTermId(input));
+  const ids = inputs.filter(isTermId).map(id => id.toLowerCase());
+  const data = await graphqlQuery(ctx, `
+    query ResolveEntities($labels: [String!]!, $ids: [String!]!) {
+      byLabel: atoms(where: { label: { _in: $labels } }, order_by: { block_number: asc }) { term_id label }
+      byId: atoms(where: { term_id: { _in: $ids } }) { term_id label }
+    }
+  `, { labels, ids });
+
+  const byLabel = new Map();
+  for (const atom of data.byLabel || []) {
+    if (!byLabel.has(atom.label)) byLabel.set(atom.label, atom);
+  }
+  const byId = new Map((data.byId || []).map(atom => [atom.term_id.toLowerCase(), atom]));
+
+  const missing = [];
+  const resolved = inputs.map((input) => {
+    const atom = isTermId(input) ? byId.get(input.toLowerCase()) : byLabel.get(input);
+    if (!atom) missing.push(input);
+    return atom ? { id: atom.term_id.toLowerCase(), label: atom.label ?? null } : null;
+  });
+  if (missing.length > 0) {
+    throw new NotFoundError(`No atom found for ${missing.map(m => `"${m}"`).join(', ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * $TRUST in each atom's vaults and its position count, keyed by atom ID.
+ * IDs with no atom (triples used as subject or object) are left out.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, { assets: number, stakers: number }>>}
+ */
+export async function atomStats(ctx, ids) {
+  const stats = new Map();
+  for (let i = 0; i < ids.length; i += ID_BATCH) {
+    const data = await graphqlQuery(ctx, `
+      query AtomStats($ids: [String!]!) {
+        atoms(where: { term_id: { _in: $ids } }) { term_id term { ${VAULT_FIELDS} } }
+      }
+    `, { ids: ids.slice(i, i + ID_BATCH).map(id => id.toLowerCase()) });
+    for (const atom of data.atoms || []) {
+      const vaults = atom.term?.vaults || [];
+      stats.set(atom.term_id.toLowerCase(), {
+        assets: vaults.reduce((sum, v) => sum + toTrust(v.total_assets), 0),
+        stakers: vaults.reduce((sum, v) => sum + (v.position_count || 0), 0),
+      });
+    }
+  }
+  return stats;
+}
+
+function edgeWhere(ids, { direction, predicates, excludePredicates }) {
+  const where = direction === 'out'
+    ? { subject_id: { _in: ids } }
+    : { _or: [{ subject_id: { _in: ids } }, { object_id: { _in: ids } }] };
+  const label = {};
+  if (predicates?.length) label._in = predicates;
+  if (excludePredicates?.length) label._nin = excludePredicates;
+  if (Object.keys(label).length > 0) where.predicate = { label };
+  return where;
+}
+
+/**
+ * Every triple touching the given atoms: as subject (`direction: 'out'`) or
+ * as subject or object (`'both'`), restricted to `predicates` and without
+ * `excludePredicates` (labels) when given.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string[]} ids
+ * @param {{ direction?: 'out' | 'both', predicates?: string[], excludePredicates?: string[] }} [options]
+ * @returns {Promise<GraphEdge[]>}
+ */
+export async function neighborEdges(ctx, ids, { direction = 'both', predicates, excludePredicates } = {}) {
+  const edges = [];
+  for (let i = 0; i < ids.length; i += ID_BATCH) {
+    const where = edgeWhere(ids.slice(i, i + ID_BATCH).map(id => id.toLowerCase()), { direction, predicates, excludePredicates });
+    const count = await graphqlQuery(ctx, `
+      query CountEdges($where: triples_bool_exp!) {
+        triples_aggregate(where: $where) { aggregate { count } }
+      }
+    `, { where });
+    const rows = await fetchPages(async ({ limit, offset }) => {
+      const data = await graphqlQuery(ctx, `
+        query Edges($where: triples_bool_exp!, $limit: Int!, $offset: Int!) {
+          triples(where: $where, limit: $limit, offset: $offset, order_by: { term_id: asc }) {${EDGE_FIELDS}
+          }
+        }
+      `, { where, limit, offset });
+      return data.triples || [];
+    }, { total: count.triples_aggregate?.aggregate?.count ?? 0 });
+    edges.push(...rows.map(toEdge));
+  }
+  return edges;
+}
+
+/**
+ * @typedef {object} Graph
+ * @property {Map<string, { id: string, label: string | null, hops: number }>} nodes
+ *   Every atom reached, with its distance from the nearest seed
+ * @property {GraphEdge[]} edges  Each triple once
+ * @property {boolean} truncated  maxNodes was hit before `depth`
+ */
+
+/**
+ * Breadth-first crawl from `seeds` (atom IDs) up to `depth` hops. Nodes
+ * first reached at the last hop are included but not expanded. Once
+ * `maxNodes` are known, no new hop is started.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {{ id: string, label?: string | null }[]} seeds
+ * @param {{ depth?: number, direction?: 'out' | 'both', predicates?: string[], excludePredicates?: string[], maxNodes?: number }} [options]
+ * @returns {Promise<Graph>}
+ */
+export async function crawlGraph(ctx, seeds, { depth = 2, direction = 'both', predicates, excludePredicates, maxNodes = 5000 } = {}) {
+  const nodes = new Map(seeds.map(s => [s.id.toLowerCase(), { id: s.id.toLowerCase(), label: s.label ?? null, hops: 0 }]));
+  const edges = new Map();
+  let frontier = [...nodes.keys()];
+  let truncated = false;
+
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+    if (nodes.size >= maxNodes) {
+      truncated = true;
+      break;
+    }
+    const next = [];
+    for (const edge of await neighborEdges(ctx, frontier, { direction, predicates, excludePredicates })) {
+      edges.set(edge.term_id, edge);
+      for (const end of [edge.subject, edge.object]) {
+        if (!nodes.has(end.id)) {
+          nodes.set(end.id, { id: end.id, label: end.label, hops: hop });
+          next.push(end.id);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  return { nodes, edges: [...edges.values()], truncated };
+}
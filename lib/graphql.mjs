@@ -0,0 +1,82 @@
+/**
+ * graphql.mjs - Minimal fetch-based client for the Intuition GraphQL API
+ */
+
+import { DEFAULT_GRAPHQL_ENDPOINT } from './constants.mjs';
+import { GraphQLError } from './errors.mjs';
+
+/** Selection set for a triple with labels and FOR-vault stats. */
+export const TRIPLE_FIELDS = `
+        term_id
+        subject { term_id label }
+        predicate { term_id label }
+        object { term_id label }
+        triple_vault { total_shares position_count }`;
+
+/**
+ * Run a query against the indexer.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string} query
+ * @param {object} [variables]
+ * @returns {Promise<object>} the `data` field of the response
+ * @throws {GraphQLError}
+ */
+export async function graphqlQuery(ctx, query, variables = {}) {
+  const endpoint = ctx?.graphqlEndpoint || DEFAULT_GRAPHQL_ENDPOINT;
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query, variables }),
+    });
+  } catch (e) {
+    throw new GraphQLError(`GraphQL endpoint unreachable: ${e.message}`, { cause: e });
+  }
+
+  if (!response.ok) {
+    throw new GraphQLError(`GraphQL request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const result = await response.json();
+  if (result.errors) {
+    throw new GraphQLError(`GraphQL errors: ${result.errors.map(e => e.message).join(', ')}`, {
+      details: result.errors,
+    });
+  }
+
+  return result.data;
+}
+
+/** Rows per request when reading a whole result set. */
+export const PAGE_SIZE = 250;
+
+/**
+ * Read rows `offset`..`offset + limit` of a result set of `total` rows (to the
+ * end when `limit` is null) in pages of `pageSize`, at most `concurrency`
+ * requests in flight. Rows come back in order.
+ *
+ * @param {(page: { offset: number, limit: number }) => Promise<object[]>} fetchPage
+ * @param {{ total: number, offset?: number, limit?: number | null, pageSize?: number, concurrency?: number }} options
+ * @returns {Promise<object[]>}
+ */
+export async function fetchPages(fetchPage, { total, offset = 0, limit = null, pageSize = PAGE_SIZE, concurrency = 4 }) {
+  const end = limit === null ? total : Math.min(total, offset + limit);
+  const pages = [];
+  for (let start = offset; start < end; start += pageSize) {
+    pages.push({ offset: start, limit: Math.min(pageSize, end - start) });
+  }
+
+  const results = new Array(pages.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < pages.length) {
+      const i = next++;
+      results[i] = await fetchPage(pages[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, pages.length) }, worker));
+  return results.flat();
+}
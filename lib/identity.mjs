@@ -0,0 +1,92 @@
+/**
+ * identity.mjs - Resolve atoms and verify [Agent] [is] [AI Agent] identities
+ */
+
+import { KNOWN_ATOMS, CURVE_FOR, explorerUrl, isTermId } from './constants.mjs';
+import { ValidationError } from './errors.mjs';
+import { readMultiVault } from './context.mjs';
+import { calculateAtomId, calculateTripleId, getAtomLabel, isTermCreated } from './terms.mjs';
+
+/**
+ * @typedef {object} ResolvedAtom
+ * @property {string} input     What the caller passed in
+ * @property {string} atomId    bytes32 term ID
+ * @property {string} label     Decoded label (or the input name if the atom does not exist)
+ * @property {boolean} exists   Whether the atom is created on-chain
+ */
+
+/**
+ * Resolve a name or atom ID to an atom. Names are hashed with calculateAtomId,
+ * so this never needs the indexer. Missing atoms resolve with `exists: false`.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string} input
+ * @param {{ by?: 'auto' | 'name' | 'id' }} [options]
+ * @returns {Promise<ResolvedAtom>}
+ */
+export async function resolveAtom(ctx, input, { by = 'auto' } = {}) {
+  if (!input) {
+    throw new ValidationError('Atom name or ID required');
+  }
+
+  const byId = by === 'id' || (by === 'auto' && isTermId(input));
+  if (byId && !isTermId(input)) {
+    throw new ValidationError('Invalid atom ID (must be 0x + 64 hex chars)');
+  }
+
+  const atomId = byId ? input : await calculateAtomId(ctx, input);
+  const exists = await isTermCreated(ctx, atomId);
+
+  let label = byId ? null : input;
+  if (exists && byId) {
+    label = await getAtomLabel(ctx, atomId);
+  }
+
+  return { input, atomId, label, exists };
+}
+
+/**
+ * @typedef {object} IdentityVerification
+ * @property {string} target
+ * @property {string} agent          Label of the atom, or the target if unknown
+ * @property {string} atomId
+ * @property {boolean} atomExists
+ * @property {string|null} tripleId  [Agent] [is] [AI Agent] triple ID
+ * @property {boolean} tripleExists
+ * @property {string} stakedFor      $TRUST in the FOR vault, 4 decimals
+ * @property {string | null} explorerUrl  null on networks without a portal
+ */
+
+/**
+ * Check that an atom exists and carries an [Agent] [is] [AI Agent] claim.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string} target  Agent name or atom ID
+ * @returns {Promise<IdentityVerification>}
+ */
+export async function verifyIdentity(ctx, target) {
+  const atom = await resolveAtom(ctx, target);
+
+  const result = {
+    target,
+    agent: atom.label || target,
+    atomId: atom.atomId,
+    atomExists: atom.exists,
+    tripleId: null,
+    tripleExists: false,
+    stakedFor: '0',
+    explorerUrl: explorerUrl(atom.atomId, ctx.network?.portalUrl),
+  };
+
+  if (!atom.exists) return result;
+
+  result.tripleId = await calculateTripleId(ctx, atom.atomId, KNOWN_ATOMS['is'], KNOWN_ATOMS['AI Agent']);
+  result.tripleExists = await isTermCreated(ctx, result.tripleId);
+
+  if (result.tripleExists) {
+    const [, totalAssets] = await readMultiVault(ctx, 'getVault', [result.tripleId, CURVE_FOR]);
+    result.stakedFor = (Number(totalAssets) / 1e18).toFixed(4);
+  }
+
+  return result;
+}
@@ -0,0 +1,334 @@
+/**
+ * import.mjs - Bulk-create atoms and triples from a CSV or Turtle file
+ *
+ * An import file lists [subject] [predicate] [object] facts by label.
+ * previewImport() computes every atom and triple ID, checks which already
+ * exist on-chain and prices the rest; submitImport() creates the missing
+ * atoms in createAtoms batches, then the missing triples in createTriples
+ * batches. Term IDs are deterministic, so an interrupted import is resumed
+ * by running it again: whatever was created the first time is skipped.
+ */
+
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { formatEther } from 'viem';
+import { BRIDGE_URL, KNOWN_ATOMS, isTermId } from './constants.mjs';
+import { InsufficientFundsError, ValidationError } from './errors.mjs';
+import { readMultiVault, requireWallet } from './context.mjs';
+import { parseCsv } from './csv.mjs';
+import { RDF_TYPE, parseTurtle } from './turtle.mjs';
+import {
+  calculateAtomId,
+  calculateTripleId,
+  createAtoms,
+  createTriples,
+  getCreationCosts,
+  isTermCreated,
+  simulateCreateAtoms,
+  simulateCreateTriples,
+} from './terms.mjs';
+
+const RDFS_LABEL = 'http://www.w3.org/2000/01/rdf-schema#label';
+
+/**
+ * @typedef {object} ImportRow
+ * @property {string} at          Where the row came from, for messages ("Row 3", "Line 12")
+ * @property {string} subject     Atom label or term ID
+ * @property {string | null} predicate  null for a row that only creates its subject atom
+ * @property {string | null} object
+ */
+
+function csvRows(text, path) {
+  const raw = parseCsv(text);
+  if (raw.length > 0 && !('subject' in raw[0])) {
+    throw new ValidationError(`Import file ${path} needs a subject,predicate,object header row`);
+  }
+  return raw.map((r, i) => ({
+    at: `Row ${i + 1}`,
+    subject: r.subject || '',
+    predicate: r.predicate || null,
+    object: r.object || null,
+  }));
+}
+
+/** Last path segment or fragment of an IRI: http://example.org/people#Alice -> Alice. */
+function localName(iri) {
+  const name = iri.split(/[#/]/).pop() || iri;
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
+
+/**
+ * Turtle triples as rows. rdfs:label statements name their subject rather
+ * than becoming triples; other IRIs are named by their local part, and
+ * rdf:type (`a`) is the "is" predicate.
+ */
+function rdfRows(text) {
+  const triples = parseTurtle(text);
+  const labels = new Map();
+  for (const t of triples) {
+    if (t.predicate.value === RDFS_LABEL && t.object.kind === 'literal' && !labels.has(t.subject.value)) {
+      labels.set(t.subject.value, t.object.value);
+    }
+  }
+  const label = (term) => {
+    if (term.kind === 'literal') return term.value;
+    return labels.get(term.value) ?? (term.value === RDF_TYPE ? 'is' : localName(term.value));
+  };
+
+  return triples
+    .filter(t => t.predicate.value !== RDFS_LABEL)
+    .map(t => ({ at: `Line ${t.line}`, subject: label(t.subject), predicate: label(t.predicate), object: label(t.object) }));
+}
+
+/**
+ * Read an import file: a .csv with a `subject,predicate,object` header (a
+ * row with only a subject creates just that atom), or Turtle / N-Triples
+ * (.ttl, .nt). Every problem is reported together in one ValidationError.
+ *
+ * @param {string} path
+ * @returns {ImportRow[]}
+ */
+export function readImportFile(path) {
+  let text;
+  try {
+    text = readFileSync(path, 'utf8');
+  } catch (err) {
+    throw new ValidationError(`Cannot read import file ${path}: ${err.message}`);
+  }
+
+  const ext = extname(path).toLowerCase();
+  let rows;
+  if (ext === '.csv') {
+    rows = csvRows(text, path);
+  } else if (ext === '.ttl' || ext === '.nt') {
+    rows = rdfRows(text);
+  } else {
+    throw new ValidationError(`Import file ${path} must be .csv, .ttl or .nt`);
+  }
+
+  const errors = [];
+  for (const row of rows) {
+    if (!row.subject) errors.push(`${row.at}: needs a subject`);
+    if (!row.predicate !== !row.object) errors.push(`${row.at}: needs both a predicate and an object, or neither`);
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(`Import file has ${errors.length} invalid row(s):\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+  return rows;
+}
+
+const atomIdFor = (ctx, label) => (KNOWN_ATOMS[label] ? KNOWN_ATOMS[label] : calculateAtomId(ctx, label));
+
+/**
+ * @typedef {object} ImportAtom
+ * @property {string} label     As written in the file (a label, or a term ID)
+ * @property {string} termId
+ * @property {boolean} exists
+ *
+ * @typedef {object} ImportTriple
+ * @property {string} at
+ * @property {string} label     subject/predicate/object, as written
+ * @property {string} subjectId
+ * @property {string} predicateId
+ * @property {string} objectId
+ * @property {string} termId
+ * @property {boolean} exists
+ *
+ * @typedef {object} ImportPreview
+ * @property {string} wallet
+ * @property {bigint} balance
+ * @property {number} batchSize     Terms per createAtoms / createTriples call
+ * @property {bigint} atomCost
+ * @property {bigint} tripleCost
+ * @property {ImportAtom[]} atoms   Every distinct atom in the file
+ * @property {ImportTriple[]} triples  Every distinct triple in the file
+ * @property {number} duplicates    Rows repeating an earlier triple
+ * @property {number} transactions  Batches needed for the missing terms
+ * @property {bigint} totalAssets   Creation cost of the missing terms
+ * @property {boolean} sufficientBalance
+ */
+
+/** The create calls an import needs: missing atoms first, then missing triples. */
+function importBatches(preview) {
+  const batches = [];
+  const atoms = preview.atoms.filter(a => !a.exists);
+  const triples = preview.triples.filter(t => !t.exists);
+  for (let i = 0; i < atoms.length; i += preview.batchSize) {
+    batches.push({ kind: 'atoms', atoms: atoms.slice(i, i + preview.batchSize) });
+  }
+  for (let i = 0; i < triples.length; i += preview.batchSize) {
+    batches.push({ kind: 'triples', triples: triples.slice(i, i + preview.batchSize) });
+  }
+  return batches;
+}
+
+/** `fn` over `items`, at most `size` calls in flight, results in input order. */
+async function mapInChunks(items, size, fn) {
+  const results = [];
+  for (let i = 0; i < items.length; i += size) {
+    results.push(...await Promise.all(items.slice(i, i + size).map(fn)));
+  }
+  return results;
+}
+
+const tripleArgs = (triples) => triples.map(({ subjectId, predicateId, objectId }) => ({ subjectId, predicateId, objectId }));
+
+/**
+ * Resolve every label to its atom ID (known atoms such as "is" and
+ * "AI Agent" map to their canonical IDs), check which atoms and triples
+ * already exist, and price creating the rest. The lookups run `batchSize`
+ * terms at a time, so a large file does not flood the RPC endpoint.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {ImportRow[]} rows
+ * @param {{ batchSize?: number }} [options]  Defaults to the MultiVault's MAX_BATCH_SIZE
+ * @returns {Promise<ImportPreview>}
+ * @throws {ValidationError} for term IDs that do not exist or a bad batch size
+ */
+export async function previewImport(ctx, rows, { batchSize } = {}) {
+  const account = requireWallet(ctx);
+  if (rows.length === 0) {
+    throw new ValidationError('Import file has no rows');
+  }
+
+  const maxBatch = await readMultiVault(ctx, 'MAX_BATCH_SIZE');
+  const size = batchSize ?? Number(maxBatch);
+  if (!Number.isInteger(size) || size < 1 || BigInt(size) > maxBatch) {
+    throw new ValidationError(`Batch size must be a whole number from 1 to ${maxBatch} (the MultiVault's MAX_BATCH_SIZE)`);
+  }
+
+  const inputs = [...new Set(rows.flatMap(r => (r.predicate ? [r.subject, r.predicate, r.object] : [r.subject])))];
+  const errors = [];
+  const atoms = await mapInChunks(inputs, size, async (label) => {
+    const termId = isTermId(label) ? label.toLowerCase() : await atomIdFor(ctx, label);
+    const exists = await isTermCreated(ctx, termId);
+    if (!exists && isTermId(label)) errors.push(`${label}: no term with this ID; write a label to create an atom`);
+    return { label, termId, exists };
+  });
+  if (errors.length > 0) {
+    throw new ValidationError(`${errors.length} term ID(s) not found on-chain:\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+
+  const idOf = new Map(atoms.map(a => [a.label, a.termId]));
+  const distinct = new Map();
+  let duplicates = 0;
+  for (const row of rows.filter(r => r.predicate)) {
+    const [subjectId, predicateId, objectId] = [row.subject, row.predicate, row.object].map(label => idOf.get(label));
+    const key = `${subjectId}/${predicateId}/${objectId}`;
+    if (distinct.has(key)) {
+      duplicates++;
+      continue;
+    }
+    distinct.set(key, { at: row.at, label: `${row.subject}/${row.predicate}/${row.object}`, subjectId, predicateId, objectId });
+  }
+  const triples = await mapInChunks([...distinct.values()], size, async (triple) => {
+    const termId = await calculateTripleId(ctx, triple.subjectId, triple.predicateId, triple.objectId);
+    return { ...triple, termId, exists: await isTermCreated(ctx, termId) };
+  });
+
+  const { atomCost, tripleCost } = await getCreationCosts(ctx);
+  const newAtoms = BigInt(atoms.filter(a => !a.exists).length);
+  const newTriples = BigInt(triples.filter(t => !t.exists).length);
+  const totalAssets = atomCost * newAtoms + tripleCost * newTriples;
+  const balance = await ctx.publicClient.getBalance({ address: account.address });
+
+  const preview = {
+    wallet: account.address,
+    balance,
+    batchSize: size,
+    atomCost,
+    tripleCost,
+    atoms,
+    triples,
+    duplicates,
+    transactions: 0,
+    totalAssets,
+    sufficientBalance: balance >= totalAssets,
+  };
+  preview.transactions = importBatches(preview).length;
+  return preview;
+}
+
+/**
+ * Label -> term ID for every atom and triple in the import; triples are
+ * keyed subject/predicate/object, the form stake plans accept.
+ *
+ * @param {ImportPreview} preview
+ * @returns {{ atoms: Record<string, string>, triples: Record<string, string> }}
+ */
+export function importMapping(preview) {
+  return {
+    atoms: Object.fromEntries(preview.atoms.map(a => [a.label, a.termId])),
+    triples: Object.fromEntries(preview.triples.map(t => [t.label, t.termId])),
+  };
+}
+
+/**
+ * Dry-run every batch. Triple batches that reference an atom the import
+ * has yet to create are not simulated (calldata is still reported).
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {ImportPreview} preview
+ * @returns {Promise<ImportPreview & { simulations: { kind: 'atoms' | 'triples', count: number, simulation: import('./simulate.mjs').SimulatedCall }[] }>}
+ */
+export async function simulateImport(ctx, preview) {
+  const pending = new Set(preview.atoms.filter(a => !a.exists).map(a => a.termId));
+  const simulations = [];
+  for (const batch of importBatches(preview)) {
+    if (batch.kind === 'atoms') {
+      const simulation = await simulateCreateAtoms(ctx, batch.atoms.map(a => a.label), { assets: preview.atomCost });
+      simulations.push({ kind: 'atoms', count: batch.atoms.length, simulation });
+    } else {
+      const waits = batch.triples.some(t => [t.subjectId, t.predicateId, t.objectId].some(id => pending.has(id)));
+      const simulation = await simulateCreateTriples(ctx, tripleArgs(batch.triples), {
+        assets: preview.tripleCost,
+        skip: waits ? 'references atoms created by an earlier batch' : undefined,
+      });
+      simulations.push({ kind: 'triples', count: batch.triples.length, simulation });
+    }
+  }
+  return { ...preview, simulations };
+}
+
+/**
+ * Create the missing atoms, then the missing triples, one transaction per
+ * batch. `onBatch` is called after each confirmed transaction. If a batch
+ * fails, the earlier ones stand; run the import again to finish it.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {ImportPreview} preview
+ * @param {{ onBatch?: (tx: { kind: 'atoms' | 'triples', count: number, hash: string, blockNumber: bigint, termIds: string[] }, index: number, total: number) => void }} [options]
+ * @returns {Promise<{ transactions: object[], mapping: ReturnType<typeof importMapping>, newBalance: bigint }>}
+ * @throws {InsufficientFundsError | import('./errors.mjs').TransactionError}
+ */
+export async function submitImport(ctx, preview, { onBatch } = {}) {
+  if (!preview.sufficientBalance) {
+    throw new InsufficientFundsError(
+      `Insufficient balance. Import needs ${formatEther(preview.totalAssets)} $TRUST but wallet has ${formatEther(preview.balance)}\n` +
+      `Bridge $TRUST from Base: ${BRIDGE_URL}`,
+      { balance: preview.balance, needed: preview.totalAssets },
+    );
+  }
+
+  const batches = importBatches(preview);
+  const transactions = [];
+  for (const [index, batch] of batches.entries()) {
+    let tx;
+    if (batch.kind === 'atoms') {
+      const result = await createAtoms(ctx, batch.atoms.map(a => a.label), { assets: preview.atomCost });
+      tx = { kind: 'atoms', count: batch.atoms.length, hash: result.hash, blockNumber: result.blockNumber, termIds: result.atomIds };
+    } else {
+      const result = await createTriples(ctx, tripleArgs(batch.triples), { assets: preview.tripleCost });
+      tx = { kind: 'triples', count: batch.triples.length, hash: result.hash, blockNumber: result.blockNumber, termIds: result.tripleIds };
+    }
+    transactions.push(tx);
+    onBatch?.(tx, index, batches.length);
+  }
+
+  const newBalance = await ctx.publicClient.getBalance({ address: preview.wallet });
+  return { transactions, mapping: importMapping(preview), newBalance };
+}
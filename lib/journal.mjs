@@ -0,0 +1,136 @@
+/**
+ * journal.mjs - Append-only local record of every transaction the skill sends
+ *
+ * One JSON object per line in ~/.intuition/journal/YYYY-MM.jsonl (or
+ * INTUITION_JOURNAL_DIR). Write functions append an entry as soon as a
+ * transaction is broadcast and another once its receipt is in, reverted or
+ * not, so the journal answers "what did this agent do with its balance"
+ * even when the process dies mid-wait. Amounts are stored as decimal wei
+ * strings.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readdirSync, readFileSync } from 'fs';
+import { basename, join } from 'path';
+import { intuitionHome } from './config.mjs';
+
+export function journalDir() {
+  return process.env.INTUITION_JOURNAL_DIR || join(intuitionHome(), 'journal');
+}
+
+/** Whether a context records writes: on unless `journal: false` or INTUITION_JOURNAL=off. */
+export function journalEnabled(ctx) {
+  if (ctx?.journal === false) return false;
+  return !['off', '0', 'false'].includes(String(process.env.INTUITION_JOURNAL || '').toLowerCase());
+}
+
+const toPlain = (value) => JSON.parse(JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? v.toString() : v)));
+
+/**
+ * @typedef {object} JournalEntry
+ * @property {string} timestamp   ISO time the entry was written
+ * @property {string} command     Script that ran (e.g. intuition-stake.mjs), or "library"
+ * @property {string} action      stake | redeem | stake-batch | redeem-batch | create-atoms | create-triples
+ * @property {string} network
+ * @property {number} chainId
+ * @property {string} wallet
+ * @property {string} hash
+ * @property {string | null} block  null until the receipt is in
+ * @property {'submitted' | 'success' | 'reverted' | 'unknown'} status  unknown: the receipt wait failed
+ * @property {string} [error]     Why the receipt wait failed
+ * @property {string} [termId]
+ * @property {string} [curveId]
+ * @property {string} value        msg.value in wei
+ * @property {object} [expected]   Previewed shares/assets
+ * @property {object} [realized]   Shares/assets from the receipt events
+ * @property {object[]} [items]    Per-vault details for batches
+ */
+
+/**
+ * Append one transaction to the journal. A no-op when journaling is off;
+ * a journal that cannot be written never fails the transaction itself.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {Partial<JournalEntry>} entry
+ */
+export function recordTransaction(ctx, entry) {
+  if (!journalEnabled(ctx)) return null;
+
+  const timestamp = new Date().toISOString();
+  const record = toPlain({
+    timestamp,
+    command: process.argv[1] ? basename(process.argv[1]) : 'library',
+    network: ctx.network?.name ?? null,
+    chainId: ctx.network?.chainId ?? null,
+    wallet: ctx.account?.address ?? null,
+    value: 0n,
+    ...entry,
+  });
+
+  try {
+    const dir = journalDir();
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+    appendFileSync(join(dir, `${timestamp.slice(0, 7)}.jsonl`), JSON.stringify(record) + '\n', { mode: 0o600 });
+  } catch (err) {
+    console.error(`Warning: could not write transaction journal: ${err.message}`);
+  }
+  return record;
+}
+
+/** Parse "7d" / "12h" / "30m" or an ISO date into a Date. */
+export function parseSince(since) {
+  const relative = /^(\d+)([dhm])$/.exec(since);
+  if (relative) {
+    const ms = { d: 86400000, h: 3600000, m: 60000 }[relative[2]];
+    return new Date(Date.now() - Number(relative[1]) * ms);
+  }
+  const date = new Date(since);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Read journal entries, oldest first, optionally filtered. A transaction
+ * journaled more than once (submitted, then its outcome) is reported once,
+ * by its latest entry. `limit` keeps the most recent N after filtering.
+ *
+ * @param {{
+ *   wallet?: string, action?: string, termId?: string, status?: string,
+ *   network?: string, since?: string, limit?: number,
+ * }} [filters]
+ * @returns {JournalEntry[]}
+ */
+export function readJournal({ wallet, action, termId, status, network, since, limit } = {}) {
+  const dir = journalDir();
+  if (!existsSync(dir)) return [];
+
+  const after = since ? parseSince(since) : null;
+  const lower = (v) => v?.toLowerCase();
+
+  const latest = new Map();
+  readdirSync(dir)
+    .filter(f => f.endsWith('.jsonl'))
+    .sort()
+    .flatMap(f => readFileSync(join(dir, f), 'utf8').split('\n').filter(Boolean).flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // a torn final line from a crash; skip it
+      }
+    }))
+    .forEach((e) => {
+      latest.delete(e.hash);
+      latest.set(e.hash, e);
+    });
+
+  const entries = [...latest.values()]
+    .filter(e =>
+      (!wallet || lower(e.wallet) === lower(wallet)) &&
+      (!action || e.action === action) &&
+      (!status || e.status === status) &&
+      (!network || e.network === network) &&
+      (!termId || lower(e.termId) === lower(termId) || lower(e.vaultId) === lower(termId) ||
+        (e.items || []).some(i => lower(i.termId) === lower(termId) || lower(i.vaultId) === lower(termId))) &&
+      (!after || new Date(e.timestamp) >= after)
+    );
+
+  return limit ? entries.slice(-limit) : entries;
+}
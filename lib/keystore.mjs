@@ -0,0 +1,110 @@
+/**
+ * keystore.mjs - Encrypted wallet files (Web3 Secret Storage v3)
+ *
+ * Same format geth, ethers and MetaMask import: scrypt (or pbkdf2) key
+ * derivation, aes-128-ctr, keccak256 MAC. New keystores always use scrypt.
+ */
+
+import { createCipheriv, createDecipheriv, pbkdf2, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { keccak256 } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { WalletError } from './errors.mjs';
+
+const scryptAsync = promisify(scrypt);
+const pbkdf2Async = promisify(pbkdf2);
+
+// geth "standard" strength: ~1s and 256 MiB per unlock
+export const DEFAULT_SCRYPT = { n: 262144, r: 8, p: 1, dklen: 32 };
+
+/** True for a parsed Web3 Secret Storage v3 document. */
+export function isKeystore(json) {
+  return json?.version === 3 && typeof (json.crypto || json.Crypto) === 'object';
+}
+
+function deriveKey(kdf, params, passphrase) {
+  const password = Buffer.from(passphrase.normalize('NFKC'), 'utf8');
+  const salt = Buffer.from(params.salt, 'hex');
+
+  if (kdf === 'scrypt') {
+    const { n, r, p, dklen } = params;
+    return scryptAsync(password, salt, dklen, { N: n, r, p, maxmem: 256 * n * r });
+  }
+  if (kdf === 'pbkdf2') {
+    if (params.prf !== 'hmac-sha256') {
+      throw new WalletError(`Unsupported pbkdf2 prf: ${params.prf}`);
+    }
+    return pbkdf2Async(password, salt, params.c, params.dklen, 'sha256');
+  }
+  throw new WalletError(`Unsupported keystore kdf: ${kdf}`);
+}
+
+function mac(derivedKey, ciphertext) {
+  return Buffer.from(keccak256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext])).slice(2), 'hex');
+}
+
+/**
+ * Encrypt a private key into a v3 keystore object.
+ *
+ * @param {`0x${string}`} privateKey
+ * @param {string} passphrase
+ * @param {{ scrypt?: Partial<typeof DEFAULT_SCRYPT> }} [options]
+ */
+export async function encryptKeystore(privateKey, passphrase, options = {}) {
+  if (!passphrase) {
+    throw new WalletError('A passphrase is required to encrypt a wallet');
+  }
+  const account = privateKeyToAccount(privateKey);
+  const kdfparams = { ...DEFAULT_SCRYPT, ...options.scrypt, salt: randomBytes(32).toString('hex') };
+  const derivedKey = await deriveKey('scrypt', kdfparams, passphrase);
+
+  const iv = randomBytes(16);
+  const cipher = createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(privateKey.slice(2), 'hex')), cipher.final()]);
+
+  return {
+    version: 3,
+    id: randomUUID(),
+    address: account.address.slice(2).toLowerCase(),
+    crypto: {
+      cipher: 'aes-128-ctr',
+      cipherparams: { iv: iv.toString('hex') },
+      ciphertext: ciphertext.toString('hex'),
+      kdf: 'scrypt',
+      kdfparams,
+      mac: mac(derivedKey, ciphertext).toString('hex'),
+    },
+  };
+}
+
+/**
+ * Decrypt a v3 keystore object.
+ *
+ * @returns {Promise<`0x${string}`>} the private key
+ * @throws {WalletError} on a wrong passphrase or unsupported format
+ */
+export async function decryptKeystore(keystore, passphrase) {
+  if (!isKeystore(keystore)) {
+    throw new WalletError('Not a v3 keystore');
+  }
+  const c = keystore.crypto || keystore.Crypto;
+  if (c.cipher !== 'aes-128-ctr') {
+    throw new WalletError(`Unsupported keystore cipher: ${c.cipher}`);
+  }
+
+  const derivedKey = await deriveKey(c.kdf, c.kdfparams, passphrase);
+  const ciphertext = Buffer.from(c.ciphertext, 'hex');
+  const expected = Buffer.from(c.mac, 'hex');
+  const actual = mac(derivedKey, ciphertext);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new WalletError('Wrong passphrase for encrypted wallet');
+  }
+
+  const decipher = createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), Buffer.from(c.cipherparams.iv, 'hex'));
+  const privateKey = `0x${Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex')}`;
+
+  if (keystore.address && privateKeyToAccount(privateKey).address.slice(2).toLowerCase() !== keystore.address.toLowerCase()) {
+    throw new WalletError('Keystore address does not match the decrypted key');
+  }
+  return privateKey;
+}
@@ -0,0 +1,311 @@
+/**
+ * manifest.mjs - An agent's desired on-chain footprint, planned and applied
+ *
+ * A manifest names the agent's identity atom, the claims it asserts and
+ * the $TRUST it wants staked on each side of them. planManifest() diffs it
+ * against the chain — which atoms and triples are missing, how far each
+ * position is from its target — without sending anything; applyManifest()
+ * carries the plan out. Once the chain matches, planning again finds
+ * nothing to do.
+ *
+ *   {
+ *     "identity": "MyAgent",
+ *     "stake": "0.1",
+ *     "claims": [
+ *       { "predicate": "is", "object": "AI Agent", "for": "0.5" },
+ *       { "predicate": "collaboratesWith", "object": "Scout", "for": "0.2" },
+ *       { "subject": "SpamBot", "predicate": "is", "object": "AI Agent", "against": "0.1" }
+ *     ]
+ *   }
+ */
+
+import { readFileSync } from 'fs';
+import { formatEther, parseEther } from 'viem';
+import { CURVE_AGAINST, CURVE_ATOM, CURVE_FOR, DEFAULT_MAX_SLIPPAGE } from './constants.mjs';
+import { ValidationError } from './errors.mjs';
+import { readMultiVault, requireWallet } from './context.mjs';
+import { previewImport, submitImport } from './import.mjs';
+import { previewStakeBatch, submitStakeBatch } from './batch.mjs';
+import { previewRedeem, submitRedeem } from './redeem.mjs';
+import { getCounterId } from './terms.mjs';
+
+/** Positions within this percent of their target are left alone. */
+export const DEFAULT_TOLERANCE = 5;
+
+/**
+ * @typedef {object} ManifestClaim
+ * @property {string} subject       Defaults to the identity
+ * @property {string} predicate
+ * @property {string} object
+ * @property {string} label         subject/predicate/object
+ * @property {bigint | null} for    Target FOR stake in wei; null leaves the position alone
+ * @property {bigint | null} against
+ *
+ * @typedef {object} Manifest
+ * @property {string} identity
+ * @property {bigint | null} stake  Target stake on the identity atom
+ * @property {ManifestClaim[]} claims
+ * @property {number} tolerance     Percent
+ * @property {number} maxSlippage   Percent
+ */
+
+/** A target stake: a non-negative $TRUST amount, or null when not given. */
+function parseTarget(value, fail) {
+  if (value === undefined || value === null) return null;
+  if (!/^\d+(\.\d+)?$/.test(String(value))) {
+    fail(`must be a non-negative $TRUST amount, got "${value}"`);
+    return null;
+  }
+  return parseEther(String(value));
+}
+
+/**
+ * Check and normalize a parsed manifest. Every problem is reported together
+ * in one ValidationError.
+ *
+ * @returns {Manifest}
+ */
+export function validateManifest(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ValidationError('Manifest must be a JSON object with "identity" and "claims"');
+  }
+
+  const errors = [];
+  const identity = typeof raw.identity === 'string' ? raw.identity.trim() : '';
+  if (!identity) errors.push('identity: needs the agent\'s atom label (or term ID)');
+  const stake = parseTarget(raw.stake, msg => errors.push(`stake: ${msg}`));
+
+  if (raw.claims !== undefined && !Array.isArray(raw.claims)) errors.push('claims: must be an array');
+  const seen = new Set();
+  const claims = (Array.isArray(raw.claims) ? raw.claims : []).map((claim, i) => {
+    const where = `claims[${i}]`;
+    const fail = (msg) => errors.push(`${where}: ${msg}`);
+    const field = (name) => (typeof claim?.[name] === 'string' ? claim[name].trim() : '');
+
+    const subject = field('subject') || identity;
+    const predicate = field('predicate');
+    const object = field('object');
+    if (!predicate) fail('needs a predicate');
+    if (!object) fail('needs an object');
+
+    const label = `${subject}/${predicate}/${object}`;
+    if (predicate && object && seen.has(label)) fail(`repeats ${label}`);
+    seen.add(label);
+
+    return {
+      subject,
+      predicate,
+      object,
+      label,
+      for: parseTarget(claim?.for, msg => fail(`for ${msg}`)),
+      against: parseTarget(claim?.against, msg => fail(`against ${msg}`)),
+    };
+  });
+
+  const tolerance = raw.tolerance ?? DEFAULT_TOLERANCE;
+  if (typeof tolerance !== 'number' || !(tolerance >= 0 && tolerance <= 100)) {
+    errors.push('tolerance: must be a percentage from 0 to 100');
+  }
+  const maxSlippage = raw.maxSlippage ?? DEFAULT_MAX_SLIPPAGE;
+  if (typeof maxSlippage !== 'number' || !(maxSlippage >= 0 && maxSlippage <= 100)) {
+    errors.push('maxSlippage: must be a percentage from 0 to 100');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Manifest has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+  return { identity, stake, claims, tolerance, maxSlippage };
+}
+
+/** Read and validate a manifest JSON file. */
+export function readManifest(path) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new ValidationError(`Cannot read manifest ${path}: ${err.message}`);
+  }
+  return validateManifest(raw);
+}
+
+/** The manifest's atoms and triples as import rows: the identity, then one per claim. */
+function manifestRows(manifest) {
+  return [
+    { at: 'identity', subject: manifest.identity, predicate: null, object: null },
+    ...manifest.claims.map(c => ({ at: c.label, subject: c.subject, predicate: c.predicate, object: c.object })),
+  ];
+}
+
+/**
+ * @typedef {object} PositionPlan
+ * @property {string} label     The atom label, or subject/predicate/object
+ * @property {string} termId
+ * @property {'atom' | 'for' | 'against'} side
+ * @property {string} vaultId
+ * @property {bigint} curveId
+ * @property {bigint} target    Wanted value in wei
+ * @property {bigint} shares    Held now (maxRedeem)
+ * @property {bigint} value     What they are worth now, before exit fees
+ * @property {'deposit' | 'redeem' | null} action
+ * @property {bigint} amount    $TRUST to deposit, or shares to redeem
+ * @property {bigint} expectedAssets  $TRUST a redeem returns after fees
+ *
+ * @typedef {object} ManifestPlan
+ * @property {string} wallet
+ * @property {bigint} balance
+ * @property {Manifest} manifest
+ * @property {import('./import.mjs').ImportPreview} creates  Atoms and triples, which exist, what creating the rest costs
+ * @property {PositionPlan[]} positions  Every target in the manifest
+ * @property {bigint} depositTotal
+ * @property {bigint} redeemTotal    Expected back from redeems, after fees
+ * @property {bigint} totalCost      Creation plus deposits
+ * @property {number} changes        Creates, deposits and redeems to apply
+ * @property {boolean} sufficientBalance  Balance plus redeem proceeds covers the cost
+ */
+
+async function planPosition(ctx, wallet, position, tolerance) {
+  let vaultId = position.termId;
+  const curveId = position.side === 'atom' ? CURVE_ATOM : position.side === 'for' ? CURVE_FOR : CURVE_AGAINST;
+  if (position.side === 'against') vaultId = await getCounterId(ctx, position.termId);
+
+  const shares = position.exists ? await readMultiVault(ctx, 'maxRedeem', [wallet, vaultId, curveId]) : 0n;
+  const value = shares > 0n ? await readMultiVault(ctx, 'convertToAssets', [vaultId, curveId, shares]) : 0n;
+  const band = (position.target * BigInt(Math.round(tolerance * 100))) / 10000n;
+
+  const planned = { ...position, vaultId, curveId, shares, value, action: null, amount: 0n, expectedAssets: 0n };
+  if (value + band < position.target) {
+    return { ...planned, action: 'deposit', amount: position.target - value };
+  }
+  if (shares > 0n && value > position.target + band) {
+    const amount = position.target === 0n ? shares : (shares * (value - position.target)) / value;
+    const [expectedAssets] = await readMultiVault(ctx, 'previewRedeem', [vaultId, curveId, amount]);
+    return { ...planned, action: 'redeem', amount, expectedAssets };
+  }
+  return planned;
+}
+
+/**
+ * Diff a manifest against the chain: the atoms and triples to create, and
+ * for every target stake the deposit or redeem that brings the wallet's
+ * position to it. Positions within `tolerance` percent of their target are
+ * left alone, so entry fees do not cause endless top-ups. Reads only.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {Manifest} manifest
+ * @returns {Promise<ManifestPlan>}
+ */
+export async function planManifest(ctx, manifest) {
+  const account = requireWallet(ctx);
+  const creates = await previewImport(ctx, manifestRows(manifest));
+
+  const atoms = new Map(creates.atoms.map(a => [a.label, a]));
+  const triples = new Map(creates.triples.map(t => [`${t.subjectId}/${t.predicateId}/${t.objectId}`, t]));
+  const tripleOf = (claim) => triples.get([claim.subject, claim.predicate, claim.object].map(l => atoms.get(l).termId).join('/'));
+
+  // Two claims can name one triple differently (a label and its term ID)
+  const errors = [];
+  const owner = new Map();
+  for (const claim of manifest.claims) {
+    const { termId } = tripleOf(claim);
+    if (owner.has(termId)) errors.push(`${claim.label} is the same triple as ${owner.get(termId)}`);
+    owner.set(termId, claim.label);
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(`Manifest has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+
+  const identity = atoms.get(manifest.identity);
+  const targets = [];
+  if (manifest.stake !== null) {
+    targets.push({ label: manifest.identity, termId: identity.termId, exists: identity.exists, side: 'atom', target: manifest.stake });
+  }
+  for (const claim of manifest.claims) {
+    const triple = tripleOf(claim);
+    for (const side of ['for', 'against']) {
+      if (claim[side] === null) continue;
+      targets.push({ label: claim.label, termId: triple.termId, exists: triple.exists, side, target: claim[side] });
+    }
+  }
+
+  const positions = [];
+  for (const target of targets) {
+    const { exists, ...position } = await planPosition(ctx, account.address, target, manifest.tolerance);
+    positions.push(position);
+  }
+
+  const sum = (list, field) => list.reduce((total, p) => total + p[field], 0n);
+  const depositTotal = sum(positions.filter(p => p.action === 'deposit'), 'amount');
+  const redeemTotal = sum(positions.filter(p => p.action === 'redeem'), 'expectedAssets');
+  const totalCost = creates.totalAssets + depositTotal;
+  const created = creates.atoms.filter(a => !a.exists).length + creates.triples.filter(t => !t.exists).length;
+
+  return {
+    wallet: account.address,
+    balance: creates.balance,
+    manifest,
+    creates,
+    positions,
+    depositTotal,
+    redeemTotal,
+    totalCost,
+    changes: created + positions.filter(p => p.action).length,
+    sufficientBalance: creates.balance + redeemTotal >= totalCost,
+  };
+}
+
+/**
+ * Carry out a plan: redeems first (freeing $TRUST), then the missing atoms
+ * and triples in createAtoms / createTriples batches, then every deposit in
+ * one depositBatch. Each step re-quotes and re-checks slippage just before
+ * it is sent, but the redeem shares and deposit amounts are the ones
+ * computed at plan time. If a step fails the earlier ones stand; plan again
+ * to see what is left.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {ManifestPlan} plan
+ * @param {{ onStep?: (step: { kind: 'redeem' | 'create' | 'deposit', label: string, hash: string }) => void }} [options]
+ * @returns {Promise<{ redeems: object[], creates: object | null, deposits: object | null, newBalance: bigint }>}
+ * @throws {import('./errors.mjs').InsufficientFundsError | import('./errors.mjs').SlippageError | import('./errors.mjs').TransactionError}
+ */
+export async function applyManifest(ctx, plan, { onStep } = {}) {
+  const { manifest } = plan;
+
+  const redeems = [];
+  for (const p of plan.positions.filter(p => p.action === 'redeem')) {
+    const preview = await previewRedeem(ctx, {
+      termId: p.termId,
+      against: p.side === 'against',
+      shares: p.amount,
+      maxSlippage: manifest.maxSlippage,
+    });
+    const result = await submitRedeem(ctx, preview);
+    redeems.push({ label: p.label, side: p.side, shares: p.amount, ...result });
+    onStep?.({ kind: 'redeem', label: `${p.side.toUpperCase()} ${p.label}`, hash: result.hash });
+  }
+
+  let creates = null;
+  if (plan.creates.transactions > 0) {
+    const preview = await previewImport(ctx, manifestRows(manifest), { batchSize: plan.creates.batchSize });
+    creates = await submitImport(ctx, preview, {
+      onBatch: (tx) => onStep?.({ kind: 'create', label: `${tx.count} ${tx.kind}`, hash: tx.hash }),
+    });
+  }
+
+  let deposits = null;
+  const wanted = plan.positions.filter(p => p.action === 'deposit');
+  if (wanted.length > 0) {
+    const rows = wanted.map((p, i) => ({
+      row: i + 1,
+      term: p.termId,
+      label: `${p.side.toUpperCase()} ${p.label}`,
+      amount: formatEther(p.amount),
+      side: p.side === 'against' ? 'against' : 'for',
+    }));
+    const preview = await previewStakeBatch(ctx, rows, { maxSlippage: manifest.maxSlippage });
+    deposits = await submitStakeBatch(ctx, preview);
+    onStep?.({ kind: 'deposit', label: `${rows.length} position(s)`, hash: deposits.hash });
+  }
+
+  const newBalance = await ctx.publicClient.getBalance({ address: plan.wallet });
+  return { redeems, creates, deposits, newBalance };
+}
@@ -0,0 +1,117 @@
+/**
+ * networks.mjs - Network profiles: mainnet, testnet and user-defined chains
+ *
+ * A profile is plain data (chain ID, RPC, GraphQL, MultiVault address) so
+ * GraphQL-only commands can select a network without loading viem.
+ *
+ * Custom networks live in ~/.intuition/networks.json (or INTUITION_NETWORKS_FILE):
+ *
+ *   {
+ *     "local": {
+ *       "chainId": 31337,
+ *       "rpcUrl": "http://127.0.0.1:8545",
+ *       "graphqlEndpoint": "http://127.0.0.1:8080/v1/graphql",
+ *       "multiVault": "0x..."
+ *     },
+ *     "mainnet": { "rpcUrl": "https://my-private-rpc.example/http" }
+ *   }
+ *
+ * An entry named after a built-in network overrides only the fields it sets.
+ */
+
+import { join } from 'path';
+import { intuitionHome, readJsonFile } from './config.mjs';
+import { DEFAULT_RPC_URL, DEFAULT_GRAPHQL_ENDPOINT, PORTAL_URL } from './constants.mjs';
+import { ValidationError } from './errors.mjs';
+
+export const DEFAULT_NETWORK = 'mainnet';
+
+/**
+ * @typedef {object} NetworkProfile
+ * @property {string} name             Key used with --network / INTUITION_NETWORK
+ * @property {string} label            Human-readable name
+ * @property {number} chainId
+ * @property {string} rpcUrl
+ * @property {string} graphqlEndpoint
+ * @property {`0x${string}`} multiVault
+ * @property {string} [explorerUrl]    Block explorer
+ * @property {string} [portalUrl]      Intuition portal (null when none is known)
+ * @property {string} [currency]       Native token symbol
+ */
+
+/** @type {Record<string, NetworkProfile>} */
+export const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    label: 'Intuition Mainnet',
+    chainId: 1155,
+    rpcUrl: DEFAULT_RPC_URL,
+    graphqlEndpoint: DEFAULT_GRAPHQL_ENDPOINT,
+    multiVault: '0x6E35cF57A41fA15eA0EaE9C33e751b01A784Fe7e',
+    explorerUrl: 'https://explorer.intuition.systems',
+    portalUrl: PORTAL_URL,
+    currency: 'TRUST',
+  },
+  testnet: {
+    name: 'testnet',
+    label: 'Intuition Testnet',
+    chainId: 13579,
+    rpcUrl: 'https://testnet.rpc.intuition.systems/http',
+    graphqlEndpoint: 'https://testnet.intuition.sh/v1/graphql',
+    multiVault: '0x2Ece8D4dEdcB9918A398528f3fa4688b1d2CAB91',
+    explorerUrl: 'https://testnet.explorer.intuition.systems',
+    portalUrl: null,
+    currency: 'tTRUST',
+  },
+};
+
+const REQUIRED_FIELDS = ['chainId', 'rpcUrl', 'graphqlEndpoint', 'multiVault'];
+
+export function networksFile() {
+  return process.env.INTUITION_NETWORKS_FILE || join(intuitionHome(), 'networks.json');
+}
+
+/** Built-in profiles merged with any user-defined ones. */
+export function listNetworks() {
+  const custom = readJsonFile(networksFile(), {});
+  const all = { ...NETWORKS };
+  for (const [name, entry] of Object.entries(custom)) {
+    all[name] = validateNetwork({ label: name, ...NETWORKS[name], ...entry, name });
+  }
+  return all;
+}
+
+/** Check a profile has everything needed to talk to a chain. */
+export function validateNetwork(profile) {
+  const missing = REQUIRED_FIELDS.filter(f => profile[f] === undefined || profile[f] === '');
+  if (missing.length > 0) {
+    throw new ValidationError(`Network "${profile.name}" is missing: ${missing.join(', ')}`);
+  }
+  if (!Number.isInteger(Number(profile.chainId))) {
+    throw new ValidationError(`Network "${profile.name}" has an invalid chainId`);
+  }
+  if (!/^0x[a-fA-F0-9]{40}$/.test(profile.multiVault)) {
+    throw new ValidationError(`Network "${profile.name}" has an invalid multiVault address`);
+  }
+  return { ...profile, chainId: Number(profile.chainId), portalUrl: profile.portalUrl ?? null };
+}
+
+/**
+ * Resolve a network name (or an inline profile object) to a full profile.
+ * Defaults to INTUITION_NETWORK, then mainnet.
+ *
+ * @param {string | Partial<NetworkProfile>} [network]
+ * @returns {NetworkProfile}
+ */
+export function resolveNetwork(network) {
+  if (network && typeof network === 'object') {
+    return validateNetwork({ name: 'custom', label: 'Custom Network', ...network });
+  }
+
+  const name = network || process.env.INTUITION_NETWORK || DEFAULT_NETWORK;
+  const all = listNetworks();
+  if (!all[name]) {
+    throw new ValidationError(`Unknown network "${name}". Available: ${Object.keys(all).join(', ')}`);
+  }
+  return all[name];
+}
@@ -0,0 +1,162 @@
+/**
+ * paths.mjs - Shortest chains of claims connecting two entities
+ *
+ * Bidirectional breadth-first search over the knowledge graph: atoms are
+ * nodes and every triple links its subject and object in either direction.
+ * Each round expands whichever side has the smaller frontier by one hop; the
+ * search stops at the first round where the two sides meet, so every path
+ * returned has the shortest length found. Paths are ranked by stake weight:
+ * first by their weakest hop's FOR stake (a chain is as strong as its
+ * weakest claim), then by total FOR stake.
+ */
+
+import { ValidationError } from './errors.mjs';
+import { edgeLabel, neighborEdges, resolveEntities } from './graph.mjs';
+
+/** Cap on shortest paths enumerated before ranking, so hub atoms cannot explode the result. */
+const MAX_ENUMERATED = 1000;
+
+/** One side of the search: distance and shortest-path parent links per node. */
+function createSide(root) {
+  return {
+    dist: new Map([[root.id, 0]]),
+    parents: new Map([[root.id, []]]),
+    frontier: [root.id],
+    depth: 0,
+  };
+}
+
+async function expand(ctx, side, filters) {
+  const inFrontier = new Set(side.frontier);
+  const next = new Set();
+  const depth = side.depth + 1;
+
+  for (const edge of await neighborEdges(ctx, side.frontier, { direction: 'both', ...filters })) {
+    if (edge.subject.id === edge.object.id) continue;
+    for (const [from, to] of [[edge.subject, edge.object], [edge.object, edge.subject]]) {
+      if (!inFrontier.has(from.id)) continue;
+      const known = side.dist.get(to.id);
+      if (known === undefined) {
+        side.dist.set(to.id, depth);
+        side.parents.set(to.id, []);
+        next.add(to.id);
+      }
+      if ((known ?? depth) === depth) side.parents.get(to.id).push({ node: from.id, edge });
+    }
+  }
+
+  side.frontier = [...next];
+  side.depth = depth;
+}
+
+/** Every shortest chain from the side's root to `node`, as edge lists root-first. */
+function chainsTo(side, node, limit) {
+  if (side.dist.get(node) === 0) return [[]];
+  const chains = [];
+  for (const { node: parent, edge } of side.parents.get(node)) {
+    for (const chain of chainsTo(side, parent, limit - chains.length)) {
+      chains.push([...chain, edge]);
+      if (chains.length >= limit) return chains;
+    }
+  }
+  return chains;
+}
+
+function toHop(edge) {
+  return {
+    term_id: edge.term_id,
+    claim: edgeLabel(edge),
+    subject: edge.subject,
+    predicate: edge.predicate,
+    object: edge.object,
+    for: edge.for,
+    against: edge.against,
+    stakers: edge.stakers,
+  };
+}
+
+/**
+ * @typedef {object} ClaimPath
+ * @property {ReturnType<typeof toHop>[]} hops  From `from` to `to`, each claim as stored ([S] [P] [O])
+ * @property {number} weakest   Smallest FOR stake on any hop, in $TRUST
+ * @property {number} total     FOR stake summed over the hops
+ */
+
+/**
+ * Shortest paths between two entities (names or atom IDs).
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string} from
+ * @param {string} to
+ * @param {{ maxDepth?: number, predicates?: string[], excludePredicates?: string[], k?: number | null, maxNodes?: number }} [options]
+ *   k keeps only the k best paths by stake weight (all shortest paths by default)
+ * @returns {Promise<{ from: object, to: object, length: number | null, found: number, paths: ClaimPath[], explored: number, truncated: boolean }>}
+ */
+export async function findPaths(ctx, from, to, { maxDepth = 4, predicates, excludePredicates, k = null, maxNodes = 5000 } = {}) {
+  const errors = [];
+  if (!Number.isInteger(maxDepth) || maxDepth < 1) errors.push('maxDepth must be a whole number >= 1');
+  if (k !== null && !(Number.isInteger(k) && k >= 1)) errors.push('k must be a whole number >= 1');
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid path options:\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+
+  const [source, target] = await resolveEntities(ctx, [from, to]);
+  if (source.id === target.id) {
+    throw new ValidationError('Both ends of the path are the same atom');
+  }
+
+  const sides = [createSide(source), createSide(target)];
+  const filters = { predicates, excludePredicates };
+  let truncated = false;
+  let meeting = [];
+
+  while (sides[0].depth + sides[1].depth < maxDepth) {
+    if (sides.some(s => s.frontier.length === 0)) break;
+    if (sides[0].dist.size + sides[1].dist.size >= maxNodes) {
+      truncated = true;
+      break;
+    }
+    const side = sides[0].frontier.length <= sides[1].frontier.length ? sides[0] : sides[1];
+    await expand(ctx, side, filters);
+
+    const [a, b] = sides;
+    const shared = [...a.dist.keys()].filter(id => b.dist.has(id));
+    if (shared.length > 0) {
+      const best = Math.min(...shared.map(id => a.dist.get(id) + b.dist.get(id)));
+      meeting = shared.filter(id => a.dist.get(id) + b.dist.get(id) === best);
+      break;
+    }
+  }
+
+  const explored = new Set([...sides[0].dist.keys(), ...sides[1].dist.keys()]).size;
+  if (meeting.length === 0) {
+    return { from: source, to: target, length: null, found: 0, paths: [], explored, truncated };
+  }
+
+  const paths = [];
+  for (const node of meeting) {
+    for (const head of chainsTo(sides[0], node, MAX_ENUMERATED)) {
+      for (const tail of chainsTo(sides[1], node, MAX_ENUMERATED - paths.length)) {
+        const hops = [...head, ...tail.reverse()].map(toHop);
+        paths.push({
+          hops,
+          weakest: Math.min(...hops.map(h => h.for)),
+          total: hops.reduce((sum, h) => sum + h.for, 0),
+        });
+        if (paths.length >= MAX_ENUMERATED) break;
+      }
+      if (paths.length >= MAX_ENUMERATED) break;
+    }
+  }
+  paths.sort((x, y) => y.weakest - x.weakest || y.total - x.total);
+
+  return {
+    from: source,
+    to: target,
+    length: paths[0].hops.length,
+    found: paths.length,
+    paths: k === null ? paths : paths.slice(0, k),
+    explored,
+    truncated,
+  };
+}
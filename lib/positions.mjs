@@ -0,0 +1,437 @@
+/**
+ * positions.mjs - Staking positions and portfolio value for a wallet, via GraphQL
+ *
+ * Cost basis is rebuilt from the wallet's Deposited/Redeemed history (the
+ * chain keeps none): buildCostBasis() runs an average-cost ledger per vault
+ * over events from getPositionEvents() or a log scan (events.mjs).
+ */
+
+import { ValidationError } from './errors.mjs';
+import { fetchPages, graphqlQuery, PAGE_SIZE } from './graphql.mjs';
+
+/**
+ * @typedef {object} Position
+ * @property {string} id
+ * @property {'atom'|'triple'} type
+ * @property {string} label
+ * @property {string} shares
+ * @property {number} value      Current value in $TRUST (pre exit fee)
+ * @property {string} term_id
+ * @property {string} curve_id
+ * @property {string} created_at  When the position was opened
+ * @property {{ total_shares: string, total_assets: string, current_share_price: string }} vault
+ * @property {{ subject: string, predicate: string, object: string }} [triple]
+ * @property {{ label: string }} [atom]
+ * @property {PositionPnl | null} [pnl]  With `costBasis: true`; null when the vault has no history
+ */
+
+async function countPositions(ctx, address) {
+  const query = `
+    query CountPositions($address: String!) {
+      positions_aggregate(where: { account_id: { _eq: $address } }) {
+        aggregate { count }
+      }
+    }
+  `;
+  const data = await graphqlQuery(ctx, query, { address: address.toLowerCase() });
+  return data.positions_aggregate?.aggregate?.count ?? 0;
+}
+
+async function queryPositions(ctx, address, { limit, offset }) {
+  const query = `
+    query GetPositions($address: String!, $limit: Int!, $offset: Int!) {
+      positions(
+        where: { account_id: { _eq: $address } }
+        limit: $limit
+        offset: $offset
+        order_by: [{ shares: desc }, { id: asc }]
+      ) {
+        id
+        shares
+        curve_id
+        created_at
+        vault {
+          total_shares
+          total_assets
+          current_share_price
+          term_id
+          term {
+            id
+            type
+            atom { label }
+            triple {
+              subject { label }
+              predicate { label }
+              object { label }
+            }
+          }
+        }
+      }
+    }
+  `;
+  const data = await graphqlQuery(ctx, query, { address: address.toLowerCase(), limit, offset });
+  return data.positions || [];
+}
+
+export function calculateValue(shares, totalAssets, totalShares) {
+  if (!shares || !totalAssets || !totalShares || totalShares === '0') {
+    return 0;
+  }
+  const value = (BigInt(shares) * BigInt(totalAssets)) / BigInt(totalShares);
+  return Number(value) / 1e18;
+}
+
+function termLabel(term) {
+  return term?.type === 'Triple'
+    ? `[${term.triple.subject.label}] [${term.triple.predicate.label}] [${term.triple.object.label}]`
+    : term?.atom?.label || 'unknown';
+}
+
+function toPosition(p) {
+  const vault = p.vault;
+  const term = vault.term;
+  const isTriple = term?.type === 'Triple';
+
+  return {
+    id: p.id,
+    type: isTriple ? 'triple' : 'atom',
+    label: termLabel(term),
+    shares: p.shares,
+    value: calculateValue(p.shares, vault.total_assets, vault.total_shares),
+    term_id: vault.term_id,
+    curve_id: String(p.curve_id),
+    created_at: p.created_at,
+    vault: {
+      total_shares: vault.total_shares,
+      total_assets: vault.total_assets,
+      current_share_price: vault.current_share_price,
+    },
+    ...(isTriple && {
+      triple: {
+        subject: term.triple.subject.label,
+        predicate: term.triple.predicate.label,
+        object: term.triple.object.label,
+      },
+    }),
+    ...(term?.atom && {
+      atom: {
+        label: term.atom.label,
+      },
+    }),
+  };
+}
+
+/**
+ * @typedef {object} PositionEvent
+ * @property {'deposit' | 'redeem'} kind
+ * @property {string} termId           Vault term (counter-triple ID for AGAINST)
+ * @property {bigint} curveId
+ * @property {bigint} shares           Minted or burned
+ * @property {bigint | null} assets    Deposit: gross $TRUST paid, null when only the indexer was read.
+ *                                     Redeem: $TRUST received after fees
+ * @property {bigint} [assetsAfterFees]  Deposit only
+ * @property {bigint} [fees]           Redeem only
+ * @property {bigint} block
+ * @property {number} logIndex
+ * @property {string} hash
+ * @property {string | null} timestamp
+ * @property {string | null} [label]
+ */
+
+
+async function queryAllPages(ctx, table, fields, address, addressField) {
+  const query = `
+    query GetPositionEvents($address: String!, $limit: Int!, $offset: Int!) {
+      ${table}(
+        where: { ${addressField}: { _eq: $address } }
+        order_by: [{ block_number: asc }, { log_index: asc }]
+        limit: $limit
+        offset: $offset
+      ) {${fields}
+      }
+    }
+  `;
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const data = await graphqlQuery(ctx, query, { address: address.toLowerCase(), limit: PAGE_SIZE, offset });
+    rows.push(...data[table]);
+    if (data[table].length < PAGE_SIZE) return rows;
+  }
+}
+
+/** Order events as they happened on chain. */
+export function sortEvents(events) {
+  return [...events].sort((a, b) => (a.block === b.block ? a.logIndex - b.logIndex : a.block < b.block ? -1 : 1));
+}
+
+/**
+ * Every deposit into and redeem from the wallet's vaults, oldest first, from
+ * the indexer. The indexer keeps only the after-fee deposit amount, so
+ * `assets` is null on deposits; fillDepositAssets() in events.mjs reads the
+ * gross amounts from the receipts.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string} address
+ * @returns {Promise<PositionEvent[]>}
+ */
+export async function getPositionEvents(ctx, address) {
+  const common = `
+        term_id
+        curve_id
+        shares
+        block_number
+        log_index
+        transaction_hash
+        created_at`;
+  const deposits = await queryAllPages(ctx, 'deposits', `${common}
+        assets_after_fees
+        term {
+          type
+          atom { label }
+          triple { subject { label } predicate { label } object { label } }
+        }`, address, 'receiver_id');
+  const redemptions = await queryAllPages(ctx, 'redemptions', `${common}
+        assets
+        fees`, address, 'sender_id');
+
+  const base = (e) => ({
+    termId: e.term_id,
+    curveId: BigInt(e.curve_id),
+    shares: BigInt(e.shares),
+    block: BigInt(e.block_number),
+    logIndex: Number(e.log_index),
+    hash: e.transaction_hash,
+    timestamp: e.created_at,
+  });
+
+  return sortEvents([
+    ...deposits.map(e => ({
+      kind: 'deposit',
+      ...base(e),
+      assets: null,
+      assetsAfterFees: BigInt(e.assets_after_fees),
+      label: e.term ? termLabel(e.term) : null,
+    })),
+    ...redemptions.map(e => ({ kind: 'redeem', ...base(e), assets: BigInt(e.assets), fees: BigInt(e.fees) })),
+  ]);
+}
+
+/**
+ * @typedef {object} VaultLedger
+ * @property {string} termId
+ * @property {bigint} curveId
+ * @property {string | null} label
+ * @property {bigint} shares          Shares the history accounts for
+ * @property {bigint} costBasis       Cost of the shares still held
+ * @property {bigint} invested        Everything ever deposited (gross where known)
+ * @property {bigint} proceeds        Everything ever received from redeems
+ * @property {bigint} realizedPnl
+ * @property {bigint} entryFees
+ * @property {bigint} exitFees
+ * @property {boolean} entryFeesKnown  False when some deposit's gross amount is missing
+ * @property {number} deposits
+ * @property {number} redemptions
+ * @property {string | null} lastRedeemAt  Timestamp of the latest redeem, when the source has one
+ */
+
+const ledgerKey = (termId, curveId) => `${termId.toLowerCase()}:${curveId}`;
+
+/**
+ * Average-cost ledger per vault. A deposit adds what was paid (gross, or the
+ * after-fee amount when the gross is unknown) to the cost basis; a redeem
+ * removes the same fraction of the cost basis as of the shares, and the
+ * difference to what it paid out is realized PnL.
+ *
+ * @param {PositionEvent[]} events  In chain order
+ * @returns {Map<string, VaultLedger>} keyed by `${termId}:${curveId}`
+ */
+export function buildCostBasis(events) {
+  const ledgers = new Map();
+
+  for (const e of events) {
+    const key = ledgerKey(e.termId, e.curveId);
+    if (!ledgers.has(key)) {
+      ledgers.set(key, {
+        termId: e.termId,
+        curveId: e.curveId,
+        label: null,
+        shares: 0n,
+        costBasis: 0n,
+        invested: 0n,
+        proceeds: 0n,
+        realizedPnl: 0n,
+        entryFees: 0n,
+        exitFees: 0n,
+        entryFeesKnown: true,
+        deposits: 0,
+        redemptions: 0,
+        lastRedeemAt: null,
+      });
+    }
+    const l = ledgers.get(key);
+    l.label = l.label ?? e.label ?? null;
+
+    if (e.kind === 'deposit') {
+      const paid = e.assets ?? e.assetsAfterFees;
+      l.shares += e.shares;
+      l.costBasis += paid;
+      l.invested += paid;
+      if (e.assets === null) l.entryFeesKnown = false;
+      else l.entryFees += e.assets - e.assetsAfterFees;
+      l.deposits++;
+    } else {
+      const released = l.shares > 0n ? (l.costBasis * (e.shares < l.shares ? e.shares : l.shares)) / l.shares : 0n;
+      l.shares = e.shares < l.shares ? l.shares - e.shares : 0n;
+      l.costBasis -= released;
+      l.proceeds += e.assets;
+      l.realizedPnl += e.assets - released;
+      l.exitFees += e.fees;
+      l.redemptions++;
+      l.lastRedeemAt = e.timestamp ?? null;
+    }
+  }
+  return ledgers;
+}
+
+/**
+ * @typedef {object} PositionPnl  Amounts in $TRUST
+ * @property {number} costBasis     Entry value of the shares still held
+ * @property {number} invested
+ * @property {number} proceeds
+ * @property {number} realized
+ * @property {number} unrealized    Current value (pre exit fee) minus cost basis
+ * @property {number} total
+ * @property {number | null} returnPct  Total PnL over invested, in percent
+ * @property {{ entry: number, exit: number, total: number, entryKnown: boolean }} fees
+ * @property {number} deposits
+ * @property {number} redemptions
+ * @property {string | null} lastRedeemAt
+ * @property {boolean} complete     False when the history does not account for every share held
+ */
+
+const toTrust = (wei) => Number(wei) / 1e18;
+
+function ledgerPnl(ledger, value, shares) {
+  const costBasis = toTrust(ledger.costBasis);
+  const realized = toTrust(ledger.realizedPnl);
+  const unrealized = value - costBasis;
+  const invested = toTrust(ledger.invested);
+  return {
+    costBasis,
+    invested,
+    proceeds: toTrust(ledger.proceeds),
+    realized,
+    unrealized,
+    total: realized + unrealized,
+    returnPct: invested > 0 ? ((realized + unrealized) / invested) * 100 : null,
+    fees: {
+      entry: toTrust(ledger.entryFees),
+      exit: toTrust(ledger.exitFees),
+      total: toTrust(ledger.entryFees + ledger.exitFees),
+      entryKnown: ledger.entryFeesKnown,
+    },
+    deposits: ledger.deposits,
+    redemptions: ledger.redemptions,
+    lastRedeemAt: ledger.lastRedeemAt,
+    complete: ledger.shares === BigInt(shares),
+  };
+}
+
+/**
+ * Attach PnL to open positions and summarize the vaults the wallet has
+ * fully exited (realized PnL only).
+ *
+ * @param {Position[]} positions
+ * @param {Map<string, VaultLedger>} ledgers  From buildCostBasis()
+ */
+export function applyCostBasis(positions, ledgers) {
+  const open = new Set();
+  const withPnl = positions.map((p) => {
+    const key = ledgerKey(p.term_id, p.curve_id);
+    const ledger = ledgers.get(key);
+    open.add(key);
+    return { ...p, pnl: ledger ? ledgerPnl(ledger, p.value, p.shares) : null };
+  });
+
+  const closed = [...ledgers.entries()]
+    .filter(([key, l]) => !open.has(key) && l.redemptions > 0 && l.shares === 0n)
+    .map(([, l]) => ({
+      term_id: l.termId,
+      curve_id: String(l.curveId),
+      label: l.label || l.termId,
+      pnl: ledgerPnl(l, 0, 0n),
+    }));
+
+  const sum = (items, pick) => items.reduce((acc, i) => acc + (i.pnl ? pick(i.pnl) : 0), 0);
+  const all = [...withPnl, ...closed];
+  const invested = sum(all, p => p.invested);
+  const total = sum(all, p => p.total);
+
+  return {
+    positions: withPnl,
+    closed,
+    totals: {
+      costBasis: sum(withPnl, p => p.costBasis),
+      invested,
+      realized: sum(all, p => p.realized),
+      unrealized: sum(withPnl, p => p.unrealized),
+      total,
+      returnPct: invested > 0 ? (total / invested) * 100 : null,
+      fees: sum(all, p => p.fees.total),
+      entryFeesKnown: all.every(p => !p.pnl || p.pnl.fees.entryKnown),
+    },
+  };
+}
+
+/**
+ * A wallet's positions, largest first. Every position is read (in pages) so
+ * `total`, `totalValue` and `pnlTotals` always cover the whole wallet;
+ * `positions` holds the `limit` rows from `offset`, or all of them with `all`.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string} address
+ * @param {{ limit?: number, offset?: number, all?: boolean, costBasis?: boolean, events?: PositionEvent[] }} [options]
+ *   With `costBasis`, positions carry `pnl` and the result adds `closed` and
+ *   `pnlTotals`. History comes from `events` when given (e.g. a log scan),
+ *   else from getPositionEvents().
+ * @returns {Promise<{ address: string, positions: Position[], total: number, offset: number, totalValue: number, closed?: object[], pnlTotals?: object }>}
+ */
+export async function getPositions(ctx, address, { limit = 50, offset = 0, all = false, costBasis = false, events } = {}) {
+  if (!address) {
+    throw new ValidationError('Address required');
+  }
+
+  const total = await countPositions(ctx, address);
+  const rows = await fetchPages(page => queryPositions(ctx, address, page), { total });
+  const every = rows.map(toPosition);
+  const totalValue = every.reduce((sum, p) => sum + p.value, 0);
+  const pageOf = (list) => (all ? list : list.slice(offset, offset + limit));
+  const shown = { address, total, offset: all ? 0 : offset, totalValue };
+
+  if (!costBasis) {
+    return { ...shown, positions: pageOf(every) };
+  }
+
+  const history = events ?? await getPositionEvents(ctx, address);
+  const { positions: withPnl, closed, totals } = applyCostBasis(every, buildCostBasis(history));
+  return { ...shown, positions: pageOf(withPnl), closed, pnlTotals: totals };
+}
+
+/**
+ * Filter positions for bulk operations. Every given criterion must match.
+ *
+ * @param {Position[]} positions
+ * @param {{ type?: 'atom' | 'triple', maxValue?: number, predicate?: string }} [filters]
+ *   maxValue is in $TRUST; predicate matches the triple's predicate label, case-insensitively
+ * @returns {Position[]}
+ */
+export function filterPositions(positions, { type, maxValue, predicate } = {}) {
+  if (type && type !== 'atom' && type !== 'triple') {
+    throw new ValidationError('Position type must be "atom" or "triple"');
+  }
+  return positions.filter(p =>
+    (!type || p.type === type) &&
+    (maxValue === undefined || maxValue === null || p.value < maxValue) &&
+    (!predicate || p.triple?.predicate?.toLowerCase() === predicate.toLowerCase())
+  );
+}
@@ -0,0 +1,102 @@
+/**
+ * profile.mjs - Identity profiles for quickstart
+ *
+ * A profile lists the claims an agent makes about itself beyond
+ * [Name] [is] [AI Agent], each with the $TRUST to stake on it:
+ *
+ *   {
+ *     "claims": [
+ *       { "predicate": "operatedBy", "object": "Acme Labs", "stake": "0.1" },
+ *       { "predicate": "hasWebsite", "object": "https://acme.example" },
+ *       { "predicate": "hasCapability", "object": "code-review", "stake": "0.05" },
+ *       { "predicate": "runsOn", "object": "OpenClaw", "stake": "0.05" }
+ *     ]
+ *   }
+ *
+ * The agent is the subject of every claim. A claim without a stake is
+ * created but not staked.
+ */
+
+import { readFileSync } from 'fs';
+import { parseEther } from 'viem';
+import { ValidationError } from './errors.mjs';
+
+/** The claim quickstart always makes, staked with its stake amount. */
+export const AGENT_CLAIM = { predicate: 'is', object: 'AI Agent' };
+
+/**
+ * @typedef {object} ProfileClaim
+ * @property {string} predicate  Atom label (or term ID)
+ * @property {string} object
+ * @property {bigint} stake      $TRUST in wei to stake FOR the claim; 0n for none
+ */
+
+/**
+ * Check and normalize a parsed profile. Every problem is reported together
+ * in one ValidationError.
+ *
+ * @returns {{ claims: ProfileClaim[] }}
+ */
+export function validateProfile(raw) {
+  const claims = Array.isArray(raw) ? raw : raw?.claims;
+  if (!Array.isArray(claims)) {
+    throw new ValidationError('Profile must be a JSON object with a "claims" array');
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const parsed = claims.map((claim, i) => {
+    const fail = (msg) => errors.push(`claims[${i}]: ${msg}`);
+    const field = (name) => (typeof claim?.[name] === 'string' ? claim[name].trim() : '');
+
+    const predicate = field('predicate');
+    const object = field('object');
+    if (!predicate) fail('needs a predicate');
+    if (!object) fail('needs an object');
+
+    const key = `${predicate}/${object}`;
+    if (predicate && object && seen.has(key)) fail(`repeats [${predicate}] [${object}]`);
+    seen.add(key);
+
+    let stake = 0n;
+    if (claim?.stake !== undefined && claim?.stake !== null) {
+      if (/^\d+(\.\d+)?$/.test(String(claim.stake))) {
+        stake = parseEther(String(claim.stake));
+      } else {
+        fail(`stake must be a non-negative $TRUST amount, got "${claim.stake}"`);
+      }
+    }
+    return { predicate, object, stake };
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Profile has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+  return { claims: parsed };
+}
+
+/** Read and validate a profile JSON file. */
+export function readProfile(path) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new ValidationError(`Cannot read profile ${path}: ${err.message}`);
+  }
+  return validateProfile(raw);
+}
+
+/**
+ * Every claim quickstart makes: [Name] [is] [AI Agent] with `stake`, then
+ * the profile's. A profile that lists the agent claim itself sets its stake.
+ *
+ * @param {{ claims: ProfileClaim[] } | null} profile
+ * @param {bigint} stake
+ * @returns {ProfileClaim[]}
+ */
+export function profileClaims(profile, stake) {
+  const isAgentClaim = (c) => c.predicate === AGENT_CLAIM.predicate && c.object === AGENT_CLAIM.object;
+  const claims = profile?.claims ?? [];
+  const own = claims.find(isAgentClaim);
+  return [{ ...AGENT_CLAIM, stake: own ? own.stake : stake }, ...claims.filter(c => !isAgentClaim(c))];
+}
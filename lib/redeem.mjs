@@ -0,0 +1,231 @@
+/**
+ * redeem.mjs - Redeem (unstake) shares from atom and triple vaults
+ *
+ * previewRedeem() reads the position and expected $TRUST; submitRedeem()
+ * sends the redeem for a preview. redeem() is both in one call.
+ * simulateRedeem() dry-runs the redeem. Triples redeem from the FOR vault,
+ * or the AGAINST (counter-triple) vault with `against` or a counter-triple ID.
+ */
+
+import { formatEther } from 'viem';
+import { multiVaultRedeem } from '@0xintuition/protocol';
+import { CURVE_AGAINST, CURVE_FOR, DEFAULT_MAX_SLIPPAGE } from './constants.mjs';
+import { NotFoundError, TransactionError, ValidationError } from './errors.mjs';
+import { readMultiVault, requireWallet, writeConfig } from './context.mjs';
+import { redeemFees, simulateWrite } from './simulate.mjs';
+import { getCounterId, vaultEvents, waitForSuccess } from './terms.mjs';
+import { recordTransaction } from './journal.mjs';
+import { guardSlippage, minimumAfterSlippage, resolveVault } from './vaults.mjs';
+
+/**
+ * @typedef {import('./vaults.mjs').VaultRef & {
+ *   wallet: string,
+ *   maxShares: bigint,
+ *   sharesToRedeem: bigint,
+ *   currentValue: bigint,
+ *   sharePrice: bigint,
+ *   expectedAssets: bigint,
+ *   minAssets: bigint,
+ *   maxSlippage: number,
+ *   sides: TriplePositions | null,
+ * }} RedeemPreview
+ */
+
+/**
+ * @typedef {{ vaultId: string, curveId: bigint, shares: bigint, value: bigint }} SidePosition
+ * @typedef {{ for: SidePosition, against: SidePosition }} TriplePositions
+ */
+
+async function sidePosition(ctx, address, vaultId, curveId) {
+  const shares = await readMultiVault(ctx, 'maxRedeem', [address, vaultId, curveId]);
+  const value = shares > 0n ? await readMultiVault(ctx, 'convertToAssets', [vaultId, curveId, shares]) : 0n;
+  return { vaultId, curveId, shares, value };
+}
+
+/**
+ * A wallet's redeemable shares, and their pre-fee value, on both sides of a
+ * triple: the FOR vault and the AGAINST (counter-triple) vault.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string} tripleId
+ * @param {string} address
+ * @returns {Promise<TriplePositions>}
+ */
+export async function getTriplePositions(ctx, tripleId, address) {
+  const counterId = await getCounterId(ctx, tripleId);
+  return {
+    for: await sidePosition(ctx, address, tripleId, CURVE_FOR),
+    against: await sidePosition(ctx, address, counterId, CURVE_AGAINST),
+  };
+}
+
+/**
+ * Shares to redeem out of `maxShares`: "all", a percentage ("25%") or a
+ * whole number of shares.
+ *
+ * @param {string | number | bigint} shares
+ * @param {bigint} maxShares
+ * @returns {bigint}
+ */
+export function parseShares(shares, maxShares) {
+  if (String(shares).toLowerCase() === 'all') {
+    return maxShares;
+  }
+  const percent = /^(\d+(?:\.\d+)?)%$/.exec(String(shares));
+  if (percent) {
+    const bps = BigInt(Math.round(Number(percent[1]) * 100));
+    if (bps <= 0n || bps > 10000n) {
+      throw new ValidationError('Share percentage must be between 0% and 100%');
+    }
+    return (maxShares * bps) / 10000n;
+  }
+
+  let parsed;
+  try {
+    parsed = BigInt(shares);
+  } catch {
+    throw new ValidationError('Share amount must be a whole number or "all"');
+  }
+  if (parsed <= 0n) {
+    throw new ValidationError('Share amount must be positive');
+  }
+  if (parsed > maxShares) {
+    throw new ValidationError(`Cannot redeem ${parsed} shares. Max redeemable: ${maxShares}`);
+  }
+  return parsed;
+}
+
+/**
+ * expectedAssets comes from the contract's previewRedeem (convertToAssets net
+ * of exit and protocol fees); minAssets is `minAssets` if given, else
+ * expectedAssets less `maxSlippage` percent.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {{
+ *   termId: string,
+ *   shares: bigint | string,
+ *   against?: boolean,
+ *   maxSlippage?: number | string,
+ *   minAssets?: bigint | null,
+ * }} params  shares may be "all" or a percentage of the position, e.g. "50%"
+ * @returns {Promise<RedeemPreview>}
+ * @throws {NotFoundError} when the wallet holds no shares in the vault
+ */
+export async function previewRedeem(ctx, { termId, shares = 'all', against = false, maxSlippage = DEFAULT_MAX_SLIPPAGE, minAssets = null }) {
+  const account = requireWallet(ctx);
+  const vault = await resolveVault(ctx, termId, { against });
+
+  const sides = vault.isTriple ? await getTriplePositions(ctx, vault.termId, account.address) : null;
+  const maxShares = sides
+    ? sides[vault.against ? 'against' : 'for'].shares
+    : await readMultiVault(ctx, 'maxRedeem', [account.address, vault.vaultId, vault.curveId]);
+
+  if (maxShares === 0n) {
+    const other = sides?.[vault.against ? 'for' : 'against'];
+    const hint = other?.shares > 0n
+      ? ` You hold ${other.shares} ${vault.against ? 'FOR' : 'AGAINST'} shares — ${vault.against ? 'drop' : 'add'} --against to redeem those.`
+      : '';
+    throw new NotFoundError(`You have no shares in this vault. Nothing to redeem.${hint}`);
+  }
+
+  const sharesToRedeem = parseShares(shares, maxShares);
+
+  const currentValue = await readMultiVault(ctx, 'convertToAssets', [vault.vaultId, vault.curveId, maxShares]);
+  const sharePrice = await readMultiVault(ctx, 'currentSharePrice', [vault.vaultId, vault.curveId]);
+  // Pre-compute expected $TRUST (after fees) for the shares being redeemed
+  const [expectedAssets] = await readMultiVault(ctx, 'previewRedeem', [vault.vaultId, vault.curveId, sharesToRedeem]);
+
+  return {
+    ...vault,
+    wallet: account.address,
+    maxShares,
+    sharesToRedeem,
+    currentValue,
+    sharePrice,
+    expectedAssets,
+    minAssets: minimumAfterSlippage(expectedAssets, { maxSlippage, minimum: minAssets }),
+    maxSlippage: Number(maxSlippage),
+    sides,
+  };
+}
+
+/**
+ * Dry-run the redeem described by a preview: calldata, gas, $TRUST the
+ * contract would return, fees, or the revert reason. Broadcasts nothing.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {RedeemPreview} preview
+ * @returns {Promise<RedeemPreview & {
+ *   simulation: import('./simulate.mjs').SimulatedCall,
+ *   fees: Awaited<ReturnType<typeof redeemFees>> | null,
+ * }>}
+ */
+export async function simulateRedeem(ctx, preview) {
+  const simulation = await simulateWrite(ctx, {
+    functionName: 'redeem',
+    args: [preview.wallet, preview.vaultId, preview.curveId, preview.sharesToRedeem, preview.minAssets],
+  });
+  const fees = await redeemFees(ctx, preview, preview.sharesToRedeem).catch(() => null);
+
+  return {
+    ...preview,
+    expectedAssets: simulation.ok ? simulation.result : preview.expectedAssets,
+    simulation,
+    fees,
+  };
+}
+
+/**
+ * Send the redeem described by a preview, requiring at least
+ * `preview.minAssets`. The result carries the $TRUST actually paid out and
+ * the fees, read from the vault's Redeemed event.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {RedeemPreview} preview
+ * @returns {Promise<{ hash: string, blockNumber: bigint, assets: bigint, fees: bigint }>}
+ * @throws {import('./errors.mjs').SlippageError | import('./errors.mjs').TransactionError}
+ */
+export async function submitRedeem(ctx, preview) {
+  const hash = await guardSlippage(
+    () => multiVaultRedeem(writeConfig(ctx), {
+      args: [preview.wallet, preview.vaultId, preview.curveId, preview.sharesToRedeem, preview.minAssets],
+    }),
+    { expected: preview.expectedAssets, minimum: preview.minAssets, unit: '$TRUST', format: formatEther },
+  );
+
+  const entry = {
+    action: 'redeem',
+    termId: preview.termId,
+    vaultId: preview.vaultId,
+    curveId: preview.curveId,
+    expected: { shares: preview.sharesToRedeem, assets: preview.expectedAssets, minAssets: preview.minAssets },
+  };
+  const receipt = await waitForSuccess(ctx, hash, entry);
+  const [redeemed] = vaultEvents(receipt, 'Redeemed', [preview]);
+  recordTransaction(ctx, {
+    ...entry,
+    hash,
+    block: receipt.blockNumber,
+    status: 'success',
+    realized: { shares: redeemed?.shares ?? null, assets: redeemed?.assets ?? null, fees: redeemed?.fees ?? null },
+  });
+  if (!redeemed) {
+    throw new TransactionError(`No Redeemed event for ${preview.vaultId}`, { hash, blockNumber: receipt.blockNumber });
+  }
+  return {
+    hash,
+    blockNumber: receipt.blockNumber,
+    assets: redeemed.assets,
+    fees: redeemed.fees,
+  };
+}
+
+/**
+ * Preview and submit a redeem in one call.
+ *
+ * @returns {Promise<RedeemPreview & { hash: string, blockNumber: bigint, assets: bigint, fees: bigint }>}
+ */
+export async function redeem(ctx, params) {
+  const preview = await previewRedeem(ctx, params);
+  return { ...preview, ...(await submitRedeem(ctx, preview)) };
+}
@@ -0,0 +1,156 @@
+/**
+ * signers.mjs - Pluggable signer backends for write operations
+ *
+ * A signer spec selects where transactions get signed:
+ *
+ *   key                      Local key from --wallet / INTUITION_PRIVATE_KEY (default)
+ *   rpc:<url|socket>         JSON-RPC endpoint implementing eth_signTransaction
+ *                            (web3signer, a node with unlocked accounts, ...)
+ *   external:<url|socket>    Signer daemon speaking the Clef account_* API
+ *   eip1193:<module>         Module whose default export is an EIP-1193 provider
+ *                            (or a function returning one)
+ *
+ * URLs are http(s); anything else is treated as a local IPC socket path.
+ * With rpc/external the key never enters this process: viem prepares the
+ * transaction, the backend signs it, and the raw transaction is broadcast
+ * through the network RPC as usual.
+ */
+
+import { createClient, formatTransactionRequest, getAddress, http, numberToHex, stringToHex, toHex } from 'viem';
+import { toAccount } from 'viem/accounts';
+import { ipc } from 'viem/node';
+import { isAbsolute, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { loadAccount } from './wallet.mjs';
+import { ValidationError, WalletError } from './errors.mjs';
+
+export const SIGNER_TYPES = ['key', 'rpc', 'external', 'eip1193'];
+
+/**
+ * Split a spec string ("rpc:http://127.0.0.1:9000") into { type, target }.
+ * Objects ({ type, target }) pass through after validation.
+ */
+export function parseSignerSpec(spec = 'key') {
+  const parsed = typeof spec === 'object'
+    ? spec
+    : { type: spec.split(':', 1)[0], target: spec.includes(':') ? spec.slice(spec.indexOf(':') + 1) : null };
+
+  if (!SIGNER_TYPES.includes(parsed.type)) {
+    throw new ValidationError(`Unknown signer "${parsed.type}". Use one of: ${SIGNER_TYPES.join(', ')}`);
+  }
+  if (parsed.type !== 'key' && !parsed.target) {
+    throw new ValidationError(`Signer "${parsed.type}" needs a target, e.g. ${parsed.type}:http://127.0.0.1:8550`);
+  }
+  return parsed;
+}
+
+function rpcClient(target) {
+  const transport = /^https?:\/\//.test(target) ? http(target) : ipc(target);
+  return createClient({ transport });
+}
+
+/** Pick the signing address: the requested one if the backend has it, else its only account. */
+function selectAddress(accounts, requested, label) {
+  const available = (accounts || []).map(a => getAddress(a));
+  if (requested) {
+    const address = getAddress(requested);
+    if (available.length > 0 && !available.includes(address)) {
+      throw new WalletError(`${label} does not manage ${address}. Available: ${available.join(', ')}`);
+    }
+    return address;
+  }
+  if (available.length === 1) return available[0];
+  if (available.length === 0) throw new WalletError(`${label} reported no accounts`);
+  throw new WalletError(`${label} has ${available.length} accounts; choose one with --signer-address`);
+}
+
+function signRequest(tx, address) {
+  return { ...formatTransactionRequest({ ...tx, from: address }), chainId: numberToHex(tx.chainId) };
+}
+
+// eth_signTransaction returns the raw hex, or { raw, tx } on geth-style nodes
+const rawFrom = (result) => (typeof result === 'string' ? result : result.raw);
+
+const jsonWithBigInt = (value) => JSON.stringify(value, (_, v) => (typeof v === 'bigint' ? toHex(v) : v));
+
+const messageHex = (message) => (typeof message === 'string' ? stringToHex(message) : message.raw);
+
+async function rpcSigner(target, requested) {
+  const client = rpcClient(target);
+  const address = selectAddress(await client.request({ method: 'eth_accounts' }), requested, `Signer at ${target}`);
+
+  return toAccount({
+    address,
+    async signTransaction(tx) {
+      return rawFrom(await client.request({ method: 'eth_signTransaction', params: [signRequest(tx, address)] }));
+    },
+    signMessage({ message }) {
+      return client.request({ method: 'personal_sign', params: [messageHex(message), address] });
+    },
+    signTypedData(typedData) {
+      return client.request({ method: 'eth_signTypedData_v4', params: [address, jsonWithBigInt(typedData)] });
+    },
+  });
+}
+
+async function externalSigner(target, requested) {
+  const client = rpcClient(target);
+  const address = selectAddress(await client.request({ method: 'account_list' }), requested, `Signer daemon at ${target}`);
+
+  return toAccount({
+    address,
+    async signTransaction(tx) {
+      return rawFrom(await client.request({ method: 'account_signTransaction', params: [signRequest(tx, address)] }));
+    },
+    signMessage({ message }) {
+      return client.request({ method: 'account_signData', params: ['text/plain', address, messageHex(message)] });
+    },
+    signTypedData(typedData) {
+      return client.request({ method: 'account_signTypedData', params: [address, JSON.parse(jsonWithBigInt(typedData))] });
+    },
+  });
+}
+
+async function eip1193Signer(target, requested) {
+  const url = pathToFileURL(isAbsolute(target) ? target : resolve(target)).href;
+  const mod = await import(url);
+  const exported = mod.default ?? mod.provider;
+  const provider = typeof exported === 'function' ? await exported() : exported;
+  if (!provider || typeof provider.request !== 'function') {
+    throw new WalletError(`${target} does not export an EIP-1193 provider`);
+  }
+
+  const accounts = await provider.request({ method: 'eth_requestAccounts' })
+    .catch(() => provider.request({ method: 'eth_accounts' }));
+  return { account: selectAddress(accounts, requested, 'EIP-1193 provider'), provider };
+}
+
+/**
+ * @typedef {object} SignerOptions
+ * @property {string | { type: string, target?: string }} [signer]  Spec; default "key"
+ * @property {string} [address]      Which account to use when the backend has several
+ * @property {string} [walletPath]   key backend: wallet file
+ * @property {string} [privateKey]   key backend: raw key
+ */
+
+/**
+ * Resolve a signer into options for createIntuitionClient / createContext:
+ * `{ account }` for key/rpc/external, `{ account, provider }` for EIP-1193.
+ *
+ * @param {SignerOptions & import('./wallet.mjs').PassphraseSource} [options]
+ * @returns {Promise<{ signerType: string, account: import('viem').Account | `0x${string}`, provider?: object }>}
+ */
+export async function createSigner({ signer, address, ...walletSource } = {}) {
+  const { type, target } = parseSignerSpec(signer);
+
+  switch (type) {
+    case 'rpc':
+      return { signerType: type, account: await rpcSigner(target, address) };
+    case 'external':
+      return { signerType: type, account: await externalSigner(target, address) };
+    case 'eip1193':
+      return { signerType: type, ...(await eip1193Signer(target, address)) };
+    default:
+      return { signerType: type, account: await loadAccount(walletSource) };
+  }
+}
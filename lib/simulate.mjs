@@ -0,0 +1,141 @@
+/**
+ * simulate.mjs - Dry-run MultiVault writes without broadcasting
+ *
+ * simulateWrite() runs a call through eth_call (simulateContract) and
+ * eth_estimateGas as the wallet would send it, returning the exact calldata,
+ * msg.value, gas, the call's return value, or the decoded revert reason.
+ * Nothing is signed and nothing reaches the mempool.
+ */
+
+import { BaseError, ContractFunctionRevertedError, encodeFunctionData, formatEther, formatGwei } from 'viem';
+import { MultiVaultAbi } from '@0xintuition/protocol';
+import { readMultiVault } from './context.mjs';
+
+/**
+ * @typedef {object} SimulatedCall
+ * @property {string} functionName
+ * @property {`0x${string}`} to          MultiVault address
+ * @property {`0x${string}` | null} from  Sender, null when no wallet exists yet
+ * @property {`0x${string}`} data        Calldata exactly as it would be sent
+ * @property {bigint} value              msg.value in wei
+ * @property {boolean | null} ok         null when the call was not simulated (see `skipped`)
+ * @property {*} result                  Decoded return value (e.g. shares minted)
+ * @property {bigint | null} gas         Gas estimate
+ * @property {bigint | null} gasPrice
+ * @property {string | null} revertReason
+ * @property {string} [skipped]          Why the call could not be simulated yet
+ */
+
+/**
+ * Decoded revert reason for a failed simulation: the custom error name and
+ * arguments when the ABI knows it, else the node's message.
+ */
+export function revertReason(err) {
+  const reverted = err instanceof BaseError ? err.walk(e => e instanceof ContractFunctionRevertedError) : null;
+  if (reverted?.data?.errorName) {
+    const args = (reverted.data.args || []).map(String);
+    return `${reverted.data.errorName}(${args.join(', ')})`;
+  }
+  if (reverted?.reason) return reverted.reason;
+  return err.shortMessage || err.message;
+}
+
+/**
+ * Simulate one MultiVault call from the context's account.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {{ functionName: string, args: any[], value?: bigint, from?: string | null }} call
+ * @param {{ skip?: string }} [options]  Pass `skip` when the call depends on an
+ *   earlier one that has not happened; calldata is still returned.
+ * @returns {Promise<SimulatedCall>}
+ */
+export async function simulateWrite(ctx, { functionName, args, value = 0n, from }, { skip } = {}) {
+  const sender = from !== undefined ? from : ctx.account?.address ?? null;
+  const call = {
+    functionName,
+    to: ctx.multiVaultAddress,
+    from: sender,
+    data: encodeFunctionData({ abi: MultiVaultAbi, functionName, args }),
+    value,
+    ok: null,
+    result: null,
+    gas: null,
+    gasPrice: null,
+    revertReason: null,
+  };
+  if (skip) {
+    return { ...call, skipped: skip };
+  }
+
+  const request = {
+    address: ctx.multiVaultAddress,
+    abi: MultiVaultAbi,
+    functionName,
+    args,
+    value,
+    ...(sender && { account: sender }),
+  };
+
+  try {
+    const { result } = await ctx.publicClient.simulateContract(request);
+    const gas = await ctx.publicClient.estimateContractGas(request);
+    const gasPrice = await ctx.publicClient.getGasPrice();
+    return { ...call, ok: true, result, gas, gasPrice };
+  } catch (err) {
+    return { ...call, ok: false, revertReason: revertReason(err) };
+  }
+}
+
+/**
+ * Fees the MultiVault takes from a deposit of `assets` into a vault.
+ * `total` is what previewDeposit withholds; the rest is the breakdown the
+ * fee views report (the atom fraction only applies to triple vaults).
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {import('./vaults.mjs').VaultRef} vault
+ * @param {bigint} assets
+ */
+export async function depositFees(ctx, vault, assets) {
+  const [shares, assetsAfterFees] = await readMultiVault(ctx, 'previewDeposit', [vault.vaultId, vault.curveId, assets]);
+  const entry = await readMultiVault(ctx, 'entryFeeAmount', [assets]);
+  const protocol = await readMultiVault(ctx, 'protocolFeeAmount', [assets]);
+  const atomDepositFraction = vault.isTriple ? await readMultiVault(ctx, 'atomDepositFractionAmount', [assets]) : 0n;
+
+  return { shares, assetsAfterFees, total: assets - assetsAfterFees, entry, protocol, atomDepositFraction };
+}
+
+/**
+ * Fees the MultiVault takes when redeeming `shares`: the gross value of the
+ * shares minus what previewRedeem says the wallet receives.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {import('./vaults.mjs').VaultRef} vault
+ * @param {bigint} shares
+ */
+export async function redeemFees(ctx, vault, shares) {
+  const gross = await readMultiVault(ctx, 'convertToAssets', [vault.vaultId, vault.curveId, shares]);
+  const [assetsAfterFees] = await readMultiVault(ctx, 'previewRedeem', [vault.vaultId, vault.curveId, shares]);
+  const exit = await readMultiVault(ctx, 'exitFeeAmount', [gross]);
+  const protocol = await readMultiVault(ctx, 'protocolFeeAmount', [gross]);
+
+  return { gross, assetsAfterFees, total: gross - assetsAfterFees, exit, protocol };
+}
+
+/** Human-readable report lines for a SimulatedCall, as the scripts print them. */
+export function formatSimulation(sim) {
+  const lines = [
+    `Call:     ${sim.functionName} on ${sim.to}`,
+    `From:     ${sim.from ?? '(no wallet yet)'}`,
+    `Value:    ${formatEther(sim.value)} $TRUST (${sim.value} wei)`,
+    `Calldata: ${sim.data}`,
+  ];
+  if (sim.ok === null) {
+    lines.push(`Result:   not simulated — ${sim.skipped}`);
+  } else if (sim.ok) {
+    lines.push(`Gas:      ${sim.gas} (~${formatEther(sim.gas * sim.gasPrice)} $TRUST at ${formatGwei(sim.gasPrice)} gwei)`);
+    lines.push('Result:   \u2713 would succeed');
+  } else {
+    lines.push(`Result:   \u2717 would revert: ${sim.revertReason}`);
+  }
+  return lines;
+}
@@ -0,0 +1,166 @@
+/**
+ * stake.mjs - Deposit $TRUST into atom and triple vaults
+ *
+ * previewStake() does every read (existence, vault, balance, share preview)
+ * without spending anything; submitStake() sends the deposit for a preview.
+ * stake() is both in one call. simulateStake() dry-runs the deposit.
+ */
+
+import { formatEther } from 'viem';
+import { multiVaultDeposit } from '@0xintuition/protocol';
+import { BRIDGE_URL, DEFAULT_MAX_SLIPPAGE } from './constants.mjs';
+import { InsufficientFundsError, TransactionError } from './errors.mjs';
+import { readMultiVault, requireWallet, writeConfig } from './context.mjs';
+import { depositFees, simulateWrite } from './simulate.mjs';
+import { vaultEvents, waitForSuccess } from './terms.mjs';
+import { recordTransaction } from './journal.mjs';
+import { guardSlippage, minimumAfterSlippage, parseAmount, resolveVault } from './vaults.mjs';
+
+/**
+ * @typedef {import('./vaults.mjs').VaultRef & {
+ *   wallet: string,
+ *   balance: bigint,
+ *   amount: string,
+ *   assets: bigint,
+ *   expectedShares: bigint,
+ *   minShares: bigint,
+ *   maxSlippage: number,
+ *   sharePrice: bigint,
+ *   sufficientBalance: boolean,
+ * }} StakePreview
+ */
+
+/**
+ * Expected shares come from previewDeposit (convertToShares net of fees),
+ * and minShares is what the deposit will insist on: `minShares` if given,
+ * else expectedShares less `maxSlippage` percent.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {{
+ *   termId: string,
+ *   amount: string | number,
+ *   against?: boolean,
+ *   maxSlippage?: number | string,
+ *   minShares?: bigint | null,
+ * }} params
+ * @returns {Promise<StakePreview>}
+ */
+export async function previewStake(ctx, { termId, amount, against = false, maxSlippage = DEFAULT_MAX_SLIPPAGE, minShares = null }) {
+  const assets = parseAmount(amount);
+  const account = requireWallet(ctx);
+  const vault = await resolveVault(ctx, termId, { against });
+
+  const balance = await ctx.publicClient.getBalance({ address: account.address });
+  const [expectedShares] = await readMultiVault(ctx, 'previewDeposit', [vault.vaultId, vault.curveId, assets]);
+  const sharePrice = await readMultiVault(ctx, 'currentSharePrice', [vault.vaultId, vault.curveId]);
+
+  return {
+    ...vault,
+    wallet: account.address,
+    balance,
+    amount: String(amount),
+    assets,
+    expectedShares,
+    minShares: minimumAfterSlippage(expectedShares, { maxSlippage, minimum: minShares }),
+    maxSlippage: Number(maxSlippage),
+    sharePrice,
+    sufficientBalance: balance >= assets,
+  };
+}
+
+/**
+ * Dry-run the deposit described by a preview: calldata, msg.value, gas,
+ * shares the contract would mint, fees, or the revert reason. Broadcasts
+ * nothing.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {StakePreview} preview
+ * @returns {Promise<StakePreview & {
+ *   simulation: import('./simulate.mjs').SimulatedCall,
+ *   fees: Awaited<ReturnType<typeof depositFees>> | null,
+ * }>}
+ */
+export async function simulateStake(ctx, preview) {
+  const simulation = await simulateWrite(ctx, {
+    functionName: 'deposit',
+    args: [preview.wallet, preview.vaultId, preview.curveId, preview.minShares],
+    value: preview.assets,
+  });
+  // Fee views revert for the same reasons the deposit would; the revert reason covers it
+  const fees = await depositFees(ctx, preview, preview.assets).catch(() => null);
+
+  return {
+    ...preview,
+    expectedShares: simulation.ok ? simulation.result : preview.expectedShares,
+    simulation,
+    fees,
+  };
+}
+
+/**
+ * Send the deposit described by a preview, requiring at least
+ * `preview.minShares`. The result carries the shares actually minted, read
+ * from the vault's Deposited event.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {StakePreview} preview
+ * @returns {Promise<{ hash: string, blockNumber: bigint, newBalance: bigint, shares: bigint, assetsAfterFees: bigint }>}
+ * @throws {InsufficientFundsError | import('./errors.mjs').SlippageError | import('./errors.mjs').TransactionError}
+ */
+export async function submitStake(ctx, preview) {
+  if (!preview.sufficientBalance) {
+    throw new InsufficientFundsError(
+      `Insufficient balance. Need ${preview.amount} $TRUST but have ${formatEther(preview.balance)}\n` +
+      `Bridge $TRUST from Base: ${BRIDGE_URL}`,
+      { balance: preview.balance, needed: preview.assets },
+    );
+  }
+
+  const hash = await guardSlippage(
+    () => multiVaultDeposit(writeConfig(ctx), {
+      args: [preview.wallet, preview.vaultId, preview.curveId, preview.minShares],
+      value: preview.assets,
+    }),
+    { expected: preview.expectedShares, minimum: preview.minShares, unit: 'shares' },
+  );
+
+  const entry = {
+    action: 'stake',
+    termId: preview.termId,
+    vaultId: preview.vaultId,
+    curveId: preview.curveId,
+    value: preview.assets,
+    expected: { shares: preview.expectedShares, minShares: preview.minShares },
+  };
+  const receipt = await waitForSuccess(ctx, hash, entry);
+  const newBalance = await ctx.publicClient.getBalance({ address: preview.wallet });
+  const [deposited] = vaultEvents(receipt, 'Deposited', [preview]);
+  recordTransaction(ctx, {
+    ...entry,
+    hash,
+    block: receipt.blockNumber,
+    status: 'success',
+    realized: { shares: deposited?.shares ?? null, assetsAfterFees: deposited?.assetsAfterFees ?? null },
+  });
+  if (!deposited) {
+    throw new TransactionError(`No Deposited event for ${preview.vaultId}`, { hash, blockNumber: receipt.blockNumber });
+  }
+
+  return {
+    hash,
+    blockNumber: receipt.blockNumber,
+    newBalance,
+    shares: deposited.shares,
+    assetsAfterFees: deposited.assetsAfterFees,
+  };
+}
+
+/**
+ * Preview and submit a deposit in one call.
+ *
+ * @returns {Promise<StakePreview & { hash: string, blockNumber: bigint, newBalance: bigint, shares: bigint }>}
+ */
+export async function stake(ctx, params) {
+  const preview = await previewStake(ctx, params);
+  return { ...preview, ...(await submitStake(ctx, preview)) };
+}
@@ -0,0 +1,245 @@
+/**
+ * strategy.mjs - Declarative exit rules evaluated against a wallet's positions
+ *
+ * A strategy file is a list of rules. Each rule narrows the positions it
+ * applies to (`match`), states conditions on position metrics (`when`, all
+ * must hold) and how much to redeem. For each position the first rule that
+ * fires decides; evaluateStrategy() only reports the actions and
+ * executeStrategy() carries them out through previewRedeem/submitRedeem.
+ *
+ *   { "rules": [
+ *     { "name": "take-profit", "when": { "returnPct": { "gte": 100 } }, "redeem": "50%" },
+ *     { "name": "time-exit",   "when": { "ageDays": { "gte": 30 } },    "redeem": "all" },
+ *     { "name": "disputed", "match": { "type": "triple" },
+ *       "when": { "againstPct": { "gt": 40 } }, "redeem": "all" }
+ *   ] }
+ */
+
+import { readFileSync } from 'fs';
+import { CURVE_AGAINST, CURVE_FOR, DEFAULT_MAX_SLIPPAGE } from './constants.mjs';
+import { IntuitionError, ValidationError } from './errors.mjs';
+import { getPositionEvents, getPositions } from './positions.mjs';
+import { fillDepositAssets } from './events.mjs';
+import { previewRedeem, submitRedeem } from './redeem.mjs';
+import { getCounterId } from './terms.mjs';
+import { getVaultState, resolveVault } from './vaults.mjs';
+
+/** Metrics a rule's `when` can test, per position. */
+export const STRATEGY_METRICS = {
+  returnPct: 'Total PnL over everything deposited, in percent',
+  unrealized: 'Current value minus cost basis, in $TRUST',
+  value: 'Current value (before exit fees), in $TRUST',
+  costBasis: 'Entry value of the shares held, in $TRUST',
+  ageDays: 'Days since the position was opened',
+  daysSinceRedeem: 'Days since the last redeem from this vault (never = infinite)',
+  againstPct: "AGAINST assets as a percent of the claim's FOR + AGAINST assets (triples only)",
+};
+
+const OPERATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+};
+
+const DAY_MS = 86400000;
+
+/**
+ * @typedef {object} StrategyRule
+ * @property {string} name
+ * @property {{ type?: 'atom' | 'triple', side?: 'for' | 'against', predicate?: string, termIds?: string[] }} match
+ * @property {{ metric: string, op: string, value: number }[]} when
+ * @property {number} percent   Share of the position to redeem, 1-100
+ *
+ * @typedef {object} Strategy
+ * @property {StrategyRule[]} rules
+ * @property {number} maxSlippage
+ */
+
+function parseRedeem(redeem) {
+  if (String(redeem).toLowerCase() === 'all') return 100;
+  const percent = Number(String(redeem).replace(/%$/, ''));
+  return percent > 0 && percent <= 100 ? percent : null;
+}
+
+/**
+ * Check and normalize a parsed strategy (`{ rules: [...] }` or a bare array).
+ * Every problem is reported together in one ValidationError.
+ *
+ * @returns {Strategy}
+ */
+export function validateStrategy(raw) {
+  const list = Array.isArray(raw) ? raw : raw?.rules;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new ValidationError('Strategy needs a non-empty "rules" array');
+  }
+
+  const errors = [];
+  const rules = list.map((rule, i) => {
+    const name = rule.name || `rule ${i + 1}`;
+    const fail = (msg) => errors.push(`${name}: ${msg}`);
+    const match = rule.match || {};
+
+    if (match.type && !['atom', 'triple'].includes(match.type)) fail('match.type must be "atom" or "triple"');
+    if (match.side && !['for', 'against'].includes(match.side)) fail('match.side must be "for" or "against"');
+    if (match.termIds && !Array.isArray(match.termIds)) fail('match.termIds must be an array');
+
+    const when = Object.entries(rule.when || {}).flatMap(([metric, test]) => {
+      if (!STRATEGY_METRICS[metric]) {
+        fail(`unknown metric "${metric}" (use ${Object.keys(STRATEGY_METRICS).join(', ')})`);
+        return [];
+      }
+      return Object.entries(test || {}).map(([op, value]) => {
+        if (!OPERATORS[op]) fail(`${metric}: unknown operator "${op}" (use gt, gte, lt, lte)`);
+        else if (typeof value !== 'number' || Number.isNaN(value)) fail(`${metric}.${op} must be a number`);
+        return { metric, op, value };
+      });
+    });
+    if (when.length === 0) fail('needs at least one condition in "when"');
+
+    const percent = parseRedeem(rule.redeem ?? 'all');
+    if (percent === null) fail(`redeem must be "all" or a percentage between 0 and 100, got "${rule.redeem}"`);
+
+    return { name, match, when, percent };
+  });
+
+  const maxSlippage = raw.maxSlippage ?? DEFAULT_MAX_SLIPPAGE;
+  if (typeof maxSlippage !== 'number' || !(maxSlippage >= 0 && maxSlippage <= 100)) {
+    errors.push('maxSlippage: must be a percentage from 0 to 100');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Strategy has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+  return { rules, maxSlippage };
+}
+
+/** Read and validate a strategy JSON file. */
+export function readStrategy(path) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new ValidationError(`Cannot read strategy file ${path}: ${err.message}`);
+  }
+  return validateStrategy(raw);
+}
+
+const sideOf = (position) => (position.type !== 'triple' ? null : BigInt(position.curve_id) === CURVE_AGAINST ? 'against' : 'for');
+
+/** Metric values for one position; null where the data is missing. */
+export function positionMetrics(position, { now = Date.now(), againstPct = null } = {}) {
+  const { pnl } = position;
+  const since = (time) => (time ? (now - new Date(time).getTime()) / DAY_MS : null);
+  return {
+    returnPct: pnl?.returnPct ?? null,
+    unrealized: pnl?.unrealized ?? null,
+    value: position.value,
+    costBasis: pnl?.costBasis ?? null,
+    ageDays: since(position.created_at),
+    daysSinceRedeem: pnl && pnl.redemptions === 0 ? Infinity : since(pnl?.lastRedeemAt),
+    againstPct,
+  };
+}
+
+/** Whether a rule's `match` covers the position and every `when` condition holds. */
+export function ruleMatches(rule, position, metrics) {
+  const { type, side, predicate, termIds } = rule.match;
+  if (type && position.type !== type) return false;
+  if (side && sideOf(position) !== side) return false;
+  if (predicate && position.triple?.predicate?.toLowerCase() !== predicate.toLowerCase()) return false;
+  if (termIds && !termIds.some(id => id.toLowerCase() === position.term_id.toLowerCase())) return false;
+  return rule.when.every(({ metric, op, value }) => metrics[metric] !== null && OPERATORS[op](metrics[metric], value));
+}
+
+/** AGAINST assets as a percent of both sides of the claim a triple position is on. */
+async function againstShare(ctx, position) {
+  const vault = await resolveVault(ctx, position.term_id);
+  const counterId = vault.against ? vault.vaultId : await getCounterId(ctx, vault.termId);
+  const pro = await getVaultState(ctx, vault.termId, CURVE_FOR);
+  const con = await getVaultState(ctx, counterId, CURVE_AGAINST);
+  const total = pro.totalAssets + con.totalAssets;
+  return total > 0n ? Number((con.totalAssets * 10000n) / total) / 100 : 0;
+}
+
+/**
+ * @typedef {object} StrategyAction
+ * @property {string} rule
+ * @property {string} termId     Vault term (counter-triple ID for AGAINST positions)
+ * @property {string} label
+ * @property {'atom' | 'triple'} type
+ * @property {'for' | 'against' | null} side
+ * @property {number} percent
+ * @property {number} value      Approximate $TRUST redeemed, before exit fees
+ * @property {object} metrics
+ */
+
+/**
+ * Run every rule against the wallet's current positions (with cost basis).
+ * Reads only; nothing is sent.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {Strategy} strategy
+ * @param {{ address?: string, now?: number }} [options]
+ * @returns {Promise<{ wallet: string, positions: object[], actions: StrategyAction[] }>}
+ */
+export async function evaluateStrategy(ctx, strategy, { address = ctx.account?.address, now = Date.now() } = {}) {
+  if (!address) {
+    throw new ValidationError('Address required');
+  }
+
+  const events = await fillDepositAssets(ctx, await getPositionEvents(ctx, address));
+  const { positions } = await getPositions(ctx, address, { all: true, costBasis: true, events });
+  const needsClaims = strategy.rules.some(r => r.when.some(c => c.metric === 'againstPct'));
+
+  const evaluated = [];
+  for (const position of positions) {
+    const againstPct = needsClaims && position.type === 'triple' ? await againstShare(ctx, position) : null;
+    const metrics = positionMetrics(position, { now, againstPct });
+    const rule = strategy.rules.find(r => ruleMatches(r, position, metrics)) || null;
+    evaluated.push({
+      termId: position.term_id,
+      label: position.label,
+      type: position.type,
+      side: sideOf(position),
+      shares: position.shares,
+      metrics,
+      rule: rule?.name ?? null,
+      percent: rule?.percent ?? null,
+    });
+  }
+
+  const actions = evaluated.filter(p => p.rule).map(({ shares, ...p }) => ({
+    ...p,
+    value: (p.metrics.value * p.percent) / 100,
+  }));
+  return { wallet: address, positions: evaluated, actions };
+}
+
+/**
+ * Carry out the actions of an evaluation one redeem at a time. A failed
+ * redeem (e.g. slippage) is recorded and the rest still run.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {{ actions: StrategyAction[] }} evaluation
+ * @param {{ maxSlippage?: number | string }} [options]
+ * @returns {Promise<(StrategyAction & { status: 'redeemed' | 'failed', hash?: string, assets?: bigint, fees?: bigint, error?: string })[]>}
+ */
+export async function executeStrategy(ctx, evaluation, { maxSlippage = DEFAULT_MAX_SLIPPAGE } = {}) {
+  const results = [];
+  for (const action of evaluation.actions) {
+    try {
+      const preview = await previewRedeem(ctx, {
+        termId: action.termId,
+        shares: action.percent === 100 ? 'all' : `${action.percent}%`,
+        maxSlippage,
+      });
+      const result = await submitRedeem(ctx, preview);
+      results.push({ ...action, status: 'redeemed', shares: preview.sharesToRedeem, expectedAssets: preview.expectedAssets, ...result });
+    } catch (err) {
+      if (!(err instanceof IntuitionError)) throw err;
+      results.push({ ...action, status: 'failed', error: err.message, code: err.code });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,129 @@
+/**
+ * subscriptions.mjs - GraphQL subscriptions over WebSocket (graphql-ws protocol)
+ *
+ * Speaks the `graphql-transport-ws` subprotocol the indexer's Hasura serves
+ * next to the HTTP endpoint: connection_init/ack, subscribe, next, error,
+ * complete and ping/pong. A dropped connection is reopened with backoff and
+ * the subscription sent again, with `variables()` called anew so the caller
+ * can resume from the last row it saw.
+ *
+ * Uses the global WebSocket (Node 22+) and falls back to the `ws` package.
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import { DEFAULT_GRAPHQL_ENDPOINT } from './constants.mjs';
+import { GraphQLError } from './errors.mjs';
+
+const PROTOCOL = 'graphql-transport-ws';
+const ACK_TIMEOUT_MS = 10_000;
+
+/** WebSocket URL for a GraphQL endpoint: ctx.graphqlWsEndpoint, else http(s) -> ws(s). */
+export function graphqlWsEndpoint(ctx) {
+  if (ctx?.graphqlWsEndpoint) return ctx.graphqlWsEndpoint;
+  return (ctx?.graphqlEndpoint || DEFAULT_GRAPHQL_ENDPOINT).replace(/^http/, 'ws');
+}
+
+async function webSocketClass() {
+  if (globalThis.WebSocket) return globalThis.WebSocket;
+  const { default: WebSocket } = await import('ws');
+  return WebSocket;
+}
+
+/** Run one connection until it closes; resolves with why it ended. */
+function connectOnce(WebSocket, url, { query, variables, onData, onStatus, signal }) {
+  return new Promise((resolve) => {
+    const socket = new WebSocket(url, PROTOCOL);
+    let acked = false;
+    let settled = false;
+    let queue = Promise.resolve();
+    const send = (message) => socket.send(JSON.stringify(message));
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(ackTimer);
+      signal?.removeEventListener('abort', abort);
+      try { socket.close(); } catch (e) {}
+      resolve({ acked, ...result });
+    };
+    const abort = () => {
+      if (acked) {
+        try { send({ id: '1', type: 'complete' }); } catch (e) {}
+      }
+      finish({ reason: 'aborted' });
+    };
+    const ackTimer = setTimeout(() => finish({ reason: 'no connection_ack' }), ACK_TIMEOUT_MS);
+    signal?.addEventListener('abort', abort, { once: true });
+
+    socket.addEventListener('open', () => send({ type: 'connection_init', payload: {} }));
+    socket.addEventListener('error', (event) => finish({ reason: event?.message || event?.error?.message || 'socket error' }));
+    socket.addEventListener('close', (event) => finish({ reason: `closed (${event.code}${event.reason ? ` ${event.reason}` : ''})` }));
+    socket.addEventListener('message', (event) => {
+      let message;
+      try {
+        message = JSON.parse(typeof event.data === 'string' ? event.data : event.data.toString());
+      } catch (e) {
+        return;
+      }
+
+      if (message.type === 'connection_ack') {
+        acked = true;
+        clearTimeout(ackTimer);
+        onStatus?.({ status: 'connected', url });
+        send({ id: '1', type: 'subscribe', payload: { query, variables: variables() } });
+      } else if (message.type === 'ping') {
+        send({ type: 'pong' });
+      } else if (message.type === 'next') {
+        if (message.payload?.errors) {
+          finish({ fatal: new GraphQLError(`GraphQL errors: ${message.payload.errors.map(e => e.message).join(', ')}`, { details: message.payload.errors }) });
+          return;
+        }
+        queue = queue.then(() => !settled && onData(message.payload.data)).catch(err => finish({ fatal: err }));
+      } else if (message.type === 'error') {
+        const errors = Array.isArray(message.payload) ? message.payload : [message.payload];
+        finish({ fatal: new GraphQLError(`GraphQL errors: ${errors.map(e => e?.message).join(', ')}`, { details: errors }) });
+      } else if (message.type === 'complete') {
+        finish({ reason: 'completed' });
+      }
+    });
+  });
+}
+
+/**
+ * Subscribe and keep the subscription alive until `signal` aborts. Each
+ * result is passed to `onData` (awaited, so rows are handled in order).
+ * Connection loss reconnects after 1s, doubling up to `maxDelay`; the delay
+ * resets once a connection is acknowledged. Query errors are not retried.
+ *
+ * @param {{ graphqlEndpoint?: string, graphqlWsEndpoint?: string }} ctx
+ * @param {{
+ *   query: string,
+ *   variables?: object | (() => object),
+ *   onData: (data: object) => Promise<void> | void,
+ *   onStatus?: (status: { status: 'connected' | 'reconnecting', url: string, reason?: string, delay?: number }) => void,
+ *   signal?: AbortSignal,
+ *   maxDelay?: number,
+ * }} options
+ * @returns {Promise<void>} resolves when aborted or the server completes the subscription
+ * @throws {GraphQLError} when the server rejects the query
+ */
+export async function subscribe(ctx, { query, variables = {}, onData, onStatus, signal, maxDelay = 30_000 }) {
+  const WebSocket = await webSocketClass();
+  const url = graphqlWsEndpoint(ctx);
+  const vars = typeof variables === 'function' ? variables : () => variables;
+  let delay = 1000;
+
+  while (!signal?.aborted) {
+    const result = await connectOnce(WebSocket, url, { query, variables: vars, onData, onStatus, signal });
+    if (result.fatal) throw result.fatal;
+    if (result.reason === 'aborted' || result.reason === 'completed') return;
+
+    if (result.acked) delay = 1000;
+    onStatus?.({ status: 'reconnecting', url, reason: result.reason, delay });
+    try {
+      await sleep(delay, undefined, { signal });
+    } catch (err) {
+      if (err.name !== 'AbortError') throw err;
+    }
+    delay = Math.min(delay * 2, maxDelay);
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * terms.mjs - Atom and triple primitives: ID calculation, existence, creation
+ *
+ * Creation functions batch through createAtoms/createTriples and return the
+ * IDs parsed from the receipt's AtomCreated/TripleCreated events. The
+ * simulate* variants dry-run the same calls without broadcasting.
+ */
+
+import { decodeEventLog, hexToString, stringToHex, toHex } from 'viem';
+import {
+  multiVaultGetAtomCost,
+  multiVaultGetTripleCost,
+  multiVaultCreateAtoms,
+  multiVaultCreateTriples,
+  MultiVaultAbi,
+} from '@0xintuition/protocol';
+import { readMultiVault, writeConfig } from './context.mjs';
+import { TransactionError } from './errors.mjs';
+import { recordTransaction } from './journal.mjs';
+import { simulateWrite } from './simulate.mjs';
+
+export function calculateAtomId(ctx, label) {
+  return readMultiVault(ctx, 'calculateAtomId', [toHex(label)]);
+}
+
+export function calculateTripleId(ctx, subjectId, predicateId, objectId) {
+  return readMultiVault(ctx, 'calculateTripleId', [subjectId, predicateId, objectId]);
+}
+
+export function isTermCreated(ctx, termId) {
+  return readMultiVault(ctx, 'isTermCreated', [termId]);
+}
+
+export function isTriple(ctx, termId) {
+  return readMultiVault(ctx, 'isTriple', [termId]);
+}
+
+export function getCounterId(ctx, tripleId) {
+  return readMultiVault(ctx, 'getCounterIdFromTripleId', [tripleId]);
+}
+
+export function isCounterTriple(ctx, termId) {
+  return readMultiVault(ctx, 'isCounterTriple', [termId]);
+}
+
+export function getTripleIdFromCounterId(ctx, counterId) {
+  return readMultiVault(ctx, 'getTripleIdFromCounterId', [counterId]);
+}
+
+/**
+ * Decode an atom's raw data as a UTF-8 label. Returns the raw hex when the
+ * data is not a plain string (e.g. an address or binary payload).
+ */
+export async function getAtomLabel(ctx, atomId) {
+  const atomData = await readMultiVault(ctx, 'atom', [atomId]);
+  try {
+    return hexToString(atomData);
+  } catch {
+    return atomData;
+  }
+}
+
+/** Current creation costs in wei: `{ atomCost, tripleCost }`. */
+export async function getCreationCosts(ctx) {
+  const config = { address: ctx.multiVaultAddress, publicClient: ctx.publicClient };
+  const atomCost = await multiVaultGetAtomCost(config);
+  const tripleCost = await multiVaultGetTripleCost(config);
+  return { atomCost, tripleCost };
+}
+
+/** Decode every MultiVault event named `eventName` from a receipt. */
+export function parseEvents(receipt, eventName) {
+  const events = [];
+  for (const log of receipt.logs) {
+    try {
+      const decoded = decodeEventLog({ abi: MultiVaultAbi, data: log.data, topics: log.topics });
+      if (decoded.eventName === eventName) events.push(decoded.args);
+    } catch (e) {}
+  }
+  return events;
+}
+
+/**
+ * Pair each vault with the `eventName` event the receipt emitted for it
+ * (same term ID and curve), or null where there is none. Each event is
+ * used once, so a vault listed twice is paired with two events.
+ *
+ * @param {object} receipt
+ * @param {string} eventName
+ * @param {{ vaultId: string, curveId: bigint }[]} vaults
+ * @returns {(object | null)[]}
+ */
+export function vaultEvents(receipt, eventName, vaults) {
+  const events = parseEvents(receipt, eventName);
+  return vaults.map(({ vaultId, curveId }) => {
+    const i = events.findIndex(e => e.termId.toLowerCase() === vaultId.toLowerCase() && e.curveId === curveId);
+    return i === -1 ? null : events.splice(i, 1)[0];
+  });
+}
+
+/**
+ * Wait for a receipt and throw TransactionError if the transaction reverted.
+ * With `entry`, the transaction is journaled as submitted before waiting, as
+ * unknown if the wait fails (timeout, dropped connection), and as reverted
+ * before throwing; callers journal the success themselves once they have
+ * parsed the realized amounts.
+ */
+export async function waitForSuccess(ctx, hash, entry = null) {
+  if (entry) recordTransaction(ctx, { ...entry, hash, block: null, status: 'submitted' });
+  let receipt;
+  try {
+    receipt = await ctx.publicClient.waitForTransactionReceipt({ hash });
+  } catch (err) {
+    if (entry) recordTransaction(ctx, { ...entry, hash, block: null, status: 'unknown', error: err.message });
+    throw err;
+  }
+  if (receipt.status !== 'success') {
+    if (entry) recordTransaction(ctx, { ...entry, hash, block: receipt.blockNumber, status: 'reverted' });
+    throw new TransactionError(`Transaction reverted: ${hash}`, { hash, blockNumber: receipt.blockNumber });
+  }
+  return receipt;
+}
+
+function createAtomsCall(labels, perAtom) {
+  return {
+    functionName: 'createAtoms',
+    args: [labels.map(l => stringToHex(l)), labels.map(() => perAtom)],
+    value: perAtom * BigInt(labels.length),
+  };
+}
+
+function createTriplesCall(triples, perTriple) {
+  return {
+    functionName: 'createTriples',
+    args: [
+      triples.map(t => t.subjectId),
+      triples.map(t => t.predicateId),
+      triples.map(t => t.objectId),
+      triples.map(() => perTriple),
+    ],
+    value: perTriple * BigInt(triples.length),
+  };
+}
+
+/**
+ * Create string atoms in one transaction, each seeded with `assets` (defaults
+ * to the current atom cost).
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string[]} labels
+ * @param {{ assets?: bigint }} [options]
+ * @returns {Promise<{ hash: string, blockNumber: bigint, atomIds: string[] }>}
+ */
+export async function createAtoms(ctx, labels, { assets } = {}) {
+  const perAtom = assets ?? (await getCreationCosts(ctx)).atomCost;
+  const { args, value } = createAtomsCall(labels, perAtom);
+  const hash = await multiVaultCreateAtoms(writeConfig(ctx), { args, value });
+  const entry = { action: 'create-atoms', value, labels, assetsPerTerm: perAtom };
+
+  const receipt = await waitForSuccess(ctx, hash, entry);
+  const atomIds = parseEvents(receipt, 'AtomCreated').map(e => e.termId);
+  recordTransaction(ctx, { ...entry, hash, block: receipt.blockNumber, status: 'success', termIds: atomIds });
+  if (atomIds.length !== labels.length) {
+    throw new TransactionError('Failed to extract atom ID', { hash, blockNumber: receipt.blockNumber });
+  }
+  return { hash, blockNumber: receipt.blockNumber, atomIds };
+}
+
+/**
+ * Create triples in one transaction, each seeded with `assets` (defaults to
+ * the current triple cost).
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {{ subjectId: string, predicateId: string, objectId: string }[]} triples
+ * @param {{ assets?: bigint }} [options]
+ * @returns {Promise<{ hash: string, blockNumber: bigint, tripleIds: string[] }>}
+ */
+export async function createTriples(ctx, triples, { assets } = {}) {
+  const perTriple = assets ?? (await getCreationCosts(ctx)).tripleCost;
+  const { args, value } = createTriplesCall(triples, perTriple);
+  const hash = await multiVaultCreateTriples(writeConfig(ctx), { args, value });
+  const entry = { action: 'create-triples', value, triples, assetsPerTerm: perTriple };
+
+  const receipt = await waitForSuccess(ctx, hash, entry);
+  const tripleIds = parseEvents(receipt, 'TripleCreated').map(e => e.termId);
+  recordTransaction(ctx, { ...entry, hash, block: receipt.blockNumber, status: 'success', termIds: tripleIds });
+  if (tripleIds.length !== triples.length) {
+    throw new TransactionError('Failed to extract triple ID', { hash, blockNumber: receipt.blockNumber });
+  }
+  return { hash, blockNumber: receipt.blockNumber, tripleIds };
+}
+
+/**
+ * Dry-run createAtoms. `result` holds the atom IDs the call would return.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string[]} labels
+ * @param {{ assets?: bigint, skip?: string }} [options]
+ * @returns {Promise<import('./simulate.mjs').SimulatedCall>}
+ */
+export async function simulateCreateAtoms(ctx, labels, { assets, skip } = {}) {
+  const perAtom = assets ?? (await getCreationCosts(ctx)).atomCost;
+  return simulateWrite(ctx, createAtomsCall(labels, perAtom), { skip });
+}
+
+/**
+ * Dry-run createTriples. Pass `skip` when an atom it references has not
+ * been created yet — the simulation would only report that it is missing.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {{ subjectId: string, predicateId: string, objectId: string }[]} triples
+ * @param {{ assets?: bigint, skip?: string }} [options]
+ * @returns {Promise<import('./simulate.mjs').SimulatedCall>}
+ */
+export async function simulateCreateTriples(ctx, triples, { assets, skip } = {}) {
+  const perTriple = assets ?? (await getCreationCosts(ctx)).tripleCost;
+  return simulateWrite(ctx, createTriplesCall(triples, perTriple), { skip });
+}
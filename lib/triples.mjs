@@ -0,0 +1,105 @@
+/**
+ * triples.mjs - Find every triple an entity appears in, via GraphQL
+ */
+
+import { isTermId } from './constants.mjs';
+import { NotFoundError } from './errors.mjs';
+import { fetchPages, graphqlQuery, TRIPLE_FIELDS } from './graphql.mjs';
+import { resolveAtom } from './identity.mjs';
+
+/** Look up an atom by exact label in the indexer. Returns null when absent. */
+export async function findAtomByLabel(ctx, label) {
+  const query = `
+    query FindAtom($label: String!) {
+      atoms(where: { label: { _eq: $label } }, limit: 1) {
+        term_id
+        label
+      }
+    }
+  `;
+  const data = await graphqlQuery(ctx, query, { label });
+  return data.atoms?.[0] || null;
+}
+
+/** The column that holds the entity, per role in getTriples() results. */
+const ROLES = { asSubject: 'subject_id', asObject: 'object_id', asPredicate: 'predicate_id' };
+
+async function findTriplesInRole(ctx, field, atomId, { limit, offset }) {
+  const query = `
+    query FindTriples($atomId: String!, $limit: Int!, $offset: Int!) {
+      triples(
+        where: { ${field}: { _eq: $atomId } }
+        limit: $limit
+        offset: $offset
+        order_by: [{ block_number: asc }, { term_id: asc }]
+      ) {${TRIPLE_FIELDS}
+      }
+    }
+  `;
+  const data = await graphqlQuery(ctx, query, { atomId, limit, offset });
+  return data.triples || [];
+}
+
+/** Number of triples an atom appears in, per role. */
+export async function countTriplesByAtomId(ctx, atomId) {
+  const query = `
+    query CountTriples($atomId: String!) {
+      asSubject: triples_aggregate(where: { subject_id: { _eq: $atomId } }) { aggregate { count } }
+      asObject: triples_aggregate(where: { object_id: { _eq: $atomId } }) { aggregate { count } }
+      asPredicate: triples_aggregate(where: { predicate_id: { _eq: $atomId } }) { aggregate { count } }
+    }
+  `;
+  const data = await graphqlQuery(ctx, query, { atomId });
+  return Object.fromEntries(Object.keys(ROLES).map(role => [role, data[role]?.aggregate?.count ?? 0]));
+}
+
+/**
+ * @typedef {object} EntityTriples
+ * @property {string} atomId
+ * @property {string} label
+ * @property {object[]} asSubject
+ * @property {object[]} asObject
+ * @property {object[]} asPredicate
+ * @property {{ asSubject: number, asObject: number, asPredicate: number }} counts  Totals per role
+ */
+
+/**
+ * Triples where an entity is subject, object or predicate: `limit` per role
+ * from `offset` (oldest first), or all of them with `all`. `counts` always
+ * holds the full totals. Names are looked up in the indexer first, then by
+ * calculateAtomId.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string} input  Name or atom ID
+ * @param {{ limit?: number, offset?: number, all?: boolean }} [options]  limit defaults to 25
+ * @returns {Promise<EntityTriples>}
+ * @throws {NotFoundError} when no atom exists for a name
+ */
+export async function getTriples(ctx, input, { limit = 25, offset = 0, all = false } = {}) {
+  let atomId;
+  let label = input;
+
+  if (isTermId(input)) {
+    atomId = input;
+  } else {
+    const atom = await findAtomByLabel(ctx, input);
+    if (atom) {
+      atomId = atom.term_id;
+      label = atom.label;
+    } else {
+      const resolved = await resolveAtom(ctx, input, { by: 'name' });
+      if (!resolved.exists) {
+        throw new NotFoundError(`No atom found for "${input}". It may not exist on-chain yet.`);
+      }
+      atomId = resolved.atomId;
+    }
+  }
+
+  const counts = await countTriplesByAtomId(ctx, atomId);
+  const result = { atomId, label, counts };
+  for (const [role, field] of Object.entries(ROLES)) {
+    const total = counts[role];
+    result[role] = await fetchPages(page => findTriplesInRole(ctx, field, atomId, page), all ? { total } : { total, offset, limit });
+  }
+  return result;
+}
@@ -0,0 +1,299 @@
+/**
+ * trust.mjs - The five-level trust evaluation from references/patterns.md
+ *
+ *   1 existence      the entity has an atom
+ *   2 claim          its identity claim ([Entity] [is] [AI Agent] by default) exists
+ *   3 stake          enough $TRUST backs the claim FOR
+ *   4 sentiment      FOR / (FOR + AGAINST) is high enough
+ *   5 relationships  enough independent stakers, no single dominant staker,
+ *                    and enough other claims about the entity backed FOR
+ *
+ * Levels 1-4 are read on-chain, level 5 from the indexer. `level_reached` is
+ * the last level passed in an unbroken run from 1; the entity is trusted
+ * when it reaches `requireLevel`.
+ */
+
+import { readFileSync } from 'fs';
+import { CURVE_AGAINST, CURVE_FOR, KNOWN_ATOMS } from './constants.mjs';
+import { ValidationError } from './errors.mjs';
+import { fetchPages, graphqlQuery } from './graphql.mjs';
+import { resolveAtom } from './identity.mjs';
+import { calculateAtomId, calculateTripleId, getCounterId, isTermCreated } from './terms.mjs';
+import { getVaultState } from './vaults.mjs';
+
+export const TRUST_LEVELS = ['existence', 'claim', 'stake', 'sentiment', 'relationships'];
+
+/**
+ * @typedef {object} TrustProfile
+ * @property {{ predicate: string, object: string }} claim  Identity claim to look for, by label
+ * @property {number} minStake           $TRUST staked FOR the claim
+ * @property {number} minSentiment       FOR / (FOR + AGAINST), 0-1
+ * @property {number} minStakers         Accounts holding FOR shares
+ * @property {number} maxConcentration   Largest staker's share of the FOR shares, 0-1
+ * @property {number} minRelationships  Other claims about the entity with more FOR than AGAINST
+ * @property {number} requireLevel       Level the entity must reach to be trusted, 1-5
+ */
+
+/** @type {TrustProfile} */
+export const DEFAULT_TRUST_PROFILE = {
+  claim: { predicate: 'is', object: 'AI Agent' },
+  minStake: 1,
+  minSentiment: 0.8,
+  minStakers: 2,
+  maxConcentration: 0.9,
+  minRelationships: 1,
+  requireLevel: 5,
+};
+
+const FRACTIONS = ['minSentiment', 'maxConcentration'];
+const COUNTS = ['minStakers', 'minRelationships'];
+
+/**
+ * Merge overrides onto the defaults and check them; every problem is
+ * reported together.
+ *
+ * @param {Partial<TrustProfile>} [overrides]
+ * @returns {TrustProfile}
+ */
+export function validateTrustProfile(overrides = {}) {
+  const profile = {
+    ...DEFAULT_TRUST_PROFILE,
+    ...overrides,
+    claim: { ...DEFAULT_TRUST_PROFILE.claim, ...overrides.claim },
+  };
+  const errors = [];
+
+  for (const key of Object.keys(overrides)) {
+    if (!(key in DEFAULT_TRUST_PROFILE)) errors.push(`unknown setting "${key}"`);
+  }
+  if (typeof profile.minStake !== 'number' || !(profile.minStake >= 0)) errors.push('minStake must be a number >= 0');
+  for (const key of FRACTIONS) {
+    if (typeof profile[key] !== 'number' || !(profile[key] >= 0 && profile[key] <= 1)) errors.push(`${key} must be between 0 and 1`);
+  }
+  for (const key of COUNTS) {
+    if (!Number.isInteger(profile[key]) || profile[key] < 0) errors.push(`${key} must be a whole number >= 0`);
+  }
+  if (!Number.isInteger(profile.requireLevel) || profile.requireLevel < 1 || profile.requireLevel > 5) {
+    errors.push('requireLevel must be 1-5');
+  }
+  if (!profile.claim.predicate || !profile.claim.object) errors.push('claim needs a predicate and an object label');
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Trust profile has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+  return profile;
+}
+
+/** Read a JSON trust profile and merge it onto the defaults. */
+export function readTrustProfile(path) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new ValidationError(`Cannot read trust profile ${path}: ${err.message}`);
+  }
+  return validateTrustProfile(raw);
+}
+
+const toTrust = (wei) => Number(wei) / 1e18;
+const atomIdFor = (ctx, label) => (KNOWN_ATOMS[label] ? KNOWN_ATOMS[label] : calculateAtomId(ctx, label));
+
+/**
+ * The [subject] [predicate] [object] claim, by labels, and the $TRUST on
+ * each side of it. `stake` is zero and `sentiment` null when it does not exist.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string} subjectId  Atom ID
+ * @param {{ predicate: string, object: string }} claim
+ * @returns {Promise<{ claim_id: string, exists: boolean, stake: { for: number, against: number }, sentiment: number | null }>}
+ */
+export async function readClaim(ctx, subjectId, { predicate, object }) {
+  const [predicateId, objectId] = await Promise.all([atomIdFor(ctx, predicate), atomIdFor(ctx, object)]);
+  const claimId = await calculateTripleId(ctx, subjectId, predicateId, objectId);
+  const result = { claim_id: claimId, exists: await isTermCreated(ctx, claimId), stake: { for: 0, against: 0 }, sentiment: null };
+  if (!result.exists) return result;
+
+  const counterId = await getCounterId(ctx, claimId);
+  const [pro, con] = await Promise.all([
+    getVaultState(ctx, claimId, CURVE_FOR),
+    getVaultState(ctx, counterId, CURVE_AGAINST),
+  ]);
+  result.stake = { for: toTrust(pro.totalAssets), against: toTrust(con.totalAssets) };
+  const total = result.stake.for + result.stake.against;
+  result.sentiment = total > 0 ? result.stake.for / total : null;
+  return result;
+}
+
+/**
+ * FOR-side stakers of a claim and how concentrated their shares are
+ * (largest holder's fraction of the FOR shares, null with no shares).
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string} claimId
+ * @returns {Promise<{ stakers: number, concentration: number | null }>}
+ */
+export async function claimStakers(ctx, claimId) {
+  const query = `
+    query ClaimStakers($termId: String!) {
+      positions_aggregate(where: { term_id: { _eq: $termId }, curve_id: { _eq: "1" }, shares: { _gt: "0" } }) {
+        aggregate { count sum { shares } }
+      }
+      positions(
+        where: { term_id: { _eq: $termId }, curve_id: { _eq: "1" } }
+        order_by: { shares: desc }
+        limit: 1
+      ) { account_id shares }
+    }
+  `;
+  const data = await graphqlQuery(ctx, query, { termId: claimId.toLowerCase() });
+  const { count = 0, sum } = data.positions_aggregate?.aggregate || {};
+  const top = data.positions?.[0];
+  const totalShares = BigInt(sum?.shares ?? 0);
+  return {
+    stakers: count,
+    concentration: totalShares > 0n && top ? Number((BigInt(top.shares) * 10000n) / totalShares) / 10000 : null,
+  };
+}
+
+const VAULT_FIELDS = 'vaults { curve_id total_assets }';
+
+/** Other claims with the entity as subject or object, and whether each is backed FOR. */
+async function entityRelationships(ctx, atomId, claimId) {
+  const where = {
+    _or: [{ subject_id: { _eq: atomId.toLowerCase() } }, { object_id: { _eq: atomId.toLowerCase() } }],
+    term_id: { _neq: claimId?.toLowerCase() ?? '' },
+  };
+  const count = await graphqlQuery(ctx, `
+    query CountRelationships($where: triples_bool_exp!) {
+      triples_aggregate(where: $where) { aggregate { count } }
+    }
+  `, { where });
+  const rows = await fetchPages(async ({ limit, offset }) => {
+    const data = await graphqlQuery(ctx, `
+      query EntityRelationships($where: triples_bool_exp!, $limit: Int!, $offset: Int!) {
+        triples(where: $where, limit: $limit, offset: $offset, order_by: { term_id: asc }) {
+          term_id
+          subject_id
+          subject { label }
+          predicate { label }
+          object { label }
+          term { ${VAULT_FIELDS} }
+          counter_term { ${VAULT_FIELDS} }
+        }
+      }
+    `, { where, limit, offset });
+    return data.triples || [];
+  }, { total: count.triples_aggregate?.aggregate?.count ?? 0 });
+  const assets = (term) => (term?.vaults || []).reduce((sum, v) => sum + toTrust(v.total_assets), 0);
+
+  return rows.map((t) => {
+    const pro = assets(t.term);
+    const con = assets(t.counter_term);
+    return {
+      term_id: t.term_id,
+      label: `[${t.subject?.label}] [${t.predicate?.label}] [${t.object?.label}]`,
+      direction: t.subject_id.toLowerCase() === atomId.toLowerCase() ? 'outgoing' : 'incoming',
+      for: pro,
+      against: con,
+      supporting: pro > con,
+    };
+  });
+}
+
+/**
+ * @typedef {object} TrustVerdict
+ * @property {string} target
+ * @property {string} label
+ * @property {string} atom_id
+ * @property {string | null} claim_id
+ * @property {boolean} trusted
+ * @property {number} level_reached     0-5
+ * @property {number} required_level
+ * @property {{ for: number, against: number }} stake  $TRUST on the claim
+ * @property {number | null} sentiment  FOR / (FOR + AGAINST); null with no stake
+ * @property {number} stakers
+ * @property {number | null} concentration
+ * @property {object[]} relationships
+ * @property {number} supporting_relationships
+ * @property {{ level: number, name: string, passed: boolean, detail: string }[]} levels
+ * @property {string[]} reasons         Why each failed level failed
+ * @property {TrustProfile} profile
+ */
+
+/**
+ * Run all five levels for an entity (name or atom ID). Levels past a
+ * missing atom or claim cannot be measured and fail.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string} target
+ * @param {Partial<TrustProfile>} [profile]
+ * @returns {Promise<TrustVerdict>}
+ */
+export async function evaluateTrust(ctx, target, profile = {}) {
+  const p = validateTrustProfile(profile);
+  const atom = await resolveAtom(ctx, target);
+  const levels = [];
+  const check = (passed, detail) => levels.push({ level: levels.length + 1, name: TRUST_LEVELS[levels.length], passed, detail });
+
+  const verdict = {
+    target,
+    label: atom.label || target,
+    atom_id: atom.atomId,
+    claim_id: null,
+    trusted: false,
+    level_reached: 0,
+    required_level: p.requireLevel,
+    stake: { for: 0, against: 0 },
+    sentiment: null,
+    stakers: 0,
+    concentration: null,
+    relationships: [],
+    supporting_relationships: 0,
+    levels,
+    reasons: [],
+    profile: p,
+  };
+
+  check(atom.exists, atom.exists ? 'atom exists' : 'no atom on-chain: unknown entity');
+
+  let claimExists = false;
+  if (atom.exists) {
+    const read = await readClaim(ctx, atom.atomId, p.claim);
+    claimExists = read.exists;
+    verdict.claim_id = read.claim_id;
+    verdict.stake = read.stake;
+    verdict.sentiment = read.sentiment;
+  }
+  const claim = `[${verdict.label}] [${p.claim.predicate}] [${p.claim.object}]`;
+  check(claimExists, claimExists ? `${claim} exists` : `no ${claim} claim`);
+
+  check(claimExists && verdict.stake.for >= p.minStake,
+    `${verdict.stake.for.toFixed(4)} $TRUST staked FOR (need ${p.minStake})`);
+  check(verdict.sentiment !== null && verdict.sentiment >= p.minSentiment,
+    verdict.sentiment === null
+      ? 'no stake on either side'
+      : `sentiment ${(verdict.sentiment * 100).toFixed(1)}% FOR, ${verdict.stake.against.toFixed(4)} $TRUST AGAINST (need ${p.minSentiment * 100}%)`);
+
+  if (atom.exists) {
+    const [stakers, relationships] = await Promise.all([
+      claimExists ? claimStakers(ctx, verdict.claim_id) : { stakers: 0, concentration: null },
+      entityRelationships(ctx, atom.atomId, verdict.claim_id),
+    ]);
+    verdict.stakers = stakers.stakers;
+    verdict.concentration = stakers.concentration;
+    verdict.relationships = relationships;
+    verdict.supporting_relationships = relationships.filter(r => r.supporting).length;
+  }
+  const distributed = verdict.concentration === null || verdict.concentration <= p.maxConcentration;
+  check(
+    atom.exists && verdict.stakers >= p.minStakers && distributed && verdict.supporting_relationships >= p.minRelationships,
+    `${verdict.stakers} staker(s) (need ${p.minStakers}), largest holds ${verdict.concentration === null ? 'n/a' : `${(verdict.concentration * 100).toFixed(1)}%`} (max ${p.maxConcentration * 100}%), ` +
+    `${verdict.supporting_relationships} supporting relationship(s) (need ${p.minRelationships})`,
+  );
+
+  const firstFailed = levels.findIndex(l => !l.passed);
+  verdict.level_reached = firstFailed === -1 ? levels.length : firstFailed;
+  verdict.trusted = verdict.level_reached >= p.requireLevel;
+  verdict.reasons = levels.filter(l => !l.passed).map(l => `level ${l.level} (${l.name}): ${l.detail}`);
+  return verdict;
+}
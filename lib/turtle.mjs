@@ -0,0 +1,259 @@
+/**
+ * turtle.mjs - Minimal Turtle / N-Triples reader for import files
+ *
+ * Handles @prefix / PREFIX and @base / BASE, IRIs, prefixed names, the `a`
+ * keyword, `;` and `,` lists, quoted literals (short and long, with
+ * escapes, language tags and datatypes), bare numbers and booleans, and
+ * `#` comments. N-Triples is a subset, so it reads too. Blank nodes and
+ * collections have no atom to map to and are rejected. No dependencies.
+ */
+
+import { ValidationError } from './errors.mjs';
+
+export const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+
+/**
+ * @typedef {{ kind: 'iri' | 'literal', value: string }} RdfTerm
+ * @typedef {{ subject: RdfTerm, predicate: RdfTerm, object: RdfTerm, line: number }} RdfTriple
+ */
+
+const ECHAR = { t: '\t', b: '\b', n: '\n', r: '\r', f: '\f', '"': '"', "'": "'", '\\': '\\' };
+const NAME_CHAR = /[\p{L}\p{N}_\-.:%·]/u;
+const NUMBER = /^[+-]?(\d+(\.\d+)?|\.\d+)([eE][+-]?\d+)?/;
+
+class Reader {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.line = 1;
+    this.prefixes = new Map();
+    this.base = '';
+  }
+
+  fail(message) {
+    throw new ValidationError(`Turtle line ${this.line}: ${message}`);
+  }
+
+  peek(n = 1) {
+    return this.text.slice(this.pos, this.pos + n);
+  }
+
+  advance(n = 1) {
+    for (let i = 0; i < n; i++) {
+      if (this.text[this.pos] === '\n') this.line++;
+      this.pos++;
+    }
+  }
+
+  skipSpace() {
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos];
+      if (ch === '#') {
+        while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++;
+      } else if (/\s/.test(ch)) {
+        this.advance();
+      } else {
+        break;
+      }
+    }
+  }
+
+  done() {
+    this.skipSpace();
+    return this.pos >= this.text.length;
+  }
+
+  expect(ch) {
+    this.skipSpace();
+    if (this.peek() !== ch) this.fail(`expected "${ch}"${this.peek() ? `, found "${this.peek()}"` : ' at end of file'}`);
+    this.advance();
+  }
+
+  /** A \uXXXX or \UXXXXXXXX escape; `pos` is on the u/U. */
+  unicodeEscape() {
+    const size = this.peek() === 'u' ? 4 : 8;
+    const hex = this.text.slice(this.pos + 1, this.pos + 1 + size);
+    if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== size) this.fail('bad unicode escape');
+    this.advance(size + 1);
+    return String.fromCodePoint(parseInt(hex, 16));
+  }
+
+  iriRef() {
+    this.advance();
+    let iri = '';
+    while (this.peek() !== '>') {
+      if (this.pos >= this.text.length || this.peek() === '\n') this.fail('unterminated IRI');
+      if (this.peek() === '\\') {
+        this.advance();
+        if (this.peek() !== 'u' && this.peek() !== 'U') this.fail('bad escape in IRI');
+        iri += this.unicodeEscape();
+      } else {
+        iri += this.peek();
+        this.advance();
+      }
+    }
+    this.advance();
+    return /^[a-z][a-z0-9+.-]*:/i.test(iri) ? iri : this.base + iri;
+  }
+
+  /** A prefixed name, or a bare word (`a`, `true`, `false`, directives). */
+  name() {
+    let word = '';
+    while (this.pos < this.text.length) {
+      const ch = this.peek();
+      if (ch === '\\' && this.text[this.pos + 1]) {
+        word += this.text[this.pos + 1];
+        this.advance(2);
+      } else if (NAME_CHAR.test(ch)) {
+        word += ch;
+        this.advance();
+      } else {
+        break;
+      }
+    }
+    // A trailing "." ends the statement rather than the name
+    while (word.endsWith('.')) {
+      word = word.slice(0, -1);
+      this.pos--;
+    }
+    return word;
+  }
+
+  prefixed(word) {
+    const colon = word.indexOf(':');
+    if (colon < 0) this.fail(`unexpected "${word}"`);
+    const prefix = word.slice(0, colon);
+    if (!this.prefixes.has(prefix)) this.fail(`undeclared prefix "${prefix}:"`);
+    return this.prefixes.get(prefix) + word.slice(colon + 1);
+  }
+
+  literal() {
+    const quote = this.peek();
+    const long = this.peek(3) === quote.repeat(3);
+    this.advance(long ? 3 : 1);
+    let value = '';
+    for (;;) {
+      if (this.pos >= this.text.length) this.fail('unterminated string');
+      if (long ? this.peek(3) === quote.repeat(3) : this.peek() === quote) break;
+      const ch = this.peek();
+      if (!long && ch === '\n') this.fail('newline in a short string (use """...""")');
+      if (ch === '\\') {
+        this.advance();
+        const esc = this.peek();
+        if (esc === 'u' || esc === 'U') {
+          value += this.unicodeEscape();
+          continue;
+        }
+        if (!(esc in ECHAR)) this.fail(`bad escape "\\${esc}"`);
+        value += ECHAR[esc];
+      } else {
+        value += ch;
+      }
+      this.advance();
+    }
+    this.advance(long ? 3 : 1);
+
+    // The label is the lexical form; language tags and datatypes are dropped
+    if (this.peek() === '@') {
+      this.advance();
+      while (/[A-Za-z0-9-]/.test(this.peek())) this.advance();
+    } else if (this.peek(2) === '^^') {
+      this.advance(2);
+      if (this.peek() === '<') {
+        this.iriRef();
+      } else {
+        this.prefixed(this.name());
+      }
+    }
+    return value;
+  }
+
+  /** @returns {RdfTerm} */
+  term(position) {
+    this.skipSpace();
+    const ch = this.peek();
+    if (ch === '<') return { kind: 'iri', value: this.iriRef() };
+    if (ch === '"' || ch === "'") {
+      if (position !== 'object') this.fail(`a literal cannot be the ${position}`);
+      return { kind: 'literal', value: this.literal() };
+    }
+    if (ch === '[' || ch === '(' || this.peek(2) === '_:') {
+      this.fail('blank nodes and collections are not supported; give every node an IRI');
+    }
+    const number = this.text.slice(this.pos).match(NUMBER);
+    if (number && position === 'object') {
+      this.advance(number[0].length);
+      return { kind: 'literal', value: number[0] };
+    }
+
+    const word = this.name();
+    if (!word) this.fail(ch ? `unexpected "${ch}"` : 'unexpected end of file');
+    if (word === 'a' && position === 'predicate') return { kind: 'iri', value: RDF_TYPE };
+    if ((word === 'true' || word === 'false') && position === 'object') return { kind: 'literal', value: word };
+    return { kind: 'iri', value: this.prefixed(word) };
+  }
+
+  /** @prefix / @base (end with ".") or SPARQL-style PREFIX / BASE (no "."). */
+  directive() {
+    const at = this.peek() === '@';
+    if (at) this.advance();
+    const start = this.pos;
+    const keyword = this.name().toLowerCase();
+    if (keyword !== 'prefix' && keyword !== 'base') {
+      this.pos = start;
+      return false;
+    }
+    this.skipSpace();
+    if (keyword === 'prefix') {
+      const prefix = this.name();
+      if (!prefix.endsWith(':')) this.fail('expected "prefix:" after @prefix');
+      this.skipSpace();
+      if (this.peek() !== '<') this.fail('expected <IRI> after the prefix');
+      this.prefixes.set(prefix.slice(0, -1), this.iriRef());
+    } else {
+      if (this.peek() !== '<') this.fail('expected <IRI> after @base');
+      this.base = this.iriRef();
+    }
+    if (at) this.expect('.');
+    return true;
+  }
+}
+
+/**
+ * Parse Turtle (or N-Triples) text into triples, in document order.
+ *
+ * @param {string} text
+ * @returns {RdfTriple[]}
+ * @throws {ValidationError} with the line of the first syntax error
+ */
+export function parseTurtle(text) {
+  const reader = new Reader(text);
+  const triples = [];
+
+  while (!reader.done()) {
+    const ch = reader.peek();
+    if ((ch === '@' || /[pPbB]/.test(ch)) && reader.directive()) continue;
+
+    const line = reader.line;
+    const subject = reader.term('subject');
+    for (;;) {
+      const predicate = reader.term('predicate');
+      for (;;) {
+        triples.push({ subject, predicate, object: reader.term('object'), line });
+        reader.skipSpace();
+        if (reader.peek() !== ',') break;
+        reader.advance();
+      }
+      reader.skipSpace();
+      if (reader.peek() !== ';') break;
+      while (reader.peek() === ';') {
+        reader.advance();
+        reader.skipSpace();
+      }
+      if (reader.peek() === '.') break;
+    }
+    reader.expect('.');
+  }
+
+  return triples;
+}
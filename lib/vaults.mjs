@@ -0,0 +1,118 @@
+/**
+ * vaults.mjs - Vault selection and input validation shared by stake and redeem
+ */
+
+import { parseEther } from 'viem';
+import { CURVE_ATOM, CURVE_FOR, CURVE_AGAINST, DEFAULT_MAX_SLIPPAGE, isTermId } from './constants.mjs';
+import { NotFoundError, SlippageError, ValidationError } from './errors.mjs';
+import { readMultiVault } from './context.mjs';
+import { revertReason } from './simulate.mjs';
+import { getCounterId, getTripleIdFromCounterId, isCounterTriple, isTermCreated, isTriple } from './terms.mjs';
+
+export function assertTermId(termId) {
+  if (!isTermId(termId)) {
+    throw new ValidationError('Invalid term ID (must be 0x + 64 hex chars)');
+  }
+}
+
+/** Parse a positive decimal $TRUST amount into wei. */
+export function parseAmount(amount) {
+  const amountFloat = parseFloat(amount);
+  if (isNaN(amountFloat) || !isFinite(amountFloat) || amountFloat <= 0) {
+    throw new ValidationError('Amount must be a positive number');
+  }
+  const wei = parseEther(String(amount));
+  if (wei <= 0n) {
+    throw new ValidationError('Amount must be positive');
+  }
+  return wei;
+}
+
+/**
+ * Minimum acceptable amount: `expected` less `maxSlippage` percent, unless
+ * the caller gave an explicit `minimum` (which wins, and may be 0 to disable).
+ *
+ * @param {bigint} expected
+ * @param {{ maxSlippage?: number | string, minimum?: bigint | null }} [options]
+ * @returns {bigint}
+ */
+export function minimumAfterSlippage(expected, { maxSlippage = DEFAULT_MAX_SLIPPAGE, minimum = null } = {}) {
+  if (minimum !== null && minimum !== undefined) {
+    if (minimum < 0n) throw new ValidationError('Minimum amount cannot be negative');
+    return minimum;
+  }
+  const pct = Number(maxSlippage);
+  if (isNaN(pct) || pct < 0 || pct > 100) {
+    throw new ValidationError('--max-slippage must be a percentage between 0 and 100');
+  }
+  const bps = BigInt(Math.round(pct * 100));
+  return (expected * (10000n - bps)) / 10000n;
+}
+
+/**
+ * Run a deposit/redeem write and turn MultiVault_SlippageExceeded into a
+ * SlippageError. The SDK wrappers simulate first, so nothing is sent.
+ */
+export async function guardSlippage(write, { expected, minimum, unit, format = String }) {
+  try {
+    return await write();
+  } catch (err) {
+    if (!revertReason(err).startsWith('MultiVault_SlippageExceeded')) throw err;
+    throw new SlippageError(
+      `Price moved: the vault would return less than the minimum ${format(minimum)} ${unit} (preview was ${format(expected)}). ` +
+      'Re-run to preview again, or raise --max-slippage.',
+      { expected, minimum, cause: err },
+    );
+  }
+}
+
+/**
+ * @typedef {object} VaultRef
+ * @property {string} termId   The atom or triple the caller named (the triple itself when given a counter-triple ID)
+ * @property {boolean} isTriple
+ * @property {boolean} against Whether this is the counter-triple (AGAINST) vault
+ * @property {string} vaultId  termId, or the counter-triple ID when against
+ * @property {bigint} curveId  0 = atom, 1 = triple FOR, 2 = triple AGAINST
+ */
+
+/**
+ * Check a term exists and work out which vault an operation targets.
+ * A counter-triple ID selects that triple's AGAINST vault, same as passing
+ * the triple ID with `against`.
+ *
+ * @param {import('./context.mjs').IntuitionContext} ctx
+ * @param {string} termId
+ * @param {{ against?: boolean }} [options]
+ * @returns {Promise<VaultRef>}
+ */
+export async function resolveVault(ctx, termId, { against = false } = {}) {
+  assertTermId(termId);
+
+  if (await isCounterTriple(ctx, termId)) {
+    const tripleId = await getTripleIdFromCounterId(ctx, termId);
+    return { termId: tripleId, isTriple: true, against: true, vaultId: termId, curveId: CURVE_AGAINST };
+  }
+
+  const exists = await isTermCreated(ctx, termId);
+  if (!exists) {
+    throw new NotFoundError('Term ID not found on-chain. Check the ID and try again.');
+  }
+
+  const triple = await isTriple(ctx, termId);
+  if (against && !triple) {
+    throw new ValidationError('--against only works for triples. Atoms don\'t have counter-vaults.');
+  }
+
+  if (against) {
+    const vaultId = await getCounterId(ctx, termId);
+    return { termId, isTriple: true, against: true, vaultId, curveId: CURVE_AGAINST };
+  }
+
+  return { termId, isTriple: triple, against: false, vaultId: termId, curveId: triple ? CURVE_FOR : CURVE_ATOM };
+}
+
+/** `{ totalShares, totalAssets }` for a vault. */
+export async function getVaultState(ctx, vaultId, curveId) {
+  const [totalShares, totalAssets] = await readMultiVault(ctx, 'getVault', [vaultId, curveId]);
+  return { totalShares, totalAssets };
+}
@@ -0,0 +1,367 @@
+/**
+ * wallet.mjs - Load signing accounts from wallet files or raw keys
+ *
+ * Agent wallets created by quickstart live in ~/.intuition-wallet-<name>/
+ * alongside the identity.json that records what was created on-chain.
+ * wallet.json is an encrypted v3 keystore (see keystore.mjs); plaintext
+ * files from older versions still load and can be migrated in place.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { getAddress } from 'viem';
+import { privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
+import { homeDir } from './config.mjs';
+import { resolveNetwork } from './networks.mjs';
+import { decryptKeystore, encryptKeystore, isKeystore } from './keystore.mjs';
+import { NotFoundError, ValidationError, WalletError } from './errors.mjs';
+
+const AGENT_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const WALLET_DIR_PREFIX = '.intuition-wallet-';
+
+/**
+ * Directory holding an agent's wallet.json and identity.json.
+ * Names are restricted to [a-zA-Z0-9_-] to prevent path traversal.
+ */
+export function agentWalletDir(name) {
+  if (!AGENT_NAME_PATTERN.test(name || '')) {
+    throw new ValidationError('Agent name can only contain letters, numbers, hyphens, and underscores');
+  }
+  return join(homeDir(), `${WALLET_DIR_PREFIX}${name}`);
+}
+
+/** wallet.json paths of every ~/.intuition-wallet-<name>/ that has one. */
+export function listAgentWalletFiles() {
+  if (!existsSync(homeDir())) return [];
+  return readdirSync(homeDir(), { withFileTypes: true })
+    .filter(e => e.isDirectory() && e.name.startsWith(WALLET_DIR_PREFIX))
+    .map(e => ({ name: e.name.slice(WALLET_DIR_PREFIX.length), walletFile: join(homeDir(), e.name, 'wallet.json') }))
+    .filter(w => AGENT_NAME_PATTERN.test(w.name) && existsSync(w.walletFile));
+}
+
+export function readWalletFile(walletPath) {
+  if (!existsSync(walletPath)) {
+    throw new WalletError(`Wallet file not found: ${walletPath}`);
+  }
+  try {
+    return JSON.parse(readFileSync(walletPath, 'utf8'));
+  } catch (e) {
+    throw new WalletError(`Wallet file is not valid JSON: ${walletPath}`, { cause: e });
+  }
+}
+
+/** Write via a temp file + rename so a crash never leaves a half-written file. */
+function writeJsonFile(path, data) {
+  const tmp = `${path}.tmp-${process.pid}`;
+  writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  renameSync(tmp, path);
+}
+
+export function readPassphraseFile(path) {
+  if (!existsSync(path)) {
+    throw new WalletError(`Passphrase file not found: ${path}`);
+  }
+  return readFileSync(path, 'utf8').replace(/\r?\n$/, '');
+}
+
+/**
+ * @typedef {object} PassphraseSource
+ * @property {string} [passphrase]       Used as-is
+ * @property {string} [passphraseFile]   File whose first line is the passphrase
+ * @property {(opts: { confirm: boolean }) => Promise<string>} [prompt]  Last resort, e.g. a TTY prompt
+ */
+
+/**
+ * First available passphrase: explicit value, passphrase file,
+ * INTUITION_WALLET_PASSPHRASE, INTUITION_WALLET_PASSPHRASE_FILE, then prompt.
+ *
+ * @param {PassphraseSource} source
+ * @param {{ confirm?: boolean }} [options]  Ask twice when prompting for a new passphrase
+ * @returns {Promise<string>}
+ */
+export async function resolvePassphrase({ passphrase, passphraseFile, prompt } = {}, { confirm = false } = {}) {
+  if (passphrase) return passphrase;
+  if (passphraseFile) return readPassphraseFile(passphraseFile);
+  if (process.env.INTUITION_WALLET_PASSPHRASE) return process.env.INTUITION_WALLET_PASSPHRASE;
+  if (process.env.INTUITION_WALLET_PASSPHRASE_FILE) return readPassphraseFile(process.env.INTUITION_WALLET_PASSPHRASE_FILE);
+  if (prompt) return prompt({ confirm });
+  throw new WalletError(
+    'Wallet passphrase required. Set INTUITION_WALLET_PASSPHRASE, INTUITION_WALLET_PASSPHRASE_FILE or --passphrase-file'
+  );
+}
+
+/**
+ * Private key from a parsed wallet file, decrypting keystores.
+ *
+ * @returns {Promise<{ privateKey: `0x${string}`, encrypted: boolean }>}
+ */
+export async function unlockWallet(wallet, source = {}) {
+  if (wallet.signer) {
+    throw new WalletError(`This wallet signs through ${wallet.signer}; use --signer ${wallet.signer}`);
+  }
+  if (isKeystore(wallet)) {
+    const passphrase = await resolvePassphrase(source);
+    return { privateKey: await decryptKeystore(wallet, passphrase), encrypted: true };
+  }
+  return { privateKey: wallet.privateKey, encrypted: false };
+}
+
+function toAccount(key) {
+  if (!key) {
+    throw new WalletError('No wallet found. Set INTUITION_PRIVATE_KEY env var or use --wallet <path>');
+  }
+  try {
+    return privateKeyToAccount(key);
+  } catch (e) {
+    throw new WalletError('Invalid private key', { cause: e });
+  }
+}
+
+/**
+ * Resolve a viem account. A wallet file takes precedence over a raw key.
+ * Encrypted wallet files are unlocked with the first passphrase found
+ * (see resolvePassphrase).
+ *
+ * @param {{ walletPath?: string, privateKey?: string } & PassphraseSource} source
+ * @returns {Promise<import('viem').PrivateKeyAccount>}
+ * @throws {WalletError}
+ */
+export async function loadAccount({ walletPath, privateKey, ...passphraseSource } = {}) {
+  let key = privateKey;
+  if (walletPath) {
+    key = (await unlockWallet(readWalletFile(walletPath), passphraseSource)).privateKey;
+  }
+  return toAccount(key);
+}
+
+/** Address recorded in a parsed wallet file, without unlocking it. */
+export function walletAddress(wallet) {
+  if (isKeystore(wallet)) return getAddress(`0x${wallet.address.replace(/^0x/, '')}`);
+  if (wallet.privateKey) return toAccount(wallet.privateKey).address;
+  return wallet.address ? getAddress(wallet.address) : null;
+}
+
+/** Encrypt `privateKey` and write it as the named agent's wallet.json. */
+async function saveAgentWallet(name, privateKey, { network, ...passphraseSource }) {
+  const walletDir = agentWalletDir(name);
+  const walletFile = join(walletDir, 'wallet.json');
+  if (existsSync(walletFile)) {
+    throw new WalletError(`Wallet for "${name}" already exists: ${walletFile}`);
+  }
+
+  const account = toAccount(privateKey);
+  const profile = resolveNetwork(network);
+  const passphrase = await resolvePassphrase(passphraseSource, { confirm: true });
+
+  const wallet = {
+    ...(await encryptKeystore(privateKey, passphrase)),
+    created: new Date().toISOString(),
+    chain: `intuition-${profile.name}`,
+    chainId: profile.chainId,
+  };
+
+  mkdirSync(walletDir, { recursive: true, mode: 0o700 });
+  writeJsonFile(walletFile, wallet);
+  return { account, walletFile, created: true, encrypted: true };
+}
+
+/**
+ * Generate a new encrypted wallet for `name`. Throws if one exists.
+ *
+ * @param {string} name
+ * @param {{ network?: string | import('./networks.mjs').NetworkProfile } & PassphraseSource} [options]
+ * @returns {Promise<{ account: import('viem').PrivateKeyAccount, walletFile: string, created: true, encrypted: true }>}
+ */
+export function createAgentWallet(name, options = {}) {
+  return saveAgentWallet(name, generatePrivateKey(), options);
+}
+
+/**
+ * Adopt an existing key as the wallet for `name`. A raw private key is
+ * encrypted with the resolved passphrase; a v3 keystore is copied as-is
+ * and keeps its own passphrase.
+ *
+ * @param {string} name
+ * @param {{ privateKey?: string, keystore?: object }} source
+ * @param {{ network?: string | import('./networks.mjs').NetworkProfile } & PassphraseSource} [options]
+ */
+export async function importAgentWallet(name, { privateKey, keystore }, options = {}) {
+  if (privateKey) {
+    return saveAgentWallet(name, privateKey, options);
+  }
+  if (!isKeystore(keystore)) {
+    throw new WalletError('Import needs a private key or a v3 keystore');
+  }
+
+  const walletDir = agentWalletDir(name);
+  const walletFile = join(walletDir, 'wallet.json');
+  if (existsSync(walletFile)) {
+    throw new WalletError(`Wallet for "${name}" already exists: ${walletFile}`);
+  }
+  const profile = resolveNetwork(options.network);
+  mkdirSync(walletDir, { recursive: true, mode: 0o700 });
+  writeJsonFile(walletFile, {
+    ...keystore,
+    created: new Date().toISOString(),
+    chain: `intuition-${profile.name}`,
+    chainId: profile.chainId,
+  });
+  return { address: walletAddress(keystore), walletFile, created: true, encrypted: true };
+}
+
+/**
+ * Load the wallet for a named agent, generating and saving an encrypted
+ * one if missing. The key works on every network; `network` is only
+ * recorded in wallet.json.
+ *
+ * @param {string} name
+ * @param {{ network?: string | import('./networks.mjs').NetworkProfile } & PassphraseSource} [options]
+ * @returns {Promise<{ account: import('viem').PrivateKeyAccount, walletFile: string, created: boolean, encrypted: boolean }>}
+ */
+export async function loadOrCreateAgentWallet(name, { network, ...passphraseSource } = {}) {
+  const walletFile = join(agentWalletDir(name), 'wallet.json');
+
+  if (existsSync(walletFile)) {
+    const { privateKey, encrypted } = await unlockWallet(readWalletFile(walletFile), passphraseSource);
+    return { account: toAccount(privateKey), walletFile, created: false, encrypted };
+  }
+  return createAgentWallet(name, { network, ...passphraseSource });
+}
+
+/**
+ * Record that an agent signs through an external backend (see signers.mjs).
+ * wallet.json then holds only the address and signer spec — no key.
+ *
+ * @returns {{ walletFile: string, created: boolean }}
+ */
+export function linkAgentSigner(name, { address, signer, network }) {
+  const walletDir = agentWalletDir(name);
+  const walletFile = join(walletDir, 'wallet.json');
+
+  if (existsSync(walletFile)) {
+    const existing = readWalletFile(walletFile);
+    if (!existing.signer || walletAddress(existing) !== getAddress(address)) {
+      throw new WalletError(`"${name}" already has a different wallet: ${walletFile}`);
+    }
+    return { walletFile, created: false };
+  }
+
+  const profile = resolveNetwork(network);
+  mkdirSync(walletDir, { recursive: true, mode: 0o700 });
+  writeJsonFile(walletFile, {
+    address: getAddress(address),
+    signer,
+    created: new Date().toISOString(),
+    chain: `intuition-${profile.name}`,
+    chainId: profile.chainId,
+  });
+  return { walletFile, created: true };
+}
+
+/** Parsed identity.json for an agent, or null before quickstart has run. */
+export function readIdentityFile(name) {
+  const identityFile = join(agentWalletDir(name), 'identity.json');
+  if (!existsSync(identityFile)) return null;
+  try {
+    return JSON.parse(readFileSync(identityFile, 'utf8'));
+  } catch (e) {
+    throw new WalletError(`identity.json is not valid JSON: ${identityFile}`, { cause: e });
+  }
+}
+
+/**
+ * Replace an agent's identity.json. Quickstart calls this after every step,
+ * so the file is always a complete checkpoint to resume from.
+ */
+export function writeIdentityFile(name, identity) {
+  const identityFile = join(agentWalletDir(name), 'identity.json');
+  writeJsonFile(identityFile, identity);
+  return identityFile;
+}
+
+/**
+ * @typedef {object} AgentWalletSummary
+ * @property {string} name
+ * @property {string | null} address
+ * @property {string} walletDir
+ * @property {string} walletFile
+ * @property {boolean} encrypted
+ * @property {string | null} signer   External signer spec when no key is stored
+ * @property {string | null} chain     Network recorded at creation
+ * @property {string | null} created
+ * @property {'new' | 'needs_funding' | 'in_progress' | 'complete' | string} status  From identity.json; 'new' before quickstart
+ * @property {string | null} atomId
+ * @property {string | null} tripleId
+ * @property {object | null} identity  Raw identity.json
+ */
+
+/**
+ * Summarize one agent wallet from its files alone (no decryption, no RPC).
+ *
+ * @returns {AgentWalletSummary}
+ */
+export function describeAgentWallet(name) {
+  const walletDir = agentWalletDir(name);
+  const walletFile = join(walletDir, 'wallet.json');
+  const wallet = readWalletFile(walletFile);
+  const identity = readIdentityFile(name);
+
+  return {
+    name,
+    address: walletAddress(wallet),
+    walletDir,
+    walletFile,
+    encrypted: isKeystore(wallet),
+    signer: wallet.signer || null,
+    chain: wallet.chain || null,
+    created: wallet.created || null,
+    status: identity?.status || 'new',
+    atomId: identity?.identity?.atomId || null,
+    tripleId: identity?.triple?.id || null,
+    identity,
+  };
+}
+
+/** Summaries of every ~/.intuition-wallet-<name>/, sorted by name. */
+export function listAgentWallets() {
+  return listAgentWalletFiles()
+    .map(w => describeAgentWallet(w.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/** Delete an agent's wallet directory (wallet.json, identity.json). */
+export function removeAgentWallet(name) {
+  const walletDir = agentWalletDir(name);
+  if (!existsSync(walletDir)) {
+    throw new NotFoundError(`No wallet for "${name}"`);
+  }
+  rmSync(walletDir, { recursive: true, force: true });
+  return { name, walletDir };
+}
+
+/**
+ * Encrypt a plaintext wallet file in place, keeping its metadata
+ * (created, chain, chainId). Already-encrypted files are left untouched.
+ *
+ * @param {string} walletPath
+ * @param {PassphraseSource} [passphraseSource]
+ * @returns {Promise<{ walletPath: string, address: string, migrated: boolean }>}
+ */
+export async function encryptWalletFile(walletPath, passphraseSource = {}) {
+  const wallet = readWalletFile(walletPath);
+  if (isKeystore(wallet) || !wallet.privateKey) {
+    return { walletPath, address: walletAddress(wallet), migrated: false };
+  }
+
+  const { privateKey, ...metadata } = wallet;
+  const account = toAccount(privateKey);
+  const passphrase = await resolvePassphrase(passphraseSource, { confirm: true });
+  const keystore = await encryptKeystore(privateKey, passphrase);
+
+  // Prove the new file unlocks before the plaintext copy is gone
+  await decryptKeystore(keystore, passphrase);
+
+  delete metadata.address;
+  writeJsonFile(walletPath, { ...keystore, ...metadata });
+  return { walletPath, address: account.address, migrated: true };
+}
@@ -0,0 +1,353 @@
+/**
+ * watch.mjs - Poll terms and emit events when their vaults cross thresholds
+ *
+ * A watcher snapshots FOR/AGAINST assets, share price and position count of
+ * each watched atom or triple (and optionally every position of a wallet)
+ * on every poll, compares them with the previous poll, and reports:
+ *
+ *   threshold.crossed / threshold.cleared  a metric moved past an above/below limit
+ *   metric.changed                         a metric moved by at least changePct percent
+ *   triple.created                         a new triple names a watched atom
+ *   watch.error                            a poll failed; the next one retries
+ */
+
+import { appendFileSync } from 'fs';
+import { setTimeout as sleep } from 'timers/promises';
+import { isTermId } from './constants.mjs';
+import { ValidationError } from './errors.mjs';
+import { graphqlQuery, PAGE_SIZE } from './graphql.mjs';
+import { getPositions } from './positions.mjs';
+
+/** Metrics alerts can be set on, per watched term. */
+export const WATCH_METRICS = {
+  forAssets: '$TRUST in the FOR vault (the atom vault for atoms)',
+  againstAssets: '$TRUST in the AGAINST vault (triples only)',
+  againstPct: "AGAINST assets as a percent of the claim's total (triples only)",
+  sharePrice: 'Share price of the FOR / atom vault, in $TRUST',
+  positionCount: 'Positions on both sides',
+};
+
+/** Without configured alerts: any new counter-stake, and new triples about watched atoms. */
+export const DEFAULT_ALERTS = { againstAssets: { changePct: 0 }, newTriples: true };
+
+const VAULT_FIELDS = `vaults { curve_id total_assets current_share_price position_count }`;
+
+const toTrust = (wei) => Number(wei) / 1e18;
+
+/** Totals over every curve of a term's vaults; price from the vault holding the most. */
+function vaultTotals(term) {
+  const vaults = term?.vaults || [];
+  const main = vaults.reduce((best, v) => (!best || BigInt(v.total_assets) > BigInt(best.total_assets) ? v : best), null);
+  return {
+    assets: vaults.reduce((sum, v) => sum + toTrust(v.total_assets), 0),
+    positions: vaults.reduce((sum, v) => sum + v.position_count, 0),
+    sharePrice: main ? toTrust(main.current_share_price) : 0,
+  };
+}
+
+/**
+ * Current metrics for the given term IDs, keyed by the watched ID. A
+ * counter-triple ID reports on the same claim as its triple.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string[]} termIds
+ */
+export async function snapshotTerms(ctx, termIds) {
+  const ids = termIds.map(id => id.toLowerCase());
+  const data = await graphqlQuery(ctx, `
+    query WatchSnapshot($ids: [String!]!) {
+      atoms(where: { term_id: { _in: $ids } }) {
+        term_id
+        label
+        term { ${VAULT_FIELDS} }
+      }
+      triples(where: { _or: [{ term_id: { _in: $ids } }, { counter_term_id: { _in: $ids } }] }) {
+        term_id
+        counter_term_id
+        subject { label }
+        predicate { label }
+        object { label }
+        term { ${VAULT_FIELDS} }
+        counter_term { ${VAULT_FIELDS} }
+      }
+    }
+  `, { ids });
+
+  const snapshot = new Map();
+  for (const atom of data.atoms || []) {
+    const pro = vaultTotals(atom.term);
+    snapshot.set(atom.term_id.toLowerCase(), {
+      termId: atom.term_id,
+      type: 'atom',
+      label: atom.label || atom.term_id,
+      metrics: { forAssets: pro.assets, againstAssets: null, againstPct: null, sharePrice: pro.sharePrice, positionCount: pro.positions },
+    });
+  }
+  for (const triple of data.triples || []) {
+    const pro = vaultTotals(triple.term);
+    const con = vaultTotals(triple.counter_term);
+    const total = pro.assets + con.assets;
+    const entry = {
+      termId: triple.term_id,
+      type: 'triple',
+      label: `[${triple.subject?.label}] [${triple.predicate?.label}] [${triple.object?.label}]`,
+      metrics: {
+        forAssets: pro.assets,
+        againstAssets: con.assets,
+        againstPct: total > 0 ? (con.assets / total) * 100 : 0,
+        sharePrice: pro.sharePrice,
+        positionCount: pro.positions + con.positions,
+      },
+    };
+    for (const id of [triple.term_id, triple.counter_term_id]) {
+      if (ids.includes(id.toLowerCase())) snapshot.set(id.toLowerCase(), entry);
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Every triple naming one of `atomIds` after `afterBlock`, oldest first.
+ * Pages until one comes back short, so a burst of triples (or a block split
+ * across pages) is never cut off before the cursor moves past it.
+ */
+async function newTriplesAbout(ctx, atomIds, afterBlock) {
+  const triples = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await newTriplesPage(ctx, atomIds, afterBlock, offset);
+    triples.push(...page);
+    if (page.length < PAGE_SIZE) return triples;
+  }
+}
+
+async function newTriplesPage(ctx, atomIds, afterBlock, offset) {
+  const data = await graphqlQuery(ctx, `
+    query WatchNewTriples($ids: [String!]!, $after: numeric!, $limit: Int!, $offset: Int!) {
+      triples(
+        where: {
+          block_number: { _gt: $after }
+          _or: [{ subject_id: { _in: $ids } }, { predicate_id: { _in: $ids } }, { object_id: { _in: $ids } }]
+        }
+        order_by: [{ block_number: asc }, { term_id: asc }]
+        limit: $limit
+        offset: $offset
+      ) {
+        term_id
+        block_number
+        created_at
+        creator_id
+        subject { term_id label }
+        predicate { term_id label }
+        object { term_id label }
+      }
+    }
+  `, { ids: atomIds.map(id => id.toLowerCase()), after: String(afterBlock), limit: PAGE_SIZE, offset });
+  return data.triples || [];
+}
+
+async function latestTripleBlock(ctx, atomIds) {
+  const data = await graphqlQuery(ctx, `
+    query WatchLatestTriple($ids: [String!]!) {
+      triples(
+        where: { _or: [{ subject_id: { _in: $ids } }, { predicate_id: { _in: $ids } }, { object_id: { _in: $ids } }] }
+        order_by: { block_number: desc }
+        limit: 1
+      ) { block_number }
+    }
+  `, { ids: atomIds.map(id => id.toLowerCase()) });
+  return BigInt(data.triples?.[0]?.block_number ?? 0);
+}
+
+/**
+ * @typedef {{ above?: number, below?: number, changePct?: number }} MetricAlert
+ * @typedef {Partial<Record<keyof typeof WATCH_METRICS, MetricAlert>> & { newTriples?: boolean }} Alerts
+ *
+ * @typedef {object} WatchConfig
+ * @property {(string | { id: string, alerts?: Alerts })[]} [terms]  Term IDs, optionally with their own alerts
+ * @property {string} [wallet]     Also watch every term this address holds a position in
+ * @property {Alerts} [alerts]     Default alerts for every term
+ * @property {number} [interval]   Seconds between polls (used by runWatch)
+ */
+
+/** Check a watch config; every problem is reported together. */
+export function validateWatchConfig(config) {
+  const errors = [];
+  const checkAlerts = (alerts, where) => {
+    for (const [metric, alert] of Object.entries(alerts || {})) {
+      if (metric === 'newTriples') continue;
+      if (!WATCH_METRICS[metric]) {
+        errors.push(`${where}: unknown metric "${metric}" (use ${Object.keys(WATCH_METRICS).join(', ')}, newTriples)`);
+        continue;
+      }
+      for (const [key, value] of Object.entries(alert || {})) {
+        if (!['above', 'below', 'changePct'].includes(key)) errors.push(`${where}: ${metric}.${key} must be above, below or changePct`);
+        else if (typeof value !== 'number' || Number.isNaN(value)) errors.push(`${where}: ${metric}.${key} must be a number`);
+      }
+    }
+  };
+
+  const terms = config.terms || [];
+  if (!Array.isArray(terms)) errors.push('terms must be an array');
+  for (const t of Array.isArray(terms) ? terms : []) {
+    const id = typeof t === 'string' ? t : t?.id;
+    if (!isTermId(id)) errors.push(`Invalid term ID: ${id}`);
+    if (typeof t === 'object') checkAlerts(t.alerts, id);
+  }
+  checkAlerts(config.alerts, 'alerts');
+  if (config.wallet && !/^0x[a-fA-F0-9]{40}$/.test(config.wallet)) errors.push(`Invalid wallet address: ${config.wallet}`);
+  if (terms.length === 0 && !config.wallet) errors.push('Nothing to watch: give term IDs or a wallet');
+  if (config.interval !== undefined && !(config.interval > 0)) errors.push('interval must be a positive number of seconds');
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Watch config has ${errors.length} problem(s):\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+  return config;
+}
+
+function metricEvents(entry, alerts, previous, at) {
+  const events = [];
+  for (const [metric, alert] of Object.entries(alerts)) {
+    if (metric === 'newTriples') continue;
+    const value = entry.metrics[metric];
+    if (value === null || value === undefined) continue;
+    const prev = previous?.metrics[metric] ?? null;
+    const base = { termId: entry.termId, label: entry.label, metric, value, previous: prev, at };
+
+    for (const side of ['above', 'below']) {
+      if (alert[side] === undefined) continue;
+      const beyond = (v) => (side === 'above' ? v > alert[side] : v < alert[side]);
+      if (beyond(value) && (prev === null || !beyond(prev))) {
+        events.push({ type: 'threshold.crossed', ...base, threshold: { [side]: alert[side] }, initial: prev === null });
+      } else if (!beyond(value) && prev !== null && beyond(prev)) {
+        events.push({ type: 'threshold.cleared', ...base, threshold: { [side]: alert[side] } });
+      }
+    }
+
+    if (alert.changePct !== undefined && prev !== null && value !== prev) {
+      const changePct = prev === 0 ? Infinity : ((value - prev) / prev) * 100;
+      if (Math.abs(changePct) >= alert.changePct) {
+        events.push({ type: 'metric.changed', ...base, changePct: Number.isFinite(changePct) ? changePct : null });
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * Create a watcher. Each poll() returns the events since the previous poll;
+ * the first poll only reports thresholds that are already crossed.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {WatchConfig} config
+ */
+export function createWatcher(ctx, config) {
+  validateWatchConfig(config);
+  const alertsFor = new Map((config.terms || []).map(t => (typeof t === 'string'
+    ? [t.toLowerCase(), null]
+    : [t.id.toLowerCase(), t.alerts || null])));
+  const defaults = config.alerts || DEFAULT_ALERTS;
+  let previous = new Map();
+  let tripleBlock = null;
+
+  async function poll() {
+    const at = new Date().toISOString();
+    const ids = new Set(alertsFor.keys());
+    if (config.wallet) {
+      const { positions } = await getPositions(ctx, config.wallet, { all: true });
+      positions.forEach(p => ids.add(p.term_id.toLowerCase()));
+    }
+
+    const snapshot = await snapshotTerms(ctx, [...ids]);
+    const events = [];
+    for (const id of ids) {
+      const entry = snapshot.get(id);
+      if (!entry) continue;
+      events.push(...metricEvents(entry, alertsFor.get(id) || defaults, previous.get(id), at));
+    }
+
+    const atomIds = [...ids].filter(id => snapshot.get(id)?.type === 'atom' && (alertsFor.get(id) || defaults).newTriples);
+    if (atomIds.length > 0) {
+      if (tripleBlock === null) {
+        tripleBlock = await latestTripleBlock(ctx, atomIds);
+      } else {
+        for (const t of await newTriplesAbout(ctx, atomIds, tripleBlock)) {
+          events.push({
+            type: 'triple.created',
+            tripleId: t.term_id,
+            label: `[${t.subject?.label}] [${t.predicate?.label}] [${t.object?.label}]`,
+            atoms: [t.subject, t.predicate, t.object].filter(a => atomIds.includes(a?.term_id?.toLowerCase())).map(a => a.term_id),
+            creator: t.creator_id,
+            block: t.block_number,
+            at,
+          });
+          tripleBlock = BigInt(t.block_number);
+        }
+      }
+    }
+
+    previous = snapshot;
+    return events;
+  }
+
+  return { poll, watching: () => [...alertsFor.keys()] };
+}
+
+/**
+ * Where events go: stdout as JSONL ("-" or nothing), an http(s) webhook
+ * (one POST per event), or a file (appended as JSONL).
+ *
+ * @param {string} [target]
+ * @returns {(event: object) => Promise<void>}
+ */
+export function createSink(target) {
+  if (!target || target === '-') {
+    return async (event) => { console.log(JSON.stringify(event)); };
+  }
+  if (/^https?:\/\//.test(target)) {
+    return async (event) => {
+      const response = await fetch(target, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(event),
+      });
+      if (!response.ok) throw new Error(`Webhook ${target} answered ${response.status}`);
+    };
+  }
+  return async (event) => { appendFileSync(target, JSON.stringify(event) + '\n'); };
+}
+
+/**
+ * Poll every `interval` seconds until `signal` aborts (or once with `once`),
+ * passing each event to `onEvent`. A failed poll is reported as a
+ * watch.error event instead of stopping the loop.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {WatchConfig} config
+ * @param {{ onEvent: (event: object) => Promise<void> | void, once?: boolean, signal?: AbortSignal }} options
+ */
+export async function runWatch(ctx, config, { onEvent, once = false, signal } = {}) {
+  const watcher = createWatcher(ctx, config);
+  const interval = (config.interval ?? 60) * 1000;
+
+  while (!signal?.aborted) {
+    let events;
+    try {
+      events = await watcher.poll();
+    } catch (err) {
+      events = [{ type: 'watch.error', error: err.message, code: err.code ?? null, at: new Date().toISOString() }];
+    }
+    for (const event of events) {
+      try {
+        await onEvent(event);
+      } catch (err) {
+        console.error(`Warning: could not deliver ${event.type} event: ${err.message}`);
+      }
+    }
+    if (once) return;
+    try {
+      await sleep(interval, undefined, { signal });
+    } catch (err) {
+      if (err.name !== 'AbortError') throw err;
+    }
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * wot.mjs - Web-of-trust scores: how much the seeds transitively trust
+ * every agent they can reach over `trusts` / `collaboratesWith` claims
+ *
+ * The crawl (graph.mjs) follows the trust predicates outward from the seeds.
+ * Each claim [A] [trusts] [B] is an edge A -> B weighted by the $TRUST
+ * staked FOR it minus AGAINST it; net-negative claims carry no trust. Scores
+ * are personalized PageRank, the EigenTrust formulation with the seeds as
+ * pre-trusted peers: every node passes `decay` of its score along its
+ * out-edges in proportion to their weight, and the rest (plus everything
+ * reaching a node with no out-edges) returns to the seeds. Trust k hops
+ * away is thus damped by decay^k. Scores sum to 1.
+ */
+
+import { ValidationError } from './errors.mjs';
+import { crawlGraph, resolveEntities } from './graph.mjs';
+
+export const DEFAULT_WOT_PREDICATES = ['trusts', 'collaboratesWith'];
+
+const MAX_ITERATIONS = 1000;
+const TOLERANCE = 1e-9;
+
+/**
+ * Personalized PageRank over a crawled graph, by power iteration.
+ *
+ * @param {import('./graph.mjs').Graph} graph
+ * @param {string[]} seedIds
+ * @param {{ decay?: number }} [options]
+ * @returns {{ scores: Map<string, number>, iterations: number }}
+ */
+export function scoreGraph(graph, seedIds, { decay = 0.85 } = {}) {
+  const ids = [...graph.nodes.keys()];
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const seeds = seedIds.map(id => index.get(id.toLowerCase()));
+
+  // Net weight per (from, to), summed over every claim between the two
+  const weights = new Map();
+  for (const edge of graph.edges) {
+    const key = `${edge.subject.id}\u0000${edge.object.id}`;
+    weights.set(key, (weights.get(key) || 0) + edge.for - edge.against);
+  }
+  const out = ids.map(() => []);
+  for (const [key, weight] of weights) {
+    const [from, to] = key.split('\u0000');
+    if (weight > 0 && from !== to) out[index.get(from)].push({ to: index.get(to), weight });
+  }
+  for (const links of out) {
+    const total = links.reduce((sum, l) => sum + l.weight, 0);
+    for (const link of links) link.weight /= total;
+  }
+
+  const prior = new Float64Array(ids.length);
+  for (const s of seeds) prior[s] += 1 / seeds.length;
+
+  let score = Float64Array.from(prior);
+  let iterations = 0;
+  while (iterations < MAX_ITERATIONS) {
+    iterations++;
+    const next = new Float64Array(ids.length);
+    let returned = 1 - decay;
+    out.forEach((links, i) => {
+      if (links.length === 0) {
+        returned += decay * score[i];
+        return;
+      }
+      for (const { to, weight } of links) next[to] += decay * score[i] * weight;
+    });
+    let delta = 0;
+    for (let i = 0; i < ids.length; i++) {
+      next[i] += returned * prior[i];
+      delta += Math.abs(next[i] - score[i]);
+    }
+    score = next;
+    if (delta < TOLERANCE) break;
+  }
+
+  return { scores: new Map(ids.map((id, i) => [id, score[i]])), iterations };
+}
+
+/**
+ * @typedef {object} WotEntry
+ * @property {number} rank
+ * @property {string} atom_id
+ * @property {string | null} label
+ * @property {number} score
+ * @property {number} hops          Shortest distance from a seed
+ * @property {boolean} seed
+ * @property {number} trusted_by    Trust claims pointing at it with net FOR stake
+ * @property {number} stake_in      Net $TRUST on those claims
+ */
+
+/**
+ * Crawl from the seeds (names or atom IDs) and rank every agent reached.
+ *
+ * @param {{ graphqlEndpoint?: string }} ctx
+ * @param {string[]} seeds
+ * @param {{ predicates?: string[], depth?: number, decay?: number, maxNodes?: number }} [options]
+ * @returns {Promise<{ seeds: object[], predicates: string[], depth: number, decay: number,
+ *   nodes: number, edges: number, truncated: boolean, iterations: number, ranking: WotEntry[] }>}
+ */
+export async function webOfTrust(ctx, seeds, { predicates = DEFAULT_WOT_PREDICATES, depth = 3, decay = 0.85, maxNodes } = {}) {
+  const errors = [];
+  if (!seeds?.length) errors.push('at least one seed is required');
+  if (!predicates?.length) errors.push('at least one predicate is required');
+  if (!Number.isInteger(depth) || depth < 1) errors.push('depth must be a whole number >= 1');
+  if (typeof decay !== 'number' || !(decay > 0 && decay < 1)) errors.push('decay must be between 0 and 1 (exclusive)');
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid web-of-trust options:\n  ${errors.join('\n  ')}`, { details: errors });
+  }
+
+  const resolved = await resolveEntities(ctx, seeds);
+  const graph = await crawlGraph(ctx, resolved, { depth, direction: 'out', predicates, maxNodes });
+  const { scores, iterations } = scoreGraph(graph, resolved.map(s => s.id), { decay });
+
+  const incoming = new Map();
+  for (const edge of graph.edges) {
+    const net = edge.for - edge.against;
+    if (net <= 0 || edge.subject.id === edge.object.id) continue;
+    const entry = incoming.get(edge.object.id) || { count: 0, stake: 0 };
+    entry.count++;
+    entry.stake += net;
+    incoming.set(edge.object.id, entry);
+  }
+
+  const seedIds = new Set(resolved.map(s => s.id));
+  const ranking = [...graph.nodes.values()]
+    .map(node => ({
+      atom_id: node.id,
+      label: node.label,
+      score: scores.get(node.id),
+      hops: node.hops,
+      seed: seedIds.has(node.id),
+      trusted_by: incoming.get(node.id)?.count ?? 0,
+      stake_in: incoming.get(node.id)?.stake ?? 0,
+    }))
+    .sort((a, b) => b.score - a.score || a.hops - b.hops)
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+  return {
+    seeds: resolved,
+    predicates,
+    depth,
+    decay,
+    nodes: graph.nodes.size,
+    edges: graph.edges.length,
+    truncated: graph.truncated,
+    iterations,
+    ranking,
+  };
+}
@@ -1,20 +1,21 @@
 #!/usr/bin/env node
 /**
  * intuition-agents.mjs
- * Discover AI agents registered on Intuition mainnet via GraphQL
+ * Discover AI agents registered on Intuition via GraphQL
  *
  * Usage:
  *   node intuition-agents.mjs                    # List all AI agents
  *   node intuition-agents.mjs --predicate "trusts" # Find all [X] [trusts] [Y] triples
  *   node intuition-agents.mjs --json              # JSON output
+ *   node intuition-agents.mjs --all               # Every result, fetched in pages
  */
 
-const GRAPHQL_ENDPOINT = process.env.INTUITION_GRAPHQL_ENDPOINT || 'https://mainnet.intuition.sh/v1/graphql';
+import { countAgents, discoverAgents } from '../lib/agents.mjs';
+import { cliArgs, clientOptions, describePage, exitWithError, pagingOptions } from '../lib/cli.mjs';
+import { explorerUrl } from '../lib/constants.mjs';
 
-const args = process.argv.slice(2);
+const args = cliArgs();
 const jsonOutput = args.includes('--json');
-const limitIdx = args.indexOf('--limit');
-const limit = limitIdx > -1 && args[limitIdx + 1] ? parseInt(args[limitIdx + 1]) : 50;
 const predicateIdx = args.indexOf('--predicate');
 const customPredicate = predicateIdx > -1 ? args[predicateIdx + 1] : null;
 
@@ -26,100 +27,45 @@ Usage:
   node intuition-agents.mjs                         # List all [X] [is] [AI Agent] claims
   node intuition-agents.mjs --predicate "trusts"    # Find all triples with a given predicate
   node intuition-agents.mjs --limit 20              # Limit results
+  node intuition-agents.mjs --page 3                # Results 101-150
+  node intuition-agents.mjs --all --json            # Every result
   node intuition-agents.mjs --json                  # JSON output
 
 Options:
   --predicate <name>  Search for triples using this predicate (default: finds AI agents)
-  --limit <n>         Max results (default: 50)
+  --limit <n>         Results per page (default: 50)
+  --page <n>          Page n of --limit results, oldest first
+  --offset <n>        Skip the first n results
+  --all               Fetch every result
   --json              Output as JSON
+  --network <name>    mainnet (default), testnet, or a custom network
 
 Queries the Intuition GraphQL API (no auth required).
 `);
   process.exit(0);
 }
 
-async function graphqlQuery(query, variables = {}) {
-  const response = await fetch(GRAPHQL_ENDPOINT, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  if (!response.ok) {
-    throw new Error(`GraphQL request failed: ${response.status} ${response.statusText}`);
-  }
-
-  const result = await response.json();
-  if (result.errors) {
-    throw new Error(`GraphQL errors: ${result.errors.map(e => e.message).join(', ')}`);
-  }
-
-  return result.data;
-}
-
-async function findAgents(limit) {
-  const query = `
-    query FindAgents($limit: Int!) {
-      triples(
-        where: {
-          predicate: { label: { _eq: "is" } }
-          object: { label: { _eq: "AI Agent" } }
-        }
-        limit: $limit
-      ) {
-        term_id
-        subject { term_id label }
-        predicate { term_id label }
-        object { term_id label }
-        triple_vault { total_shares position_count }
-      }
-    }
-  `;
-  return graphqlQuery(query, { limit });
-}
-
-async function findByPredicate(predicateLabel, limit) {
-  const query = `
-    query FindByPredicate($predicate: String!, $limit: Int!) {
-      triples(
-        where: {
-          predicate: { label: { _ilike: $predicate } }
-        }
-        limit: $limit
-      ) {
-        term_id
-        subject { term_id label }
-        predicate { term_id label }
-        object { term_id label }
-        triple_vault { total_shares position_count }
-      }
-    }
-  `;
-  return graphqlQuery(query, { predicate: predicateLabel, limit });
-}
-
 async function main() {
-  let data;
-
-  if (customPredicate) {
-    if (!jsonOutput) {
+  const paging = pagingOptions(args, 50);
+  if (!jsonOutput) {
+    if (customPredicate) {
       console.log(`Searching for triples with predicate: "${customPredicate}"`);
-      console.log('');
-    }
-    data = await findByPredicate(customPredicate, limit);
-  } else {
-    if (!jsonOutput) {
+    } else {
       console.log('Intuition AI Agent Discovery');
       console.log('============================');
-      console.log('');
     }
-    data = await findAgents(limit);
+    console.log('');
   }
 
-  const triples = data.triples || [];
+  const options = clientOptions();
+  const [triples, total] = await Promise.all([
+    discoverAgents(options, { predicate: customPredicate, ...paging }),
+    countAgents(options, { predicate: customPredicate }),
+  ]);
+  const offset = paging.all ? 0 : paging.offset;
 
   if (triples.length === 0) {
-    console.log('No results found.');
+    console.log(total > 0 ? `No results on this page (${total.toLocaleString('en-US')} in total).` : 'No results found.');
     return;
   }
 
@@ -132,20 +78,21 @@ async function main() {
     const forStake = t.triple_vault?.total_shares ? (Number(t.triple_vault.total_shares) / 1e18).toFixed(4) : '0';
     const stakers = t.triple_vault?.position_count || 0;
 
-    console.log(`${i + 1}. [${t.subject.label}] [${t.predicate.label}] [${t.object.label}]`);
+    console.log(`${offset + i + 1}. [${t.subject.label}] [${t.predicate.label}] [${t.object.label}]`);
     console.log(`   Term ID: ${t.term_id}`);
     console.log(`   Staked FOR: ${forStake} $TRUST (${stakers} stakers)`);
-    console.log(`   Explorer: https://portal.intuition.systems/identity/${t.subject.term_id}`);
+    const url = explorerUrl(t.subject.term_id, options.network.portalUrl);
+    if (url) console.log(`   Explorer: ${url}`);
     console.log('');
   });
 
-  console.log(`Found ${triples.length} result(s).`);
+  console.log(`${describePage({ shown: triples.length, offset, total })} result(s).`);
+  if (offset + triples.length < total) {
+    console.log(`More: --offset ${offset + triples.length} (or --all)`);
+  }
   console.log('');
   console.log('To verify a specific agent: node intuition-verify.mjs <name>');
   console.log('To query claims about an entity: node intuition-query.mjs --name <name>');
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+main().catch(exitWithError);
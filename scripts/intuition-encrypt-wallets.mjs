@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * intuition-encrypt-wallets.mjs - Encrypt plaintext wallet files in place
+ *
+ * Rewrites each plaintext wallet.json as a Web3 Secret Storage v3 keystore
+ * (scrypt + aes-128-ctr), keeping its address and metadata. Files that are
+ * already encrypted are skipped.
+ *
+ * Usage:
+ *   node intuition-encrypt-wallets.mjs                    # Every ~/.intuition-wallet-<name>/wallet.json
+ *   node intuition-encrypt-wallets.mjs --wallet <path>    # One specific wallet file
+ *   node intuition-encrypt-wallets.mjs --dry-run          # List what would be encrypted
+ */
+
+import { encryptWalletFile, listAgentWalletFiles, readWalletFile, resolvePassphrase } from '../lib/wallet.mjs';
+import { isKeystore } from '../lib/keystore.mjs';
+import { cliArgs, exitWithError, optionValue, passphraseSource } from '../lib/cli.mjs';
+
+const args = cliArgs();
+
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`
+intuition-encrypt-wallets.mjs - Encrypt plaintext wallet files in place
+
+Usage:
+  node intuition-encrypt-wallets.mjs [options]
+
+Options:
+  --wallet <path>           Encrypt only this wallet file (default: every ~/.intuition-wallet-*/wallet.json)
+  --passphrase-file <path>  File containing the new passphrase
+  --dry-run                 List plaintext wallets without changing them
+
+Environment:
+  INTUITION_WALLET_PASSPHRASE       New passphrase (else prompted)
+  INTUITION_WALLET_PASSPHRASE_FILE  File containing the new passphrase
+
+All wallets migrated in one run share the same passphrase. Files are
+rewritten atomically with mode 600; the plaintext key is not kept anywhere.
+`);
+  process.exit(0);
+}
+
+async function main() {
+  const walletPath = optionValue(args, '--wallet');
+  const dryRun = args.includes('--dry-run');
+
+  const files = walletPath ? [walletPath] : listAgentWalletFiles().map(w => w.walletFile);
+  const plaintext = files.filter(f => {
+    const wallet = readWalletFile(f);
+    return !isKeystore(wallet) && wallet.privateKey;
+  });
+
+  console.log('Intuition Wallet Encryption');
+  console.log('===========================');
+  console.log(`Wallet files: ${files.length}`);
+  console.log(`Plaintext:    ${plaintext.length}`);
+
+  if (plaintext.length === 0) {
+    console.log('\nNothing to do — all wallets are encrypted.');
+    return;
+  }
+
+  if (dryRun) {
+    console.log('');
+    plaintext.forEach(f => console.log(`  would encrypt: ${f}`));
+    return;
+  }
+
+  const passphrase = await resolvePassphrase(passphraseSource(args), { confirm: true });
+
+  console.log('');
+  for (const file of plaintext) {
+    const { address } = await encryptWalletFile(file, { passphrase });
+    console.log(`  ✓ ${file} (${address})`);
+  }
+  console.log(`\nEncrypted ${plaintext.length} wallet(s).`);
+  console.log('Unlock with INTUITION_WALLET_PASSPHRASE, INTUITION_WALLET_PASSPHRASE_FILE, --passphrase-file, or the prompt.');
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * intuition-export.mjs - Export an entity's neighborhood for graph tools and RDF stores
+ *
+ * Usage:
+ *   node intuition-export.mjs <name|atom_id> [--depth N] [--format graphml|dot|jsonld|ntriples|turtle] [--output file]
+ *
+ * Examples:
+ *   node intuition-export.mjs MyAgent --depth 2 --format graphml --output myagent.graphml
+ *   node intuition-export.mjs MyAgent --format dot | dot -Tsvg > myagent.svg
+ *   node intuition-export.mjs MyAgent --depth 2 --format turtle --exclude-predicate is
+ */
+
+import { writeFileSync } from 'fs';
+import { EXPORT_FORMATS, exportNeighborhood } from '../lib/graph-export.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, positionals } from '../lib/cli.mjs';
+
+const VALUE_OPTIONS = ['--depth', '--format', '--output', '--predicate', '--exclude-predicate', '--max-nodes'];
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-export.mjs - Export the triples around an entity as a graph file
+
+Usage:
+  node intuition-export.mjs <name|atom_id> [options]
+
+Options:
+  --depth <n>                  Hops to crawl, following triples in both directions (default: 1)
+  --format <format>            ${EXPORT_FORMATS.join(' | ')} (default: graphml)
+  --output <file>              Write to a file instead of stdout
+  --predicate <list>           Only follow these predicates (comma-separated)
+  --exclude-predicate <list>   Never follow these (e.g. "is" to skip [X] [is] [AI Agent] hubs)
+  --max-nodes <n>              Stop crawling once this many atoms are known (default: 5000)
+  --network <name>             mainnet (default), testnet, or a custom network
+
+Atoms become nodes (term ID, $TRUST in their vaults, staker count) and
+triples become edges subject -> object (term ID, predicate, FOR and AGAINST
+$TRUST, staker count). GraphML loads in Gephi, yEd and NetworkX; dot in
+Graphviz. In the RDF formats every term is urn:intuition:<chainId>:<termId>
+and each triple is also an rdf:Statement named by its term ID that carries
+the stake.
+
+Queries the Intuition GraphQL API (no auth required).
+`);
+  process.exit(exitCode);
+}
+
+const list = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined);
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+  const [input] = positionals(args, VALUE_OPTIONS);
+  if (!input) {
+    usage(1);
+  }
+  const number = (name, fallback) => (optionValue(args, name) === null ? fallback : Number(optionValue(args, name)));
+
+  const result = await exportNeighborhood(clientOptions(), input, {
+    format: optionValue(args, '--format') || 'graphml',
+    depth: number('--depth', 1),
+    predicates: list(optionValue(args, '--predicate')),
+    excludePredicates: list(optionValue(args, '--exclude-predicate')),
+    maxNodes: number('--max-nodes', 5000),
+  });
+
+  const output = optionValue(args, '--output');
+  if (output) {
+    writeFileSync(output, result.output);
+  } else {
+    process.stdout.write(result.output);
+  }
+  console.error(`Exported ${result.nodes} atom(s), ${result.edges} triple(s)${output ? ` to ${output}` : ''}${result.truncated ? ' (stopped at --max-nodes)' : ''}`);
+}
+
+main().catch(exitWithError);
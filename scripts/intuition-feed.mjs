@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * intuition-feed.mjs - Stream new atoms, triples or position changes as they are indexed
+ *
+ * Usage:
+ *   node intuition-feed.mjs <triples|atoms|positions> [filters] [options]
+ *
+ * Holds a GraphQL subscription open (graphql-ws over WebSocket), prints each
+ * new row, reconnects on its own and resumes from the last row printed.
+ *
+ * Examples:
+ *   node intuition-feed.mjs triples --predicate is --object "AI Agent"
+ *   node intuition-feed.mjs atoms --label "%agent%" --json
+ *   node intuition-feed.mjs positions --account MyAgent --since 1h
+ */
+
+import { FEED_KINDS, streamFeed } from '../lib/feed.mjs';
+import { parseSince } from '../lib/journal.mjs';
+import { describeAgentWallet } from '../lib/wallet.mjs';
+import { ValidationError } from '../lib/errors.mjs';
+import { cliArgs, clientOptions, endpointOverride, exitWithError, optionValue, positionals } from '../lib/cli.mjs';
+
+const FILTERS = ['subject', 'predicate', 'object', 'creator', 'label', 'account', 'term'];
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-feed.mjs - Real-time feed of the knowledge graph
+
+Usage:
+  node intuition-feed.mjs <triples|atoms|positions> [filters] [options]
+
+Feeds and filters:
+  triples    New triples      --subject, --predicate, --object <label|term_id>, --creator <address>
+  atoms      New atoms        --label <pattern>, --creator <address>
+  positions  Position changes --account <address|name>, --term <term_id>
+
+  Labels match case-insensitively; % is a wildcard ("%agent%").
+
+Options:
+  --since <when>     Start from an ISO date or 30m / 12h / 7d ago (default: now)
+  --limit <n>        Exit after n items (default: run until interrupted)
+  --json             One JSON object per line
+  --network <name>   mainnet (default), testnet, or a custom network
+
+The connection is reopened automatically (1s backoff, doubling to 30s) and
+resumes from the last item printed, so nothing is skipped or repeated.
+
+Environment:
+  INTUITION_GRAPHQL_ENDPOINT     HTTP endpoint (the WebSocket URL is derived from it);
+                                 ignored when a network is selected
+  INTUITION_GRAPHQL_WS_ENDPOINT  WebSocket endpoint, if served elsewhere (same rule)
+  INTUITION_NETWORK              Default network (overridden by --network)
+`);
+  process.exit(exitCode);
+}
+
+function resolveAccount(value) {
+  if (!value || value.startsWith('0x')) return value;
+  return describeAgentWallet(value).address;
+}
+
+function printItem(item) {
+  const time = item.updatedAt ?? item.createdAt;
+  if (item.kind === 'triple') {
+    console.log(`${time}  TRIPLE    ${item.label}`);
+    console.log(`    ${item.termId}  by ${item.creator}`);
+  } else if (item.kind === 'atom') {
+    console.log(`${time}  ATOM      ${item.label}${item.type ? ` (${item.type})` : ''}`);
+    console.log(`    ${item.termId}  by ${item.creator}`);
+  } else {
+    const side = item.curveId === '2' ? ' AGAINST' : '';
+    console.log(`${time}  POSITION  ${item.label}${side}: ${Number(item.shares) / 1e18} shares`);
+    console.log(`    ${item.termId}  held by ${item.account}`);
+  }
+}
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+  const [kind] = positionals(args, [...FILTERS.map(f => `--${f}`), '--since', '--limit']);
+  if (!FEED_KINDS[kind]) {
+    usage(1);
+  }
+
+  const filters = Object.fromEntries(FILTERS.map(f => [f, optionValue(args, `--${f}`)]).filter(([, v]) => v !== null));
+  if (filters.account) filters.account = resolveAccount(filters.account);
+
+  const sinceArg = optionValue(args, '--since');
+  const since = sinceArg ? parseSince(sinceArg) : new Date();
+  if (!since) {
+    throw new ValidationError(`Invalid --since: ${sinceArg} (use an ISO date or 30m, 12h, 7d)`);
+  }
+  const limit = Number(optionValue(args, '--limit') ?? 0);
+  const jsonOutput = args.includes('--json');
+
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+  process.on('SIGTERM', () => controller.abort());
+
+  const ctx = { ...clientOptions(), graphqlWsEndpoint: endpointOverride('INTUITION_GRAPHQL_WS_ENDPOINT') ?? undefined };
+  await streamFeed(ctx, kind, {
+    filters,
+    since,
+    limit,
+    signal: controller.signal,
+    onItem: (item) => (jsonOutput ? console.log(JSON.stringify(item)) : printItem(item)),
+    onStatus: ({ status, url, reason, delay }) => {
+      if (status === 'connected') console.error(`Streaming ${kind} from ${url}`);
+      else console.error(`Connection lost (${reason}); reconnecting in ${delay / 1000}s`);
+    },
+  });
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * intuition-gate.mjs - Allow or deny an entity against an access policy
+ *
+ * Usage:
+ *   node intuition-gate.mjs --policy <policy.json> <name|atom_id> [--json]
+ *
+ * Exits 0 when the policy passes and 1 when it does not (or on any error),
+ * so an orchestrator fails closed.
+ *
+ * Examples:
+ *   node intuition-gate.mjs --policy policy.json SomeAgent
+ *   node intuition-gate.mjs --policy policy.json 0x<atom-id> --json
+ *   node intuition-gate.mjs --policy policy.json SomeAgent && ./serve-tools.sh
+ */
+
+import { createIntuitionClient } from '../lib/client.mjs';
+import { readPolicy } from '../lib/gate.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, positionals, toJson } from '../lib/cli.mjs';
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-gate.mjs - Access control from a policy file: allow (exit 0) or deny (exit 1)
+
+Usage:
+  node intuition-gate.mjs --policy <policy.json> <name|atom_id> [--json]
+
+Options:
+  --policy <file>    Policy to evaluate (required)
+  --json             Output every clause result as JSON
+  --network <name>   mainnet (default), testnet, or a custom network
+
+Policy file:
+  A clause is either a claim about the entity with conditions, or "all" / "any"
+  over a list of clauses (AND / OR, nest as deep as needed):
+
+  { "name": "tool-access",
+    "all": [
+      { "claim": { "predicate": "is", "object": "AI Agent" },
+        "minAssets": 1, "minSentiment": 0.8, "minStakers": 2 },
+      { "any": [
+        { "claim": { "predicate": "is", "object": "Auditor" } },
+        { "claim": { "predicate": "is", "object": "AI Agent" },
+          "vouchers": ["0xabc...", "0xdef..."], "minVouchers": 1 }
+      ] }
+    ] }
+
+  claim          [Entity] [predicate] [object] must exist (labels)
+  minAssets      $TRUST staked FOR the claim
+  minSentiment   FOR / (FOR + AGAINST), 0-1
+  minStakers     Distinct accounts holding FOR shares
+  vouchers       Addresses that must hold FOR shares on the claim
+  minVouchers    How many of them (default: 1)
+  name           Label for the clause in the output
+
+Exit code:
+  0  allowed
+  1  denied, or the policy could not be evaluated
+`);
+  process.exit(exitCode);
+}
+
+function printResult(result, depth = 0) {
+  const indent = '  '.repeat(depth + 1);
+  const mark = result.passed ? '✓' : '✗';
+  console.log(`${indent}${mark} ${result.name}${result.detail ? `: ${result.detail}` : ''}`);
+  for (const child of result.clauses || []) {
+    printResult(child, depth + 1);
+  }
+}
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+  const policyPath = optionValue(args, '--policy');
+  const [target] = positionals(args, ['--policy']);
+  if (!policyPath || !target) {
+    usage(1);
+  }
+
+  const policy = readPolicy(policyPath);
+  const client = createIntuitionClient(clientOptions());
+  const decision = await client.evaluatePolicy(target, policy);
+  process.exitCode = decision.allowed ? 0 : 1;
+
+  if (args.includes('--json')) {
+    console.log(toJson(decision));
+    return;
+  }
+
+  console.log('Intuition Access Gate');
+  console.log('=====================');
+  console.log(`Entity: ${decision.label} (${decision.atom_id})`);
+  if (decision.policy) console.log(`Policy: ${decision.policy}`);
+  console.log('');
+  printResult(decision.result);
+  console.log('');
+  console.log(`Decision: ${decision.allowed ? 'ALLOW' : 'DENY'}`);
+}
+
+main().catch(exitWithError);
@@ -12,12 +12,14 @@
  * Usage: node intuition-health.mjs [options]
  *
  * Options:
- *   --json    Output as JSON
+ *   --json              Output as JSON
+ *   --network <name>    mainnet (default), testnet, or a custom network
  */
 
-const GRAPHQL_ENDPOINT = 'https://mainnet.intuition.sh/v1/graphql';
+import { KNOWN_ATOMS } from '../lib/constants.mjs';
+import { cliArgs, clientOptions, exitWithError } from '../lib/cli.mjs';
 
-const args = process.argv.slice(2);
+const args = cliArgs();
 const jsonOutput = args.includes('--json');
 
 if (args.includes('--help') || args.includes('-h')) {
@@ -28,7 +30,8 @@ Usage:
   node intuition-health.mjs [options]
 
 Options:
-  --json    Output as JSON
+  --json              Output as JSON
+  --network <name>    mainnet (default), testnet, or a custom network
 
 Checks:
   1. Dependencies installed (@0xintuition/protocol, viem)
@@ -51,8 +54,12 @@ function check(name, status, detail) {
 const log = (...a) => { if (!jsonOutput) console.log(...a); };
 
 async function main() {
+  const options = clientOptions();
+  const { network, graphqlEndpoint } = options;
+
   log('Intuition Health Check');
   log('======================');
+  log(`Network: ${network.label} (chain ${network.chainId})`);
   log('');
 
   // Check 1: Dependencies
@@ -82,36 +89,25 @@ async function main() {
     process.exit(1);
   }
 
-  const {
-    intuitionMainnet,
-    getMultiVaultAddressFromChainId,
-    MultiVaultAbi,
-  } = protocol;
-
-  const { createPublicClient, http, toHex, formatEther } = viem;
-
-  const multiVaultAddress = getMultiVaultAddressFromChainId(intuitionMainnet.id);
+  const { MultiVaultAbi } = protocol;
+  const { toHex, formatEther } = viem;
+  const { createContext } = await import('../lib/context.mjs');
+  const { publicClient, multiVaultAddress } = createContext(options);
 
   // Check 2: RPC Connectivity
   log('\n2. RPC Connectivity...');
-  let publicClient;
   try {
-    publicClient = createPublicClient({
-      chain: intuitionMainnet,
-      transport: http('https://rpc.intuition.systems/http'),
-    });
-
     const chainId = await publicClient.getChainId();
-    if (chainId === intuitionMainnet.id) {
+    if (chainId === network.chainId) {
       check('rpc', 'pass', `Connected to chain ${chainId}`);
-      log(`   \u2713 Connected to Intuition L3 (chain ${chainId})`);
+      log(`   \u2713 Connected to ${network.label} (chain ${chainId})`);
     } else {
-      check('rpc', 'fail', `Unexpected chain ID: ${chainId}, expected ${intuitionMainnet.id}`);
+      check('rpc', 'fail', `Unexpected chain ID: ${chainId}, expected ${network.chainId}`);
       log(`   \u2717 Unexpected chain ID: ${chainId}`);
     }
   } catch (e) {
     check('rpc', 'fail', `RPC unreachable: ${e.message}`);
-    log('   \u2717 RPC unreachable — https://rpc.intuition.systems/http');
+    log(`   \u2717 RPC unreachable — ${network.rpcUrl}`);
     log('     This may be temporary. Retry in a few seconds.');
     outputResults();
     process.exit(1);
@@ -120,7 +116,7 @@ async function main() {
   // Check 3: GraphQL Connectivity
   log('\n3. GraphQL API...');
   try {
-    const response = await fetch(GRAPHQL_ENDPOINT, {
+    const response = await fetch(graphqlEndpoint, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -143,20 +139,15 @@ async function main() {
     }
   } catch (e) {
     check('graphql', 'fail', `GraphQL unreachable: ${e.message}`);
-    log('   \u2717 GraphQL unreachable — https://mainnet.intuition.sh/v1/graphql');
+    log(`   \u2717 GraphQL unreachable — ${graphqlEndpoint}`);
   }
 
   // Check 4: Known Atom IDs
   log('\n4. Known Atom IDs...');
 
-  // These are the hardcoded IDs used across scripts (quickstart, query, verify)
+  // The IDs in lib/constants.mjs are used across scripts (quickstart, query, verify)
   // Verify they match on-chain calculated values
-  const knownAtoms = {
-    'is': '0xb0681668ca193e8608b43adea19fecbbe0828ef5afc941cef257d30a20564ef1',
-    'AI Agent': '0x4990eef19ea1d9b893c1802af9e2ec37fbc1ae138868959ebc23c98b1fc9565e',
-    'collaboratesWith': '0xb3cf9e60665fe7674e3798d2452604431d4d4dc96aa8d6965016205d00e45c8e',
-    'participatesIn': '0x2952108d352c2ffe1b89b208c4f078165c83c3ac995c3d6d1f41b18a19ce2f23',
-  };
+  const knownAtoms = KNOWN_ATOMS;
 
   let allAtomsMatch = true;
   for (const [label, expectedId] of Object.entries(knownAtoms)) {
@@ -268,8 +259,4 @@ function outputResults() {
   }
 }
 
-main().catch(err => {
-  const msg = (err.message || '').replace(/0x[a-fA-F0-9]{64}/g, '0x[REDACTED]');
-  console.error('Error:', msg);
-  process.exit(1);
-});
+main().catch(exitWithError);
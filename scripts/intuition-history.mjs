@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+/**
+ * intuition-history.mjs
+ * Show the local journal of transactions sent by the skill
+ *
+ * Usage:
+ *   node intuition-history.mjs [filters] [--json]
+ *
+ * Examples:
+ *   node intuition-history.mjs
+ *   node intuition-history.mjs --wallet MyAgent --since 7d
+ *   node intuition-history.mjs --term 0x<term-id> --json
+ *   node intuition-history.mjs --status reverted
+ */
+
+import { formatEther } from 'viem';
+import { journalDir, readJournal } from '../lib/journal.mjs';
+import { describeAgentWallet } from '../lib/wallet.mjs';
+import { ValidationError } from '../lib/errors.mjs';
+import { cliArgs, exitWithError, optionValue, percentChange, selectedNetworkProfile, toJson } from '../lib/cli.mjs';
+
+const ACTIONS = ['stake', 'redeem', 'stake-batch', 'redeem-batch', 'create-atoms', 'create-triples'];
+const STATUSES = ['success', 'reverted', 'submitted', 'unknown'];
+
+const args = cliArgs();
+const jsonOutput = args.includes('--json');
+// cliArgs() consumes --network; filter on it only when it was given
+const networkGiven = process.argv.slice(2).some(a => a === '--network' || a.startsWith('--network='));
+
+if (args.includes('--help') || args.includes('-h')) {
+  console.log(`
+intuition-history.mjs - Transactions this skill has sent, from the local journal
+
+Usage:
+  node intuition-history.mjs [filters] [--json]
+
+Filters:
+  --wallet <address|name>  Only this wallet (an agent name resolves via ~/.intuition-wallet-<name>/)
+  --term <id>              Only transactions touching this term (atom, triple, or counter-triple ID)
+  --action <action>        ${ACTIONS.join(', ')}
+  --status <status>        success, reverted, submitted (no receipt yet) or unknown
+  --since <when>           ISO date, or relative: 30m, 12h, 7d
+  --network <name>         Only this network
+  --limit <n>              Most recent N entries (default: 20, 0 for all)
+
+Options:
+  --json                   Output entries as JSON (amounts in wei)
+
+Every stake, redeem, batch and atom/triple creation is appended to
+${journalDir()}/YYYY-MM.jsonl when it is sent and again
+once its receipt arrives, with previewed and realized shares/assets.
+A transaction shows its latest status; "unknown" means the receipt wait
+failed, so check the hash on the explorer. Set INTUITION_JOURNAL_DIR to
+move it, or INTUITION_JOURNAL=off to stop recording.
+`);
+  process.exit(0);
+}
+
+const ether = (wei) => (wei === null || wei === undefined ? '?' : formatEther(BigInt(wei)));
+
+function resolveWallet(value) {
+  if (!value || value.startsWith('0x')) return value;
+  const { address } = describeAgentWallet(value);
+  return address;
+}
+
+function describe(entry) {
+  const lines = [];
+  const { expected = {}, realized = {} } = entry;
+
+  if (entry.action === 'stake') {
+    lines.push(`   Term:     ${entry.termId}${entry.vaultId !== entry.termId ? ` (AGAINST vault ${entry.vaultId})` : ''}`);
+    lines.push(`   Deposit:  ${ether(entry.value)} $TRUST`);
+    lines.push(`   Shares:   ${realized.shares != null ? `${ether(realized.shares)} (expected ${ether(expected.shares)}, ${percentChange(expected.shares, realized.shares)})` : `expected ${ether(expected.shares)}`}`);
+  } else if (entry.action === 'redeem') {
+    lines.push(`   Term:     ${entry.termId}${entry.vaultId !== entry.termId ? ` (AGAINST vault ${entry.vaultId})` : ''}`);
+    lines.push(`   Shares:   ${ether(expected.shares)}`);
+    lines.push(`   Received: ${realized.assets != null ? `${ether(realized.assets)} $TRUST (expected ${ether(expected.assets)}, ${percentChange(expected.assets, realized.assets)})` : `expected ${ether(expected.assets)} $TRUST`}`);
+  } else if (entry.action === 'stake-batch' || entry.action === 'redeem-batch') {
+    const total = entry.action === 'stake-batch' ? `, ${ether(entry.value)} $TRUST deposited` : '';
+    lines.push(`   Vaults:   ${entry.items.length}${total}`);
+    for (const item of entry.items) {
+      const got = entry.action === 'stake-batch'
+        ? `${ether(item.assets)} $TRUST -> ${ether(item.realized?.shares ?? item.expected.shares)} shares`
+        : `${ether(item.expected.shares)} shares -> ${ether(item.realized?.assets ?? item.expected.assets)} $TRUST`;
+      lines.push(`     ${item.vaultId}  curve ${item.curveId}  ${got}`);
+    }
+  } else {
+    lines.push(`   Created:  ${(entry.termIds || []).join(', ') || `${(entry.labels || entry.triples || []).length} term(s)`}`);
+    lines.push(`   Cost:     ${ether(entry.value)} $TRUST`);
+  }
+  return lines;
+}
+
+async function main() {
+  const action = optionValue(args, '--action');
+  if (action && !ACTIONS.includes(action)) {
+    throw new ValidationError(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+  }
+  const status = optionValue(args, '--status');
+  if (status && !STATUSES.includes(status)) {
+    throw new ValidationError(`--status must be one of: ${STATUSES.join(', ')}`);
+  }
+  const limit = parseInt(optionValue(args, '--limit') ?? '20', 10);
+  if (isNaN(limit) || limit < 0) {
+    throw new ValidationError('--limit must be a non-negative number');
+  }
+  const since = optionValue(args, '--since');
+  if (since && !/^\d+[dhm]$/.test(since) && isNaN(new Date(since))) {
+    throw new ValidationError(`Invalid --since "${since}". Use an ISO date or 30m, 12h, 7d`);
+  }
+
+  const entries = readJournal({
+    wallet: resolveWallet(optionValue(args, '--wallet')),
+    termId: optionValue(args, '--term'),
+    network: networkGiven ? selectedNetworkProfile().name : undefined,
+    action,
+    status,
+    since,
+    limit,
+  });
+
+  if (jsonOutput) {
+    console.log(toJson(entries));
+    return;
+  }
+  if (entries.length === 0) {
+    console.log(`No journaled transactions match (journal: ${journalDir()})`);
+    return;
+  }
+
+  console.log(`Transaction History (${entries.length}, oldest first)`);
+  console.log('===================');
+  console.log('');
+  for (const entry of entries) {
+    const mark = { success: '✓', reverted: '✗' }[entry.status] ?? '?';
+    console.log(`${mark} ${entry.timestamp}  ${entry.action}  ${entry.network}  ${entry.block ? `block ${entry.block}` : entry.status}`);
+    console.log(`   Wallet:   ${entry.wallet}`);
+    describe(entry).forEach(line => console.log(line));
+    console.log(`   Tx:       ${entry.hash}`);
+    if (entry.error) console.log(`   Error:    ${entry.error}`);
+    console.log('');
+  }
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+/**
+ * intuition-import.mjs - Bulk-create atoms and triples from a CSV or Turtle file
+ *
+ * Usage:
+ *   node intuition-import.mjs <data.csv|data.ttl|data.nt> [--mapping file] [--batch-size n] [--dry-run] [--json]
+ *
+ * Resolves every label to its atom ID, skips the atoms and triples that
+ * already exist, prints the cost, then creates the rest in batched
+ * createAtoms / createTriples transactions and writes a label -> term ID
+ * mapping file. Re-running an interrupted import picks up where it stopped.
+ */
+
+import { writeFileSync } from 'fs';
+import { basename, dirname, extname, join } from 'path';
+import { formatEther } from 'viem';
+import { createIntuitionClient } from '../lib/client.mjs';
+import { createSigner } from '../lib/signers.mjs';
+import { importMapping, readImportFile } from '../lib/import.mjs';
+import { formatSimulation } from '../lib/simulate.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, positionals, signerSource, toJson } from '../lib/cli.mjs';
+
+const VALUE_OPTIONS = ['--mapping', '--batch-size', '--wallet', '--passphrase-file', '--signer', '--signer-address'];
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-import.mjs - Bulk-create atoms and triples from a CSV or Turtle file
+
+Usage:
+  node intuition-import.mjs <data.csv|data.ttl|data.nt> [options]
+
+Options:
+  --mapping <file>          Where to write label -> term ID (default: <data>.mapping.json)
+  --batch-size <n>          Terms per transaction (default: the MultiVault's MAX_BATCH_SIZE)
+  --dry-run                 Show what exists and what it would cost, simulate each batch. Sends nothing
+  --json                    With --dry-run, print the report as JSON
+  --wallet <path>           Path to wallet JSON file (plaintext or encrypted keystore)
+  --passphrase-file <path>  File containing the wallet passphrase
+  --signer <spec>           key (default), rpc:<url|socket>, external:<url|socket>, eip1193:<module>
+  --signer-address <0x...>  Account to use when the signer manages several
+  --network <name>          mainnet (default), testnet, or a custom network
+
+Examples:
+  node intuition-import.mjs facts.csv --dry-run       # What exists, what it would cost
+  node intuition-import.mjs facts.csv                 # Create everything missing
+  node intuition-import.mjs team.ttl --mapping ids.json
+
+Import files:
+  CSV with a header row:   subject,predicate,object
+                           Alice,trusts,Bob
+                           MyAgent,is,AI Agent
+                           Ethereum,,
+  A row with only a subject creates just that atom. Any field may be a
+  term ID instead of a label; the term must already exist.
+
+  Turtle / N-Triples:      @prefix ex: <https://example.org/> .
+                           ex:Alice ex:trusts ex:Bob ;
+                                    a ex:Person .
+  IRIs become their local name (ex:Alice -> "Alice") unless the file gives
+  them an rdfs:label; literals are used as written; "a" (rdf:type) is the
+  "is" predicate. Blank nodes are not supported.
+
+Atoms and triples that already exist are skipped, as are repeated rows.
+Atoms are created first, then triples, each seeded with the current
+creation cost. If a batch fails, run the same command again: whatever was
+created is skipped. The mapping file lists every atom by label and every
+triple as "subject/predicate/object", the form stake plans accept.
+
+Environment:
+  INTUITION_PRIVATE_KEY             Wallet private key (required if no --wallet)
+  INTUITION_WALLET_PATH             Default wallet JSON path
+  INTUITION_WALLET_PASSPHRASE       Passphrase for an encrypted wallet (else prompted)
+  INTUITION_WALLET_PASSPHRASE_FILE  File containing the passphrase
+  INTUITION_SIGNER                  Default signer spec (overridden by --signer)
+  INTUITION_NETWORK                 Default network (overridden by --network)
+`);
+  process.exit(exitCode);
+}
+
+const defaultMappingPath = (file) => join(dirname(file), `${basename(file, extname(file))}.mapping.json`);
+
+function writeMapping(path, preview) {
+  writeFileSync(path, JSON.stringify(importMapping(preview), null, 2) + '\n');
+  console.log('Mapping:', path);
+}
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+  const [file] = positionals(args, VALUE_OPTIONS);
+  if (!file) {
+    usage(1);
+  }
+  const dryRun = args.includes('--dry-run');
+  const jsonOutput = args.includes('--json');
+  const mappingPath = optionValue(args, '--mapping') || defaultMappingPath(file);
+  const batchSize = optionValue(args, '--batch-size') === null ? undefined : Number(optionValue(args, '--batch-size'));
+
+  const rows = readImportFile(file);
+  const signer = await createSigner(signerSource(args));
+  const client = createIntuitionClient({ ...clientOptions(), ...signer });
+
+  const preview = await client.previewImport(rows, { batchSize });
+
+  if (dryRun && jsonOutput) {
+    const report = await client.simulateImport(preview);
+    console.log(toJson({ ...report, mapping: importMapping(preview) }));
+    if (report.simulations.some(s => s.simulation.ok === false)) process.exitCode = 1;
+    return;
+  }
+
+  const newAtoms = preview.atoms.filter(a => !a.exists);
+  const newTriples = preview.triples.filter(t => !t.exists);
+
+  console.log('Intuition Import');
+  console.log('================');
+  console.log('Wallet:', preview.wallet);
+  console.log('File:', file, `(${rows.length} rows${preview.duplicates ? `, ${preview.duplicates} repeated` : ''})`);
+  console.log(`Atoms:   ${preview.atoms.length} in file, ${preview.atoms.length - newAtoms.length} exist, ${newAtoms.length} to create`);
+  console.log(`Triples: ${preview.triples.length} in file, ${preview.triples.length - newTriples.length} exist, ${newTriples.length} to create`);
+
+  if (newAtoms.length === 0 && newTriples.length === 0) {
+    console.log('\nNothing to create: every atom and triple already exists.');
+    if (!dryRun) writeMapping(mappingPath, preview);
+    return;
+  }
+
+  console.log('');
+  newAtoms.forEach(a => console.log(`  + atom    ${a.label}`));
+  newTriples.forEach(t => console.log(`  + triple  ${t.label}`));
+  console.log('');
+  console.log('Cost estimate:');
+  console.log(`  ${String(newAtoms.length).padStart(5)} atom(s)   x ${formatEther(preview.atomCost)} $TRUST`);
+  console.log(`  ${String(newTriples.length).padStart(5)} triple(s) x ${formatEther(preview.tripleCost)} $TRUST`);
+  console.log('Total:  ', formatEther(preview.totalAssets), '$TRUST', `in ${preview.transactions} transaction(s), plus gas`);
+  console.log('Balance:', formatEther(preview.balance), '$TRUST', preview.sufficientBalance ? '' : '(insufficient)');
+
+  if (dryRun) {
+    const report = await client.simulateImport(preview);
+    console.log('\n--- Dry run (nothing sent) ---');
+    report.simulations.forEach((s, i) => {
+      console.log(`\nBatch ${i + 1}/${report.simulations.length}: ${s.count} ${s.kind}`);
+      formatSimulation(s.simulation).forEach(line => console.log(line));
+    });
+    if (report.simulations.some(s => s.simulation.ok === false)) process.exitCode = 1;
+    return;
+  }
+
+  console.log(`\n--- Importing (${preview.transactions} transaction(s)) ---`);
+
+  const result = await client.submitImport(preview, {
+    onBatch: (tx, index, total) => {
+      console.log(`✓ ${index + 1}/${total}: ${tx.count} ${tx.kind}  TX ${tx.hash}  block ${tx.blockNumber}`);
+    },
+  });
+
+  console.log('');
+  console.log(`Created ${newAtoms.length} atom(s) and ${newTriples.length} triple(s)`);
+  console.log('New balance:', formatEther(result.newBalance), '$TRUST');
+  writeMapping(mappingPath, preview);
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * intuition-manifest.mjs - Keep an agent's on-chain footprint in a file
+ *
+ * Usage:
+ *   node intuition-manifest.mjs plan <manifest.json> [--json]
+ *   node intuition-manifest.mjs apply <manifest.json> [--json]
+ *
+ * `plan` diffs the manifest (identity atom, claims, target stake per side)
+ * against the chain and prints the creates, deposits and redemptions that
+ * would converge it, with their cost. `apply` prints the same plan and
+ * carries it out. Once converged, both find nothing to do.
+ *
+ * Examples:
+ *   node intuition-manifest.mjs plan agents/scout.json
+ *   node intuition-manifest.mjs apply agents/scout.json --wallet ~/.intuition-wallet-Scout/wallet.json
+ */
+
+import { formatEther } from 'viem';
+import { createIntuitionClient } from '../lib/client.mjs';
+import { createSigner } from '../lib/signers.mjs';
+import { DEFAULT_TOLERANCE, readManifest } from '../lib/manifest.mjs';
+import { cliArgs, clientOptions, exitWithError, positionals, signerSource, toJson } from '../lib/cli.mjs';
+
+const VALUE_OPTIONS = ['--wallet', '--passphrase-file', '--signer', '--signer-address'];
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-manifest.mjs - Declare an agent's atoms, claims and stakes; plan and apply the difference
+
+Usage:
+  node intuition-manifest.mjs plan <manifest.json> [options]    Show what would change (sends nothing)
+  node intuition-manifest.mjs apply <manifest.json> [options]   Make the chain match the manifest
+
+Options:
+  --json                    Output the plan (and with apply, the results) as JSON
+  --wallet <path>           Path to wallet JSON file (plaintext or encrypted keystore)
+  --passphrase-file <path>  File containing the wallet passphrase
+  --signer <spec>           key (default), rpc:<url|socket>, external:<url|socket>, eip1193:<module>
+  --signer-address <0x...>  Account to use when the signer manages several
+  --network <name>          mainnet (default), testnet, or a custom network
+
+Manifest:
+  {
+    "identity": "MyAgent",
+    "stake": "0.1",
+    "claims": [
+      { "predicate": "is", "object": "AI Agent", "for": "0.5" },
+      { "predicate": "collaboratesWith", "object": "Scout", "for": "0.2" },
+      { "subject": "SpamBot", "predicate": "is", "object": "AI Agent", "against": "0.1" }
+    ],
+    "tolerance": ${DEFAULT_TOLERANCE},
+    "maxSlippage": 1
+  }
+
+  identity   The agent's atom (label or term ID); created if missing
+  stake      Target $TRUST in the identity atom's vault (optional)
+  claims     Triples the agent asserts; subject defaults to the identity.
+             "for" / "against" are the target value of the wallet's position
+             on each side. A side left out is not managed; "0" exits it.
+  tolerance  Percent a position may be off its target before it is changed
+             (default ${DEFAULT_TOLERANCE}), so entry fees do not cause endless top-ups
+
+Apply order: redeems, then missing atoms and triples (createAtoms /
+createTriples batches), then all deposits in one depositBatch. If a step
+fails, the earlier ones stand; run plan again to see what is left.
+
+Environment:
+  INTUITION_PRIVATE_KEY             Wallet private key (required if no --wallet)
+  INTUITION_WALLET_PATH             Default wallet JSON path
+  INTUITION_WALLET_PASSPHRASE       Passphrase for an encrypted wallet (else prompted)
+  INTUITION_WALLET_PASSPHRASE_FILE  File containing the passphrase
+  INTUITION_SIGNER                  Default signer spec (overridden by --signer)
+  INTUITION_NETWORK                 Default network (overridden by --network)
+`);
+  process.exit(exitCode);
+}
+
+const trust = (wei) => `${formatEther(wei)} $TRUST`;
+const sideName = (side) => (side === 'atom' ? 'ATOM' : side.toUpperCase());
+
+function printPlan(plan, file) {
+  const { creates, positions } = plan;
+  const newAtoms = creates.atoms.filter(a => !a.exists);
+  const newTriples = creates.triples.filter(t => !t.exists);
+  const redeems = positions.filter(p => p.action === 'redeem');
+  const deposits = positions.filter(p => p.action === 'deposit');
+
+  console.log('Intuition Manifest Plan');
+  console.log('=======================');
+  console.log('Wallet:', plan.wallet);
+  console.log('Manifest:', file, `(${plan.manifest.identity}, ${plan.manifest.claims.length} claims)`);
+  console.log('');
+
+  if (plan.changes === 0) {
+    console.log(`No changes. Every atom and triple exists and every position is within ${plan.manifest.tolerance}% of its target.`);
+    return;
+  }
+
+  newAtoms.forEach(a => console.log(`  + create atom    ${a.label}  (${trust(creates.atomCost)})`));
+  newTriples.forEach(t => console.log(`  + create triple  ${t.label}  (${trust(creates.tripleCost)})`));
+  redeems.forEach(p => console.log(`  - redeem  ${sideName(p.side).padEnd(7)} ${p.label}  ` +
+    `${formatEther(p.value)} -> ${formatEther(p.target)} $TRUST  (${p.amount.toLocaleString()} shares, ~${trust(p.expectedAssets)} back)`));
+  deposits.forEach(p => console.log(`  ~ deposit ${sideName(p.side).padEnd(7)} ${p.label}  ` +
+    `${formatEther(p.value)} -> ${formatEther(p.target)} $TRUST  (+${trust(p.amount)})`));
+  const unchanged = positions.length - redeems.length - deposits.length;
+  if (unchanged > 0) console.log(`  ${unchanged} position(s) already within ${plan.manifest.tolerance}% of target`);
+
+  console.log('');
+  console.log(`Cost:    ${trust(plan.totalCost)} (create ${formatEther(creates.totalAssets)}, deposit ${formatEther(plan.depositTotal)}), plus gas`);
+  if (redeems.length > 0) console.log(`Returns: ~${trust(plan.redeemTotal)} from redeems, after fees`);
+  console.log('Balance:', trust(plan.balance), plan.sufficientBalance ? '' : '(insufficient)');
+}
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+  const [command, file] = positionals(args, VALUE_OPTIONS);
+  if (!['plan', 'apply'].includes(command) || !file) {
+    usage(1);
+  }
+  const jsonOutput = args.includes('--json');
+
+  const manifest = readManifest(file);
+  const signer = await createSigner(signerSource(args));
+  const client = createIntuitionClient({ ...clientOptions(), ...signer });
+  const plan = await client.planManifest(manifest);
+
+  if (command === 'plan' || plan.changes === 0) {
+    if (jsonOutput) console.log(toJson(plan));
+    else printPlan(plan, file);
+    return;
+  }
+
+  if (!jsonOutput) {
+    printPlan(plan, file);
+    console.log('\n--- Applying ---');
+  }
+  const result = await client.applyManifest(plan, {
+    onStep: (step) => {
+      if (!jsonOutput) console.log(`✓ ${step.kind.padEnd(7)} ${step.label}  TX ${step.hash}`);
+    },
+  });
+
+  if (jsonOutput) {
+    console.log(toJson({ plan, result }));
+    return;
+  }
+  console.log('');
+  console.log('New balance:', trust(result.newBalance));
+  console.log('Run plan again to confirm there is nothing left to change.');
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * intuition-path.mjs - How is A connected to B? Shortest chains of claims
+ *
+ * Usage:
+ *   node intuition-path.mjs <A> <B> [--max-depth 4] [--predicate list] [--exclude-predicate list] [--k n] [--json]
+ *
+ * Examples:
+ *   node intuition-path.mjs MyAgent "Intuition"
+ *   node intuition-path.mjs MyAgent SomeProject --exclude-predicate is --k 3
+ *   node intuition-path.mjs 0x<atom-id> 0x<atom-id> --predicate trusts,collaboratesWith --json
+ */
+
+import { findPaths } from '../lib/paths.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, positionals } from '../lib/cli.mjs';
+
+const VALUE_OPTIONS = ['--max-depth', '--predicate', '--exclude-predicate', '--k', '--max-nodes'];
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-path.mjs - Shortest chains of claims between two entities
+
+Usage:
+  node intuition-path.mjs <A> <B> [options]
+
+A and B are names or atom IDs. Triples are followed from subject to object
+and back, so a path can read [A] [trusts] [X], [Y] [worksOn] [X], ...
+
+Options:
+  --max-depth <n>              Longest path to look for, in claims (default: 4)
+  --predicate <list>           Only follow these predicates (comma-separated)
+  --exclude-predicate <list>   Never follow these (e.g. "is" to skip [X] [is] [AI Agent] hubs)
+  --k <n>                      Keep the n best paths by stake weight (default: all shortest paths)
+  --max-nodes <n>              Give up once this many atoms are explored (default: 5000)
+  --json                       Output as JSON
+  --network <name>             mainnet (default), testnet, or a custom network
+
+Paths are ranked by their weakest hop's FOR stake, then total FOR stake.
+Exits 1 when no path is found.
+
+Queries the Intuition GraphQL API (no auth required).
+`);
+  process.exit(exitCode);
+}
+
+const list = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : undefined);
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+  const [from, to] = positionals(args, VALUE_OPTIONS);
+  if (!from || !to) {
+    usage(1);
+  }
+  const number = (name, fallback) => (optionValue(args, name) === null ? fallback : Number(optionValue(args, name)));
+
+  const result = await findPaths(clientOptions(), from, to, {
+    maxDepth: number('--max-depth', 4),
+    predicates: list(optionValue(args, '--predicate')),
+    excludePredicates: list(optionValue(args, '--exclude-predicate')),
+    k: number('--k', null),
+    maxNodes: number('--max-nodes', 5000),
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const name = (end) => end.label ?? end.id;
+  console.log(`Paths from ${name(result.from)} to ${name(result.to)}`);
+  console.log('');
+
+  if (result.paths.length === 0) {
+    const why = result.truncated ? `gave up after exploring ${result.explored} atoms (--max-nodes)` : `within ${number('--max-depth', 4)} claims`;
+    console.log(`No path found (${why}).`);
+    process.exitCode = 1;
+    return;
+  }
+
+  result.paths.forEach((path, i) => {
+    console.log(`  ${i + 1}. ${path.hops.length} claim(s), weakest ${path.weakest.toFixed(4)} $TRUST FOR`);
+    for (const hop of path.hops) {
+      console.log(`       ${hop.claim}  ${hop.for.toFixed(4)} FOR / ${hop.against.toFixed(4)} AGAINST, ${hop.stakers} staker(s)`);
+      console.log(`         ${hop.term_id}`);
+    }
+  });
+  console.log('');
+  console.log(result.paths.length < result.found
+    ? `Showing ${result.paths.length} of ${result.found} shortest paths (${result.length} claims)`
+    : `${result.found} shortest path(s) of ${result.length} claim(s)`);
+}
+
+main().catch(exitWithError);
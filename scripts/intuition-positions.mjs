@@ -1,7 +1,8 @@
 #!/usr/bin/env node
 /**
  * intuition-positions.mjs
- * Check staking positions on the Intuition protocol for a wallet
+ * Check staking positions on the Intuition protocol for a wallet, with
+ * cost basis and profit/loss rebuilt from its deposit/redeem history
  *
  * Usage:
  *   node intuition-positions.mjs                        # Use wallet from INTUITION_PRIVATE_KEY
@@ -13,17 +14,23 @@
  *   node intuition-positions.mjs 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045
  *   node intuition-positions.mjs 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045 --json
  *   node intuition-positions.mjs --limit 10
+ *   node intuition-positions.mjs --page 2
+ *   node intuition-positions.mjs --all --json
+ *   node intuition-positions.mjs --source logs --from-block 1000000
  *
  * Environment:
  *   INTUITION_PRIVATE_KEY    Wallet private key (used to derive address if no address arg)
  */
 
-const GRAPHQL_ENDPOINT = process.env.INTUITION_GRAPHQL_ENDPOINT || 'https://mainnet.intuition.sh/v1/graphql';
+import { getPositionEvents, getPositions } from '../lib/positions.mjs';
+import { ValidationError } from '../lib/errors.mjs';
+import { cliArgs, clientOptions, describePage, exitWithError, optionValue, pagingOptions } from '../lib/cli.mjs';
 
-const args = process.argv.slice(2);
+const args = cliArgs();
 const jsonOutput = args.includes('--json');
-const limitIdx = args.indexOf('--limit');
-const limit = limitIdx > -1 && args[limitIdx + 1] ? parseInt(args[limitIdx + 1]) : 50;
+const withPnl = !args.includes('--no-pnl');
+const source = optionValue(args, '--source') || 'graphql';
+const fromBlock = optionValue(args, '--from-block');
 
 if (args.includes('--help') || args.includes('-h')) {
   console.log(`
@@ -36,81 +43,42 @@ Usage:
 
 Options:
   --json              Output as JSON
-  --limit <n>         Max results (default: 50)
+  --limit <n>         Positions to list (default: 50)
+  --page <n>          Page n of --limit positions, largest first
+  --offset <n>        Skip the first n positions
+  --all               List every position
+  --no-pnl            Skip cost basis and profit/loss (no history or receipts read)
+  --source <source>   Where the deposit/redeem history comes from:
+                        graphql  indexer, gross deposit amounts from receipts (default)
+                        logs     MultiVault logs over RPC only (slower, no indexer)
+  --from-block <n>    First block to scan with --source logs (default: 0)
+  --network <name>    mainnet (default), testnet, or a custom network
 
 Examples:
   node intuition-positions.mjs
   node intuition-positions.mjs 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045
   node intuition-positions.mjs 0xd8dA6BF26964aF9D7eEd9e03E53415D37aA96045 --json
   node intuition-positions.mjs --limit 10
+  node intuition-positions.mjs --page 2
+  node intuition-positions.mjs --all --json
+  node intuition-positions.mjs --source logs --from-block 1000000
 
 Environment:
   INTUITION_PRIVATE_KEY    Wallet private key (used to derive address if no address arg)
 
 Queries the Intuition GraphQL API (no auth required).
+
+Cost basis is the average cost of the shares still held: each deposit adds
+what it paid (fees included), each redeem releases the same fraction of the
+cost as of the shares and books the difference to what it paid out as
+realized PnL. Unrealized PnL is the current value (before exit fees) minus
+the cost basis. Return % is total PnL over everything ever deposited. Fully
+exited positions are listed for their realized PnL (in --json with
+"closed": true). Totals always cover every position, not just the page shown.
 `);
   process.exit(0);
 }
 
-async function graphqlQuery(query, variables = {}) {
-  const response = await fetch(GRAPHQL_ENDPOINT, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ query, variables }),
-  });
-
-  if (!response.ok) {
-    throw new Error(`GraphQL request failed: ${response.status} ${response.statusText}`);
-  }
-
-  const result = await response.json();
-  if (result.errors) {
-    throw new Error(`GraphQL errors: ${result.errors.map(e => e.message).join(', ')}`);
-  }
-
-  return result.data;
-}
-
-async function getPositions(address, limit) {
-  const query = `
-    query GetPositions($address: String!, $limit: Int = 50) {
-      positions(
-        where: { account_id: { _eq: $address } }
-        limit: $limit
-        order_by: { shares: desc }
-      ) {
-        id
-        shares
-        vault {
-          total_shares
-          total_assets
-          current_share_price
-          term_id
-          term {
-            id
-            type
-            atom { label }
-            triple {
-              subject { label }
-              predicate { label }
-              object { label }
-            }
-          }
-        }
-      }
-    }
-  `;
-  return graphqlQuery(query, { address: address.toLowerCase(), limit });
-}
-
-function calculateValue(shares, totalAssets, totalShares) {
-  if (!shares || !totalAssets || !totalShares || totalShares === '0') {
-    return 0;
-  }
-  const value = (BigInt(shares) * BigInt(totalAssets)) / BigInt(totalShares);
-  return Number(value) / 1e18;
-}
-
 function formatValue(value) {
   return value.toFixed(4);
 }
@@ -135,47 +103,67 @@ async function resolveAddress() {
   return account.address;
 }
 
+function formatSigned(value) {
+  return `${value >= 0 ? '+' : ''}${formatValue(value)}`;
+}
+
+function formatReturn(pnl) {
+  return pnl.returnPct === null ? 'n/a' : `${pnl.returnPct >= 0 ? '+' : ''}${pnl.returnPct.toFixed(2)}%`;
+}
+
+/** Deposit/redeem history for the cost basis; imports the viem-backed modules on demand. */
+async function loadHistory(address) {
+  if (source !== 'graphql' && source !== 'logs') {
+    throw new ValidationError('--source must be "graphql" or "logs"');
+  }
+  const options = clientOptions();
+  const events = source === 'graphql' ? await getPositionEvents(options, address) : null;
+
+  try {
+    const { createContext } = await import('../lib/context.mjs');
+    const { fillDepositAssets, scanPositionEvents } = await import('../lib/events.mjs');
+    const ctx = createContext(options);
+    if (source === 'logs') {
+      return await scanPositionEvents(ctx, address, { fromBlock: fromBlock ? BigInt(fromBlock) : 0n });
+    }
+    return await fillDepositAssets(ctx, events);
+  } catch (err) {
+    if (source === 'logs') throw err;
+    console.error(`Warning: could not read deposit receipts (${err.shortMessage || err.message}); entry fees are unknown`);
+    return events;
+  }
+}
+
+function printPnl(pnl) {
+  if (!pnl) {
+    console.log('     Cost basis: unknown (no deposits found for this vault)');
+    return;
+  }
+  console.log(`     Cost basis: ${formatValue(pnl.costBasis)} $TRUST (${pnl.deposits} deposit${pnl.deposits === 1 ? '' : 's'}, ${pnl.redemptions} redeem${pnl.redemptions === 1 ? '' : 's'})`);
+  console.log(`     PnL: ${formatSigned(pnl.unrealized)} unrealized, ${formatSigned(pnl.realized)} realized (${formatReturn(pnl)})`);
+  const entry = pnl.fees.entryKnown ? formatValue(pnl.fees.entry) : 'unknown';
+  console.log(`     Fees paid: ${formatValue(pnl.fees.total)} $TRUST (entry ${entry}, exit ${formatValue(pnl.fees.exit)})`);
+  if (!pnl.complete) {
+    console.log('     Note: history does not cover every share held; cost basis is partial');
+  }
+}
+
 async function main() {
   const address = await resolveAddress();
+  const paging = pagingOptions(args, 50);
 
-  const data = await getPositions(address, limit);
-  const positions = data.positions || [];
+  const events = withPnl ? await loadHistory(address) : undefined;
+  const { positions, total, offset, totalValue, closed = [], pnlTotals } = await getPositions(clientOptions(), address, {
+    ...paging,
+    costBasis: withPnl,
+    events,
+  });
 
   if (jsonOutput) {
-    const output = positions.map(p => {
-      const vault = p.vault;
-      const term = vault.term;
-      const isTriple = term?.type === 'Triple';
-      const value = calculateValue(p.shares, vault.total_assets, vault.total_shares);
-
-      return {
-        id: p.id,
-        type: isTriple ? 'triple' : 'atom',
-        label: isTriple
-          ? `[${term.triple.subject.label}] [${term.triple.predicate.label}] [${term.triple.object.label}]`
-          : term?.atom?.label || 'unknown',
-        shares: p.shares,
-        value: formatValue(value),
-        term_id: vault.term_id,
-        vault: {
-          total_shares: vault.total_shares,
-          total_assets: vault.total_assets,
-          current_share_price: vault.current_share_price,
-        },
-        ...(isTriple && {
-          triple: {
-            subject: term.triple.subject.label,
-            predicate: term.triple.predicate.label,
-            object: term.triple.object.label,
-          },
-        }),
-        ...(term?.atom && {
-          atom: {
-            label: term.atom.label,
-          },
-        }),
-      };
-    });
+    const output = [
+      ...positions.map(p => ({ ...p, value: formatValue(p.value) })),
+      ...closed.map(c => ({ ...c, closed: true, shares: '0', value: formatValue(0) })),
+    ];
     console.log(JSON.stringify(output, null, 2));
     return;
   }
@@ -187,43 +175,42 @@ async function main() {
   console.log('===================');
   console.log(`Wallet: ${shortAddr}`);
 
-  if (positions.length === 0) {
+  if (total === 0 && closed.length === 0) {
     console.log('\nNo positions found for this wallet.');
     console.log('Stake on atoms or triples with: node intuition-stake.mjs <term_id> <amount>');
     return;
   }
 
-  let totalValue = 0;
-
-  for (let i = 0; i < positions.length; i++) {
-    const p = positions[i];
-    const vault = p.vault;
-    const term = vault.term;
-    const isTriple = term?.type === 'Triple';
-    const value = calculateValue(p.shares, vault.total_assets, vault.total_shares);
-    totalValue += value;
-
+  positions.forEach((p, i) => {
     console.log('');
-
-    if (isTriple && term.triple) {
-      const { subject, predicate, object } = term.triple;
-      console.log(`  ${i + 1}. [${subject.label}] [${predicate.label}] [${object.label}] (triple)`);
-    } else {
-      const label = term?.atom?.label || 'unknown';
-      console.log(`  ${i + 1}. [${label}] (atom)`);
-    }
-
+    const label = p.type === 'triple' ? p.label : `[${p.label}]`;
+    console.log(`  ${offset + i + 1}. ${label} (${p.type})`);
     console.log(`     Shares: ${p.shares}`);
-    console.log(`     Value: ${formatValue(value)} $TRUST`);
+    console.log(`     Value: ${formatValue(p.value)} $TRUST`);
+    if (withPnl) printPnl(p.pnl);
+  });
+
+  if (closed.length > 0) {
+    console.log('');
+    console.log('Closed positions:');
+    closed.forEach((c) => {
+      console.log(`  - ${c.label}: ${formatSigned(c.pnl.realized)} $TRUST realized (${formatReturn(c.pnl)})`);
+    });
   }
 
   console.log('');
-  console.log(`Total positions: ${positions.length}`);
+  console.log(`Total positions: ${total.toLocaleString('en-US')}`);
+  if (positions.length < total) {
+    console.log(`${describePage({ shown: positions.length, offset, total })} (--all or --page <n> for the rest)`);
+  }
   console.log(`Total value: ${formatValue(totalValue)} $TRUST`);
+  if (pnlTotals) {
+    console.log(`Cost basis: ${formatValue(pnlTotals.costBasis)} $TRUST`);
+    console.log(`Unrealized PnL: ${formatSigned(pnlTotals.unrealized)} $TRUST`);
+    console.log(`Realized PnL: ${formatSigned(pnlTotals.realized)} $TRUST`);
+    console.log(`Return: ${formatReturn(pnlTotals)} on ${formatValue(pnlTotals.invested)} $TRUST deposited`);
+    console.log(`Fees paid: ${formatValue(pnlTotals.fees)} $TRUST${pnlTotals.entryFeesKnown ? '' : ' (some entry fees unknown)'}`);
+  }
 }
 
-main().catch(err => {
-  const msg = (err.message || '').replace(/0x[a-fA-F0-9]{64}/g, '0x[REDACTED]');
-  console.error('Error:', msg);
-  process.exit(1);
-});
+main().catch(exitWithError);
@@ -8,12 +8,9 @@
  *   node intuition-query.mjs --id 0x<atom-id>
  */
 
-import { createPublicClient, http, toHex, fromHex } from 'viem';
-import {
-  intuitionMainnet,
-  getMultiVaultAddressFromChainId,
-  MultiVaultAbi,
-} from '@0xintuition/protocol';
+import { createIntuitionClient } from '../lib/client.mjs';
+import { cliArgs, clientOptions, exitWithError } from '../lib/cli.mjs';
+import { explorerUrl } from '../lib/constants.mjs';
 
 function usage(exitCode = 1) {
   console.log(`
@@ -24,6 +21,9 @@ Usage:
   node intuition-query.mjs --name "EntityName"
   node intuition-query.mjs --id 0x<atom-id>
 
+Options:
+  --network <name>    mainnet (default), testnet, or a custom network
+
 Examples:
   node intuition-query.mjs "Alice"
   node intuition-query.mjs 0x<atom-id>
@@ -34,18 +34,8 @@ For full relationship discovery, use intuition-triples.mjs (GraphQL-powered).
   process.exit(exitCode);
 }
 
-async function getVaultInfo(publicClient, multiVaultAddress, tripleId) {
-  const [totalShares, totalAssets] = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'getVault',
-    args: [tripleId, 1n],
-  });
-  return { totalShares, totalAssets };
-}
-
 async function main() {
-  const args = process.argv.slice(2);
+  const args = cliArgs();
   if (args.includes('--help') || args.includes('-h')) {
     usage(0);
   }
@@ -76,112 +66,43 @@ async function main() {
     usage();
   }
 
-  const publicClient = createPublicClient({
-    chain: intuitionMainnet,
-    transport: http('https://rpc.intuition.systems/http'),
-  });
-  const multiVaultAddress = getMultiVaultAddressFromChainId(intuitionMainnet.id);
+  const client = createIntuitionClient(clientOptions());
 
-  let atomId;
-
-  // Determine if input is atom ID or label
-  if (inputType === 'id' || (inputType === 'auto' && input.startsWith('0x') && input.length === 66)) {
-    atomId = input;
-  } else {
-    // Calculate atom ID from label
-    atomId = await publicClient.readContract({
-      address: multiVaultAddress,
-      abi: MultiVaultAbi,
-      functionName: 'calculateAtomId',
-      args: [toHex(input)],
-    });
-  }
+  const atom = await client.resolveAtom(input, { by: inputType });
 
   console.log('Intuition Query');
   console.log('===============');
   console.log('Input:', input);
-  console.log('Atom ID:', atomId);
-
-  // Check if atom exists on-chain
-  const isAtom = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'isTermCreated',
-    args: [atomId],
-  });
+  console.log('Atom ID:', atom.atomId);
 
-  if (!isAtom) {
+  if (!atom.exists) {
     console.log('\n\u2717 Atom does not exist on-chain');
     console.log('Create it with: node intuition-quickstart-v3.mjs "' + input + '"');
     process.exit(1);
   }
 
-  // Get atom data
-  const atomData = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'atom',
-    args: [atomId],
-  });
-
-  let label = input;
-  if (input.startsWith('0x') && input.length === 66) {
-    try {
-      label = fromHex(atomData, 'string');
-    } catch {
-      label = atomData;
-    }
-  }
-
   console.log('\u2713 Atom exists');
-  console.log('Label:', label);
+  console.log('Label:', atom.label);
 
   // Check common identity triples
   console.log('\n--- Identity Claims ---');
 
-  // Known protocol atoms — see references/protocol-reference.md for full list
-  // Deterministic: calculateAtomId(stringToHex("is")) always returns the same value
-  // Verify with: node scripts/intuition-health.mjs (checks all IDs against on-chain contract)
-  const isPredicateId = '0xb0681668ca193e8608b43adea19fecbbe0828ef5afc941cef257d30a20564ef1';
-  const aiAgentId = '0x4990eef19ea1d9b893c1802af9e2ec37fbc1ae138868959ebc23c98b1fc9565e';
-  const collaboratesWithId = '0xb3cf9e60665fe7674e3798d2452604431d4d4dc96aa8d6965016205d00e45c8e';
-
-  let foundTriples = false;
-
-  // Check [Entity] [is] [AI Agent]
-  const isAgentTripleId = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'calculateTripleId',
-    args: [atomId, isPredicateId, aiAgentId],
-  });
-
-  const isAgentExists = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'isTermCreated',
-    args: [isAgentTripleId],
-  });
-
-  if (isAgentExists) {
-    foundTriples = true;
-    const vault = await getVaultInfo(publicClient, multiVaultAddress, isAgentTripleId);
-    console.log(`\n[${label}] [is] [AI Agent]`);
-    console.log(`  Triple: ${isAgentTripleId}`);
-    console.log(`  Staked: ${(Number(vault.totalAssets) / 1e18).toFixed(4)} $TRUST`);
-  }
+  const identity = await client.verifyIdentity(atom.atomId);
 
-  if (!foundTriples) {
+  if (identity.tripleExists) {
+    console.log(`\n[${atom.label}] [is] [AI Agent]`);
+    console.log(`  Triple: ${identity.tripleId}`);
+    console.log(`  Staked: ${identity.stakedFor} $TRUST`);
+  } else {
     console.log('No known identity triples found.');
     console.log('\nTip: Use intuition-triples.mjs for full relationship discovery via GraphQL.');
   }
 
-  console.log('\n--- Intuition Explorer ---');
-  console.log(`https://portal.intuition.systems/identity/${atomId}`);
+  const url = explorerUrl(atom.atomId, client.network.portalUrl);
+  if (url) {
+    console.log('\n--- Intuition Explorer ---');
+    console.log(url);
+  }
 }
 
-main().catch(err => {
-  const msg = (err.message || '').replace(/0x[a-fA-F0-9]{64}/g, '0x[REDACTED]');
-  console.error('Error:', msg);
-  process.exit(1);
-});
+main().catch(exitWithError);
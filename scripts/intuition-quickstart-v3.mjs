@@ -3,53 +3,65 @@
  * intuition-quickstart-v3.mjs
  * Complete agent onboarding: wallet + identity atom + [Agent] [is] [AI Agent] triple + stake
  *
- * Usage: node intuition-quickstart-v3.mjs <agent_name> [stake_amount]
+ * Usage: node intuition-quickstart-v3.mjs <agent_name> [stake_amount] [--profile file] [--dry-run]
  * Example: node intuition-quickstart-v3.mjs MyAgent 0.5
+ *
+ * With --profile, the agent also makes the profile's claims
+ * ([Agent] [operatedBy] [Org], [Agent] [hasCapability] [code-review], ...),
+ * each with its own stake: missing atoms go in one createAtoms, the
+ * triples in one createTriples, the stakes in one depositBatch.
+ *
+ * Each step is checked on-chain before it is sent and checkpointed in
+ * identity.json once it lands, so re-running after a failure resumes
+ * where the last run stopped instead of reverting on what already exists.
  */
 
-import {
-  createPublicClient,
-  createWalletClient,
-  http,
-  formatEther,
-  stringToHex,
-  decodeEventLog
-} from 'viem';
-import { privateKeyToAccount, generatePrivateKey } from 'viem/accounts';
-import {
-  intuitionMainnet,
-  getMultiVaultAddressFromChainId,
-  multiVaultGetAtomCost,
-  multiVaultGetTripleCost,
-  multiVaultCreateAtoms,
-  multiVaultCreateTriples,
-  multiVaultDeposit,
-  MultiVaultAbi,
-} from '@0xintuition/protocol';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { formatEther, zeroAddress } from 'viem';
+import { existsSync } from 'fs';
 import { join } from 'path';
-
-// Known protocol atoms — see references/protocol-reference.md for full list
-// These IDs are deterministic: calculateAtomId(stringToHex("is")) always returns the same value
-// Verify with: node scripts/intuition-health.mjs (checks all IDs against on-chain contract)
-const KNOWN_ATOMS = {
-  'is': '0xb0681668ca193e8608b43adea19fecbbe0828ef5afc941cef257d30a20564ef1',
-  'AI Agent': '0x4990eef19ea1d9b893c1802af9e2ec37fbc1ae138868959ebc23c98b1fc9565e',
-};
-
-const args = process.argv.slice(2);
-const AGENT_NAME = args.find(a => !a.startsWith('--'));
-const STAKE_AMOUNT = args[args.indexOf(AGENT_NAME) + 1] || '0.1';
+import { createIntuitionClient } from '../lib/client.mjs';
+import {
+  loadOrCreateAgentWallet,
+  agentWalletDir,
+  describeAgentWallet,
+  linkAgentSigner,
+  readIdentityFile,
+  writeIdentityFile,
+} from '../lib/wallet.mjs';
+import { createSigner } from '../lib/signers.mjs';
+import { CURVE_FOR } from '../lib/constants.mjs';
+import { ValidationError } from '../lib/errors.mjs';
+import { previewImport, simulateImport, submitImport } from '../lib/import.mjs';
+import { previewStakeBatch, simulateStakeBatch, submitStakeBatch } from '../lib/batch.mjs';
+import { AGENT_CLAIM, profileClaims, readProfile } from '../lib/profile.mjs';
+import { formatSimulation, simulateWrite } from '../lib/simulate.mjs';
+import { parseAmount } from '../lib/vaults.mjs';
+import { readMultiVault } from '../lib/context.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, passphraseSource, positionals, signerSource } from '../lib/cli.mjs';
+
+const args = cliArgs();
+const [AGENT_NAME, STAKE_AMOUNT = '0.1'] = positionals(args, ['--profile', '--passphrase-file', '--signer', '--signer-address']);
 
 if (!AGENT_NAME || args.includes('--help') || args.includes('-h')) {
   console.log('Intuition Agent Quickstart v3');
   console.log('============================');
   console.log('');
-  console.log('Usage: node intuition-quickstart-v3.mjs <agent_name> [stake_amount]');
+  console.log('Usage: node intuition-quickstart-v3.mjs <agent_name> [stake_amount] [options]');
   console.log('');
   console.log('Examples:');
   console.log('  node intuition-quickstart-v3.mjs MyAgent 0.5');
   console.log('  node intuition-quickstart-v3.mjs MyBot');
+  console.log('  node intuition-quickstart-v3.mjs MyBot 0.1 --network testnet');
+  console.log('  node intuition-quickstart-v3.mjs MyBot 0.1 --profile mybot.profile.json');
+  console.log('');
+  console.log('Options:');
+  console.log('  --profile <file>          More claims about the agent, each with its own stake');
+  console.log('  --network <name>          mainnet (default), testnet, or a custom network');
+  console.log('  --dry-run                 Simulate every transaction; creates no wallet, sends nothing');
+  console.log('  --passphrase-file <path>  File containing the wallet passphrase');
+  console.log('  --signer <spec>           Sign with rpc:<url|socket>, external:<url|socket> or');
+  console.log('                            eip1193:<module> instead of a local key');
+  console.log('  --signer-address <0x...>  Account to use when the signer manages several');
   console.log('');
   console.log('This script will:');
   console.log('  1. Create a wallet (or use existing)');
@@ -57,6 +69,27 @@ if (!AGENT_NAME || args.includes('--help') || args.includes('-h')) {
   console.log('  3. Create triple: [AgentName] [is] [AI Agent]');
   console.log('  4. Stake on the triple');
   console.log('');
+  console.log('Profile (claims beyond [AgentName] [is] [AI Agent]; the agent is the subject):');
+  console.log('  {');
+  console.log('    "claims": [');
+  console.log('      { "predicate": "operatedBy", "object": "Acme Labs", "stake": "0.1" },');
+  console.log('      { "predicate": "hasWebsite", "object": "https://acme.example" },');
+  console.log('      { "predicate": "hasCapability", "object": "code-review", "stake": "0.05" },');
+  console.log('      { "predicate": "runsOn", "object": "OpenClaw", "stake": "0.05" }');
+  console.log('    ]');
+  console.log('  }');
+  console.log('  Missing predicate and object atoms are created with the identity atom');
+  console.log('  (one createAtoms), all triples in one createTriples, and every stake in');
+  console.log('  one depositBatch. A claim without "stake" is created but not staked.');
+  console.log('');
+  console.log('Steps that are already done on-chain are skipped, and identity.json is');
+  console.log('updated after each one, so re-running after a failure picks up where it');
+  console.log('stopped.');
+  console.log('');
+  console.log('The wallet is saved as an encrypted keystore. The passphrase comes from');
+  console.log('--passphrase-file, INTUITION_WALLET_PASSPHRASE, INTUITION_WALLET_PASSPHRASE_FILE,');
+  console.log('or an interactive prompt.');
+  console.log('');
   console.log('Requirements: ~2 $TRUST in wallet');
   process.exit(0);
 }
@@ -74,225 +107,351 @@ if (isNaN(stakeFloat) || !isFinite(stakeFloat) || stakeFloat <= 0) {
   process.exit(1);
 }
 
-const homeDir = process.env.HOME || process.env.USERPROFILE || '.';
-const walletDir = join(homeDir, `.intuition-wallet-${AGENT_NAME}`);
-const walletFile = join(walletDir, 'wallet.json');
-const outputFile = join(walletDir, 'identity.json');
-
-async function main() {
-  console.log('');
-  console.log('Intuition Agent Quickstart v3');
-  console.log('================================');
-  console.log(`Agent: ${AGENT_NAME}`);
-  console.log(`Stake: ${STAKE_AMOUNT} $TRUST`);
+const dryRun = args.includes('--dry-run');
+const profileFile = optionValue(args, '--profile');
+const walletDir = agentWalletDir(AGENT_NAME);
 
-  // Step 1: Wallet
-  let privateKey, address;
+/** The agent's own keystore, or an external signer linked to the agent. */
+async function agentSigner(network) {
+  const source = signerSource(args);
 
-  if (existsSync(walletFile)) {
-    console.log('Loading existing wallet...');
-    const wallet = JSON.parse(readFileSync(walletFile, 'utf8'));
-    privateKey = wallet.privateKey;
-    address = wallet.address;
+  if (source.signer !== 'key') {
+    const signer = await createSigner(source);
+    const address = typeof signer.account === 'string' ? signer.account : signer.account.address;
+    const { walletFile, created } = linkAgentSigner(AGENT_NAME, { address, signer: source.signer, network });
+    console.log(`Using external signer (${signer.signerType})...`);
     console.log(`   Address: ${address}`);
-  } else {
-    console.log('Creating new wallet...');
-    mkdirSync(walletDir, { recursive: true, mode: 0o700 });
-    privateKey = generatePrivateKey();
-    const account = privateKeyToAccount(privateKey);
-    address = account.address;
-
-    const wallet = {
-      address,
-      privateKey,
-      created: new Date().toISOString(),
-      chain: 'intuition-mainnet',
-      chainId: intuitionMainnet.id,
-    };
-
-    writeFileSync(walletFile, JSON.stringify(wallet, null, 2), { mode: 0o600 });
-    console.log(`   Created: ${address}`);
-    console.log(`   Saved to: ${walletFile}`);
+    if (created) console.log(`   Linked in: ${walletFile}`);
+    return signer;
   }
 
-  const account = privateKeyToAccount(privateKey);
-
-  const publicClient = createPublicClient({
-    chain: intuitionMainnet,
-    transport: http('https://rpc.intuition.systems/http'),
+  const { account, walletFile, created, encrypted } = await loadOrCreateAgentWallet(AGENT_NAME, {
+    network,
+    ...passphraseSource(args),
   });
 
-  const walletClient = createWalletClient({
-    chain: intuitionMainnet,
-    transport: http('https://rpc.intuition.systems/http'),
-    account,
-  });
+  if (created) {
+    console.log('Creating new wallet...');
+    console.log(`   Created: ${account.address}`);
+    console.log(`   Saved to: ${walletFile} (encrypted)`);
+  } else {
+    console.log('Loading existing wallet...');
+    console.log(`   Address: ${account.address}`);
+    if (!encrypted) {
+      console.log('   Warning: this wallet file stores its key in plaintext.');
+      console.log('   Encrypt it with: node scripts/intuition-tools.mjs encrypt-wallets');
+    }
+  }
+  return { account };
+}
 
-  const multiVaultAddress = getMultiVaultAddressFromChainId(intuitionMainnet.id);
+/**
+ * The agent's address without creating or unlocking anything: the existing
+ * wallet file's address, the external signer's, or null for a new agent.
+ */
+async function dryRunAddress() {
+  const source = signerSource(args);
+  if (source.signer !== 'key') {
+    const signer = await createSigner(source);
+    return typeof signer.account === 'string' ? signer.account : signer.account.address;
+  }
+  return existsSync(join(walletDir, 'wallet.json')) ? describeAgentWallet(AGENT_NAME).address : null;
+}
 
-  // Check balance
-  console.log('Checking balance...');
-  const balance = await publicClient.getBalance({ address });
-  const balanceEth = formatEther(balance);
-  console.log(`   Balance: ${balanceEth} $TRUST`);
+/**
+ * identity.json from an earlier run of this wallet on this network, or
+ * null. Atom and triple IDs are the same on every network, so a record
+ * from another chain says nothing about this one.
+ */
+function priorRun(address, chainId) {
+  const prior = readIdentityFile(AGENT_NAME);
+  if (!prior || prior.wallet !== address || prior.network?.chainId !== chainId) return null;
+  return prior;
+}
 
-  const atomCost = await multiVaultGetAtomCost({ address: multiVaultAddress, publicClient });
-  const tripleCost = await multiVaultGetTripleCost({ address: multiVaultAddress, publicClient });
-  const totalNeeded = atomCost + tripleCost + BigInt(Math.floor(parseFloat(STAKE_AMOUNT) * 1e18));
+/**
+ * Claim checkpoints from an earlier run, by triple ID. Records written
+ * before profiles only have the agent claim, as `triple` and `stake`.
+ */
+function priorClaims(prior) {
+  const claims = new Map((prior?.claims ?? []).map(c => [c.tripleId, c]));
+  if (prior?.triple?.id && !claims.has(prior.triple.id)) {
+    claims.set(prior.triple.id, { tripleId: prior.triple.id, tx: prior.triple.tx, stake: prior.stake ?? null });
+  }
+  return claims;
+}
 
-  console.log(`   Atom cost: ${formatEther(atomCost)} $TRUST`);
-  console.log(`   Triple cost: ${formatEther(tripleCost)} $TRUST`);
-  console.log(`   Stake amount: ${STAKE_AMOUNT} $TRUST`);
-  console.log(`   Total needed: ~${formatEther(totalNeeded)} $TRUST`);
+const claimText = (claim) => `[${AGENT_NAME}] [${claim.predicate}] [${claim.object}]`;
 
-  if (balance < totalNeeded) {
-    console.log(`Insufficient balance! Need ${formatEther(totalNeeded - balance)} more $TRUST`);
-    console.log(`  1. Bridge $TRUST from Base: https://app.intuition.systems/bridge`);
-    console.log(`  2. Send to: ${address}`);
-    console.log(`  3. Re-run this script`);
-    console.log(`  See SKILL.md → "How to Get $TRUST" for step-by-step instructions`);
+/** The identity atom, then one import row per claim. */
+function claimRows(claims) {
+  return [
+    { at: 'identity', subject: AGENT_NAME, predicate: null, object: null },
+    ...claims.map(c => ({ at: claimText(c), subject: AGENT_NAME, predicate: c.predicate, object: c.object })),
+  ];
+}
 
-    const output = {
-      agent: AGENT_NAME,
-      wallet: address,
-      status: 'needs_funding',
-      balanceNeeded: formatEther(totalNeeded - balance),
-      created: new Date().toISOString(),
-    };
-    writeFileSync(outputFile, JSON.stringify(output, null, 2));
-    process.exit(0);
-  }
+/** depositBatch rows for the claims still to stake. */
+function stakeRows(claims) {
+  return claims.map((c, i) => ({ row: i + 1, term: c.tripleId, label: claimText(c), amount: formatEther(c.stake), side: 'for' }));
+}
 
-  // Step 2: Create identity atom
-  console.log(`Creating identity atom: [${AGENT_NAME}]...`);
-
-  const atomData = [stringToHex(AGENT_NAME)];
-  const atomAssets = [atomCost];
-
-  const atomTx = await multiVaultCreateAtoms(
-    { address: multiVaultAddress, walletClient, publicClient },
-    { args: [atomData, atomAssets], value: atomCost }
-  );
-
-  console.log(`   TX: ${atomTx}`);
-
-  const atomReceipt = await publicClient.waitForTransactionReceipt({ hash: atomTx });
-  console.log(`   Block: ${atomReceipt.blockNumber}`);
-
-  let agentAtomId = null;
-  for (const log of atomReceipt.logs) {
-    try {
-      const decoded = decodeEventLog({
-        abi: MultiVaultAbi,
-        data: log.data,
-        topics: log.topics,
-      });
-      if (decoded.eventName === 'AtomCreated') {
-        agentAtomId = decoded.args.termId;
-        console.log(`   Atom ID: ${agentAtomId}`);
-      }
-    } catch (e) {}
+/**
+ * What is already done. previewImport checks every atom and triple
+ * on-chain by its deterministic ID. A claim's stake is done while the
+ * wallet holds a FOR position on it and either a previous run
+ * checkpointed the deposit or the position is at least what the stake
+ * would buy (the deposit landed but the run died before writing
+ * identity.json).
+ */
+async function checkProgress(ctx, claims, prior) {
+  const creates = await previewImport(ctx, claimRows(claims));
+  const atomIds = new Map(creates.atoms.map(a => [a.label, a.termId]));
+  const triples = new Map(creates.triples.map(t => [`${t.subjectId}/${t.predicateId}/${t.objectId}`, t]));
+  const checkpoints = priorClaims(prior);
+  const wallet = ctx.account.address;
+
+  const progress = [];
+  for (const claim of claims) {
+    const triple = triples.get([AGENT_NAME, claim.predicate, claim.object].map(label => atomIds.get(label)).join('/'));
+    if (progress.some(p => p.tripleId === triple.termId)) {
+      throw new ValidationError(`${claimText(claim)} is the same triple as another claim in the profile`);
+    }
+
+    const shares = triple.exists ? await readMultiVault(ctx, 'maxRedeem', [wallet, triple.termId, CURVE_FOR]) : 0n;
+    const value = shares > 0n ? await readMultiVault(ctx, 'convertToAssets', [triple.termId, CURVE_FOR, shares]) : 0n;
+    let staked = claim.stake === 0n;
+    if (!staked && shares > 0n) {
+      const [stakeShares] = await readMultiVault(ctx, 'previewDeposit', [triple.termId, CURVE_FOR, claim.stake]);
+      staked = Boolean(checkpoints.get(triple.termId)?.stake?.tx) || shares >= stakeShares;
+    }
+    progress.push({ ...claim, tripleId: triple.termId, exists: triple.exists, shares, value, staked });
   }
 
-  if (!agentAtomId) {
-    console.log('   Failed to extract atom ID');
-    process.exit(1);
+  const stakeTotal = progress.filter(c => !c.staked).reduce((sum, c) => sum + c.stake, 0n);
+  return {
+    creates,
+    identity: creates.atoms.find(a => a.label === AGENT_NAME),
+    claims: progress,
+    stakeTotal,
+    totalNeeded: creates.totalAssets + stakeTotal,
+  };
+}
+
+/** What exists and what this run still has to create and stake. */
+function printProgress({ creates, identity, claims, stakeTotal, totalNeeded }) {
+  const newAtoms = creates.atoms.filter(a => !a.exists);
+  const newTriples = creates.triples.filter(t => !t.exists);
+
+  console.log(`   Atom [${AGENT_NAME}]: ${identity.termId}${identity.exists ? ' (already exists)' : ''}`);
+  creates.atoms.filter(a => a !== identity && !a.exists).forEach(a => console.log(`   Atom [${a.label}]: to create`));
+  for (const c of claims) {
+    const stake = c.stake === 0n ? 'no stake'
+      : c.staked ? `already staked (${formatEther(c.value)} $TRUST)`
+        : `stake ${formatEther(c.stake)} $TRUST`;
+    console.log(`   Claim ${claimText(c)}: ${c.exists ? 'already exists' : 'to create'}, ${stake}`);
   }
+  console.log(`   Atom cost: ${newAtoms.length} x ${formatEther(creates.atomCost)} $TRUST`);
+  console.log(`   Triple cost: ${newTriples.length} x ${formatEther(creates.tripleCost)} $TRUST`);
+  console.log(`   Stakes: ${formatEther(stakeTotal)} $TRUST`);
+  console.log(`   Total needed: ~${formatEther(totalNeeded)} $TRUST`);
+}
 
-  // Step 3: Create triple [Agent] [is] [AI Agent]
-  console.log(`Creating triple: [${AGENT_NAME}] [is] [AI Agent]...`);
-
-  const subjects = [agentAtomId];
-  const predicates = [KNOWN_ATOMS['is']];
-  const objects = [KNOWN_ATOMS['AI Agent']];
-  const tripleAssets = [tripleCost];
-
-  const tripleTx = await multiVaultCreateTriples(
-    { address: multiVaultAddress, walletClient, publicClient },
-    { args: [subjects, predicates, objects, tripleAssets], value: tripleCost }
-  );
-
-  console.log(`   TX: ${tripleTx}`);
-
-  const tripleReceipt = await publicClient.waitForTransactionReceipt({ hash: tripleTx });
-  console.log(`   Block: ${tripleReceipt.blockNumber}`);
-
-  let tripleId = null;
-  for (const log of tripleReceipt.logs) {
-    try {
-      const decoded = decodeEventLog({
-        abi: MultiVaultAbi,
-        data: log.data,
-        topics: log.topics,
-      });
-      if (decoded.eventName === 'TripleCreated') {
-        tripleId = decoded.args.termId;
-        console.log(`   Triple ID: ${tripleId}`);
-      }
-    } catch (e) {}
+/**
+ * The depositBatch for the claims still to stake. It is only priced and
+ * simulated once every triple exists; until then the call is encoded with
+ * no slippage floor.
+ */
+async function simulateStakes(ctx, claims, address) {
+  if (claims.every(c => c.exists)) {
+    const { simulation } = await simulateStakeBatch(ctx, await previewStakeBatch(ctx, stakeRows(claims)));
+    return simulation;
   }
+  return simulateWrite(ctx, {
+    functionName: 'depositBatch',
+    args: [address ?? zeroAddress, claims.map(c => c.tripleId), claims.map(() => CURVE_FOR), claims.map(c => c.stake), claims.map(() => 0n)],
+    value: claims.reduce((sum, c) => sum + c.stake, 0n),
+  }, { skip: 'needs the triples created first' });
+}
 
-  if (!tripleId) {
-    console.log('   Failed to extract triple ID');
-    process.exit(1);
+/**
+ * --dry-run: simulate the create and deposit transactions that are still
+ * to do. Atom and triple IDs are deterministic, so calldata is exact even
+ * for steps that cannot be simulated until the previous one has been mined.
+ */
+async function dryRunQuickstart(options, claims) {
+  const address = await dryRunAddress();
+  // A new agent has no address yet; reads and simulations use the zero address
+  const client = createIntuitionClient({ ...options, account: address ?? zeroAddress });
+  const ctx = client.context;
+
+  console.log(`Wallet: ${address ?? '(would be created)'}`);
+  if (address) {
+    console.log(`   Balance: ${formatEther(await client.publicClient.getBalance({ address }))} $TRUST`);
   }
 
-  // Step 4: Stake on the triple
-  console.log(`Staking ${STAKE_AMOUNT} $TRUST on triple...`);
+  const progress = await checkProgress(ctx, claims, priorRun(address, client.chain.id));
+  printProgress(progress);
 
-  const stakeValue = BigInt(Math.floor(parseFloat(STAKE_AMOUNT) * 1e18));
+  const { simulations } = await simulateImport(ctx, progress.creates);
+  const steps = simulations.map(s => [`Create ${s.count} ${s.kind === 'atoms' ? 'atom(s)' : 'triple(s)'}`, s.simulation]);
+  const toStake = progress.claims.filter(c => !c.staked);
+  if (toStake.length > 0) {
+    steps.push([`Stake on ${toStake.length} claim(s)`, await simulateStakes(ctx, toStake, address)]);
+  }
 
-  const stakeTx = await multiVaultDeposit(
-    { address: multiVaultAddress, walletClient, publicClient },
-    { args: [address, tripleId], value: stakeValue }
-  );
+  console.log('');
+  console.log('DRY RUN - nothing sent, no files written');
+  if (steps.length === 0) {
+    console.log('');
+    console.log('Nothing to do: every atom, triple and stake is in place.');
+  }
+  for (const [title, sim] of steps) {
+    console.log('');
+    console.log(`${title}:`);
+    formatSimulation(sim).forEach(line => console.log(`   ${line}`));
+  }
+  if (steps.some(([, sim]) => sim.ok === false)) process.exitCode = 1;
+}
 
-  console.log(`   TX: ${stakeTx}`);
+async function main() {
+  const options = clientOptions();
+  const { network } = options;
+  const profile = profileFile ? readProfile(profileFile) : null;
+  const claims = profileClaims(profile, parseAmount(STAKE_AMOUNT));
 
-  const stakeReceipt = await publicClient.waitForTransactionReceipt({ hash: stakeTx });
-  console.log(`   Block: ${stakeReceipt.blockNumber}`);
-  console.log(`   Staked!`);
+  console.log('');
+  console.log('Intuition Agent Quickstart v3');
+  console.log('================================');
+  console.log(`Agent: ${AGENT_NAME}`);
+  console.log(`Stake: ${formatEther(claims[0].stake)} $TRUST`);
+  if (profile) console.log(`Profile: ${profileFile} (${profile.claims.length} claims)`);
+  console.log(`Network: ${network.label} (chain ${network.chainId})`);
 
-  // Final balance
-  const finalBalance = await publicClient.getBalance({ address });
+  if (dryRun) {
+    await dryRunQuickstart(options, claims);
+    return;
+  }
 
-  // Save output
-  const output = {
+  // Step 1: Wallet
+  const signer = await agentSigner(network);
+  const client = createIntuitionClient({ ...options, ...signer });
+  const { publicClient, multiVaultAddress, chain } = client;
+  const ctx = client.context;
+  const address = client.account.address;
+
+  // What earlier runs already did
+  console.log('Checking what exists...');
+  const prior = priorRun(address, chain.id);
+  const progress = await checkProgress(ctx, claims, prior);
+  const { creates, identity } = progress;
+
+  const checkpoints = priorClaims(prior);
+  const planned = new Set(progress.claims.map(c => c.tripleId));
+  const record = {
     agent: AGENT_NAME,
     wallet: address,
-    status: 'complete',
-    identity: { atomId: agentAtomId, atomTx },
-    triple: {
-      id: tripleId, tx: tripleTx,
-      subject: AGENT_NAME, predicate: 'is', object: 'AI Agent',
-    },
-    stake: { amount: STAKE_AMOUNT, tx: stakeTx },
+    status: 'in_progress',
+    identity: identity.exists ? { atomId: identity.termId, atomTx: prior?.identity?.atomTx ?? null } : undefined,
+    triple: undefined,
+    stake: undefined,
+    claims: [
+      ...progress.claims.map(c => ({
+        predicate: c.predicate,
+        object: c.object,
+        tripleId: c.tripleId,
+        exists: c.exists,
+        tx: checkpoints.get(c.tripleId)?.tx ?? null,
+        stake: c.stake === 0n || !c.staked ? null
+          : checkpoints.get(c.tripleId)?.stake ?? { amount: formatEther(c.value), tx: null },
+      })),
+      // Claims from an earlier profile stay on record
+      ...(prior?.claims ?? []).filter(c => !planned.has(c.tripleId)),
+    ],
     network: {
-      name: 'Intuition Mainnet',
-      chainId: intuitionMainnet.id,
+      id: network.name,
+      name: network.label,
+      chainId: chain.id,
       multiVault: multiVaultAddress,
     },
-    balance: formatEther(finalBalance),
-    created: new Date().toISOString(),
+    created: prior?.created ?? new Date().toISOString(),
+  };
+  const claimRecord = (tripleId) => record.claims.find(c => c.tripleId === tripleId);
+  const checkpoint = (fields = {}) => {
+    Object.assign(record, fields, { updated: new Date().toISOString() });
+    // `triple` and `stake` keep describing the agent claim for older readers
+    const agentClaim = record.claims[0];
+    record.triple = agentClaim.exists ? { id: agentClaim.tripleId, tx: agentClaim.tx, subject: AGENT_NAME, ...AGENT_CLAIM } : undefined;
+    record.stake = agentClaim.stake ?? undefined;
+    writeIdentityFile(AGENT_NAME, record);
   };
 
-  writeFileSync(outputFile, JSON.stringify(output, null, 2));
+  // Check balance against the steps still to do
+  printProgress(progress);
+  console.log(`   Balance: ${formatEther(creates.balance)} $TRUST`);
+
+  if (creates.balance < progress.totalNeeded) {
+    console.log(`Insufficient balance! Need ${formatEther(progress.totalNeeded - creates.balance)} more $TRUST`);
+    console.log(`  1. Bridge $TRUST from Base: https://app.intuition.systems/bridge`);
+    console.log(`  2. Send to: ${address}`);
+    console.log(`  3. Re-run this script`);
+    console.log(`  See SKILL.md → "How to Get $TRUST" for step-by-step instructions`);
+
+    checkpoint({ status: 'needs_funding', balanceNeeded: formatEther(progress.totalNeeded - creates.balance) });
+    process.exit(0);
+  }
+
+  // Step 2: Create missing atoms (identity, predicates, objects), then all triples
+  if (creates.transactions > 0) {
+    console.log(`Creating atoms and triples (${creates.transactions} transaction(s))...`);
+    await submitImport(ctx, creates, {
+      onBatch: (tx) => {
+        if (tx.kind === 'atoms' && tx.termIds.includes(identity.termId)) {
+          record.identity = { atomId: identity.termId, atomTx: tx.hash };
+        }
+        if (tx.kind === 'triples') {
+          tx.termIds.map(claimRecord).filter(Boolean).forEach(c => Object.assign(c, { exists: true, tx: tx.hash }));
+        }
+        checkpoint();
+        console.log(`   ${tx.count} ${tx.kind}  TX ${tx.hash}  block ${tx.blockNumber}`);
+      },
+    });
+  } else {
+    console.log('✓ Every atom and triple already exists');
+  }
+
+  // Step 3: Stake on every claim not yet staked, in one depositBatch
+  const toStake = progress.claims.filter(c => !c.staked);
+  if (toStake.length > 0) {
+    console.log(`Staking on ${toStake.length} claim(s)...`);
+
+    const deposit = await submitStakeBatch(ctx, await previewStakeBatch(ctx, stakeRows(toStake)));
+    toStake.forEach(c => { claimRecord(c.tripleId).stake = { amount: formatEther(c.stake), tx: deposit.hash }; });
+    checkpoint();
+
+    console.log(`   TX: ${deposit.hash}`);
+    console.log(`   Block: ${deposit.blockNumber}`);
+    console.log(`   Staked!`);
+  } else {
+    console.log('✓ Every claim is already staked');
+  }
+
+  const finalBalance = await publicClient.getBalance({ address });
+  checkpoint({ status: 'complete', balance: formatEther(finalBalance) });
 
   console.log('');
   console.log('IDENTITY COMPLETE!');
   console.log(`Agent: ${AGENT_NAME}`);
   console.log(`Wallet: ${address}`);
   console.log(`Balance: ${formatEther(finalBalance)} $TRUST`);
-  console.log(`Atom ID: ${agentAtomId}`);
-  console.log(`Triple ID: ${tripleId}`);
-  console.log(`Claim: [${AGENT_NAME}] [is] [AI Agent]`);
-  console.log(`Stake: ${STAKE_AMOUNT} $TRUST`);
-  console.log(`Output: ${outputFile}`);
+  console.log(`Atom ID: ${identity.termId}`);
+  console.log('Claims:');
+  for (const c of progress.claims) {
+    const { stake } = claimRecord(c.tripleId);
+    console.log(`  ${claimText(c)}  ${c.tripleId}${stake ? `  staked ${stake.amount} $TRUST` : ''}`);
+  }
+  console.log(`Output: ${join(walletDir, 'identity.json')}`);
   console.log(`${AGENT_NAME} is now registered as an AI Agent on Intuition!`);
 }
 
-main().catch(err => {
-  const msg = (err.message || '').replace(/0x[a-fA-F0-9]{64}/g, '0x[REDACTED]');
-  console.error('Error:', msg);
-  process.exit(1);
-});
+main().catch(exitWithError);
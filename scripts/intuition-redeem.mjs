@@ -3,215 +3,266 @@
  * intuition-redeem.mjs - Redeem (unstake) shares from an Intuition vault
  *
  * Usage:
- *   node intuition-redeem.mjs <term_id> <share_amount|"all"> [options]
+ *   node intuition-redeem.mjs <term_id> <share_amount|"all"|percent%> [options]
+ *   node intuition-redeem.mjs --batch [term_id...] [filters] [options]
  *
  * Redeems shares from atom or triple vaults, returning $TRUST to your wallet.
  * Automatically detects whether the term is an atom or triple and calls
- * the appropriate contract method.
+ * the appropriate contract method. For triples, --against (or passing the
+ * counter-triple ID) exits an AGAINST position. --batch exits whole positions
+ * in many vaults with one redeemBatch transaction. --dry-run simulates
+ * the redeem and reports gas, fees and $TRUST returned without sending.
  *
  * Examples:
  *   node intuition-redeem.mjs 0x<atom-id> all              # Redeem all shares from an atom
  *   node intuition-redeem.mjs 0x<triple-id> 500000000      # Redeem specific shares from a triple
+ *   node intuition-redeem.mjs 0x<atom-id> 50%              # Take profit on half the position
+ *   node intuition-redeem.mjs 0x<triple-id> all --against  # Exit an AGAINST position
  *   node intuition-redeem.mjs 0x<atom-id> all --wallet k.json
+ *   node intuition-redeem.mjs 0x<atom-id> all --dry-run    # Simulate only
+ *   node intuition-redeem.mjs --batch --all                # Unwind the whole portfolio
  *
  * Environment:
- *   INTUITION_PRIVATE_KEY    Wallet private key (required if no --wallet)
- *   INTUITION_WALLET_PATH    Default wallet JSON path
+ *   INTUITION_PRIVATE_KEY             Wallet private key (required if no --wallet)
+ *   INTUITION_WALLET_PATH             Default wallet JSON path
+ *   INTUITION_WALLET_PASSPHRASE       Passphrase for an encrypted wallet (else prompted)
+ *   INTUITION_WALLET_PASSPHRASE_FILE  File containing the passphrase
  */
 
-import { createPublicClient, createWalletClient, http, formatEther } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
-import {
-  intuitionMainnet,
-  getMultiVaultAddressFromChainId,
-  MultiVaultAbi,
-} from '@0xintuition/protocol';
+import { formatEther, parseEther } from 'viem';
+import { createIntuitionClient } from '../lib/client.mjs';
+import { createSigner } from '../lib/signers.mjs';
+import { formatSimulation } from '../lib/simulate.mjs';
+import { DEFAULT_MAX_SLIPPAGE, isTermId } from '../lib/constants.mjs';
+import { ValidationError } from '../lib/errors.mjs';
+import { filterPositions, getPositions } from '../lib/positions.mjs';
+import { parseAmount } from '../lib/vaults.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, percentChange, signerSource, toJson } from '../lib/cli.mjs';
 
 function usage(exitCode = 1) {
   console.log(`
 intuition-redeem.mjs - Redeem (unstake) shares from an Intuition vault
 
 Usage:
-  node intuition-redeem.mjs <term_id> <share_amount|"all"> [options]
+  node intuition-redeem.mjs <term_id> <share_amount|"all"|percent%> [options]
+  node intuition-redeem.mjs --batch [term_id...] [filters] [options]
 
 Options:
-  --wallet <path>   Path to wallet JSON file
+  --against                 Redeem from the AGAINST (counter-triple) vault; triples only
+  --max-slippage <pct>      Revert if less $TRUST than previewed minus this % (default: ${DEFAULT_MAX_SLIPPAGE})
+  --min-assets <amount>     Exact minimum $TRUST to accept (overrides --max-slippage; 0 for none)
+  --batch                   Redeem everything held in many vaults in one redeemBatch transaction
+  --dry-run                 Simulate the redeem; report calldata, gas, fees, $TRUST out. Sends nothing
+  --json                    With --dry-run, print the report as JSON
+  --wallet <path>           Path to wallet JSON file (plaintext or encrypted keystore)
+  --passphrase-file <path>  File containing the wallet passphrase
+  --signer <spec>           key (default), rpc:<url|socket>, external:<url|socket>, eip1193:<module>
+  --signer-address <0x...>  Account to use when the signer manages several
+  --network <name>          mainnet (default), testnet, or a custom network
 
 Examples:
   node intuition-redeem.mjs 0x<atom-id> all              # Redeem all shares from an atom
   node intuition-redeem.mjs 0x<triple-id> 500000000      # Redeem specific share amount from a triple
+  node intuition-redeem.mjs 0x<atom-id> 50%              # Redeem half of the position
+  node intuition-redeem.mjs 0x<triple-id> all --against  # Exit an AGAINST position
+  node intuition-redeem.mjs 0x<counter-id> all           # Same, by counter-triple ID
   node intuition-redeem.mjs 0x<atom-id> all --wallet k.json
+  node intuition-redeem.mjs 0x<atom-id> all --dry-run    # What would happen, without sending
+
+Batch selection (with --batch; give term IDs or at least one filter):
+  --all                     Every current position of the wallet
+  --type <atom|triple>      Only atom or only triple positions
+  --max-value <amount>      Only positions worth less than this many $TRUST
+  --predicate <label>       Only triples with this predicate, e.g. trusts
+  --side <for|against>      For triples, only this side (default: both)
+
+  node intuition-redeem.mjs --batch --all                       # Unwind the whole portfolio
+  node intuition-redeem.mjs --batch --max-value 0.05 --dry-run  # Sweep dust positions
+  node intuition-redeem.mjs --batch --predicate trusts          # Exit every [..] [trusts] [..] claim
 
 Environment:
-  INTUITION_PRIVATE_KEY    Wallet private key (required if no --wallet)
-  INTUITION_WALLET_PATH    Default wallet JSON path
+  INTUITION_PRIVATE_KEY             Wallet private key (required if no --wallet)
+  INTUITION_WALLET_PATH             Default wallet JSON path
+  INTUITION_WALLET_PASSPHRASE       Passphrase for an encrypted wallet (else prompted)
+  INTUITION_WALLET_PASSPHRASE_FILE  File containing the passphrase
+  INTUITION_SIGNER                  Default signer spec (overridden by --signer)
+  INTUITION_NETWORK                 Default network (overridden by --network)
 `);
   process.exit(exitCode);
 }
 
-async function main() {
-  const args = process.argv.slice(2);
-  if (args.includes('--help') || args.includes('-h')) {
-    usage(0);
-  }
-  if (args.length < 2) {
-    usage(1);
-  }
-
-  const termId = args[0];
-  const shareArg = args[1];
-
-  let walletPath = process.env.INTUITION_WALLET_PATH || null;
-  const walletIdx = args.indexOf('--wallet');
-  if (walletIdx !== -1 && args[walletIdx + 1]) {
-    walletPath = args[walletIdx + 1];
+/** --batch: pick vaults by ID or by filtering current positions, exit them in one redeemBatch. */
+async function redeemBatch(args) {
+  const dryRun = args.includes('--dry-run');
+  const jsonOutput = args.includes('--json');
+  const maxSlippage = optionValue(args, '--max-slippage') ?? DEFAULT_MAX_SLIPPAGE;
+  const side = (optionValue(args, '--side') || 'both').toLowerCase();
+  const maxValueArg = optionValue(args, '--max-value');
+  const filters = {
+    type: optionValue(args, '--type') || undefined,
+    maxValue: maxValueArg !== null ? Number(maxValueArg) : undefined,
+    predicate: optionValue(args, '--predicate') || undefined,
+  };
+  if (filters.maxValue !== undefined && !(filters.maxValue > 0)) {
+    throw new ValidationError('--max-value must be a positive $TRUST amount');
   }
 
-  if (!/^0x[a-fA-F0-9]{64}$/.test(termId)) {
-    console.error('Error: Invalid term ID (must be 0x + 64 hex chars)');
-    process.exit(1);
+  const termArgs = args.filter(isTermId);
+  const filtering = args.includes('--all') || Object.values(filters).some(v => v !== undefined);
+  if (termArgs.length === 0 && !filtering) {
+    throw new ValidationError('--batch needs term IDs, --all, or a filter (--type, --max-value, --predicate). Run with --help.');
   }
 
-  let account;
-  if (walletPath) {
-    const { readFileSync, existsSync } = await import('fs');
-    if (existsSync(walletPath)) {
-      const wallet = JSON.parse(readFileSync(walletPath, 'utf8'));
-      account = privateKeyToAccount(wallet.privateKey);
-    } else {
-      console.error(`Error: Wallet file not found: ${walletPath}`);
-      process.exit(1);
+  const signer = await createSigner(signerSource(args));
+  const client = createIntuitionClient({ ...clientOptions(), ...signer });
+
+  // Labels for display come from the indexer; the amounts are read on-chain
+  const labels = new Map();
+  let termIds = termArgs;
+  if (termArgs.length === 0) {
+    const { positions } = await getPositions(client.context, client.account.address, { all: true });
+    const selected = filterPositions(positions, filters);
+    selected.forEach(p => labels.set(p.term_id, p.label));
+    termIds = selected.map(p => p.term_id);
+    if (termIds.length === 0) {
+      console.log(`No positions match (${positions.length} held). Nothing to redeem.`);
+      return;
     }
-  } else if (process.env.INTUITION_PRIVATE_KEY) {
-    account = privateKeyToAccount(process.env.INTUITION_PRIVATE_KEY);
-  } else {
-    console.error('Error: No wallet found. Set INTUITION_PRIVATE_KEY env var or use --wallet <path>');
-    process.exit(1);
   }
 
-  const publicClient = createPublicClient({
-    chain: intuitionMainnet,
-    transport: http('https://rpc.intuition.systems/http'),
-  });
-
-  const walletClient = createWalletClient({
-    chain: intuitionMainnet,
-    transport: http('https://rpc.intuition.systems/http'),
-    account,
-  });
+  const preview = await client.previewRedeemBatch(termIds, { side, maxSlippage });
 
-  const multiVaultAddress = getMultiVaultAddressFromChainId(intuitionMainnet.id);
+  if (dryRun && jsonOutput) {
+    const report = await client.simulateRedeemBatch(preview);
+    console.log(toJson(report));
+    if (!report.simulation.ok) process.exitCode = 1;
+    return;
+  }
 
-  // Check if term exists
-  const exists = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'isTermCreated',
-    args: [termId],
+  console.log('Intuition Batch Redeem');
+  console.log('======================');
+  console.log('Wallet:', preview.wallet);
+  console.log(`Vaults: ${preview.items.length}`);
+  console.log('');
+  preview.items.forEach((item, i) => {
+    const kind = item.isTriple ? (item.against ? 'AGAINST' : 'FOR') : 'ATOM';
+    console.log(`${String(i + 1).padStart(3)}. ${kind.padEnd(7)} ${item.shares.toString().padStart(24)} shares  ` +
+      `~${formatEther(item.expectedAssets)} $TRUST  ${labels.get(item.termId) || labels.get(item.vaultId) || item.termId}`);
   });
-
-  if (!exists) {
-    console.error('Error: Term ID not found on-chain. Check the ID and try again.');
-    process.exit(1);
+  if (preview.empty.length > 0) {
+    console.log(`\nNo shares in ${preview.empty.length} term(s): ${preview.empty.join(', ')}`);
+  }
+  console.log('');
+  console.log('Expected:', formatEther(preview.totalExpected), '$TRUST (after fees)');
+  console.log(`Minimum per vault: preview less ${Number(maxSlippage)}%`);
+
+  if (dryRun) {
+    const report = await client.simulateRedeemBatch(preview);
+    console.log('\n--- Dry run (nothing sent) ---');
+    formatSimulation(report.simulation).forEach(line => console.log(line));
+    if (!report.simulation.ok) process.exitCode = 1;
+    return;
   }
 
-  // Determine if it's an atom or triple
-  const isTriple = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'isTriple',
-    args: [termId],
-  });
+  console.log(`\nRedeeming ${preview.items.length} vaults in 1 transaction...`);
 
-  // Get current position
-  const maxShares = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'maxRedeem',
-    args: [account.address, termId],
-  });
+  const result = await client.submitRedeemBatch(preview);
 
-  if (maxShares === 0n) {
-    console.error('Error: You have no shares in this vault. Nothing to redeem.');
-    process.exit(1);
+  console.log('  TX:', result.hash);
+  console.log('  Block:', result.blockNumber);
+  console.log('  Received:', formatEther(result.assets), '$TRUST',
+    `(expected ${formatEther(preview.totalExpected)}, ${percentChange(preview.totalExpected, result.assets)})`);
+  console.log('  Fees:', formatEther(result.fees), '$TRUST');
+  console.log('  New balance:', formatEther(result.newBalance), '$TRUST');
+}
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+  if (args.includes('--batch')) {
+    return redeemBatch(args);
+  }
+  if (args.length < 2) {
+    usage(1);
   }
 
-  // Determine shares to redeem
-  let sharesToRedeem;
-  if (shareArg.toLowerCase() === 'all') {
-    sharesToRedeem = maxShares;
-  } else {
-    sharesToRedeem = BigInt(shareArg);
-    if (sharesToRedeem <= 0n) {
-      console.error('Error: Share amount must be positive');
-      process.exit(1);
-    }
-    if (sharesToRedeem > maxShares) {
-      console.error(`Error: Cannot redeem ${sharesToRedeem} shares. Max redeemable: ${maxShares}`);
-      process.exit(1);
+  const termId = args[0];
+  const shareArg = args[1];
+  const against = args.includes('--against');
+  const dryRun = args.includes('--dry-run');
+  const jsonOutput = args.includes('--json');
+  const maxSlippage = optionValue(args, '--max-slippage') ?? DEFAULT_MAX_SLIPPAGE;
+  const minAssetsArg = optionValue(args, '--min-assets');
+  // 0 is allowed: it disables the floor, as --min-shares 0 does for stake
+  let minAssets = null;
+  if (minAssetsArg !== null) {
+    if (!/^\d+(\.\d+)?$/.test(minAssetsArg)) {
+      throw new ValidationError('--min-assets must be a non-negative $TRUST amount');
     }
+    minAssets = parseEther(minAssetsArg);
   }
 
-  // Get current value of shares
-  const currentValue = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'convertToAssets',
-    args: [maxShares, termId],
-  });
+  const signer = await createSigner(signerSource(args));
+  const client = createIntuitionClient({ ...clientOptions(), ...signer });
 
-  const sharePrice = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'currentSharePrice',
-    args: [termId],
-  });
+  const preview = await client.previewRedeem({ termId, shares: shareArg, against, maxSlippage, minAssets });
 
-  // Pre-compute expected $TRUST for the shares being redeemed
-  const expectedValue = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'convertToAssets',
-    args: [sharesToRedeem, termId],
-  });
+  if (dryRun && jsonOutput) {
+    const report = await client.simulateRedeem(preview);
+    console.log(toJson(report));
+    if (!report.simulation.ok) process.exitCode = 1;
+    return;
+  }
 
   console.log('Intuition Redeem');
   console.log('================');
-  console.log('Term ID:', termId);
-  console.log('Type:', isTriple ? 'Triple' : 'Atom');
-  console.log('Shares held:', maxShares.toString());
-  console.log('Current value:', formatEther(currentValue), '$TRUST');
-  console.log('Share price:', formatEther(sharePrice), '$TRUST');
-
-  // curveId: 0 = atom vault, 1 = triple FOR vault
-  const curveId = isTriple ? 1n : 0n;
-
-  console.log(`\nRedeeming ${sharesToRedeem.toString()} shares...`);
-
-  const hash = await walletClient.writeContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'redeem',
-    args: [account.address, termId, curveId, sharesToRedeem, 0n],
-  });
+  console.log('Term ID:', preview.termId);
+  console.log('Type:', preview.isTriple ? 'Triple' : 'Atom');
+  if (preview.sides) {
+    const { for: pro, against: con } = preview.sides;
+    console.log(`FOR:     ${pro.shares.toString()} shares (~${formatEther(pro.value)} $TRUST)`);
+    console.log(`AGAINST: ${con.shares.toString()} shares (~${formatEther(con.value)} $TRUST)  counter-triple ${con.vaultId}`);
+    console.log('Redeeming from:', preview.against ? 'AGAINST' : 'FOR');
+  }
+  console.log('Shares held:', preview.maxShares.toString());
+  console.log('Current value:', formatEther(preview.currentValue), '$TRUST');
+  console.log('Share price:', formatEther(preview.sharePrice), '$TRUST');
+  console.log('Expected:', formatEther(preview.expectedAssets), '$TRUST (after fees)');
+  console.log('Minimum:', formatEther(preview.minAssets), '$TRUST' +
+    `${minAssets === null ? ` (${preview.maxSlippage}% max slippage)` : ''}`);
+
+  if (dryRun) {
+    const report = await client.simulateRedeem(preview);
+    console.log(`\n--- Dry run: redeem ${preview.sharesToRedeem.toString()} shares (nothing sent) ---`);
+    formatSimulation(report.simulation).forEach(line => console.log(line));
+    if (report.simulation.ok) {
+      console.log(`Receive:  ${formatEther(report.expectedAssets)} $TRUST`);
+    }
+    if (report.fees) {
+      const { fees } = report;
+      console.log(`Fees:     ${formatEther(fees.total)} $TRUST of ${formatEther(fees.gross)} (exit ${formatEther(fees.exit)}, protocol ${formatEther(fees.protocol)})`);
+    }
+    if (!report.simulation.ok) process.exitCode = 1;
+    return;
+  }
 
-  console.log('  TX:', hash);
+  console.log(`\nRedeeming ${preview.sharesToRedeem.toString()} shares...`);
 
-  const receipt = await publicClient.waitForTransactionReceipt({ hash });
-  console.log('  Block:', receipt.blockNumber);
+  const result = await client.submitRedeem(preview);
 
-  if (receipt.status !== 'success') {
-    console.error('  Status: \u2717 Failed');
-    process.exit(1);
+  console.log('  TX:', result.hash);
+  console.log('  Block:', result.blockNumber);
+  const received = result.assets ?? preview.expectedAssets;
+  if (result.assets !== null) {
+    console.log('  Received:', formatEther(result.assets), '$TRUST',
+      `(expected ${formatEther(preview.expectedAssets)}, ${percentChange(preview.expectedAssets, result.assets)})`);
+    console.log('  Fees:', formatEther(result.fees), '$TRUST');
   }
 
-  console.log('  Received:', formatEther(expectedValue), '$TRUST');
-
-  console.log(`\nDone! Redeemed ${formatEther(expectedValue)} $TRUST from term ${termId}`);
+  console.log(`\nDone! Redeemed ${formatEther(received)} $TRUST from term ${preview.termId}` +
+    `${preview.against ? ' (AGAINST)' : ''}`);
 }
 
-main().catch(err => {
-  const msg = (err.message || '').replace(/0x[a-fA-F0-9]{64}/g, '0x[REDACTED]');
-  console.error('Error:', msg);
-  process.exit(1);
-});
+main().catch(exitWithError);
@@ -4,19 +4,22 @@
  *
  * Usage:
  *   node intuition-stake.mjs <term_id> <amount> [options]
+ *   node intuition-stake.mjs --plan <plan.json|plan.csv> [options]
  *
  * Works with both atoms (signal relevance) and triples (signal agreement/disagreement).
  * For triples, use --against to stake on the counter-triple (disagreement).
+ * --dry-run simulates the deposit and reports gas, fees and shares without sending.
+ * --plan stakes on every row of a plan file in a single depositBatch transaction.
  */
 
-import { createPublicClient, createWalletClient, http, formatEther, parseEther } from 'viem';
-import { privateKeyToAccount } from 'viem/accounts';
-import {
-  intuitionMainnet,
-  getMultiVaultAddressFromChainId,
-  multiVaultDeposit,
-  MultiVaultAbi,
-} from '@0xintuition/protocol';
+import { formatEther } from 'viem';
+import { createIntuitionClient } from '../lib/client.mjs';
+import { createSigner } from '../lib/signers.mjs';
+import { readStakePlan } from '../lib/batch.mjs';
+import { formatSimulation } from '../lib/simulate.mjs';
+import { DEFAULT_MAX_SLIPPAGE } from '../lib/constants.mjs';
+import { ValidationError } from '../lib/errors.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, percentChange, signerSource, toJson } from '../lib/cli.mjs';
 
 function usage(exitCode = 1) {
   console.log(`
@@ -24,28 +27,114 @@ intuition-stake.mjs - Stake $TRUST on any atom or triple
 
 Usage:
   node intuition-stake.mjs <term_id> <amount> [options]
+  node intuition-stake.mjs --plan <plan.json|plan.csv> [options]
 
 Options:
-  --against         Stake AGAINST (triples only — uses counter-triple vault)
-  --wallet <path>   Path to wallet JSON file
+  --plan <file>             Stake on every row of a plan in one depositBatch transaction
+  --against                 Stake AGAINST (triples only — uses counter-triple vault)
+  --max-slippage <pct>      Revert if fewer shares than previewed minus this % (default: ${DEFAULT_MAX_SLIPPAGE})
+  --min-shares <n>          Exact minimum shares to accept (overrides --max-slippage)
+  --dry-run                 Simulate the deposit; report calldata, gas, fees, shares. Sends nothing
+  --json                    With --dry-run, print the report as JSON
+  --wallet <path>           Path to wallet JSON file (plaintext or encrypted keystore)
+  --passphrase-file <path>  File containing the wallet passphrase
+  --signer <spec>           key (default), rpc:<url|socket>, external:<url|socket>, eip1193:<module>
+  --signer-address <0x...>  Account to use when the signer manages several
+  --network <name>          mainnet (default), testnet, or a custom network
 
 Examples:
   node intuition-stake.mjs 0x<atom-id> 0.5                # Stake on an atom (signal relevance)
   node intuition-stake.mjs 0x<triple-id> 1.0               # Stake FOR a claim
   node intuition-stake.mjs 0x<triple-id> 0.5 --against     # Stake AGAINST a claim
+  node intuition-stake.mjs 0x<atom-id> 0.5 --dry-run       # What would happen, without sending
+  node intuition-stake.mjs --plan curation.csv --dry-run   # Price and simulate a whole plan
+
+Plan files:
+  CSV with a header row:   term,amount,side
+                           0x<term-id>,0.5,FOR
+                           Alice/trusts/Bob,0.2,AGAINST
+                           Ethereum,0.1,
+  JSON:                    [{ "term": "0x...", "amount": "0.5", "side": "FOR" },
+                            { "subject": "Alice", "predicate": "trusts", "object": "Bob", "amount": "0.2" }]
+  A term is a term ID, an atom label, or subject/predicate/object labels.
+  side is FOR (default) or AGAINST; AGAINST only applies to triples.
 
 Environment:
-  INTUITION_PRIVATE_KEY    Wallet private key (required if no --wallet)
-  INTUITION_WALLET_PATH    Default wallet JSON path
+  INTUITION_PRIVATE_KEY             Wallet private key (required if no --wallet)
+  INTUITION_WALLET_PATH             Default wallet JSON path
+  INTUITION_WALLET_PASSPHRASE       Passphrase for an encrypted wallet (else prompted)
+  INTUITION_WALLET_PASSPHRASE_FILE  File containing the passphrase
+  INTUITION_SIGNER                  Default signer spec (overridden by --signer)
+  INTUITION_NETWORK                 Default network (overridden by --network)
 `);
   process.exit(exitCode);
 }
 
+/** --plan: validate every row, show the cost against the balance, send one depositBatch. */
+async function stakePlan(args, planFile) {
+  const dryRun = args.includes('--dry-run');
+  const jsonOutput = args.includes('--json');
+  const maxSlippage = optionValue(args, '--max-slippage') ?? DEFAULT_MAX_SLIPPAGE;
+
+  const rows = readStakePlan(planFile);
+  const signer = await createSigner(signerSource(args));
+  const client = createIntuitionClient({ ...clientOptions(), ...signer });
+
+  const preview = await client.previewStakeBatch(rows, { maxSlippage });
+
+  if (dryRun && jsonOutput) {
+    const report = await client.simulateStakeBatch(preview);
+    console.log(toJson(report));
+    if (!report.simulation.ok) process.exitCode = 1;
+    return;
+  }
+
+  console.log('Intuition Batch Stake');
+  console.log('=====================');
+  console.log('Wallet:', preview.wallet);
+  console.log('Plan:', planFile, `(${preview.items.length} stakes)`);
+  console.log('');
+  preview.items.forEach((item) => {
+    const side = item.isTriple ? (item.against ? 'AGAINST' : 'FOR') : 'ATOM';
+    console.log(`${String(item.row).padStart(3)}. ${side.padEnd(7)} ${formatEther(item.assets).padStart(10)} $TRUST  ` +
+      `~${item.expectedShares.toLocaleString()} shares  ${item.label}`);
+  });
+  console.log('');
+  console.log('Total:  ', formatEther(preview.totalAssets), '$TRUST');
+  console.log('Balance:', formatEther(preview.balance), '$TRUST', preview.sufficientBalance ? '' : '(insufficient)');
+  console.log(`Minimum shares per stake: preview less ${Number(maxSlippage)}%`);
+
+  if (dryRun) {
+    const report = await client.simulateStakeBatch(preview);
+    console.log('\n--- Dry run (nothing sent) ---');
+    formatSimulation(report.simulation).forEach(line => console.log(line));
+    if (!report.simulation.ok) process.exitCode = 1;
+    return;
+  }
+
+  console.log('\n--- Staking (1 transaction) ---');
+
+  const result = await client.submitStakeBatch(preview);
+
+  console.log('TX:', result.hash);
+  console.log('Block:', result.blockNumber);
+  console.log('Status: \u2713 Success');
+  const expected = preview.items.reduce((sum, i) => sum + i.expectedShares, 0n);
+  const received = result.shares.reduce((sum, s) => sum + s, 0n);
+  console.log(`Shares received: ${received.toLocaleString()} across ${result.shares.length} vaults ` +
+    `(expected ${expected.toLocaleString()}, ${percentChange(expected, received)})`);
+  console.log('New balance:', formatEther(result.newBalance), '$TRUST');
+}
+
 async function main() {
-  const args = process.argv.slice(2);
+  const args = cliArgs();
   if (args.includes('--help') || args.includes('-h')) {
     usage(0);
   }
+  const planFile = optionValue(args, '--plan');
+  if (planFile) {
+    return stakePlan(args, planFile);
+  }
   if (args.length < 2) {
     usage(1);
   }
@@ -53,157 +142,84 @@ async function main() {
   const termId = args[0];
   const amount = args[1];
   const against = args.includes('--against');
-
-  let walletPath = process.env.INTUITION_WALLET_PATH || null;
-  const walletIdx = args.indexOf('--wallet');
-  if (walletIdx !== -1 && args[walletIdx + 1]) {
-    walletPath = args[walletIdx + 1];
-  }
-
-  if (!/^0x[a-fA-F0-9]{64}$/.test(termId)) {
-    console.error('Error: Invalid term ID (must be 0x + 64 hex chars)');
-    process.exit(1);
-  }
-
-  const amountFloat = parseFloat(amount);
-  if (isNaN(amountFloat) || !isFinite(amountFloat) || amountFloat <= 0) {
-    console.error('Error: Amount must be a positive number');
-    process.exit(1);
-  }
-
-  const stakeAmount = parseEther(amount);
-  if (stakeAmount <= 0n) {
-    console.error('Error: Amount must be positive');
-    process.exit(1);
-  }
-
-  let account;
-  if (walletPath) {
-    const { readFileSync, existsSync } = await import('fs');
-    if (existsSync(walletPath)) {
-      const wallet = JSON.parse(readFileSync(walletPath, 'utf8'));
-      account = privateKeyToAccount(wallet.privateKey);
-    } else {
-      console.error(`Error: Wallet file not found: ${walletPath}`);
-      process.exit(1);
+  const dryRun = args.includes('--dry-run');
+  const jsonOutput = args.includes('--json');
+  const maxSlippage = optionValue(args, '--max-slippage') ?? DEFAULT_MAX_SLIPPAGE;
+  const minSharesArg = optionValue(args, '--min-shares');
+
+  let minShares = null;
+  if (minSharesArg !== null) {
+    try {
+      minShares = BigInt(minSharesArg);
+    } catch {
+      throw new ValidationError('--min-shares must be a whole number of shares');
     }
-  } else if (process.env.INTUITION_PRIVATE_KEY) {
-    account = privateKeyToAccount(process.env.INTUITION_PRIVATE_KEY);
-  } else {
-    console.error('Error: No wallet found. Set INTUITION_PRIVATE_KEY env var or use --wallet <path>');
-    process.exit(1);
   }
 
-  const publicClient = createPublicClient({
-    chain: intuitionMainnet,
-    transport: http('https://rpc.intuition.systems/http'),
-  });
-
-  const walletClient = createWalletClient({
-    chain: intuitionMainnet,
-    transport: http('https://rpc.intuition.systems/http'),
-    account,
-  });
+  const signer = await createSigner(signerSource(args));
+  const client = createIntuitionClient({ ...clientOptions(), ...signer });
 
-  const multiVaultAddress = getMultiVaultAddressFromChainId(intuitionMainnet.id);
+  const preview = await client.previewStake({ termId, amount, against, maxSlippage, minShares });
 
-  // Check if term exists
-  const exists = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'isTermCreated',
-    args: [termId],
-  });
-
-  if (!exists) {
-    console.error('Error: Term ID not found on-chain. Check the ID and try again.');
-    process.exit(1);
+  if (dryRun && jsonOutput) {
+    const report = await client.simulateStake(preview);
+    console.log(toJson(report));
+    if (!report.simulation.ok) process.exitCode = 1;
+    return;
   }
 
-  // Determine if it's an atom or triple
-  const isTriple = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'isTriple',
-    args: [termId],
-  });
-
   console.log('Intuition Stake');
   console.log('===============');
-  console.log('Wallet:', account.address);
-
-  const balance = await publicClient.getBalance({ address: account.address });
-  console.log('Balance:', formatEther(balance), '$TRUST');
+  console.log('Wallet:', preview.wallet);
+  console.log('Balance:', formatEther(preview.balance), '$TRUST');
   console.log('Term ID:', termId);
-  console.log('Type:', isTriple ? 'Triple (claim)' : 'Atom (identity/concept)');
+  console.log('Type:', preview.isTriple ? 'Triple (claim)' : 'Atom (identity/concept)');
   console.log('Amount:', amount, '$TRUST');
 
-  if (against && !isTriple) {
-    console.error('Error: --against only works for triples. Atoms don\'t have counter-vaults.');
-    process.exit(1);
-  }
-
-  if (against) {
+  if (preview.against) {
     console.log('Position: AGAINST');
+    console.log('Counter-Triple:', preview.vaultId);
   } else {
-    console.log('Position:', isTriple ? 'FOR' : 'DEPOSIT');
-  }
-
-  let vaultId = termId;
-  if (against) {
-    vaultId = await publicClient.readContract({
-      address: multiVaultAddress,
-      abi: MultiVaultAbi,
-      functionName: 'getCounterIdFromTripleId',
-      args: [termId],
-    });
-    console.log('Counter-Triple:', vaultId);
+    console.log('Position:', preview.isTriple ? 'FOR' : 'DEPOSIT');
   }
 
-  if (balance < stakeAmount) {
-    console.error(`Insufficient balance. Need ${amount} $TRUST but have ${formatEther(balance)}`);
-    console.error('Bridge $TRUST from Base: https://app.intuition.systems/bridge');
-    console.error('See SKILL.md → "How to Get $TRUST" for step-by-step instructions');
-    process.exit(1);
+  console.log(`\nExpected shares: ~${preview.expectedShares.toLocaleString()} (after fees, at current share price)`);
+  console.log(`Minimum shares:  ${preview.minShares.toLocaleString()}` +
+    `${minShares === null ? ` (${preview.maxSlippage}% max slippage)` : ''}`);
+  console.log(`Current share price: ${formatEther(preview.sharePrice)} $TRUST`);
+
+  if (dryRun) {
+    const report = await client.simulateStake(preview);
+    console.log('\n--- Dry run (nothing sent) ---');
+    formatSimulation(report.simulation).forEach(line => console.log(line));
+    if (report.simulation.ok) {
+      console.log(`Shares:   ${report.expectedShares.toLocaleString()}`);
+    }
+    if (report.fees) {
+      const { fees } = report;
+      console.log(`Fees:     ${formatEther(fees.total)} $TRUST (entry ${formatEther(fees.entry)}, protocol ${formatEther(fees.protocol)}` +
+        `${preview.isTriple ? `, atom fraction ${formatEther(fees.atomDepositFraction)}` : ''})`);
+      console.log(`Deposited after fees: ${formatEther(fees.assetsAfterFees)} $TRUST`);
+    }
+    if (!preview.sufficientBalance) {
+      console.log(`Balance:  insufficient — need ${amount} $TRUST`);
+    }
+    if (!report.simulation.ok) process.exitCode = 1;
+    return;
   }
 
-  // Preview expected shares at current curve position
-  const expectedShares = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'convertToShares',
-    args: [stakeAmount, vaultId],
-  });
-
-  const currentSharePrice = await publicClient.readContract({
-    address: multiVaultAddress,
-    abi: MultiVaultAbi,
-    functionName: 'currentSharePrice',
-    args: [vaultId],
-  });
-
-  console.log(`\nExpected shares: ~${expectedShares.toLocaleString()} (at current share price)`);
-  console.log(`Current share price: ${formatEther(currentSharePrice)} $TRUST`);
-
   console.log('\n--- Staking ---');
 
-  const hash = await multiVaultDeposit(
-    { address: multiVaultAddress, walletClient, publicClient },
-    { args: [account.address, vaultId], value: stakeAmount }
-  );
-
-  console.log('TX:', hash);
+  const result = await client.submitStake(preview);
 
-  const receipt = await publicClient.waitForTransactionReceipt({ hash });
-  console.log('Block:', receipt.blockNumber);
-  console.log('Status:', receipt.status === 'success' ? '\u2713 Success' : '\u2717 Failed');
-
-  const newBalance = await publicClient.getBalance({ address: account.address });
-  console.log('New balance:', formatEther(newBalance), '$TRUST');
+  console.log('TX:', result.hash);
+  console.log('Block:', result.blockNumber);
+  console.log('Status: \u2713 Success');
+  if (result.shares !== null) {
+    console.log(`Shares received: ${result.shares.toLocaleString()} (expected ${preview.expectedShares.toLocaleString()}, ` +
+      `${percentChange(preview.expectedShares, result.shares)})`);
+  }
+  console.log('New balance:', formatEther(result.newBalance), '$TRUST');
 }
 
-main().catch(err => {
-  const msg = (err.message || '').replace(/0x[a-fA-F0-9]{64}/g, '0x[REDACTED]');
-  console.error('Error:', msg);
-  process.exit(1);
-});
+main().catch(exitWithError);
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * intuition-strategy.mjs - Evaluate exit rules against a wallet's positions
+ *
+ * Usage:
+ *   node intuition-strategy.mjs run <rules.json> [--execute] [options]
+ *
+ * Every position is checked against the rules in order (take-profit,
+ * stop-loss, time exits, counter-stake alarms); the first rule that fires
+ * decides how much of it to redeem. Without --execute the actions are only
+ * printed.
+ *
+ * Examples:
+ *   node intuition-strategy.mjs run rules.json
+ *   node intuition-strategy.mjs run rules.json --address 0x<wallet> --json
+ *   node intuition-strategy.mjs run rules.json --execute
+ *
+ * Environment:
+ *   INTUITION_PRIVATE_KEY             Wallet private key (required if no --wallet)
+ *   INTUITION_WALLET_PATH             Default wallet JSON path
+ *   INTUITION_WALLET_PASSPHRASE       Passphrase for an encrypted wallet (else prompted)
+ *   INTUITION_WALLET_PASSPHRASE_FILE  File containing the passphrase
+ */
+
+import { formatEther } from 'viem';
+import { createContext } from '../lib/context.mjs';
+import { createSigner } from '../lib/signers.mjs';
+import { STRATEGY_METRICS, evaluateStrategy, executeStrategy, readStrategy } from '../lib/strategy.mjs';
+import { ValidationError } from '../lib/errors.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, positionals, signerSource, toJson } from '../lib/cli.mjs';
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-strategy.mjs - Rule-based exits: take-profit, stop-loss, time and counter-stake exits
+
+Usage:
+  node intuition-strategy.mjs run <rules.json> [options]
+
+Options:
+  --execute                 Redeem what the rules say (default: only print the actions)
+  --address <0x...>         Evaluate this wallet without loading a key (no --execute)
+  --max-slippage <pct>      Per redeem; overrides the file's "maxSlippage" (default: 1)
+  --json                    Output the evaluation (and results) as JSON
+  --wallet <path>           Path to wallet JSON file (plaintext or encrypted keystore)
+  --passphrase-file <path>  File containing the wallet passphrase
+  --signer <spec>           key (default), rpc:<url|socket>, external:<url|socket>, eip1193:<module>
+  --signer-address <0x...>  Account to use when the signer manages several
+  --network <name>          mainnet (default), testnet, or a custom network
+
+Rules file:
+  {
+    "maxSlippage": 1,
+    "rules": [
+      { "name": "take-profit", "when": { "returnPct": { "gte": 100 } }, "redeem": "50%" },
+      { "name": "stop-loss",   "when": { "returnPct": { "lte": -30 } }, "redeem": "all" },
+      { "name": "time-exit",   "when": { "ageDays": { "gte": 30 } },    "redeem": "all" },
+      { "name": "disputed", "match": { "type": "triple", "side": "for" },
+        "when": { "againstPct": { "gt": 40 } }, "redeem": "all" }
+    ]
+  }
+
+  Rules are tried in order; the first whose "match" and every "when"
+  condition hold decides for a position. Operators: gt, gte, lt, lte.
+  "match" may narrow by type (atom|triple), side (for|against), predicate
+  label, or termIds.
+
+Metrics:
+${Object.entries(STRATEGY_METRICS).map(([name, text]) => `  ${name.padEnd(17)}${text}`).join('\n')}
+
+Rules are stateless: "redeem 50% at +100%" fires again on the next run if
+the position still qualifies. Add { "daysSinceRedeem": { "gte": 7 } } to
+space out partial exits.
+
+Environment:
+  INTUITION_PRIVATE_KEY             Wallet private key (required if no --wallet)
+  INTUITION_WALLET_PATH             Default wallet JSON path
+  INTUITION_WALLET_PASSPHRASE       Passphrase for an encrypted wallet (else prompted)
+  INTUITION_WALLET_PASSPHRASE_FILE  File containing the passphrase
+  INTUITION_SIGNER                  Default signer spec (overridden by --signer)
+  INTUITION_NETWORK                 Default network (overridden by --network)
+`);
+  process.exit(exitCode);
+}
+
+function formatMetric(name, value) {
+  if (value === null) return `${name} n/a`;
+  if (value === Infinity) return `${name} never`;
+  return `${name} ${Number(value.toFixed(name.endsWith('Pct') ? 2 : 4))}`;
+}
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+  const [command, rulesFile] = positionals(args, [
+    '--address', '--max-slippage', '--wallet', '--passphrase-file', '--signer', '--signer-address',
+  ]);
+  if (command !== 'run' || !rulesFile) {
+    usage(1);
+  }
+
+  const execute = args.includes('--execute');
+  const jsonOutput = args.includes('--json');
+  const address = optionValue(args, '--address');
+  if (address && execute) {
+    throw new ValidationError('--execute needs the wallet itself; drop --address');
+  }
+
+  const strategy = readStrategy(rulesFile);
+  const maxSlippage = optionValue(args, '--max-slippage') ?? strategy.maxSlippage;
+  const ctx = createContext({ ...clientOptions(), ...(address ? {} : await createSigner(signerSource(args))) });
+  const evaluation = await evaluateStrategy(ctx, strategy, { address: address || ctx.account?.address });
+
+  if (jsonOutput && !execute) {
+    console.log(toJson(evaluation));
+    return;
+  }
+
+  if (!jsonOutput) {
+    console.log('Intuition Exit Strategy');
+    console.log('=======================');
+    console.log('Wallet:', evaluation.wallet);
+    console.log(`Rules: ${strategy.rules.map(r => r.name).join(', ')}`);
+    console.log(`Positions checked: ${evaluation.positions.length}`);
+    console.log('');
+
+    if (evaluation.actions.length === 0) {
+      console.log('No rule fires. Nothing to do.');
+      return;
+    }
+
+    evaluation.actions.forEach((a, i) => {
+      const side = a.side ? ` ${a.side.toUpperCase()}` : '';
+      console.log(`${i + 1}. ${a.label} (${a.type}${side})`);
+      console.log(`   Rule:    ${a.rule} -> redeem ${a.percent === 100 ? 'all' : `${a.percent}%`} (~${a.value.toFixed(4)} $TRUST before exit fees)`);
+      console.log(`   Metrics: ${Object.entries(a.metrics).map(([k, v]) => formatMetric(k, v)).join(', ')}`);
+      console.log(`   Term:    ${a.termId}`);
+    });
+
+    if (!execute) {
+      console.log('\nNothing sent. Re-run with --execute to redeem.');
+      return;
+    }
+    console.log(`\nExecuting ${evaluation.actions.length} redeem(s)...`);
+  }
+
+  const results = await executeStrategy(ctx, evaluation, { maxSlippage });
+  const failed = results.filter(r => r.status === 'failed');
+  if (failed.length > 0) process.exitCode = 1;
+
+  if (jsonOutput) {
+    console.log(toJson({ ...evaluation, results }));
+    return;
+  }
+
+  for (const r of results) {
+    if (r.status === 'redeemed') {
+      console.log(`  ✓ ${r.label}: ${formatEther(r.assets ?? r.expectedAssets)} $TRUST  (tx ${r.hash})`);
+    } else {
+      console.log(`  ✗ ${r.label}: ${r.error}`);
+    }
+  }
+  console.log(`\nDone: ${results.length - failed.length} redeemed, ${failed.length} failed.`);
+}
+
+main().catch(exitWithError);
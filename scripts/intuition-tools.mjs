@@ -4,14 +4,15 @@
  * Unified CLI for Intuition agent tools
  *
  * Usage:
- *   node intuition-tools.mjs <command> [args]
+ *   node intuition-tools.mjs [--network <name>] <command> [args]
  *
  * Commands:
  *   quickstart <name>     - Full agent onboarding
+ *   plan|apply <file>     - Converge an agent's claims and stakes on a manifest
  *   verify <name|id>      - Verify an atom exists
  *   query <name|id>       - Query claims about an entity
  *   triples <name|id>     - List triples for an entity
- *   stake <id> <amount>   - Stake on an atom or triple
+ *   stake <id> <amount>   - Stake on an atom or triple (or --plan <file> for a batch)
  *   agents                - Discover AI agents on-chain
  *   health                - Check skill setup and connectivity
  */
@@ -19,9 +20,11 @@
 import { spawn } from 'child_process';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { cliArgs, exitWithError, selectedNetworkProfile } from '../lib/cli.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// A command maps to a script, or to a script and the arguments it always gets
 const TOOLS = {
   quickstart: 'intuition-quickstart-v3.mjs',
   verify: 'intuition-verify.mjs',
@@ -34,6 +37,20 @@ const TOOLS = {
   health: 'intuition-health.mjs',
   hash: 'exchange-hash.mjs',
   exchange: 'create-exchange-attestation.mjs',
+  'encrypt-wallets': 'intuition-encrypt-wallets.mjs',
+  wallet: 'intuition-wallet.mjs',
+  history: 'intuition-history.mjs',
+  strategy: 'intuition-strategy.mjs',
+  watch: 'intuition-watch.mjs',
+  feed: 'intuition-feed.mjs',
+  trust: 'intuition-trust.mjs',
+  gate: 'intuition-gate.mjs',
+  wot: 'intuition-wot.mjs',
+  path: 'intuition-path.mjs',
+  export: 'intuition-export.mjs',
+  import: 'intuition-import.mjs',
+  plan: ['intuition-manifest.mjs', 'plan'],
+  apply: ['intuition-manifest.mjs', 'apply'],
 };
 
 function showHelp() {
@@ -41,39 +58,80 @@ function showHelp() {
 INTUITION AGENT TOOLS
 Build identity on-chain, one claim at a time
 
-Usage: node intuition-tools.mjs <command> [args]
+Usage: node intuition-tools.mjs [--network <name>] <command> [args]
 
 Commands:
   quickstart <name> [amount]     Full agent onboarding: wallet -> atom -> triple -> stake
   verify <name|atom_id>          Verify an atom exists and check identity claims
+  trust <name|atom_id>           Five-level trust verdict (exit 0 trusted, 2 not trusted)
+  gate --policy <file> <entity>  Allow (exit 0) or deny (exit 1) an entity against an access policy
+  wot --seed <name|atom_id>...   Rank agents by transitive trust from seeds (personalized PageRank)
+  path <A> <B>                   Shortest chains of claims connecting two entities
+  export <entity> --format <fmt> Export a neighborhood as graphml, dot, jsonld, ntriples or turtle
   query <name|atom_id>           Query claims about an entity
   triples <name|atom_id>         List all triples involving an entity (via GraphQL)
   stake <term_id> <amount>       Stake $TRUST on an atom or triple
+  stake --plan <file>            Stake on every row of a JSON/CSV plan in one transaction
+  import <data.csv|data.ttl>     Create the atoms and triples in a file that do not exist yet
+  plan <manifest.json>           Diff an agent's declared atoms, claims and stakes against the chain
+  apply <manifest.json>          Create, deposit and redeem until the chain matches the manifest
   redeem <term_id> <shares|all>  Redeem (unstake) shares from a vault
-  positions [address]            Check staking positions and portfolio value
+  redeem --batch [filters]       Exit many positions in one transaction (--all, --type, --max-value, --predicate)
+  positions [address]            Check staking positions, cost basis and PnL
+  strategy run <rules.json>      Evaluate exit rules on every position (--execute to redeem)
+  watch [term_id...]             Poll terms or --positions and emit JSONL alerts (thresholds, new triples)
+  feed <triples|atoms|positions> Stream new triples/atoms or position changes live (WebSocket)
   agents                         Discover AI agents on-chain (via GraphQL)
   health                         Check skill setup, connectivity, and atom ID integrity
   hash <agent1> <agent2>         Compute exchange trust fingerprint
   exchange --name1 A --name2 B   Create on-chain exchange attestation
+  encrypt-wallets                Encrypt plaintext wallet files in place (keystore v3)
+  wallet <create|import|list|show|export-address|remove> [name]
+                                 Manage agent wallets in ~/.intuition-wallet-<name>/
+  history [filters]              Transactions sent by the skill, from the local journal
 
 Examples:
   node intuition-tools.mjs quickstart MyAgent 0.5
   node intuition-tools.mjs verify MyAgent
+  node intuition-tools.mjs trust MyAgent --min-stake 5 --json
+  node intuition-tools.mjs gate --policy policy.json SomeAgent
+  node intuition-tools.mjs wot --seed MyAgent --predicate trusts,collaboratesWith
+  node intuition-tools.mjs path MyAgent SomeProject --exclude-predicate is --k 3
+  node intuition-tools.mjs export MyAgent --depth 2 --format graphml --output myagent.graphml
   node intuition-tools.mjs query MyAgent
   node intuition-tools.mjs triples "AI Agent" --json
   node intuition-tools.mjs stake 0x<term-id> 0.5
   node intuition-tools.mjs stake 0x<triple-id> 0.5 --against
+  node intuition-tools.mjs stake --plan plan.csv --dry-run
+  node intuition-tools.mjs import facts.csv --dry-run
+  node intuition-tools.mjs plan agents/myagent.json
   node intuition-tools.mjs redeem 0x<term-id> all
+  node intuition-tools.mjs redeem --batch --max-value 0.05 --dry-run
   node intuition-tools.mjs positions
+  node intuition-tools.mjs strategy run rules.json --execute
+  node intuition-tools.mjs watch --positions MyAgent --output http://localhost:8080/hook
+  node intuition-tools.mjs feed triples --predicate is --object "AI Agent" --json
   node intuition-tools.mjs agents --json
+  node intuition-tools.mjs wallet list
+  node intuition-tools.mjs history --wallet MyAgent --since 7d
+  node intuition-tools.mjs --network testnet quickstart MyAgent 0.1
+
+Networks:
+  --network mainnet              Intuition Mainnet, chain 1155 (default)
+  --network testnet              Intuition Testnet, chain 13579
+  --network <custom>             Defined in ~/.intuition/networks.json
 
 Environment:
   INTUITION_PRIVATE_KEY - Required for quickstart, stake, redeem, and exchange commands
+  INTUITION_WALLET_PASSPHRASE - Unlocks encrypted wallet files (else prompted; or use *_FILE / --passphrase-file)
+  INTUITION_SIGNER      - Signer for writes: key (default), rpc:<url>, external:<url|socket>, eip1193:<module>
+  INTUITION_NETWORK     - Default network (overridden by --network)
+  INTUITION_NETWORKS_FILE - Custom network definitions (default ~/.intuition/networks.json)
 `);
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  const args = cliArgs();
   if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
     showHelp();
     process.exit(0);
@@ -88,10 +146,17 @@ async function main() {
     process.exit(1);
   }
 
-  const toolPath = join(__dirname, TOOLS[command]);
-  const child = spawn('node', [toolPath, ...toolArgs], {
+  let network;
+  try {
+    network = selectedNetworkProfile();
+  } catch (err) {
+    exitWithError(err);
+  }
+
+  const [script, ...presetArgs] = [].concat(TOOLS[command]);
+  const child = spawn('node', [join(__dirname, script), ...presetArgs, ...toolArgs], {
     stdio: 'inherit',
-    env: process.env,
+    env: { ...process.env, INTUITION_NETWORK: network.name },
   });
 
   child.on('close', (code) => process.exit(code || 0));
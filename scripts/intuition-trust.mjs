@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * intuition-trust.mjs - Five-level trust verdict for an entity
+ *
+ * Usage:
+ *   node intuition-trust.mjs <name|atom_id> [thresholds] [--json]
+ *
+ * Runs the existence, claim, stake, sentiment and relationship checks from
+ * references/patterns.md and exits 0 when the entity is trusted, 2 when it
+ * is not (1 on errors), so a caller can gate on the exit code alone.
+ *
+ * Examples:
+ *   node intuition-trust.mjs Alice
+ *   node intuition-trust.mjs Alice --min-stake 5 --min-sentiment 0.9 --json
+ *   node intuition-trust.mjs 0x<atom-id> --profile strict.json
+ *   node intuition-trust.mjs Alice --require-level 3 && echo "ok to talk to"
+ */
+
+import { createIntuitionClient } from '../lib/client.mjs';
+import { DEFAULT_TRUST_PROFILE, readTrustProfile, validateTrustProfile } from '../lib/trust.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, positionals, toJson } from '../lib/cli.mjs';
+
+const EXIT_UNTRUSTED = 2;
+
+/** Threshold flags and the profile setting each overrides. */
+const FLAGS = {
+  '--min-stake': 'minStake',
+  '--min-sentiment': 'minSentiment',
+  '--min-stakers': 'minStakers',
+  '--max-concentration': 'maxConcentration',
+  '--min-relationships': 'minRelationships',
+  '--require-level': 'requireLevel',
+};
+
+function usage(exitCode = 1) {
+  const d = DEFAULT_TRUST_PROFILE;
+  console.log(`
+intuition-trust.mjs - Should an agent trust this entity? One call, one verdict.
+
+Usage:
+  node intuition-trust.mjs <name|atom_id> [options]
+
+Levels (each must pass for the next to count):
+  1 existence      The entity has an atom on-chain
+  2 claim          [Entity] [${d.claim.predicate}] [${d.claim.object}] exists (see --predicate/--object)
+  3 stake          $TRUST staked FOR the claim          --min-stake <n>          (default ${d.minStake})
+  4 sentiment      FOR / (FOR + AGAINST)                --min-sentiment <0-1>    (default ${d.minSentiment})
+  5 relationships  Stakers on the claim                 --min-stakers <n>        (default ${d.minStakers})
+                   Largest staker's share of FOR        --max-concentration <0-1> (default ${d.maxConcentration})
+                   Other claims with more FOR than AGAINST
+                                                        --min-relationships <n>  (default ${d.minRelationships})
+
+Options:
+  --require-level <1-5>  Level needed to be trusted (default: ${d.requireLevel})
+  --predicate <label>    Claim predicate (default: "${d.claim.predicate}")
+  --object <label>       Claim object (default: "${d.claim.object}")
+  --profile <file.json>  Thresholds from a file; flags override it
+  --json                 Output the verdict as JSON
+  --network <name>       mainnet (default), testnet, or a custom network
+
+Profile file:
+  { "minStake": 5, "minSentiment": 0.9, "minStakers": 3, "maxConcentration": 0.7,
+    "minRelationships": 2, "requireLevel": 5,
+    "claim": { "predicate": "is", "object": "AI Agent" } }
+
+Exit code:
+  0  trusted
+  2  not trusted (the verdict says which level failed and why)
+  1  error
+`);
+  process.exit(exitCode);
+}
+
+function formatAmount(value) {
+  return Number(value.toFixed(4)).toString();
+}
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+  const [target] = positionals(args, [...Object.keys(FLAGS), '--predicate', '--object', '--profile']);
+  if (!target) {
+    usage(1);
+  }
+
+  const profilePath = optionValue(args, '--profile');
+  const overrides = profilePath ? readTrustProfile(profilePath) : {};
+  for (const [flag, key] of Object.entries(FLAGS)) {
+    const value = optionValue(args, flag);
+    if (value !== null) overrides[key] = Number(value);
+  }
+  const predicate = optionValue(args, '--predicate');
+  const object = optionValue(args, '--object');
+  if (predicate || object) {
+    overrides.claim = { ...overrides.claim, ...(predicate && { predicate }), ...(object && { object }) };
+  }
+  const profile = validateTrustProfile(overrides);
+
+  const client = createIntuitionClient(clientOptions());
+  const verdict = await client.evaluateTrust(target, profile);
+  process.exitCode = verdict.trusted ? 0 : EXIT_UNTRUSTED;
+
+  if (args.includes('--json')) {
+    console.log(toJson(verdict));
+    return;
+  }
+
+  console.log('Intuition Trust Evaluation');
+  console.log('==========================');
+  console.log(`Entity: ${verdict.label} (${verdict.atom_id})`);
+  if (verdict.claim_id) {
+    console.log(`Claim:  [${verdict.label}] [${profile.claim.predicate}] [${profile.claim.object}] (${verdict.claim_id})`);
+  }
+  console.log('');
+
+  for (const level of verdict.levels) {
+    const mark = level.passed ? '✓' : '✗';
+    console.log(`  ${mark} ${level.level} ${level.name.padEnd(14)} ${level.detail}`);
+  }
+
+  if (verdict.relationships.length > 0) {
+    console.log('');
+    console.log(`Relationships (${verdict.supporting_relationships} of ${verdict.relationships.length} backed FOR):`);
+    for (const r of verdict.relationships.slice(0, 10)) {
+      console.log(`  ${r.supporting ? '+' : '-'} ${r.label}  ${formatAmount(r.for)} FOR / ${formatAmount(r.against)} AGAINST`);
+    }
+    if (verdict.relationships.length > 10) {
+      console.log(`  ... ${verdict.relationships.length - 10} more (--json for all)`);
+    }
+  }
+
+  console.log('');
+  console.log(verdict.trusted
+    ? `Verdict: TRUSTED (level ${verdict.level_reached} of ${verdict.required_level} required)`
+    : `Verdict: NOT TRUSTED (reached level ${verdict.level_reached}, ${verdict.required_level} required)`);
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * intuition-wallet.mjs - Manage agent wallets in ~/.intuition-wallet-<name>/
+ *
+ * Usage:
+ *   node intuition-wallet.mjs create <name>
+ *   node intuition-wallet.mjs import <name> [--key-file <path> | --keystore <path>]
+ *   node intuition-wallet.mjs list [--json]
+ *   node intuition-wallet.mjs show <name> [--json]
+ *   node intuition-wallet.mjs export-address <name>
+ *   node intuition-wallet.mjs remove <name> --yes
+ */
+
+import { readFileSync } from 'fs';
+import { formatEther } from 'viem';
+import { createContext } from '../lib/context.mjs';
+import {
+  createAgentWallet,
+  describeAgentWallet,
+  importAgentWallet,
+  listAgentWallets,
+  readWalletFile,
+  removeAgentWallet,
+} from '../lib/wallet.mjs';
+import { ValidationError, WalletError } from '../lib/errors.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, passphraseSource, positionals } from '../lib/cli.mjs';
+
+const args = cliArgs();
+const jsonOutput = args.includes('--json');
+const [command, name] = positionals(args, ['--key-file', '--keystore', '--passphrase-file']);
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-wallet.mjs - Manage agent wallets
+
+Usage:
+  node intuition-wallet.mjs create <name>                 Generate a new encrypted wallet
+  node intuition-wallet.mjs import <name> [source]        Adopt an existing key
+  node intuition-wallet.mjs list                          All wallets with balance and status
+  node intuition-wallet.mjs show <name>                   One wallet with its identity details
+  node intuition-wallet.mjs export-address <name>         Print only the address
+  node intuition-wallet.mjs remove <name> --yes           Delete the wallet directory
+
+Import sources:
+  --key-file <path>         File containing a 0x private key (encrypted on import)
+  --keystore <path>         Existing v3 keystore JSON (copied, keeps its passphrase)
+  (default)                 INTUITION_PRIVATE_KEY
+
+Options:
+  --json                    Output as JSON (list, show)
+  --passphrase-file <path>  File containing the wallet passphrase
+  --network <name>          Network for balances (default: mainnet)
+
+Wallets live in ~/.intuition-wallet-<name>/ next to the identity.json
+written by quickstart. Status is needs_funding, in_progress (a run stopped
+partway; re-run quickstart to resume) or complete once quickstart has run,
+new before that.
+`);
+  process.exit(exitCode);
+}
+
+if (args.includes('--help') || args.includes('-h')) {
+  usage(0);
+}
+if (!command) {
+  usage(1);
+}
+
+/** Attach balances on the selected network; a dead RPC leaves them null. */
+async function withBalances(wallets) {
+  const { publicClient, network } = createContext(clientOptions());
+  const balances = await Promise.allSettled(
+    wallets.map(w => (w.address ? publicClient.getBalance({ address: w.address }) : Promise.resolve(null)))
+  );
+  return wallets.map((w, i) => ({
+    ...w,
+    network: network.name,
+    balance: balances[i].status === 'fulfilled' && balances[i].value !== null ? formatEther(balances[i].value) : null,
+  }));
+}
+
+function printWallet(w, index) {
+  console.log(`${index !== undefined ? `${index + 1}. ` : ''}${w.name}  (${w.status})`);
+  console.log(`   Address: ${w.address}`);
+  console.log(`   Balance: ${w.balance !== null ? `${w.balance} $TRUST` : 'unavailable'}`);
+  if (w.atomId) console.log(`   Atom:    ${w.atomId}`);
+  if (w.tripleId) console.log(`   Triple:  ${w.tripleId}`);
+  const storage = w.signer ? `signer ${w.signer}` : w.encrypted ? 'encrypted' : 'PLAINTEXT — run encrypt-wallets';
+  console.log(`   File:    ${w.walletFile} (${storage})`);
+}
+
+function requireName() {
+  if (!name) {
+    throw new ValidationError(`Usage: intuition-wallet.mjs ${command} <name>`);
+  }
+  return name;
+}
+
+async function create() {
+  const { account, walletFile } = await createAgentWallet(requireName(), {
+    network: clientOptions().network,
+    ...passphraseSource(args),
+  });
+  console.log(`Created wallet for ${name}`);
+  console.log(`   Address: ${account.address}`);
+  console.log(`   Saved to: ${walletFile} (encrypted)`);
+}
+
+async function importWallet() {
+  requireName();
+  const keyFile = optionValue(args, '--key-file');
+  const keystoreFile = optionValue(args, '--keystore');
+
+  let source;
+  if (keystoreFile) {
+    source = { keystore: readWalletFile(keystoreFile) };
+  } else if (keyFile) {
+    source = { privateKey: readFileSync(keyFile, 'utf8').trim() };
+  } else if (process.env.INTUITION_PRIVATE_KEY) {
+    source = { privateKey: process.env.INTUITION_PRIVATE_KEY };
+  } else {
+    throw new WalletError('Nothing to import. Use --key-file, --keystore, or set INTUITION_PRIVATE_KEY');
+  }
+
+  const result = await importAgentWallet(name, source, { network: clientOptions().network, ...passphraseSource(args) });
+  console.log(`Imported wallet for ${name}`);
+  console.log(`   Address: ${result.account?.address || result.address}`);
+  console.log(`   Saved to: ${result.walletFile} (encrypted)`);
+}
+
+async function list() {
+  const wallets = await withBalances(listAgentWallets().map(({ identity, ...w }) => w));
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(wallets, null, 2));
+    return;
+  }
+  if (wallets.length === 0) {
+    console.log('No agent wallets found. Create one with: node intuition-wallet.mjs create <name>');
+    return;
+  }
+
+  console.log(`Agent Wallets (${wallets.length})`);
+  console.log('=================');
+  console.log('');
+  wallets.forEach((w, i) => {
+    printWallet(w, i);
+    console.log('');
+  });
+
+  const pending = wallets.filter(w => w.status !== 'complete').map(w => w.name);
+  if (pending.length > 0) {
+    console.log(`Not yet onboarded: ${pending.join(', ')}`);
+  }
+}
+
+async function show() {
+  const [wallet] = await withBalances([describeAgentWallet(requireName())]);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(wallet, null, 2));
+    return;
+  }
+
+  printWallet(wallet);
+  const { identity } = wallet;
+  if (identity?.triple) {
+    console.log(`   Claim:   [${identity.triple.subject}] [${identity.triple.predicate}] [${identity.triple.object}]`);
+  }
+  if (identity?.stake) console.log(`   Staked:  ${identity.stake.amount} $TRUST`);
+  if (identity?.balanceNeeded) console.log(`   Needs:   ${identity.balanceNeeded} more $TRUST`);
+  if (wallet.chain) console.log(`   Chain:   ${wallet.chain}`);
+  if (wallet.created) console.log(`   Created: ${wallet.created}`);
+}
+
+function exportAddress() {
+  console.log(describeAgentWallet(requireName()).address);
+}
+
+async function remove() {
+  const [wallet] = await withBalances([describeAgentWallet(requireName())]);
+
+  if (!args.includes('--yes')) {
+    console.log(`This permanently deletes ${wallet.walletDir}`);
+    console.log(`Address ${wallet.address} holds ${wallet.balance ?? 'an unknown amount of'} $TRUST.`);
+    console.log('Without a backup of the key, those funds and positions are lost.');
+    console.log('Re-run with --yes to confirm.');
+    process.exit(1);
+  }
+
+  removeAgentWallet(name);
+  console.log(`Removed wallet for ${name} (${wallet.address})`);
+}
+
+const COMMANDS = {
+  create,
+  import: importWallet,
+  list,
+  show,
+  'export-address': exportAddress,
+  remove,
+};
+
+async function main() {
+  if (!COMMANDS[command]) {
+    throw new ValidationError(`Unknown wallet command: ${command}. Run with --help for usage.`);
+  }
+  await COMMANDS[command]();
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * intuition-watch.mjs - Poll terms or a wallet's positions and emit alerts
+ *
+ * Usage:
+ *   node intuition-watch.mjs [term_id...] [--positions <address|name>] [options]
+ *
+ * Each poll compares FOR/AGAINST assets, share price and position count with
+ * the previous one and writes threshold, change and new-triple events as
+ * JSONL to stdout, a file, or a webhook. Runs until interrupted (--once for
+ * a single poll).
+ *
+ * Examples:
+ *   node intuition-watch.mjs 0x<triple-id> --alert againstPct:above:25
+ *   node intuition-watch.mjs --positions MyAgent --interval 120 --output events.jsonl
+ *   node intuition-watch.mjs --config watch.json --output http://localhost:8080/hook
+ */
+
+import { readFileSync } from 'fs';
+import { DEFAULT_ALERTS, WATCH_METRICS, createSink, runWatch, validateWatchConfig } from '../lib/watch.mjs';
+import { describeAgentWallet } from '../lib/wallet.mjs';
+import { ValidationError } from '../lib/errors.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, positionals } from '../lib/cli.mjs';
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-watch.mjs - Monitor vaults and claims; emit JSONL alerts
+
+Usage:
+  node intuition-watch.mjs [term_id...] [options]
+
+Options:
+  --positions <address|name>  Also watch every term this wallet (or agent) holds
+  --config <watch.json>       Terms, wallet, alerts and interval from a file
+  --alert <metric:kind:value> Alert for every watched term (repeatable); kind is
+                              above, below or changePct
+  --new-triples               Report new triples about watched atoms (on by default
+                              when no --alert is given)
+  --interval <seconds>        Time between polls (default: 60)
+  --output <-|file|url>       stdout (default), a JSONL file to append to, or an
+                              http(s) webhook that receives one POST per event
+  --once                      Poll once and exit
+  --network <name>            mainnet (default), testnet, or a custom network
+
+Metrics:
+${Object.entries(WATCH_METRICS).map(([name, text]) => `  ${name.padEnd(15)}${text}`).join('\n')}
+
+Config file:
+  {
+    "interval": 60,
+    "wallet": "0x...",
+    "alerts": { "againstAssets": { "changePct": 0 }, "newTriples": true },
+    "terms": [
+      "0x<atom-id>",
+      { "id": "0x<triple-id>", "alerts": { "againstPct": { "above": 25 } } }
+    ]
+  }
+
+Events (one JSON object per line):
+  threshold.crossed   A metric moved past above/below ("initial": true if it
+                      already was on the first poll)
+  threshold.cleared   It moved back
+  metric.changed      A metric moved by at least changePct percent
+  triple.created      A new triple names a watched atom
+  watch.error         A poll failed; polling continues
+
+Default alerts: ${JSON.stringify(DEFAULT_ALERTS)}
+(any change in AGAINST assets, and new triples about watched atoms)
+`);
+  process.exit(exitCode);
+}
+
+function parseAlert(spec) {
+  const [metric, kind, value] = spec.split(':');
+  if (!metric || !kind || value === undefined) {
+    throw new ValidationError(`--alert must look like metric:above|below|changePct:value, got "${spec}"`);
+  }
+  return { metric, kind, value: Number(value) };
+}
+
+function readConfig(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new ValidationError(`Cannot read watch config ${path}: ${err.message}`);
+  }
+}
+
+function resolveWallet(value) {
+  if (!value || value.startsWith('0x')) return value;
+  return describeAgentWallet(value).address;
+}
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+
+  const termIds = positionals(args, ['--positions', '--config', '--alert', '--interval', '--output']);
+  const configPath = optionValue(args, '--config');
+  const config = configPath ? readConfig(configPath) : {};
+
+  config.terms = [...(config.terms || []), ...termIds];
+  const wallet = optionValue(args, '--positions') ?? config.wallet;
+  if (wallet) config.wallet = resolveWallet(wallet);
+  if (optionValue(args, '--interval') !== null) config.interval = Number(optionValue(args, '--interval'));
+
+  const alertSpecs = args.flatMap((a, i) => (a === '--alert' ? [args[i + 1]] : []));
+  if (alertSpecs.length > 0) {
+    config.alerts = { ...(config.alerts || {}) };
+    for (const { metric, kind, value } of alertSpecs.map(parseAlert)) {
+      config.alerts[metric] = { ...(config.alerts[metric] || {}), [kind]: value };
+    }
+  }
+  if (args.includes('--new-triples')) {
+    config.alerts = { ...(config.alerts || DEFAULT_ALERTS), newTriples: true };
+  }
+
+  if (config.terms.length === 0 && !config.wallet) {
+    usage(1);
+  }
+  validateWatchConfig(config);
+
+  const output = optionValue(args, '--output') ?? config.output;
+  const sink = createSink(output);
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+  process.on('SIGTERM', () => controller.abort());
+
+  const what = [
+    config.terms.length > 0 ? `${config.terms.length} term(s)` : null,
+    config.wallet ? `positions of ${config.wallet}` : null,
+  ].filter(Boolean).join(' + ');
+  console.error(`Watching ${what} every ${config.interval ?? 60}s -> ${output && output !== '-' ? output : 'stdout'}`);
+
+  await runWatch(clientOptions(), config, {
+    onEvent: sink,
+    once: args.includes('--once'),
+    signal: controller.signal,
+  });
+}
+
+main().catch(exitWithError);
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * intuition-wot.mjs - Rank agents by transitive trust from seeds you already trust
+ *
+ * Usage:
+ *   node intuition-wot.mjs --seed <name|atom_id>... [--predicate trusts,collaboratesWith] [--json]
+ *
+ * Crawls [A] [trusts] [B]-style claims outward from the seeds, weights each
+ * by FOR minus AGAINST stake and scores every agent reached with
+ * personalized PageRank (EigenTrust with the seeds as pre-trusted peers).
+ *
+ * Examples:
+ *   node intuition-wot.mjs --seed MyAgent
+ *   node intuition-wot.mjs --seed MyAgent --seed Axiom --depth 4 --decay 0.7
+ *   node intuition-wot.mjs --seed MyAgent --predicate trusts,vouchesFor --json
+ */
+
+import { DEFAULT_WOT_PREDICATES, webOfTrust } from '../lib/wot.mjs';
+import { cliArgs, clientOptions, exitWithError, optionValue, positionals } from '../lib/cli.mjs';
+
+const VALUE_OPTIONS = ['--seed', '--predicate', '--depth', '--decay', '--limit', '--max-nodes'];
+
+function usage(exitCode = 1) {
+  console.log(`
+intuition-wot.mjs - Web-of-trust ranking over trust claims
+
+Usage:
+  node intuition-wot.mjs --seed <name|atom_id>... [options]
+
+Options:
+  --seed <name|id>        Agent you already trust (repeatable; extra arguments are seeds too)
+  --predicate <list>      Comma-separated trust predicates (default: ${DEFAULT_WOT_PREDICATES.join(',')})
+  --depth <n>             Hops to crawl out from the seeds (default: 3)
+  --decay <0-1>           Share of trust passed on per hop (default: 0.85)
+  --limit <n>             Agents to list (default: 25)
+  --max-nodes <n>         Stop crawling once this many atoms are known (default: 5000)
+  --json                  Output the full ranking as JSON
+  --network <name>        mainnet (default), testnet, or a custom network
+
+How scores work:
+  Each claim [A] [trusts] [B] is an edge A -> B weighted by $TRUST FOR minus
+  AGAINST (net-negative claims carry no trust). Every agent passes --decay of
+  its score along its edges in proportion to their weight; the rest returns
+  to the seeds. An agent scores high when well-staked trust paths from the
+  seeds lead to it, and trust k hops out is damped by decay^k. Scores sum to 1.
+
+Queries the Intuition GraphQL API (no auth required).
+`);
+  process.exit(exitCode);
+}
+
+async function main() {
+  const args = cliArgs();
+  if (args.includes('--help') || args.includes('-h')) {
+    usage(0);
+  }
+
+  const seeds = [
+    ...args.flatMap((a, i) => (a === '--seed' && args[i + 1] !== undefined ? [args[i + 1]] : [])),
+    ...positionals(args, VALUE_OPTIONS),
+  ];
+  if (seeds.length === 0) {
+    usage(1);
+  }
+  const predicate = optionValue(args, '--predicate');
+  const number = (name, fallback) => (optionValue(args, name) === null ? fallback : Number(optionValue(args, name)));
+  const limit = number('--limit', 25);
+
+  const result = await webOfTrust(clientOptions(), seeds, {
+    predicates: predicate ? predicate.split(',').map(p => p.trim()).filter(Boolean) : DEFAULT_WOT_PREDICATES,
+    depth: number('--depth', 3),
+    decay: number('--decay', 0.85),
+    maxNodes: number('--max-nodes', 5000),
+  });
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log('Intuition Web of Trust');
+  console.log('======================');
+  console.log(`Seeds: ${result.seeds.map(s => s.label ?? s.id).join(', ')}`);
+  console.log(`Predicates: ${result.predicates.join(', ')}  Depth: ${result.depth}  Decay: ${result.decay}`);
+  console.log(`Crawled ${result.nodes} atom(s), ${result.edges} claim(s)${result.truncated ? ' (stopped at --max-nodes)' : ''}`);
+  console.log('');
+
+  const others = result.ranking.filter(r => !r.seed);
+  if (others.length === 0) {
+    console.log('No agents reachable from the seeds over these predicates.');
+    return;
+  }
+
+  others.slice(0, limit).forEach((r, i) => {
+    console.log(`  ${String(i + 1).padStart(3)}. ${r.label ?? r.atom_id}`);
+    console.log(`       Score: ${r.score.toFixed(6)}  Hops: ${r.hops}  Trusted by: ${r.trusted_by} claim(s), ${r.stake_in.toFixed(4)} $TRUST net`);
+    console.log(`       Atom: ${r.atom_id}`);
+  });
+  console.log('');
+  console.log(others.length > limit
+    ? `Showing top ${limit} of ${others.length} agents (--limit or --json for more)`
+    : `${others.length} agent(s) ranked`);
+}
+
+main().catch(exitWithError);
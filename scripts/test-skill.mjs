@@ -12,19 +12,186 @@
  *   4. intuition-triples.mjs --help - shows help
  *   5. intuition-verify.mjs --help - shows help
  *   6. intuition-stake.mjs --help - shows help
+ *   ...and every other script's --help, then offline checks of the
+ *   library's pure logic (no network).
  *
  * If INTUITION_PRIVATE_KEY is set and a test entity is provided,
  * also runs live on-chain query tests.
  */
 
+import assert from 'assert/strict';
 import { spawn } from 'child_process';
+import { appendFileSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
+import { encodeAbiParameters, encodeEventTopics, hexToString, parseEther } from 'viem';
+import { MultiVaultAbi } from '@0xintuition/protocol';
+import { previewStakeBatch, readStakePlan } from '../lib/batch.mjs';
+import { DEFAULT_MAX_SLIPPAGE, KNOWN_ATOMS } from '../lib/constants.mjs';
+import { parseCsvRows } from '../lib/csv.mjs';
+import { ValidationError } from '../lib/errors.mjs';
+import { GATE_CONDITIONS, validatePolicy } from '../lib/gate.mjs';
+import { serializeGraph } from '../lib/graph-export.mjs';
+import { previewImport, readImportFile } from '../lib/import.mjs';
+import { readJournal, recordTransaction } from '../lib/journal.mjs';
+import { decryptKeystore, encryptKeystore } from '../lib/keystore.mjs';
+import { validateManifest } from '../lib/manifest.mjs';
+import { findPaths } from '../lib/paths.mjs';
+import { applyCostBasis, buildCostBasis, sortEvents } from '../lib/positions.mjs';
+import { validateProfile } from '../lib/profile.mjs';
+import { parseShares } from '../lib/redeem.mjs';
+import { STRATEGY_METRICS, positionMetrics, ruleMatches, validateStrategy } from '../lib/strategy.mjs';
+import { vaultEvents, waitForSuccess } from '../lib/terms.mjs';
+import { DEFAULT_TRUST_PROFILE, validateTrustProfile } from '../lib/trust.mjs';
+import { RDF_TYPE, parseTurtle } from '../lib/turtle.mjs';
+import { minimumAfterSlippage, resolveVault } from '../lib/vaults.mjs';
+import { WATCH_METRICS, createWatcher, validateWatchConfig } from '../lib/watch.mjs';
+import { scoreGraph } from '../lib/wot.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 const TEST_ENTITY = process.argv[2] || null;
 
+// Web3 Secret Storage v3 test vector (pbkdf2), passphrase "testpassword".
+// The spec's scrypt vector uses r=1 with n=262144, which OpenSSL refuses.
+const KEYSTORE_VECTOR = {
+  version: 3,
+  id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+  crypto: {
+    cipher: 'aes-128-ctr',
+    cipherparams: { iv: '6087dab2f9fdbbfaddc31a909735c1e6' },
+    ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+    kdf: 'pbkdf2',
+    kdfparams: { c: 262144, dklen: 32, prf: 'hmac-sha256', salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd' },
+    mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2',
+  },
+};
+const KEYSTORE_VECTOR_KEY = '0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d';
+
+/** Run `fn` on a temp file named `name` holding `text`. */
+function withTempFile(name, text, fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'intuition-test-'));
+  try {
+    const path = join(dir, name);
+    writeFileSync(path, text);
+    return fn(path);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/** Run `fn(ctx)` with every GraphQL request answered by `answer(query, variables)`. */
+async function withGraphql(answer, fn) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, { body }) => {
+    const { query, variables } = JSON.parse(body);
+    return { ok: true, json: async () => ({ data: await answer(query, variables) }) };
+  };
+  try {
+    return await fn({ graphqlEndpoint: 'http://graphql.invalid/v1/graphql' });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+/** Run `fn` with the journal pointed at a fresh temp directory. */
+async function withJournalDir(fn) {
+  const saved = { dir: process.env.INTUITION_JOURNAL_DIR, journal: process.env.INTUITION_JOURNAL };
+  const dir = mkdtempSync(join(tmpdir(), 'intuition-journal-'));
+  process.env.INTUITION_JOURNAL_DIR = dir;
+  delete process.env.INTUITION_JOURNAL;
+  try {
+    return await fn(dir);
+  } finally {
+    for (const [name, value] of [['INTUITION_JOURNAL_DIR', saved.dir], ['INTUITION_JOURNAL', saved.journal]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/** Assert that `fn` throws a ValidationError whose message matches `pattern`. */
+function assertInvalid(fn, pattern) {
+  assert.throws(fn, (err) => err instanceof ValidationError && pattern.test(err.message));
+}
+
+/** Assert that `fn` throws a ValidationError listing exactly `details`. */
+function assertProblems(fn, details) {
+  assert.throws(fn, (err) => {
+    assert.ok(err instanceof ValidationError);
+    assert.deepEqual(err.details, details);
+    return true;
+  });
+}
+
+/** A receipt log for a MultiVault event, as the chain would encode it. */
+function eventLog(eventName, args) {
+  const event = MultiVaultAbi.find(e => e.type === 'event' && e.name === eventName);
+  const data = event.inputs.filter(i => !i.indexed);
+  return {
+    topics: encodeEventTopics({ abi: MultiVaultAbi, eventName, args }),
+    data: encodeAbiParameters(data, data.map(i => args[i.name])),
+  };
+}
+
+/** A Deposited log of `shares` into one vault. */
+function depositedLog(termId, curveId, shares) {
+  const sender = `0x${'11'.repeat(20)}`;
+  return eventLog('Deposited', {
+    sender, receiver: sender, termId, curveId,
+    assets: shares, assetsAfterFees: shares, shares, totalShares: shares, vaultType: 0,
+  });
+}
+
+/** A term ID made of one repeated byte, e.g. termId('a1'). */
+const termId = (byte) => `0x${byte.repeat(32)}`;
+
+/** Whole $TRUST in wei. */
+const trust = (n) => BigInt(n) * 10n ** 18n;
+
+/**
+ * A crawled graph (as graph.mjs builds it) from `[subject, object, for, against]`
+ * edges between single-letter atoms; every edge's predicate is "trusts".
+ */
+function graphOf(edges) {
+  const node = (name) => ({ id: name, label: name.toUpperCase() });
+  const nodes = new Map();
+  for (const [subject, object] of edges) {
+    for (const name of [subject, object]) if (!nodes.has(name)) nodes.set(name, { ...node(name), hops: nodes.size === 0 ? 0 : 1 });
+  }
+  return {
+    nodes,
+    edges: edges.map(([subject, object, pro, con], i) => ({
+      term_id: `t${i}`,
+      subject: node(subject),
+      predicate: { id: 'trusts', label: 'trusts' },
+      object: node(object),
+      for: pro,
+      against: con,
+      stakers: 1,
+    })),
+    truncated: false,
+  };
+}
+
+/**
+ * A context whose MultiVault reads are answered by `views[functionName](...args)`,
+ * with a wallet holding `balance`.
+ */
+function fakeChain(views, { balance = 0n } = {}) {
+  return {
+    multiVaultAddress: `0x${'00'.repeat(20)}`,
+    account: { address: `0x${'11'.repeat(20)}` },
+    walletClient: {},
+    publicClient: {
+      readContract: async ({ functionName, args = [] }) => views[functionName](...args),
+      getBalance: async () => balance,
+    },
+  };
+}
+
 const TESTS = [
   // Help output tests (always run, no env required)
   {
@@ -90,6 +257,715 @@ const TESTS = [
     expectOutput: 'intuition-health',
     expectCode: 0,
   },
+  {
+    name: 'intuition-encrypt-wallets --help',
+    script: 'intuition-encrypt-wallets.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-encrypt-wallets',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-wallet --help',
+    script: 'intuition-wallet.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-wallet',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-history --help',
+    script: 'intuition-history.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-history',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-strategy --help',
+    script: 'intuition-strategy.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-strategy',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-watch --help',
+    script: 'intuition-watch.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-watch',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-feed --help',
+    script: 'intuition-feed.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-feed',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-trust --help',
+    script: 'intuition-trust.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-trust',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-gate --help',
+    script: 'intuition-gate.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-gate',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-wot --help',
+    script: 'intuition-wot.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-wot',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-path --help',
+    script: 'intuition-path.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-path',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-export --help',
+    script: 'intuition-export.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-export',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-import --help',
+    script: 'intuition-import.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-import',
+    expectCode: 0,
+  },
+  {
+    name: 'intuition-manifest --help',
+    script: 'intuition-manifest.mjs',
+    args: ['--help'],
+    expectOutput: 'intuition-manifest',
+    expectCode: 0,
+  },
+
+  // Offline checks of the library (always run, no network)
+  {
+    name: 'keystore encrypt/decrypt',
+    run: async () => {
+      assert.equal(await decryptKeystore(KEYSTORE_VECTOR, 'testpassword'), KEYSTORE_VECTOR_KEY);
+      await assert.rejects(decryptKeystore(KEYSTORE_VECTOR, 'wrong'), /Wrong passphrase/);
+
+      const keystore = await encryptKeystore(KEYSTORE_VECTOR_KEY, 'hunter2', { scrypt: { n: 1024 } });
+      assert.equal(keystore.crypto.kdf, 'scrypt');
+      assert.equal(await decryptKeystore(keystore, 'hunter2'), KEYSTORE_VECTOR_KEY);
+      await assert.rejects(decryptKeystore(keystore, 'hunter3'), /Wrong passphrase/);
+    },
+  },
+  {
+    name: 'minimumAfterSlippage',
+    run: () => {
+      assert.equal(minimumAfterSlippage(10000n, { maxSlippage: 5 }), 9500n);
+      assert.equal(minimumAfterSlippage(10000n, { maxSlippage: '0.5' }), 9950n);
+      assert.equal(minimumAfterSlippage(10000n, { maxSlippage: 100 }), 0n);
+      assert.equal(minimumAfterSlippage(10000n, { maxSlippage: 5, minimum: 0n }), 0n);
+      assert.equal(minimumAfterSlippage(10000n, { maxSlippage: 5, minimum: 12345n }), 12345n);
+      assertInvalid(() => minimumAfterSlippage(10000n, { maxSlippage: 101 }), /--max-slippage/);
+      assertInvalid(() => minimumAfterSlippage(10000n, { maxSlippage: 'lots' }), /--max-slippage/);
+      assertInvalid(() => minimumAfterSlippage(10000n, { minimum: -1n }), /cannot be negative/);
+    },
+  },
+  {
+    name: 'vaultEvents',
+    run: () => {
+      const receipt = {
+        logs: [
+          depositedLog(termId('b2'), 1n, 200n),
+          depositedLog(termId('a1'), 2n, 120n),
+          depositedLog(termId('a1'), 1n, 100n),
+          depositedLog(termId('a1'), 1n, 101n),
+        ],
+      };
+      const events = vaultEvents(receipt, 'Deposited', [
+        { vaultId: termId('A1'), curveId: 1n },
+        { vaultId: termId('a1'), curveId: 1n },
+        { vaultId: termId('a1'), curveId: 1n },
+        { vaultId: termId('b2'), curveId: 1n },
+      ]);
+      assert.deepEqual(events.map(e => e?.shares ?? null), [100n, 101n, null, 200n]);
+      assert.deepEqual(vaultEvents(receipt, 'Redeemed', [{ vaultId: termId('a1'), curveId: 1n }]), [null]);
+    },
+  },
+  {
+    name: 'parseShares',
+    run: () => {
+      assert.equal(parseShares('all', 1000n), 1000n);
+      assert.equal(parseShares('ALL', 1000n), 1000n);
+      assert.equal(parseShares('25%', 1000n), 250n);
+      assert.equal(parseShares('12.5%', 1000n), 125n);
+      assert.equal(parseShares('300', 1000n), 300n);
+      assertInvalid(() => parseShares('0%', 1000n), /between 0% and 100%/);
+      assertInvalid(() => parseShares('150%', 1000n), /between 0% and 100%/);
+      assertInvalid(() => parseShares('1.5', 1000n), /whole number/);
+      assertInvalid(() => parseShares('0', 1000n), /must be positive/);
+      assertInvalid(() => parseShares('1001', 1000n), /Max redeemable: 1000/);
+    },
+  },
+  {
+    name: 'resolveVault (FOR, AGAINST, counter-triple)',
+    run: async () => {
+      const atom = termId('a1');
+      const triple = termId('b2');
+      const counter = termId('c3');
+      const ctx = fakeChain({
+        isCounterTriple: (id) => id === counter,
+        getTripleIdFromCounterId: (id) => (id === counter ? triple : null),
+        getCounterIdFromTripleId: (id) => (id === triple ? counter : null),
+        isTermCreated: (id) => id === atom || id === triple,
+        isTriple: (id) => id === triple,
+      });
+
+      assert.deepEqual(await resolveVault(ctx, atom), { termId: atom, isTriple: false, against: false, vaultId: atom, curveId: 0n });
+      assert.deepEqual(await resolveVault(ctx, triple), { termId: triple, isTriple: true, against: false, vaultId: triple, curveId: 1n });
+      const against = { termId: triple, isTriple: true, against: true, vaultId: counter, curveId: 2n };
+      assert.deepEqual(await resolveVault(ctx, triple, { against: true }), against);
+      assert.deepEqual(await resolveVault(ctx, counter), against);
+      await assert.rejects(resolveVault(ctx, atom, { against: true }), /only works for triples/);
+      await assert.rejects(resolveVault(ctx, termId('d4')), /not found on-chain/);
+    },
+  },
+  {
+    name: 'parseCsvRows',
+    run: () => {
+      assert.deepEqual(parseCsvRows('a,b,c\r\n# a comment, "unbalanced\n\n"x, y","say ""hi""","two\nlines"\n"#AI",,\nlast'), [
+        ['a', 'b', 'c'],
+        ['x, y', 'say "hi"', 'two\nlines'],
+        ['#AI', '', ''],
+        ['last'],
+      ]);
+      assertInvalid(() => parseCsvRows('a,b\n1,2\n3,"open\n4,5\n'), /^CSV line 3: quoted field is never closed/);
+      assertInvalid(() => parseCsvRows('a,b\r\n1,2\r\n3,"open\r\n4,5\r\n'), /^CSV line 3: quoted field is never closed/);
+      assertInvalid(() => parseCsvRows('a,b\r1,2\r3,"open'), /^CSV line 3: quoted field is never closed/);
+    },
+  },
+  {
+    name: 'readStakePlan',
+    run: () => {
+      const term = termId('a1');
+      const csv = `term,amount,side\n${term},0.5,\nAlice / knows / Bob,1,AGAINST\n`;
+      assert.deepEqual(withTempFile('plan.csv', csv, readStakePlan), [
+        { row: 1, term, label: term, amount: '0.5', side: 'for' },
+        { row: 2, term: { subject: 'Alice', predicate: 'knows', object: 'Bob' }, label: 'Alice/knows/Bob', amount: '1', side: 'against' },
+      ]);
+      const json = JSON.stringify({ stakes: [{ subject: 'Alice', predicate: 'is', object: 'AI Agent', amount: 2 }] });
+      assert.deepEqual(withTempFile('plan.json', json, readStakePlan), [
+        { row: 1, term: { subject: 'Alice', predicate: 'is', object: 'AI Agent' }, label: 'Alice/is/AI Agent', amount: '2', side: 'for' },
+      ]);
+      withTempFile('plan.csv', 'term,amount,side\nAlice,1,maybe\n', (path) => assertInvalid(() => readStakePlan(path), /^Row 1: side must be FOR or AGAINST/));
+      withTempFile('plan.json', '{"stakes": 3}', (path) => assertInvalid(() => readStakePlan(path), /must be an array of stakes/));
+    },
+  },
+  {
+    name: 'previewStakeBatch',
+    run: async () => {
+      const ids = { Alice: termId('a1'), Bob: termId('b2') };
+      const ctx = fakeChain({
+        calculateAtomId: (hex) => ids[hexToString(hex)] ?? termId('ff'),
+        isCounterTriple: () => false,
+        isTermCreated: (id) => Object.values(ids).includes(id),
+        isTriple: () => false,
+        previewDeposit: (id, curveId, assets) => [assets * 2n, 0n],
+        MAX_BATCH_SIZE: () => 150n,
+      }, { balance: parseEther('1') });
+      const rows = [
+        { row: 1, term: 'Alice', label: 'Alice', amount: '0.5', side: 'for' },
+        { row: 2, term: 'Bob', label: 'Bob', amount: '0.75', side: 'for' },
+      ];
+
+      const preview = await previewStakeBatch(ctx, rows, { maxSlippage: 10 });
+      assert.deepEqual(preview.items.map(i => [i.vaultId, i.assets, i.expectedShares, i.minShares]), [
+        [ids.Alice, parseEther('0.5'), parseEther('1'), parseEther('0.9')],
+        [ids.Bob, parseEther('0.75'), parseEther('1.5'), parseEther('1.35')],
+      ]);
+      assert.equal(preview.totalAssets, parseEther('1.25'));
+      assert.equal(preview.sufficientBalance, false);
+
+      await assert.rejects(previewStakeBatch(ctx, [
+        ...rows,
+        { row: 3, term: 'Carol', label: 'Carol', amount: '1', side: 'for' },
+        { row: 4, term: 'Bob', label: 'Bob', amount: '-1', side: 'for' },
+        { row: 5, term: 'Alice', label: 'Alice', amount: '1', side: 'against' },
+      ]), (err) => {
+        assert.ok(err instanceof ValidationError);
+        assert.deepEqual(err.details.map(d => d.split(':')[0]).sort(), ['Row 3 (Carol)', 'Row 4 (Bob)', 'Row 5 (Alice)']);
+        return true;
+      });
+    },
+  },
+  {
+    name: 'readJournal',
+    run: () => withJournalDir(async (dir) => {
+      const ctx = { network: { name: 'mainnet', chainId: 1155 }, account: { address: `0x${'11'.repeat(20)}` } };
+      const term = termId('a1');
+      const entry = { action: 'stake', termId: term, vaultId: term, curveId: 1n, value: 5n };
+      const failing = { waitForTransactionReceipt: async () => { throw new Error('timed out'); } };
+      const reverting = { waitForTransactionReceipt: async () => ({ status: 'reverted', blockNumber: 12n }) };
+
+      recordTransaction(ctx, { ...entry, hash: '0x01', block: null, status: 'submitted' });
+      recordTransaction(ctx, { ...entry, hash: '0x01', block: 10n, status: 'success' });
+      await assert.rejects(waitForSuccess({ ...ctx, publicClient: failing }, '0x02', entry), /timed out/);
+      await assert.rejects(waitForSuccess({ ...ctx, publicClient: reverting }, '0x03', { action: 'redeem' }), /reverted/);
+      for (const f of readdirSync(dir)) appendFileSync(join(dir, f), '{"hash": "0x04", "sta');
+
+      const entries = readJournal();
+      assert.deepEqual(entries.map(e => [e.hash, e.status, e.block]), [
+        ['0x01', 'success', '10'],
+        ['0x02', 'unknown', null],
+        ['0x03', 'reverted', '12'],
+      ]);
+      assert.equal(entries[0].curveId, '1');
+      assert.equal(entries[1].error, 'timed out');
+      assert.deepEqual(readJournal({ status: 'unknown' }).map(e => e.hash), ['0x02']);
+      assert.deepEqual(readJournal({ termId: termId('A1') }).map(e => e.hash), ['0x01', '0x02']);
+      assert.deepEqual(readJournal({ action: 'redeem' }).map(e => e.hash), ['0x03']);
+      assert.deepEqual(readJournal({ limit: 1 }).map(e => e.hash), ['0x03']);
+      assert.deepEqual(readJournal({ network: 'testnet' }), []);
+    }),
+  },
+  {
+    name: 'buildCostBasis / applyCostBasis',
+    run: () => {
+      const [a, b] = [termId('a1'), termId('b2')];
+      const events = sortEvents([
+        { kind: 'redeem', termId: b, curveId: 1n, shares: trust(50), assets: trust(4), fees: 0n, block: 9n, logIndex: 0 },
+        { kind: 'deposit', termId: a, curveId: 1n, shares: trust(100), assets: trust(10), assetsAfterFees: trust(9), block: 1n, logIndex: 3 },
+        { kind: 'deposit', termId: b, curveId: 1n, shares: trust(50), assets: trust(5), assetsAfterFees: trust(5), block: 1n, logIndex: 1 },
+        { kind: 'deposit', termId: a, curveId: 1n, shares: trust(100), assets: null, assetsAfterFees: trust(18), block: 4n, logIndex: 0 },
+        { kind: 'redeem', termId: a, curveId: 1n, shares: trust(100), assets: trust(15), fees: trust(1), block: 7n, logIndex: 2, timestamp: 't7' },
+      ]);
+      assert.deepEqual(events.map(e => [e.block, e.logIndex]), [[1n, 1], [1n, 3], [4n, 0], [7n, 2], [9n, 0]]);
+
+      const ledgers = buildCostBasis(events);
+      const ledgerA = ledgers.get(`${a}:1`);
+      assert.deepEqual(
+        [ledgerA.shares, ledgerA.costBasis, ledgerA.invested, ledgerA.proceeds, ledgerA.realizedPnl, ledgerA.entryFees, ledgerA.exitFees],
+        [trust(100), trust(14), trust(28), trust(15), trust(1), trust(1), trust(1)],
+      );
+      assert.equal(ledgerA.entryFeesKnown, false);
+      assert.equal(ledgerA.lastRedeemAt, 't7');
+
+      const result = applyCostBasis([{ term_id: termId('A1'), curve_id: '1', shares: String(trust(100)), value: 20 }], ledgers);
+      const pnl = result.positions[0].pnl;
+      assert.deepEqual([pnl.costBasis, pnl.invested, pnl.realized, pnl.unrealized, pnl.total, pnl.returnPct], [14, 28, 1, 6, 7, 25]);
+      assert.deepEqual(pnl.fees, { entry: 1, exit: 1, total: 2, entryKnown: false });
+      assert.equal(pnl.complete, true);
+      assert.deepEqual(result.closed.map(c => [c.term_id, c.pnl.realized, c.pnl.invested]), [[b, -1, 5]]);
+      assert.deepEqual(
+        [result.totals.invested, result.totals.realized, result.totals.unrealized, result.totals.total, result.totals.fees, result.totals.entryFeesKnown],
+        [33, 0, 6, 6, 2, false],
+      );
+    },
+  },
+  {
+    name: 'validateStrategy',
+    run: () => {
+      const strategy = validateStrategy({
+        rules: [
+          { name: 'take-profit', when: { returnPct: { gte: 100 } }, redeem: '50%' },
+          { match: { type: 'triple', side: 'against' }, when: { againstPct: { gt: 40 }, ageDays: { lt: 7 } } },
+        ],
+      });
+      assert.equal(strategy.maxSlippage, 1);
+      assert.deepEqual(strategy.rules.map(r => [r.name, r.percent, r.when]), [
+        ['take-profit', 50, [{ metric: 'returnPct', op: 'gte', value: 100 }]],
+        ['rule 2', 100, [{ metric: 'againstPct', op: 'gt', value: 40 }, { metric: 'ageDays', op: 'lt', value: 7 }]],
+      ]);
+      assertInvalid(() => validateStrategy({ rules: [] }), /non-empty "rules" array/);
+      assertProblems(() => validateStrategy({
+        maxSlippage: '2',
+        rules: [
+          { name: 'a', match: { type: 'vault' }, when: { luck: { gt: 1 } }, redeem: '0%' },
+          { name: 'b', when: { value: { above: 1, lt: 'ten' } } },
+        ],
+      }), [
+        'a: match.type must be "atom" or "triple"',
+        `a: unknown metric "luck" (use ${Object.keys(STRATEGY_METRICS).join(', ')})`,
+        'a: needs at least one condition in "when"',
+        'a: redeem must be "all" or a percentage between 0 and 100, got "0%"',
+        'b: value: unknown operator "above" (use gt, gte, lt, lte)',
+        'b: value.lt must be a number',
+        'maxSlippage: must be a percentage from 0 to 100',
+      ]);
+      assertProblems(() => validateStrategy({ maxSlippage: 150, rules: [{ when: { value: { gt: 1 } } }] }), [
+        'maxSlippage: must be a percentage from 0 to 100',
+      ]);
+    },
+  },
+  {
+    name: 'strategy rule matching',
+    run: () => {
+      const now = Date.parse('2026-03-31T00:00:00Z');
+      const { rules } = validateStrategy({
+        rules: [
+          { name: 'take-profit', when: { returnPct: { gte: 100 } }, redeem: '50%' },
+          { name: 'disputed', match: { type: 'triple', side: 'for', predicate: 'Trusts' }, when: { againstPct: { gt: 40 } } },
+          { name: 'stale', match: { termIds: [termId('A1')] }, when: { daysSinceRedeem: { gte: 30 } } },
+        ],
+      });
+      const firstRule = (position, options) => {
+        const metrics = positionMetrics(position, { now, ...options });
+        return rules.find(r => ruleMatches(r, position, metrics))?.name ?? null;
+      };
+      const pnl = (returnPct, redemptions = 0, lastRedeemAt = null) => ({ returnPct, unrealized: 0, costBasis: 1, redemptions, lastRedeemAt });
+      const atom = { term_id: termId('a1'), type: 'atom', curve_id: '1', value: 2, created_at: '2026-03-01T00:00:00Z' };
+      const claim = { term_id: termId('b2'), type: 'triple', curve_id: '1', value: 2, triple: { predicate: 'trusts' } };
+
+      assert.equal(positionMetrics({ ...atom, pnl: pnl(5) }, { now }).ageDays, 30);
+      assert.equal(firstRule({ ...atom, pnl: pnl(150) }), 'take-profit');
+      assert.equal(firstRule({ ...atom, pnl: pnl(5) }), 'stale');
+      assert.equal(firstRule({ ...atom, pnl: pnl(5, 1, '2026-03-20T00:00:00Z') }), null);
+      assert.equal(firstRule({ ...atom, pnl: null }), null);
+      assert.equal(firstRule({ ...claim, pnl: pnl(5) }, { againstPct: 45 }), 'disputed');
+      assert.equal(firstRule({ ...claim, pnl: pnl(5) }, { againstPct: 40 }), null);
+      assert.equal(firstRule({ ...claim, curve_id: '2', pnl: pnl(5) }, { againstPct: 45 }), null);
+    },
+  },
+  {
+    name: 'watch thresholds',
+    run: async () => {
+      const claim = termId('b2');
+      assertProblems(() => validateWatchConfig({ terms: ['0x12'], alerts: { luck: {}, forAssets: { beyond: 1, above: '2' } }, interval: 0 }), [
+        'Invalid term ID: 0x12',
+        `alerts: unknown metric "luck" (use ${Object.keys(WATCH_METRICS).join(', ')}, newTriples)`,
+        'alerts: forAssets.beyond must be above, below or changePct',
+        'alerts: forAssets.above must be a number',
+        'interval must be a positive number of seconds',
+      ]);
+
+      const polls = [[30, 20], [32, 8], [40, 8]];
+      const vaults = (assets) => ({ vaults: [{ curve_id: '1', total_assets: String(trust(assets)), current_share_price: String(trust(1)), position_count: 1 }] });
+      let poll = 0;
+      await withGraphql(() => {
+        const [pro, con] = polls[poll++];
+        return {
+          atoms: [],
+          triples: [{
+            term_id: claim, counter_term_id: termId('c3'),
+            subject: { label: 'Alice' }, predicate: { label: 'trusts' }, object: { label: 'Bob' },
+            term: vaults(pro), counter_term: vaults(con),
+          }],
+        };
+      }, async (ctx) => {
+        const watcher = createWatcher(ctx, { terms: [{ id: claim, alerts: { againstPct: { above: 25 }, forAssets: { changePct: 10 } } }] });
+        const brief = (events) => events.map(e => [e.type, e.metric, e.initial ?? e.changePct ?? null]);
+        assert.deepEqual(brief(await watcher.poll()), [['threshold.crossed', 'againstPct', true]]);
+        assert.deepEqual(brief(await watcher.poll()), [['threshold.cleared', 'againstPct', null]]);
+        assert.deepEqual(brief(await watcher.poll()), [['metric.changed', 'forAssets', 25]]);
+      });
+    },
+  },
+  {
+    name: 'validateTrustProfile',
+    run: () => {
+      assert.deepEqual(validateTrustProfile(), DEFAULT_TRUST_PROFILE);
+      const profile = validateTrustProfile({ minStake: 0, claim: { object: 'Auditor' }, requireLevel: 3 });
+      assert.deepEqual(profile.claim, { predicate: 'is', object: 'Auditor' });
+      assert.equal(profile.minStake, 0);
+      assert.equal(profile.minSentiment, DEFAULT_TRUST_PROFILE.minSentiment);
+      assertProblems(() => validateTrustProfile({
+        minStak: 1, minStake: -1, minSentiment: 1.5, maxConcentration: '0.5', minStakers: 1.5, requireLevel: 6, claim: { predicate: '' },
+      }), [
+        'unknown setting "minStak"',
+        'minStake must be a number >= 0',
+        'minSentiment must be between 0 and 1',
+        'maxConcentration must be between 0 and 1',
+        'minStakers must be a whole number >= 0',
+        'requireLevel must be 1-5',
+        'claim needs a predicate and an object label',
+      ]);
+    },
+  },
+  {
+    name: 'validatePolicy',
+    run: () => {
+      const voucher = `0x${'ab'.repeat(20)}`;
+      const policy = {
+        name: 'tool-access',
+        all: [
+          { claim: { predicate: 'is', object: 'AI Agent' }, minAssets: 1, minSentiment: 0.8, minStakers: 2 },
+          { any: [
+            { claim: { predicate: 'is', object: 'Auditor' } },
+            { claim: { predicate: 'is', object: 'AI Agent' }, vouchers: [voucher], minVouchers: 1 },
+          ] },
+        ],
+      };
+      assert.equal(validatePolicy(policy), policy);
+      assertProblems(() => validatePolicy({
+        all: [
+          { claim: { predicate: 'is' }, minAssets: -1, minSentiment: 2, colour: 'red' },
+          { any: [], all: [] },
+          { any: [{ claim: { predicate: 'is', object: 'x' }, vouchers: ['0x12'], minVouchers: 2 }], name: 'n', minStakers: 1 },
+          'nope',
+        ],
+      }), [
+        `policy.all[0]: unknown setting "colour" (use all, any, name, claim, ${Object.keys(GATE_CONDITIONS).join(', ')})`,
+        'policy.all[0]: needs "claim": { "predicate", "object" } (or "all" / "any")',
+        'policy.all[0]: minAssets must be a number >= 0',
+        'policy.all[0]: minSentiment must be between 0 and 1',
+        'policy.all[1]: use either "all" or "any", not both',
+        'policy.all[2]: "any" cannot be combined with "minStakers"',
+        'policy.all[2].any[0]: invalid voucher address: 0x12',
+        'policy.all[2].any[0]: minVouchers must be a whole number from 1 to 1',
+        'policy.all[3]: must be an object',
+      ]);
+    },
+  },
+  {
+    name: 'scoreGraph (PageRank)',
+    run: () => {
+      const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+      // A -> B only: A keeps 1 / (1 + decay), B gets the rest
+      const pair = scoreGraph(graphOf([['a', 'b', 1, 0]]), ['A']).scores;
+      close(pair.get('a'), 1 / 1.85);
+      close(pair.get('b'), 0.85 / 1.85);
+
+      const { scores, iterations } = scoreGraph(graphOf([
+        ['a', 'b', 3, 0],
+        ['a', 'c', 1, 0],
+        ['a', 'a', 5, 0],
+        ['b', 'c', 2, 1],
+        ['c', 'd', 1, 2],
+      ]), ['a']);
+      assert.ok(iterations > 1);
+      close([...scores.values()].reduce((sum, s) => sum + s, 0), 1);
+      assert.equal(scores.get('d'), 0);
+      close(scores.get('b'), 0.85 * scores.get('a') * 0.75);
+      close(scores.get('c'), 0.85 * (scores.get('a') * 0.25 + scores.get('b')));
+
+      const damped = scoreGraph(graphOf([['a', 'b', 1, 0]]), ['a'], { decay: 0.5 }).scores;
+      close(damped.get('b'), 0.5 / 1.5);
+    },
+  },
+  {
+    name: 'findPaths',
+    run: async () => {
+      const atoms = ['Alice', 'Bob', 'Carol', 'Dave', 'Erin'].map((label, i) => ({ term_id: termId(`a${i}`), label }));
+      const id = (label) => atoms.find(a => a.label === label).term_id;
+      const triples = [
+        ['Alice', 'knows', 'Bob', 5],
+        ['Bob', 'knows', 'Dave', 1],
+        ['Carol', 'knows', 'Alice', 2],
+        ['Carol', 'trusts', 'Dave', 3],
+        ['Dave', 'knows', 'Dave', 9],
+      ].map(([s, p, o, stake], i) => ({
+        term_id: termId(`b${i}`),
+        subject_id: id(s), predicate_id: termId('cc'), object_id: id(o),
+        subject: { label: s }, predicate: { label: p }, object: { label: o },
+        term: { vaults: [{ total_assets: String(trust(stake)), position_count: 1 }] },
+        counter_term: { vaults: [] },
+      }));
+      const matching = ({ _or: [{ subject_id }], predicate }) => triples.filter(t =>
+        (subject_id._in.includes(t.subject_id) || subject_id._in.includes(t.object_id))
+        && (!predicate?.label._in || predicate.label._in.includes(t.predicate.label))
+        && (!predicate?.label._nin || !predicate.label._nin.includes(t.predicate.label)));
+
+      await withGraphql((query, { labels, ids, where, limit, offset }) => {
+        if (query.includes('ResolveEntities')) {
+          return { byLabel: atoms.filter(a => labels.includes(a.label)), byId: atoms.filter(a => ids.includes(a.term_id)) };
+        }
+        if (query.includes('CountEdges')) return { triples_aggregate: { aggregate: { count: matching(where).length } } };
+        return { triples: matching(where).slice(offset, offset + limit) };
+      }, async (ctx) => {
+        const claims = (result) => result.paths.map(p => p.hops.map(h => h.claim));
+
+        const both = await findPaths(ctx, 'Alice', id('Dave'));
+        assert.equal(both.length, 2);
+        assert.equal(both.found, 2);
+        assert.deepEqual(claims(both), [
+          ['[Carol] [knows] [Alice]', '[Carol] [trusts] [Dave]'],
+          ['[Alice] [knows] [Bob]', '[Bob] [knows] [Dave]'],
+        ]);
+        assert.deepEqual(both.paths.map(p => [p.weakest, p.total]), [[2, 5], [1, 6]]);
+
+        assert.equal((await findPaths(ctx, 'Alice', 'Dave', { k: 1 })).paths.length, 1);
+        const knows = await findPaths(ctx, 'Alice', 'Dave', { predicates: ['knows'] });
+        assert.deepEqual(claims(knows), [['[Alice] [knows] [Bob]', '[Bob] [knows] [Dave]']]);
+        assert.equal((await findPaths(ctx, 'Alice', 'Dave', { maxDepth: 1 })).length, null);
+
+        const none = await findPaths(ctx, 'Alice', 'Erin');
+        assert.deepEqual([none.length, none.found, none.paths], [null, 0, []]);
+        await assert.rejects(findPaths(ctx, 'Alice', id('Alice')), /same atom/);
+        await assert.rejects(findPaths(ctx, 'Alice', 'Dave', { maxDepth: 0, k: 0 }), { details: ['maxDepth must be a whole number >= 1', 'k must be a whole number >= 1'] });
+      });
+    },
+  },
+  {
+    name: 'serializeGraph',
+    run: () => {
+      const graph = graphOf([['a', 'b', 1.5, 0.25]]);
+      graph.nodes.get('a').label = 'Say "hi" & <bye>';
+      const stats = new Map([['a', { assets: 1e-7, stakers: 2 }]]);
+      const as = (format) => serializeGraph(graph, format, { stats, chainId: 1 });
+
+      const graphml = as('graphml');
+      assert.ok(graphml.includes('<data key="n_label">Say &quot;hi&quot; &amp; &lt;bye&gt;</data>'));
+      assert.ok(graphml.includes('<edge id="t0" source="a" target="b">'));
+
+      assert.ok(as('dot').includes('"a" [label="Say \\"hi\\" & <bye>", term_id="a", hops="0", assets="1e-7", stakers="2"];'));
+      assert.ok(as('dot').includes('"a" -> "b" [label="trusts", term_id="t0", predicate_id="trusts", for="1.5", against="0.25", stakers="1"];'));
+
+      const ntriples = as('ntriples').trimEnd().split('\n');
+      for (const line of [
+        '<urn:intuition:1:a> <urn:intuition:ns:assets> "0.0000001"^^<http://www.w3.org/2001/XMLSchema#decimal> .',
+        '<urn:intuition:1:trusts> <http://www.w3.org/2000/01/rdf-schema#label> "trusts" .',
+        '<urn:intuition:1:a> <urn:intuition:1:trusts> <urn:intuition:1:b> .',
+        '<urn:intuition:1:t0> <urn:intuition:ns:forAssets> "1.5"^^<http://www.w3.org/2001/XMLSchema#decimal> .',
+      ]) assert.ok(ntriples.includes(line), line);
+      assert.equal(ntriples.length, 20);
+
+      const rdf = (text) => parseTurtle(text).map(t => `${t.subject.value} ${t.predicate.value} ${t.object.value}`).sort();
+      assert.deepEqual(rdf(as('turtle')), rdf(as('ntriples')));
+
+      const { '@graph': nodes } = JSON.parse(as('jsonld'));
+      assert.deepEqual(nodes.map(n => n['@id']), ['urn:intuition:1:a', 'urn:intuition:1:b', 'urn:intuition:1:t0']);
+      assert.deepEqual(nodes[0]['urn:intuition:1:trusts'], [{ '@id': 'urn:intuition:1:b' }]);
+      assert.equal(nodes[0].assets, '0.0000001');
+      assert.equal(nodes[2].againstAssets, '0.25');
+
+      assertInvalid(() => serializeGraph(graph, 'csv'), /Unknown export format "csv"/);
+    },
+  },
+  {
+    name: 'parseTurtle',
+    run: () => {
+      const triples = parseTurtle([
+        '@prefix ex: <http://example.org/> .',
+        '# a comment',
+        'ex:alice a ex:Agent ;',
+        '  ex:knows ex:bob, ex:carol ;',
+        '  ex:name "Alice \\"A\\"", "Alicia"@es .',
+        '<http://example.org/bob> ex:age 42 .',
+      ].join('\n'));
+      assert.deepEqual(triples.map(t => [t.subject.value, t.predicate.value, t.object.kind, t.object.value, t.line]), [
+        ['http://example.org/alice', RDF_TYPE, 'iri', 'http://example.org/Agent', 3],
+        ['http://example.org/alice', 'http://example.org/knows', 'iri', 'http://example.org/bob', 3],
+        ['http://example.org/alice', 'http://example.org/knows', 'iri', 'http://example.org/carol', 3],
+        ['http://example.org/alice', 'http://example.org/name', 'literal', 'Alice "A"', 3],
+        ['http://example.org/alice', 'http://example.org/name', 'literal', 'Alicia', 3],
+        ['http://example.org/bob', 'http://example.org/age', 'literal', '42', 6],
+      ]);
+      assertInvalid(() => parseTurtle('@prefix ex: <http://example.org/> .\n_:b1 ex:p ex:o .'), /^Turtle line 2:/);
+      assertInvalid(() => parseTurtle('ex:a ex:b ex:c .'), /^Turtle line 1:/);
+    },
+  },
+  {
+    name: 'readImportFile',
+    run: () => {
+      const rows = withTempFile('facts.csv', 'subject,predicate,object\nAlice,is,AI Agent\nBob,,\n', readImportFile);
+      assert.deepEqual(rows, [
+        { at: 'Row 1', subject: 'Alice', predicate: 'is', object: 'AI Agent' },
+        { at: 'Row 2', subject: 'Bob', predicate: null, object: null },
+      ]);
+      withTempFile('facts.csv', 'subject,predicate,object\n,is,AI Agent\nBob,knows,\n', (path) => assertProblems(() => readImportFile(path), [
+        'Row 1: needs a subject',
+        'Row 2: needs both a predicate and an object, or neither',
+      ]));
+      withTempFile('facts.csv', 'Alice,is,AI Agent\nBob,is,AI Agent\n', (path) => assertInvalid(() => readImportFile(path), /subject,predicate,object header/));
+      withTempFile('facts.json', '[]', (path) => assertInvalid(() => readImportFile(path), /must be \.csv, \.ttl or \.nt/));
+    },
+  },
+  {
+    name: 'previewImport (bounded lookups)',
+    run: async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const slow = (view) => async (...args) => {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        inFlight--;
+        return view(...args);
+      };
+      const known = new Set(Object.values(KNOWN_ATOMS));
+      const ctx = fakeChain({
+        MAX_BATCH_SIZE: () => 50n,
+        getAtomCost: () => 10n,
+        getTripleCost: () => 20n,
+        calculateAtomId: slow((hex) => `0x${hex.slice(2).padStart(64, '0')}`),
+        calculateTripleId: slow((s, p, o) => `0x${s.slice(-20)}${p.slice(-20)}${o.slice(-24)}`),
+        isTermCreated: slow((id) => known.has(id)),
+      }, { balance: 150n });
+
+      const rows = ['A0', 'A1', 'A2', 'A3', 'A4', 'A0'].map((subject, i) => ({ at: `Row ${i + 1}`, subject, predicate: 'is', object: 'AI Agent' }));
+      const preview = await previewImport(ctx, rows, { batchSize: 2 });
+      assert.equal(peak, 2);
+      assert.deepEqual(preview.atoms.map(a => [a.label, a.exists]), [
+        ['A0', false], ['is', true], ['AI Agent', true], ['A1', false], ['A2', false], ['A3', false], ['A4', false],
+      ]);
+      assert.deepEqual(preview.triples.map(t => t.at), ['Row 1', 'Row 2', 'Row 3', 'Row 4', 'Row 5']);
+      assert.deepEqual([preview.duplicates, preview.transactions, preview.totalAssets, preview.sufficientBalance], [1, 6, 150n, true]);
+      await assert.rejects(previewImport(ctx, rows, { batchSize: 51 }), /from 1 to 50/);
+    },
+  },
+  {
+    name: 'validateManifest',
+    run: () => {
+      const manifest = validateManifest({
+        identity: ' MyAgent ',
+        stake: '0.1',
+        claims: [
+          { predicate: 'is', object: 'AI Agent', for: '0.5' },
+          { subject: 'SpamBot', predicate: 'is', object: 'AI Agent', against: 0 },
+        ],
+      });
+      assert.equal(manifest.identity, 'MyAgent');
+      assert.equal(manifest.stake, parseEther('0.1'));
+      assert.equal(manifest.tolerance, 5);
+      assert.equal(manifest.maxSlippage, DEFAULT_MAX_SLIPPAGE);
+      assert.equal(validateManifest({ identity: 'MyAgent', tolerance: 100, maxSlippage: 0 }).tolerance, 100);
+      assert.deepEqual(manifest.claims.map(c => [c.label, c.for, c.against]), [
+        ['MyAgent/is/AI Agent', parseEther('0.5'), null],
+        ['SpamBot/is/AI Agent', null, 0n],
+      ]);
+      assertProblems(() => validateManifest({
+        stake: '-1',
+        claims: [{ predicate: 'is' }, { predicate: 'is', object: 'x', for: 'lots' }],
+        tolerance: 150,
+        maxSlippage: '1',
+      }), [
+        'identity: needs the agent\'s atom label (or term ID)',
+        'stake: must be a non-negative $TRUST amount, got "-1"',
+        'claims[0]: needs an object',
+        'claims[1]: for must be a non-negative $TRUST amount, got "lots"',
+        'tolerance: must be a percentage from 0 to 100',
+        'maxSlippage: must be a percentage from 0 to 100',
+      ]);
+    },
+  },
+  {
+    name: 'validateProfile',
+    run: () => {
+      const profile = validateProfile({
+        claims: [
+          { predicate: 'operatedBy', object: 'Acme Labs', stake: '0.1' },
+          { predicate: 'hasWebsite', object: 'https://acme.example' },
+        ],
+      });
+      assert.deepEqual(profile.claims, [
+        { predicate: 'operatedBy', object: 'Acme Labs', stake: parseEther('0.1') },
+        { predicate: 'hasWebsite', object: 'https://acme.example', stake: 0n },
+      ]);
+      assertInvalid(() => validateProfile({ claims: 'none' }), /"claims" array/);
+      assertProblems(() => validateProfile({
+        claims: [{ predicate: 'runsOn', object: 'X' }, { predicate: 'runsOn', object: 'X', stake: '1e3' }, {}],
+      }), [
+        'claims[1]: repeats [runsOn] [X]',
+        'claims[1]: stake must be a non-negative $TRUST amount, got "1e3"',
+        'claims[2]: needs a predicate',
+        'claims[2]: needs an object',
+      ]);
+    },
+  },
 ];
 
 // If a test entity is provided, add live query tests
@@ -120,6 +996,15 @@ if (TEST_ENTITY) {
 }
 
 async function runTest(test) {
+  if (test.run) {
+    try {
+      await test.run();
+      return { name: test.name, passed: true };
+    } catch (err) {
+      return { name: test.name, passed: false, error: err.message };
+    }
+  }
+
   return new Promise((resolve) => {
     const scriptPath = join(__dirname, test.script);
     const proc = spawn('node', [scriptPath, ...test.args], {
@@ -177,8 +1062,10 @@ async function main() {
       passed++;
     } else {
       console.log('FAIL');
-      console.log(`    Expected code: ${result.expectedCode}, got: ${result.code}`);
-      console.log(`    Expected output to contain: "${result.expectedOutput}"`);
+      if (!test.run) {
+        console.log(`    Expected code: ${result.expectedCode}, got: ${result.code}`);
+        console.log(`    Expected output to contain: "${result.expectedOutput}"`);
+      }
       if (result.stderr) console.log(`    Stderr: ${result.stderr}`);
       if (result.error) console.log(`    Error: ${result.error}`);
       failed++;